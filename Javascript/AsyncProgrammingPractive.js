@@ -6,28 +6,37 @@
 // Await makes async code look and behave like synchronous code, but without blocking!
 
 
-const promise = new Promise((resolve, reject) => {
-    console.log("Promise is pending");
-    setTimeout(() => {
-        console.log("Promise is resolved");
-        resolve(true);
-    }, 1000);
-});
+// Nothing runs on require - every demo is a function. Run them with: node examples <name>
 
-promise.then((result) => {
-    console.log(result);
-});
+function promiseBasics() {
+    const promise = new Promise((resolve, reject) => {
+        console.log("Promise is pending");
+        setTimeout(() => {
+            console.log("Promise is resolved");
+            resolve(true);
+        }, 1000);
+    });
 
+    return promise.then((result) => {
+        console.log(result);
+    });
+}
 
 
-async function fetchData() {
-    const response = await fetch("https://jsonplaceholder.typicode.com/posts");
-    const data = await response.json();
-    console.log(data);
-}
 
-fetchData();
+// Every request goes through one HttpClient: timeout, status check, retries - see HttpClient.js
+const { HttpClient } = require("./HttpClient");
 
+const api = new HttpClient({ baseUrl: "https://jsonplaceholder.typicode.com", timeoutMs: 5000 });
+
+async function fetchData() {
+    try {
+        const { data } = await api.get("/posts");
+        console.log(data);
+    } catch (error) {
+        console.log(`${error.name}: ${error.message}`);  // Offline, timed out, or a non-2xx status
+    }
+}
 
 
 
@@ -36,9 +45,9 @@ fetchData();
 async function testPromiseAll() {
     try {
         const results = await Promise.all([
-            fetch('/api/user/1'),        // Success
-            fetch('/api/user/999'),      // Fails (404)
-            fetch('/api/user/3')         // Never executed
+            api.get('/users/1'),         // Success
+            api.get('/users/999'),       // Fails (404 -> HttpError, never parsed as a user)
+            api.get('/users/3')          // Result ignored
         ]);
         console.log('All succeeded:', results);
     } catch (error) {
@@ -49,9 +58,9 @@ async function testPromiseAll() {
 // Solution: Use Promise.allSettled() for partial success
 async function testPromiseAllSettled() {
     const results = await Promise.allSettled([
-        fetch('/api/user/1'),
-        fetch('/api/user/999'),
-        fetch('/api/user/3')
+        api.get('/users/1'),
+        api.get('/users/999'),
+        api.get('/users/3')
     ]);
     
     results.forEach((result, index) => {
@@ -63,41 +72,92 @@ async function testPromiseAllSettled() {
     });
 }
 
+// In between the two: bounded parallelism, first success, or "whatever is back in time" - see PromiseUtils.js
+const { mapConcurrent, pAny, pSettleWithinDeadline } = require("./PromiseUtils");
 
-// Custom promise
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+async function testPromiseUtilities() {
+    // 10 users, never more than 3 requests in flight, results in id order
+    const users = await mapConcurrent([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], id => fetchUserData(id), { concurrency: 3 });
+    console.log(users.map(user => user.name));
+
+    // Ask two mirrors, keep the fastest answer, cancel the other request
+    const post = await pAny([
+        (signal) => api.get('/posts/1', { signal }),
+        (signal) => api.get('https://jsonplaceholder.typicode.com/posts/1', { signal })
+    ]);
+    console.log(post.data.title);
+
+    // Render the dashboard with whatever arrived within 500 ms
+    const widgets = await pSettleWithinDeadline([
+        (signal) => api.get('/users/1', { signal }),
+        (signal) => api.get('/users/999', { signal }),
+        (signal) => api.get('/posts?_limit=5', { signal })
+    ], 500);
+    widgets.forEach((widget, index) => console.log(`Widget ${index + 1}: ${widget.status}`));
 }
 
-async function sequentialOperations() {
+
+// Custom promise
+// delay(ms, { signal, clock }) lives in Clock.js: cancellable, and driven by a clock you can fake
+const { delay, FakeClock } = require("./Clock");
+const { Workflow } = require("./Workflow");
+
+async function sequentialOperations({ clock, signal } = {}) {
     console.log('Starting...');
     
-    await delay(1000);
+    await delay(1000, { clock, signal });
     console.log('1 second passed');
     
-    await delay(2000);
+    await delay(2000, { clock, signal });
     console.log('3 seconds total');
     
     return 'All done!';
 }
 
-// Usage
-sequentialOperations().then(result => console.log(result));
+// Same code on virtual time: finishes instantly, in the same order every run
+async function sequentialOperationsOnVirtualTime() {
+    const clock = new FakeClock();
+    const done = sequentialOperations({ clock });
+    await clock.runAll();
+    const result = await done;
+    console.log(`${result} (${clock.now()} ms of virtual time)`);
+    return result;
+}
+
+// The same sequence as a workflow: per-step timeouts, progress, and resume after a failure
+async function runSequentialWorkflow({ clock } = {}) {
+    let attempts = 0;
+    const workflow = new Workflow([
+        { name: "wait-1s", run: ({ signal }) => delay(1000, { clock, signal }) },
+        {
+            name: "flaky-step",
+            timeoutMs: 1500,
+            run: ({ signal }) => delay(++attempts === 1 ? 5000 : 1000, { clock, signal })  // Too slow the first time
+        },
+        { name: "finish", run: () => 'All done!' }
+    ], { clock });
+
+    const onProgress = (event) => console.log(`${event.type}: ${event.step}`);
+    const first = await workflow.run({ onProgress });
+    console.log(`${first.status} at ${first.failedStep}: ${first.error && first.error.message}`);
+    const second = await workflow.run({ resumeFrom: first.checkpoint, onProgress });  // wait-1s is not run again
+    return second.results.finish;
+}
 
 
 
 // This is what you'd HAVE to do without async/await:
-function fetchUserData(id) {
-    return fetch(`/api/users/${id}`)
-        .then(response => response.json())
+function fetchUserDataWithThen(id) {
+    return api.get(`/users/${id}`)
+        .then(response => response.data)
         .then(user => user);
 }
 
 
 // This is equivalent but much more readable:
 async function fetchUserData(id) {
-    const response = await fetch(`/api/users/${id}`);
-    const user = await response.json();
+    const response = await api.get(`/users/${id}`);
+    const user = response.data;
     return user;
 }
 
@@ -116,35 +176,43 @@ async function fetchUserData(id) {
 //////////////// PROMISE runs constructor items immediately ///////////////////////
 //////////////// await pauses execution of the function where await is added //////
 
-console.log("1. Before Promise");
+// The "Output:" lists below used to be comments. traceEventLoop() records what really gets logged and
+// in which phase of the event loop (sync / microtask / timer / immediate), so they are now checked.
+const { traceEventLoop, assertTimeline, formatTimeline } = require("./EventLoopTracer");
+
+function promiseConstructorDemo() {
+    console.log("1. Before Promise");
 
-const myPromise = new Promise((resolve) => {
-    console.log("2. Promise constructor runs immediately");
-    setTimeout(() => {
-        console.log("5. Inside setTimeout callback");
-        resolve("done");
-        console.log("6. After resolve call");
-    }, 1000);
-    console.log("3. After setTimeout setup");
-});
+    const myPromise = new Promise((resolve) => {
+        console.log("2. Promise constructor runs immediately");
+        setTimeout(() => {
+            console.log("5. Inside setTimeout callback");
+            resolve("done");
+            console.log("6. After resolve call");
+        }, 1000);
+        console.log("3. After setTimeout setup");
+    });
 
-myPromise.then((result) => {
-    console.log("7. Inside .then():", result);
-}).catch((error) => {
-    console.log("Inside .catch():", error);
-});
+    myPromise.then((result) => {
+        console.log("7. Inside .then():", result);
+    }).catch((error) => {
+        console.log("Inside .catch():", error);
+    });
 
-console.log("4. Next item - this prints immediately!");
+    console.log("4. Next item - this prints immediately!");
+}
 
 // Output:
-// 1. Before Promise
-// 2. Promise constructor runs immediately
-// 3. After setTimeout setup
-// 4. Next item - this prints immediately!
-// [1 second later...]
-// 5. Inside setTimeout callback
-// 6. After resolve call
-// 7. Inside .then(): done
+const promiseConstructorOrder = [
+    { phase: "sync", message: "1. Before Promise" },
+    { phase: "sync", message: "2. Promise constructor runs immediately" },
+    { phase: "sync", message: "3. After setTimeout setup" },
+    { phase: "sync", message: "4. Next item - this prints immediately!" },
+    // [1 second later...]
+    { phase: "timer", message: "5. Inside setTimeout callback" },
+    { phase: "timer", message: "6. After resolve call" },        // resolve() doesn't run .then() right away...
+    { phase: "microtask", message: "7. Inside .then(): done" }   // ...it queues it for after the callback
+];
 
 
 
@@ -167,17 +235,51 @@ async function test() {
     console.log("6. After await:", result);
 }
 
-console.log("0. Before calling test");
-test();
-console.log("7. After calling test");
+function awaitDemo() {
+    console.log("0. Before calling test");
+    test();
+    console.log("7. After calling test");
+}
 
 // Output:
-// 0. Before calling test
-// 1. Before await
-// 2. Promise constructor runs immediately
-// 3. After setTimeout (but before timeout executes)
-// 7. After calling test
-// [1 second later...]
-// 4. Inside setTimeout callback
-// 5. After resolve call
-// 6. After await: done
\ No newline at end of file
+const awaitOrder = [
+    { phase: "sync", message: "0. Before calling test" },
+    { phase: "sync", message: "1. Before await" },
+    { phase: "sync", message: "2. Promise constructor runs immediately" },
+    { phase: "sync", message: "3. After setTimeout (but before timeout executes)" },
+    { phase: "sync", message: "7. After calling test" },            // await paused test(), not the caller
+    // [1 second later...]
+    { phase: "timer", message: "4. Inside setTimeout callback" },
+    { phase: "timer", message: "5. After resolve call" },
+    { phase: "microtask", message: "6. After await: done" }         // the rest of test() resumes as a microtask
+];
+
+// Throws TimelineMismatchError when the real order differs from the expected one
+async function checkEventLoopOrder(name, demo, expected) {
+    const { entries } = await traceEventLoop(demo);
+    console.log(`\n=== ${name} ===\n${formatTimeline(entries)}`);
+    assertTimeline(entries, expected);
+    console.log(`✅ ${name}: order matches`);
+    return entries;
+}
+
+module.exports = {
+    api,
+    promiseBasics,
+    fetchData,
+    fetchUserData,
+    fetchUserDataWithThen,
+    testPromiseAll,
+    testPromiseAllSettled,
+    testPromiseUtilities,
+    delay,
+    sequentialOperations,
+    sequentialOperationsOnVirtualTime,
+    runSequentialWorkflow,
+    promiseConstructorDemo,
+    promiseConstructorOrder,
+    test,
+    awaitDemo,
+    awaitOrder,
+    checkEventLoopOrder
+};
@@ -0,0 +1,220 @@
+const { randomUUID } = require("crypto");
+const { Money } = require("./Money");
+const { InvalidAmountError, InsufficientFundsError, TransferError } = require("./Errors");
+const { defaultLogger } = require("./Logger");
+
+//////////////////////////////////////////// Bank Account ////////////////////////////////////////////
+
+// Every change to an account is recorded as one of these ledger entry types
+const EntryType = Object.freeze({
+    DEPOSIT: "deposit",
+    WITHDRAWAL: "withdrawal",
+    FEE: "fee",
+    TRANSFER_IN: "transfer-in",
+    TRANSFER_OUT: "transfer-out"
+});
+
+// Amounts must be positive and valid Money in the account currency.
+// Plain numbers are read as major units, so 10.005 USD is rejected by Money.of (too many decimals).
+function validateAmount(amount, currency = "USD") {
+    const money = Money.from(amount, currency);
+    money.assertSameCurrency(Money.zero(currency));
+    if (!money.isPositive()) {
+        throw new InvalidAmountError(`Amount must be positive, got ${money}`, { amount });
+    }
+    return money;
+}
+
+
+// Overdraft policies decide whether a withdrawal may take the balance below zero.
+// authorize(balance, amount) takes Money and returns { allowed, fee } where fee is Money.
+
+// ✅ STRICT: never go below zero
+class StrictOverdraftPolicy {
+    authorize(balance, amount) {
+        return { allowed: !amount.greaterThan(balance), fee: Money.zero(balance.currency) };
+    }
+}
+
+// Limits and fees are checked up front but kept as given - plain numbers are read
+// in the currency of whichever account the policy ends up attached to
+function checkPolicyAmount(value) {
+    validateAmount(value, value instanceof Money ? value.currency : "USD");
+    return value;
+}
+
+// ✅ FIXED LIMIT: allow the balance to go down to -limit, no charge
+class FixedLimitOverdraftPolicy {
+    constructor(limit) {
+        this.limit = checkPolicyAmount(limit);
+    }
+
+    authorize(balance, amount) {
+        const limit = validateAmount(this.limit, balance.currency);
+        return { allowed: !balance.subtract(amount).lessThan(limit.negate()), fee: Money.zero(balance.currency) };
+    }
+}
+
+// ✅ FEE BASED: like fixed limit, but every withdrawal that ends below zero is charged a fee.
+// The fee has to fit within the limit too.
+class FeeOverdraftPolicy {
+    constructor({ limit, fee }) {
+        this.limit = checkPolicyAmount(limit);
+        this.fee = checkPolicyAmount(fee);
+    }
+
+    authorize(balance, amount) {
+        const limit = validateAmount(this.limit, balance.currency);
+        const fee = validateAmount(this.fee, balance.currency);
+        const after = balance.subtract(amount);
+        if (!after.isNegative()) {
+            return { allowed: true, fee: Money.zero(balance.currency) };
+        }
+        return { allowed: !after.subtract(fee).lessThan(limit.negate()), fee };
+    }
+}
+
+
+// Hooks that `transfer` needs but callers must not see.
+// Keyed by account so the balance itself stays private to the constructor closure.
+const internals = new WeakMap();
+
+class BankAccount {
+    constructor(initialBalance = 0, {
+        id = randomUUID(),
+        currency = "USD",
+        overdraftPolicy = new StrictOverdraftPolicy(),
+        now = () => new Date(),
+        logger = defaultLogger
+    } = {}) {
+        let balance = Money.zero(currency);  // Private variable through closure
+        const ledger = [];  // Append-only - entries are frozen and never edited
+
+        this.id = id;
+        this.currency = currency;
+        const log = logger.child({ accountId: id });
+
+        const record = (type, amount, description) => {
+            const credits = type === EntryType.DEPOSIT || type === EntryType.TRANSFER_IN;
+            balance = credits ? balance.add(amount) : balance.subtract(amount);
+            const entry = Object.freeze({
+                id: randomUUID(),
+                type,
+                amount,
+                balanceAfter: balance,
+                timestamp: now(),
+                description
+            });
+            ledger.push(entry);
+            return entry;
+        };
+
+        const debit = (type, amount, description) => {
+            const money = validateAmount(amount, currency);
+            const { allowed, fee } = overdraftPolicy.authorize(balance, money);
+            if (!allowed) {
+                throw new InsufficientFundsError(
+                    `Insufficient funds: cannot withdraw ${money.format()} from balance of ${balance.format()}`,
+                    { accountId: this.id, amount: money, balance }
+                );
+            }
+            const entry = record(type, money, description);
+            if (fee.isPositive()) {
+                record(EntryType.FEE, fee, `Overdraft fee for ${entry.id}`);
+            }
+            return entry;
+        };
+
+        const credit = (type, amount, description) => record(type, validateAmount(amount, currency), description);
+
+        this.deposit = function(amount, description = "Deposit") {
+            const entry = credit(EntryType.DEPOSIT, amount, description);
+            log.info(`Deposited ${entry.amount.format()}. New balance: ${balance.format()}`, { entryId: entry.id });
+            return entry;
+        };
+
+        this.withdraw = function(amount, description = "Withdrawal") {
+            const entry = debit(EntryType.WITHDRAWAL, amount, description);
+            log.info(`Withdrew ${entry.amount.format()}. New balance: ${balance.format()}`, { entryId: entry.id });
+            return entry;
+        };
+
+        this.getBalance = function() {
+            return balance;  // Closure access to private variable - Money is immutable so it's safe to hand out
+        };
+
+        // Entries with from <= timestamp <= to; either bound can be omitted
+        this.getStatement = function(from = new Date(0), to = now()) {
+            const start = new Date(from).getTime();
+            const end = new Date(to).getTime();
+            const before = ledger.filter(entry => entry.timestamp.getTime() < start);
+            const entries = ledger.filter(entry => {
+                const time = entry.timestamp.getTime();
+                return time >= start && time <= end;
+            });
+            const openingBalance = before.length ? before[before.length - 1].balanceAfter : Money.zero(currency);
+            return {
+                accountId: this.id,
+                from: new Date(start),
+                to: new Date(end),
+                openingBalance,
+                closingBalance: entries.length ? entries[entries.length - 1].balanceAfter : openingBalance,
+                entries: [...entries]
+            };
+        };
+
+        internals.set(this, {
+            debit,
+            credit,
+            snapshot: () => ({ balance, length: ledger.length }),
+            restore: (snap) => {
+                balance = snap.balance;
+                ledger.length = snap.length;
+            }
+        });
+
+        if (initialBalance instanceof Money ? !initialBalance.isZero() : initialBalance !== 0) {
+            credit(EntryType.DEPOSIT, initialBalance, "Opening balance");
+        }
+    }
+}
+
+// Moves money between two accounts. Either both ledgers change or neither does.
+function transfer(from, to, amount, description = "Transfer") {
+    const source = internals.get(from);
+    const target = internals.get(to);
+    if (!source || !target) {
+        throw new TransferError("Both sides of a transfer must be BankAccount instances");
+    }
+    if (from === to) {
+        throw new TransferError("Cannot transfer to the same account", { accountId: from.id });
+    }
+    const money = validateAmount(amount, from.currency);
+
+    const sourceSnapshot = source.snapshot();
+    const targetSnapshot = target.snapshot();
+    try {
+        const outgoing = source.debit(EntryType.TRANSFER_OUT, money, `${description} to ${to.id}`);
+        const incoming = target.credit(EntryType.TRANSFER_IN, money, `${description} from ${from.id}`);
+        return { outgoing, incoming };
+    } catch (error) {
+        source.restore(sourceSnapshot);
+        target.restore(targetSnapshot);
+        throw new TransferError(`Transfer of ${money.format()} failed: ${error.message}`, {
+            from: from.id,
+            to: to.id,
+            amount: money,
+            cause: error
+        });
+    }
+}
+
+module.exports = {
+    BankAccount,
+    EntryType,
+    StrictOverdraftPolicy,
+    FixedLimitOverdraftPolicy,
+    FeeOverdraftPolicy,
+    transfer,
+    validateAmount
+};
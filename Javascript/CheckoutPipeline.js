@@ -0,0 +1,155 @@
+const { defaultLogger } = require("./Logger");
+
+//////////////////////////////////////////// Checkout Pipeline ////////////////////////////////////////////
+
+// What ShoppingCart.checkout runs around the actual charge, Express-style:
+//
+//   cart.use(async (ctx, next) => {                 // middleware: runs before the charge, in order
+//       if (!ctx.config.address) {
+//           ctx.result = { success: false, error: "Shipping address is required" };
+//           return;                                 // not calling next() short-circuits - nothing is charged
+//       }
+//       await next();                               // the rest of the chain, then the payment
+//       // ...code here runs after the payment went through
+//   });
+//   cart.use(async (error, ctx, next) => {          // three parameters: error middleware
+//       ctx.result = { success: false, error: `Sorry - ${error.message}` };   // handled
+//   });
+//   cart.afterPayment(async function sendReceipt(ctx) { ... });              // post-payment hook
+//
+// ctx = { cart, processor, config, summary, state, payment, order, result }. `state` is free for
+// middleware to share data; `payment` is the processor's result and `order` the Order it created
+// once the charge succeeded.
+//
+// Error middleware is told apart by its declared parameter count, as in Express - write all three
+// even if you don't use next. Errors thrown by any middleware or by the payment go to the error
+// middleware in the order they were added. Calling next() passes the error on (next(other)
+// replaces it); returning without calling it means the error was handled. An error nobody handles
+// fails the checkout with its message.
+//
+// Post-payment hooks only run after a successful charge, each on its own: a hook that throws is
+// recorded in result.postPaymentErrors and the remaining hooks still run. So is middleware code that
+// throws after its next() once the charge went through. Neither can undo the charge - by then the
+// customer has paid and the cart is empty, so the checkout still reports success.
+
+function isErrorMiddleware(fn) {
+    return fn.length === 3;
+}
+
+// Koa-style compose: each middleware gets a next() that runs the rest of the chain, ending in `last`
+function compose(middleware, last) {
+    return (ctx) => {
+        let called = -1;
+        const dispatch = async (index) => {
+            if (index <= called) {
+                throw new Error("next() called more than once in the same checkout middleware");
+            }
+            called = index;
+            if (index === middleware.length) {
+                return last(ctx);
+            }
+            return middleware[index](ctx, () => dispatch(index + 1));
+        };
+        return dispatch(0);
+    };
+}
+
+class CheckoutPipeline {
+    constructor({ logger = defaultLogger } = {}) {
+        this.logger = logger;
+        this.middleware = [];
+        this.errorMiddleware = [];
+        this.hooks = [];
+    }
+
+    // (ctx, next) => ... or, with three parameters, (error, ctx, next) => ...
+    use(fn) {
+        if (typeof fn !== "function") {
+            throw new TypeError("Checkout middleware must be a function");
+        }
+        (isErrorMiddleware(fn) ? this.errorMiddleware : this.middleware).push(fn);
+        return this;
+    }
+
+    afterPayment(hook) {
+        if (typeof hook !== "function") {
+            throw new TypeError("Post-payment hook must be a function");
+        }
+        this.hooks.push(hook);
+        return this;
+    }
+
+    // pay(ctx) is the charge itself; it sets ctx.payment and ctx.result when it succeeds, and may
+    // list what went wrong after the charge in ctx.result.postPaymentErrors
+    async run(ctx, pay) {
+        let paid = null;
+        const lateErrors = [];
+        try {
+            await compose(this.middleware, async () => {
+                await pay(ctx);
+                paid = ctx.result;
+            })(ctx);
+            if (!ctx.result) {
+                ctx.result = { success: false, error: "Checkout was stopped before payment" };
+            }
+        } catch (error) {
+            if (paid) {
+                // Thrown by middleware code after its next() - the money has already moved
+                this.logger.error(`Checkout middleware failed after payment: ${error.message}`, { error });
+                lateErrors.push({ hook: "middleware", error: error.message });
+            } else {
+                await this.handleError(error, ctx);
+            }
+        }
+        if (paid) {
+            const result = ctx.result && ctx.result.success ? ctx.result : paid;
+            ctx.result = {
+                ...result,
+                postPaymentErrors: [...(result.postPaymentErrors || []), ...lateErrors, ...(await this.runHooks(ctx))]
+            };
+        }
+        return ctx.result;
+    }
+
+    async handleError(error, ctx) {
+        let current = error;
+        for (const handler of this.errorMiddleware) {
+            let passedOn = false;
+            try {
+                await handler(current, ctx, (next = current) => {
+                    passedOn = true;
+                    current = next;
+                });
+            } catch (thrown) {
+                passedOn = true;
+                current = thrown;
+            }
+            if (!passedOn) {
+                if (!ctx.result || ctx.result.success !== false) {
+                    ctx.result = { success: false, error: current.message };
+                }
+                return;
+            }
+        }
+        this.logger.warn(`Payment failed: ${current.message}`, { error: current });
+        ctx.result = { success: false, error: current.message };
+    }
+
+    async runHooks(ctx) {
+        const failures = [];
+        for (const [index, hook] of this.hooks.entries()) {
+            try {
+                await hook(ctx);
+            } catch (error) {
+                const name = hook.name || `hook #${index + 1}`;
+                this.logger.error(`Post-payment hook ${name} failed: ${error.message}`, { hook: name, error });
+                failures.push({ hook: name, error: error.message });
+            }
+        }
+        return failures;
+    }
+}
+
+module.exports = {
+    CheckoutPipeline
+};
@@ -0,0 +1,113 @@
+//////////////////////////////////////////// Clock ////////////////////////////////////////////
+
+// Code that waits takes a `clock` instead of calling setTimeout/Date.now directly:
+//   systemClock - the real thing
+//   FakeClock   - virtual time; nothing happens until the test calls advance(), so a
+//                 "3 second" workflow finishes instantly and in exactly the same order every run
+//
+// A clock is any object with now(), setTimeout(fn, ms) and clearTimeout(id).
+
+const systemClock = Object.freeze({
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (id) => clearTimeout(id)
+});
+
+// Lets pending promise callbacks run before the next timer fires
+function flushMicrotasks() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+class FakeClock {
+    constructor(start = 0) {
+        this.current = start;
+        this.timers = new Map();  // id -> { id, at, fn }
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.current;
+    }
+
+    setTimeout(fn, ms = 0) {
+        const id = this.nextId++;
+        this.timers.set(id, { id, at: this.current + Math.max(0, ms), fn });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    get pendingCount() {
+        return this.timers.size;
+    }
+
+    // Earliest first; timers due at the same moment run in the order they were set
+    nextTimer() {
+        let next = null;
+        this.timers.forEach(timer => {
+            if (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id)) {
+                next = timer;
+            }
+        });
+        return next;
+    }
+
+    // Moves time forward by ms, firing every timer that comes due on the way - including ones set
+    // by callbacks or by code resumed from an await along the way.
+    async advance(ms) {
+        if (!(ms >= 0)) {
+            throw new RangeError(`Can only advance by a non-negative amount, got ${ms}`);
+        }
+        const target = this.current + ms;
+        await flushMicrotasks();
+        for (let timer = this.nextTimer(); timer && timer.at <= target; timer = this.nextTimer()) {
+            this.timers.delete(timer.id);
+            this.current = timer.at;
+            timer.fn();
+            await flushMicrotasks();
+        }
+        this.current = target;
+    }
+
+    // Fires timers until none are left; `limit` guards against code that keeps rescheduling forever
+    async runAll({ limit = 1000 } = {}) {
+        await flushMicrotasks();
+        for (let fired = 0; this.timers.size > 0; fired++) {
+            if (fired >= limit) {
+                throw new RangeError(`Still ${this.timers.size} timer(s) pending after ${limit} - is something rescheduling forever?`);
+            }
+            await this.advance(this.nextTimer().at - this.current);
+        }
+    }
+}
+
+// Cancellable wait: rejects with signal.reason (and clears the timer) if signal aborts first
+function delay(ms, { signal, clock = systemClock } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clock.clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = clock.setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener("abort", onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener("abort", onAbort, { once: true });
+        }
+    });
+}
+
+module.exports = {
+    systemClock,
+    FakeClock,
+    delay
+};
@@ -0,0 +1,205 @@
+const EventEmitter = require("events");
+const { CounterOverflowError } = require("./Errors");
+const { defaultLogger } = require("./Logger");
+
+//////////////////////////////////////////// Observable Counter ////////////////////////////////////////////
+
+// Event handlers with closure, plus:
+//   on("change",   ({ previous, value, operation }) => ...)  after every change, including undo/redo
+//   on("overflow", ({ attempted, value, bound, mode }) => ...) when a change would leave [min, max]
+//   on("reset",    ({ previous, value }) => ...)
+//
+// Out-of-bounds modes:
+//   clamp - stop at the bound            (max 10: 9 + 5 -> 10)
+//   wrap  - roll over to the other side  (range 0..9: 8 + 3 -> 1)
+//   throw - reject with CounterOverflowError, value unchanged
+//
+// Every change is recorded so undo()/redo() can step back and forth through it.
+
+const BoundsMode = Object.freeze({
+    CLAMP: "clamp",
+    WRAP: "wrap",
+    THROW: "throw"
+});
+
+// count + history live here so `counter.count = 99` can't skip events and bounds
+const internals = new WeakMap();
+
+class Counter extends EventEmitter {
+    constructor(startValue = 0, {
+        min = -Infinity,
+        max = Infinity,
+        mode = BoundsMode.CLAMP,
+        historyLimit = 100,
+        logger = defaultLogger
+    } = {}) {
+        super();
+        if (!Object.values(BoundsMode).includes(mode)) {
+            throw new RangeError(`Unknown bounds mode '${mode}' (use ${Object.values(BoundsMode).join(", ")})`);
+        }
+        if (min > max) {
+            throw new RangeError(`min (${min}) cannot be greater than max (${max})`);
+        }
+        if (mode === BoundsMode.WRAP && (!Number.isFinite(min) || !Number.isFinite(max))) {
+            throw new RangeError("Wrap mode needs finite min and max");
+        }
+        if (startValue < min || startValue > max) {
+            throw new RangeError(`Start value ${startValue} is outside [${min}, ${max}]`);
+        }
+        this.startValue = startValue;
+        this.min = min;
+        this.max = max;
+        this.mode = mode;
+        this.historyLimit = historyLimit;
+        this.logger = logger;
+        internals.set(this, { count: startValue, undoStack: [], redoStack: [] });
+    }
+
+    get count() {
+        return internals.get(this).count;
+    }
+
+    // ---------- operations ----------
+
+    increment(by = 1) {
+        return this.apply("increment", this.count + by);
+    }
+
+    decrement(by = 1) {
+        return this.apply("decrement", this.count - by);
+    }
+
+    set(value) {
+        return this.apply("set", value);
+    }
+
+    reset() {
+        const previous = this.count;
+        this.apply("reset", this.startValue);
+        this.emit("reset", { previous, value: this.count });
+        return this.count;
+    }
+
+    canUndo() {
+        return internals.get(this).undoStack.length > 0;
+    }
+
+    canRedo() {
+        return internals.get(this).redoStack.length > 0;
+    }
+
+    // Returns false when there is nothing to undo
+    undo() {
+        const state = internals.get(this);
+        const operation = state.undoStack.pop();
+        if (!operation) {
+            return false;
+        }
+        state.redoStack.push(operation);
+        this.write(operation.from, "undo");
+        return true;
+    }
+
+    redo() {
+        const state = internals.get(this);
+        const operation = state.redoStack.pop();
+        if (!operation) {
+            return false;
+        }
+        state.undoStack.push(operation);
+        this.write(operation.to, "redo");
+        return true;
+    }
+
+    getHistory() {
+        return internals.get(this).undoStack.map(operation => ({ ...operation }));
+    }
+
+    // ---------- closures (original API) ----------
+
+    // Returns a function that captures the current instance
+    getIncrementer() {
+        return () => {
+            this.increment();
+            this.logger.info(`Count: ${this.count}`, { count: this.count });
+        };
+    }
+
+    // Returns a function that captures custom increment value
+    getCustomIncrementer(increment) {
+        return () => {
+            this.increment(increment);
+            this.logger.info(`Count increased by ${increment}: ${this.count}`, { count: this.count, increment });
+        };
+    }
+
+    // Simulate event handler
+    setupEventHandler() {
+        const handler = (eventType) => {
+            this.logger.info(`Event "${eventType}" triggered. Current count: ${this.count}`, {
+                count: this.count,
+                eventType
+            });
+            this.increment();
+        };
+        return handler;
+    }
+
+    // ---------- internals ----------
+
+    apply(type, attempted) {
+        if (typeof attempted !== "number" || Number.isNaN(attempted)) {
+            throw new TypeError(`Counter value must be a number, got ${attempted}`);
+        }
+        const value = this.fitToBounds(attempted);
+        const state = internals.get(this);
+        const from = state.count;
+        if (value === from) {
+            return value;
+        }
+
+        state.undoStack.push({ type, from, to: value });
+        if (state.undoStack.length > this.historyLimit) {
+            state.undoStack.shift();
+        }
+        state.redoStack = [];  // A new change makes the old redo branch unreachable
+        this.write(value, type);
+        return value;
+    }
+
+    fitToBounds(attempted) {
+        if (attempted >= this.min && attempted <= this.max) {
+            return attempted;
+        }
+        const bound = attempted > this.max ? this.max : this.min;
+        let value;
+        if (this.mode === BoundsMode.CLAMP) {
+            value = bound;
+        } else if (this.mode === BoundsMode.WRAP) {
+            const range = this.max - this.min + 1;
+            value = this.min + ((((attempted - this.min) % range) + range) % range);
+        } else {
+            value = this.count;
+        }
+        this.emit("overflow", { attempted, value, bound, mode: this.mode });
+        if (this.mode === BoundsMode.THROW) {
+            throw new CounterOverflowError(`Counter value ${attempted} is outside [${this.min}, ${this.max}]`, {
+                attempted,
+                bound
+            });
+        }
+        return value;
+    }
+
+    write(value, operation) {
+        const state = internals.get(this);
+        const previous = state.count;
+        state.count = value;
+        this.emit("change", { previous, value, operation });
+    }
+}
+
+module.exports = {
+    Counter,
+    BoundsMode
+};
@@ -0,0 +1,152 @@
+const { createHash } = require("crypto");
+
+//////////////////////////////////////////// Crypto Address Validation ////////////////////////////////////////////
+
+// ---------- Bitcoin: base58check ----------
+// Address = base58( version byte + 20 byte hash + 4 byte checksum )
+// checksum = first 4 bytes of sha256(sha256(version + hash))
+
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+// Version bytes: 0x00 P2PKH and 0x05 P2SH on mainnet, 0x6f / 0xc4 on testnet
+const BITCOIN_VERSIONS = [0x00, 0x05, 0x6f, 0xc4];
+
+function base58Decode(text) {
+    let value = 0n;
+    for (const char of text) {
+        const digit = BASE58_ALPHABET.indexOf(char);
+        if (digit === -1) {
+            return null;
+        }
+        value = value * 58n + BigInt(digit);
+    }
+
+    const bytes = [];
+    while (value > 0n) {
+        bytes.unshift(Number(value % 256n));
+        value /= 256n;
+    }
+    // Every leading '1' stands for a leading zero byte
+    for (let i = 0; i < text.length && text[i] === "1"; i++) {
+        bytes.unshift(0);
+    }
+    return Buffer.from(bytes);
+}
+
+const sha256 = (data) => createHash("sha256").update(data).digest();
+
+function isValidBitcoinAddress(address) {
+    if (typeof address !== "string" || address.length < 26 || address.length > 35) {
+        return false;
+    }
+    const decoded = base58Decode(address);
+    if (!decoded || decoded.length !== 25 || !BITCOIN_VERSIONS.includes(decoded[0])) {
+        return false;
+    }
+    const payload = decoded.subarray(0, 21);
+    const checksum = decoded.subarray(21);
+    return sha256(sha256(payload)).subarray(0, 4).equals(checksum);
+}
+
+
+// ---------- Ethereum: hex + EIP-55 mixed-case checksum ----------
+// All-lowercase or all-uppercase addresses carry no checksum and are accepted as-is.
+// Mixed case must match: hex digit i is uppercase iff nibble i of keccak256(lowercase address) >= 8.
+// Node's crypto only ships SHA3 (different padding), so Keccak-256 is implemented below.
+
+const MASK_64 = (1n << 64n) - 1n;
+
+const ROUND_CONSTANTS = [
+    0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+    0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+    0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+    0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+    0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+    0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+
+// Rotation offset for lane (x, y) at index x + 5 * y
+const ROTATIONS = [
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14
+];
+
+const rotate = (lane, bits) => bits === 0 ? lane : ((lane << BigInt(bits)) | (lane >> BigInt(64 - bits))) & MASK_64;
+
+function keccakF(state) {
+    for (const roundConstant of ROUND_CONSTANTS) {
+        // θ
+        const columns = [0, 1, 2, 3, 4].map(x => state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]);
+        for (let x = 0; x < 5; x++) {
+            const d = columns[(x + 4) % 5] ^ rotate(columns[(x + 1) % 5], 1);
+            for (let y = 0; y < 25; y += 5) {
+                state[x + y] ^= d;
+            }
+        }
+        // ρ and π
+        const moved = new Array(25);
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                moved[y + 5 * ((2 * x + 3 * y) % 5)] = rotate(state[x + 5 * y], ROTATIONS[x + 5 * y]);
+            }
+        }
+        // χ
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 25; y += 5) {
+                state[x + y] = moved[x + y] ^ (~moved[(x + 1) % 5 + y] & MASK_64 & moved[(x + 2) % 5 + y]);
+            }
+        }
+        // ι
+        state[0] ^= roundConstant;
+    }
+}
+
+function keccak256(input) {
+    const rate = 136;  // bytes absorbed per permutation for a 256-bit output
+    const data = Buffer.from(input);
+    const padded = Buffer.alloc(Math.ceil((data.length + 1) / rate) * rate);
+    data.copy(padded);
+    padded[data.length] ^= 0x01;  // Keccak padding (SHA3 would use 0x06)
+    padded[padded.length - 1] ^= 0x80;
+
+    const state = new Array(25).fill(0n);
+    for (let offset = 0; offset < padded.length; offset += rate) {
+        for (let i = 0; i < rate / 8; i++) {
+            state[i] ^= padded.readBigUInt64LE(offset + i * 8);
+        }
+        keccakF(state);
+    }
+
+    const output = Buffer.alloc(32);
+    for (let i = 0; i < 4; i++) {
+        output.writeBigUInt64LE(state[i], i * 8);
+    }
+    return output;
+}
+
+function toEthereumChecksumAddress(address) {
+    const hex = address.replace(/^0x/i, "").toLowerCase();
+    const hash = keccak256(hex).toString("hex");
+    return "0x" + [...hex].map((char, i) => parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char).join("");
+}
+
+function isValidEthereumAddress(address) {
+    if (typeof address !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        return false;
+    }
+    const body = address.slice(2);
+    if (body === body.toLowerCase() || body === body.toUpperCase()) {
+        return true;
+    }
+    return toEthereumChecksumAddress(address) === address;
+}
+
+module.exports = {
+    isValidBitcoinAddress,
+    isValidEthereumAddress,
+    toEthereumChecksumAddress,
+    keccak256
+};
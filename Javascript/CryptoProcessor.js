@@ -0,0 +1,149 @@
+const { randomUUID } = require("crypto");
+const { PaymentProcessor } = require("./Payments");
+const { PaymentTransaction, TransactionState } = require("./PaymentTransaction");
+const { FakeBlockchain } = require("./FakeBlockchain");
+const { isValidBitcoinAddress, isValidEthereumAddress } = require("./CryptoAddress");
+const { InvalidAddressError, IllegalTransitionError, InvalidAmountError } = require("./Errors");
+
+//////////////////////////////////////////// Crypto Processor ////////////////////////////////////////////
+
+// Supported networks - aliases map to one canonical name
+const NETWORKS = {
+    bitcoin: { name: "Bitcoin", prefix: "BTC", validate: isValidBitcoinAddress, confirmations: 6 },
+    ethereum: { name: "Ethereum", prefix: "ETH", validate: isValidEthereumAddress, confirmations: 12 }
+};
+const NETWORK_ALIASES = { btc: "bitcoin", eth: "ethereum" };
+
+function resolveNetwork(network) {
+    const key = String(network).toLowerCase();
+    const resolved = NETWORKS[NETWORK_ALIASES[key] || key];
+    if (!resolved) {
+        throw new InvalidAddressError(`Unsupported crypto network: ${network}`, { network });
+    }
+    return resolved;
+}
+
+// On-chain payments don't have a separate hold step, so the contract maps onto the chain like this:
+//   authorize -> broadcast, then wait until the payment goes pending -> confirmed (N confirmations)
+//   capture   -> book the confirmed amount (no chain call, funds have already moved)
+//   void      -> impossible once broadcast - refund instead
+//   refund    -> broadcast a payment back to the paying address
+class CryptoProcessor extends PaymentProcessor {
+    constructor(address, network, {
+        chain = new FakeBlockchain(),
+        merchantAddress = "merchant",
+        requiredConfirmations,
+        confirmationTimeoutMs = 60000,
+        onConfirmation = () => {},
+        ...options
+    } = {}) {
+        super(options);
+        this.network = resolveNetwork(network);
+        if (!this.network.validate(address)) {
+            throw new InvalidAddressError(`Invalid ${this.network.name} address: ${address}`, {
+                address,
+                network: this.network.name
+            });
+        }
+        this.address = address;
+        this.logger = this.logger.child({ network: this.network.name });
+        this.chain = chain;
+        this.merchantAddress = merchantAddress;
+        this.requiredConfirmations = requiredConfirmations ?? this.network.confirmations;
+        this.confirmationTimeoutMs = confirmationTimeoutMs;
+        this.onConfirmation = onConfirmation;
+    }
+
+    describe() {
+        return `${this.network.name} wallet ${this.address.slice(0, 6)}...${this.address.slice(-4)}`;
+    }
+
+    async authorize(amount) {
+        const money = this.validatePayment(amount);
+        const transaction = new PaymentTransaction({
+            id: `${this.network.prefix}_${randomUUID()}`,
+            processor: this.constructor.name,
+            amount: money,
+            now: this.now
+        });
+        transaction.confirmation = { status: "pending", confirmations: 0, required: this.requiredConfirmations };
+        this.transactions.set(transaction.id, transaction);
+
+        this.logger.info(`Broadcasting ${money.format()} from ${this.describe()}`, { transactionId: transaction.id });
+        try {
+            const hash = await this.chain.broadcast({ from: this.address, to: this.merchantAddress, amount: money });
+            transaction.gatewayReferences.txHash = hash;
+
+            const confirmations = await this.chain.waitForConfirmations(hash, this.requiredConfirmations, {
+                timeoutMs: this.confirmationTimeoutMs,
+                onProgress: (count) => {
+                    transaction.confirmation.confirmations = count;
+                    // Only a progress report - a broken one mustn't fail a payment that is going through
+                    try {
+                        this.onConfirmation(transaction);
+                    } catch (error) {
+                        this.logger.error(`onConfirmation failed for ${transaction.id}: ${error.message}`, {
+                            transactionId: transaction.id,
+                            error
+                        });
+                    }
+                }
+            });
+            transaction.confirmation = { status: "confirmed", confirmations, required: this.requiredConfirmations };
+            this.logger.info(`${this.network.name} payment confirmed after ${confirmations} blocks`, {
+                transactionId: transaction.id,
+                txHash: hash
+            });
+            return transaction.transition(TransactionState.AUTHORIZED, { txHash: hash, confirmations });
+        } catch (error) {
+            transaction.confirmation.status = "failed";
+            transaction.transition(TransactionState.FAILED, { reason: error.message });
+            throw error;
+        }
+    }
+
+    // The full confirmed amount is already with the merchant - partial capture isn't possible
+    async capture(transactionId, amount) {
+        const transaction = this.getTransaction(transactionId);
+        transaction.assertCanTransition(TransactionState.CAPTURED);
+        if (amount !== undefined && !this.validatePayment(amount, transaction.amount.currency).equals(transaction.amount)) {
+            throw new InvalidAmountError(`${this.network.name} payments can only be captured in full`, { amount });
+        }
+        transaction.capturedAmount = transaction.amount;
+        return transaction.transition(TransactionState.CAPTURED, { amount: transaction.amount });
+    }
+
+    async void(transactionId) {
+        const transaction = this.getTransaction(transactionId);
+        throw new IllegalTransitionError(`${this.network.name} payments cannot be voided once broadcast - refund instead`, {
+            transactionId,
+            from: transaction.state,
+            to: TransactionState.VOIDED
+        });
+    }
+
+    async refund(transactionId, amount) {
+        const transaction = this.getTransaction(transactionId);
+        transaction.assertCanTransition(TransactionState.REFUNDED);
+        const refundable = transaction.getRefundable();
+        const money = amount === undefined ? refundable : this.validatePayment(amount, refundable.currency);
+        if (money.greaterThan(refundable)) {
+            throw new InvalidAmountError(`Cannot refund ${money.format()}, only ${refundable.format()} is refundable`, {
+                amount: money
+            });
+        }
+
+        const refundHash = await this.chain.broadcast({ from: this.merchantAddress, to: this.address, amount: money });
+        await this.chain.waitForConfirmations(refundHash, 1, { timeoutMs: this.confirmationTimeoutMs });
+        transaction.refundedAmount = transaction.refundedAmount.add(money);
+        transaction.gatewayReferences.refundIds = [...(transaction.gatewayReferences.refundIds || []), refundHash];
+        this.logger.info(`Refunded ${money.format()} to ${this.describe()}`, { transactionId, refundHash });
+        const next = transaction.getRefundable().isZero() ? TransactionState.REFUNDED : TransactionState.PARTIALLY_REFUNDED;
+        return transaction.transition(next, { refundId: refundHash, amount: money });
+    }
+}
+
+module.exports = {
+    CryptoProcessor,
+    NETWORKS
+};
@@ -0,0 +1,165 @@
+//////////////////////////////////////////// Typed Errors ////////////////////////////////////////////
+
+// Base class for every error thrown by the practice modules.
+// `name` follows the subclass so `error.name` reads "InsufficientFundsError" etc.,
+// and any extra details (amount, balance, ...) are copied onto the error for callers to inspect.
+class AppError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        Object.assign(this, details);
+    }
+}
+
+// Amount is negative, zero, NaN, Infinity or has more than two decimal places
+class InvalidAmountError extends AppError {}
+
+// Withdrawal would take the balance past what the overdraft policy allows
+class InsufficientFundsError extends AppError {}
+
+// Transfer could not complete - both accounts are rolled back before this is thrown
+class TransferError extends AppError {}
+
+// Two Money values in different currencies were combined without a rate table
+class CurrencyMismatchError extends AppError {}
+
+// Currency code is not in the ISO table Money knows about
+class UnknownCurrencyError extends AppError {}
+
+// State machine asked to make a move its current state doesn't allow
+// (e.g. capturing a voided payment, completing a cancelled task)
+class IllegalTransitionError extends AppError {}
+
+// Gateway refused to authorize the payment
+class PaymentDeclinedError extends AppError {}
+
+// Gateway rejected or failed a request for any other reason
+class GatewayError extends AppError {}
+
+// No transaction with that id was created by this processor
+class TransactionNotFoundError extends AppError {}
+
+// Crypto address failed its network's format/checksum check, or the network isn't supported
+class InvalidAddressError extends AppError {}
+
+// ProcessorRegistry has nothing registered under the requested name
+class UnknownProcessorError extends AppError {}
+
+// Quantity is not a whole number, or is negative / zero where an item is being added
+class InvalidQuantityError extends AppError {}
+
+// SKU is not in the cart
+class ItemNotFoundError extends AppError {}
+
+// Serialized task data is malformed, duplicated or from an unknown schema version
+class InvalidTaskDataError extends AppError {}
+
+// No task with that id in the manager
+class TaskNotFoundError extends AppError {}
+
+// Adding a task dependency would make tasks wait on each other forever
+class DependencyCycleError extends AppError {}
+
+// Task query has an unknown field, bad date, bad limit or a cursor from a different query
+class InvalidQueryError extends AppError {}
+
+// Counter change would leave [min, max] and the counter is in "throw" mode
+class CounterOverflowError extends AppError {}
+
+// A method (or a function it returned) ran with `this` that isn't an instance of its class
+class ThisBindingError extends AppError {}
+
+// Tried to `new` a class declared with abstractClass()
+class AbstractInstantiationError extends AppError {}
+
+// Concrete class is missing required methods (or has them with the wrong arity); error.problems lists them all
+class InterfaceNotImplementedError extends AppError {}
+
+// Vehicle can't start because its tank / battery is empty
+class OutOfEnergyError extends AppError {}
+
+// No vehicle with that id is registered with the fleet
+class VehicleNotFoundError extends AppError {}
+
+// Vehicle is still out on a trip, so it can't leave the fleet yet
+class VehicleBusyError extends AppError {}
+
+// Server answered with a non-2xx status; status, method, url and the parsed body are attached
+class HttpError extends AppError {}
+
+// No response within the client's timeout (per attempt)
+class HttpTimeoutError extends AppError {}
+
+// Request never got a response: DNS failure, refused connection, reset socket...
+class NetworkError extends AppError {}
+
+// Caller's AbortSignal cancelled the request (or the wait before a retry)
+class RequestAbortedError extends AppError {}
+
+// Response said it was JSON but the body didn't parse
+class ResponseParseError extends AppError {}
+
+// pTimeout (or a deadline built on it) ran out before the operation settled
+class TimeoutError extends AppError {}
+
+// Traced event-loop timeline didn't match the expected order; error.differences lists each mismatch
+class TimelineMismatchError extends AppError {}
+
+// None of the user's roles allows the action on that resource; action, resource, user and roles are attached
+class ForbiddenError extends AppError {}
+
+// SKU isn't in the product catalog
+class UnknownProductError extends AppError {}
+
+// Not enough unreserved units to hold or sell; sku, requested and available are attached
+class OutOfStockError extends AppError {}
+
+// Stock reservation has expired, been released or been committed already
+class ReservationNotFoundError extends AppError {}
+
+// No order with that id in the order book
+class OrderNotFoundError extends AppError {}
+
+// Idempotency key reused for a different request than the one it was first used for
+class IdempotencyConflictError extends AppError {}
+
+module.exports = {
+    AppError,
+    InvalidAmountError,
+    InsufficientFundsError,
+    TransferError,
+    CurrencyMismatchError,
+    UnknownCurrencyError,
+    IllegalTransitionError,
+    PaymentDeclinedError,
+    GatewayError,
+    TransactionNotFoundError,
+    InvalidAddressError,
+    UnknownProcessorError,
+    InvalidQuantityError,
+    ItemNotFoundError,
+    InvalidTaskDataError,
+    TaskNotFoundError,
+    DependencyCycleError,
+    InvalidQueryError,
+    CounterOverflowError,
+    ThisBindingError,
+    AbstractInstantiationError,
+    InterfaceNotImplementedError,
+    OutOfEnergyError,
+    VehicleNotFoundError,
+    VehicleBusyError,
+    HttpError,
+    HttpTimeoutError,
+    NetworkError,
+    RequestAbortedError,
+    ResponseParseError,
+    TimeoutError,
+    TimelineMismatchError,
+    ForbiddenError,
+    UnknownProductError,
+    OutOfStockError,
+    ReservationNotFoundError,
+    OrderNotFoundError,
+    IdempotencyConflictError
+};
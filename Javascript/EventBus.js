@@ -0,0 +1,233 @@
+const { defaultLogger } = require("./Logger");
+
+//////////////////////////////////////////// Event Bus ////////////////////////////////////////////
+
+// DOM-style event dispatch without a browser.
+//
+// Topics are dot separated ("cart.item.added"). Patterns can use wildcards:
+//   *   exactly one segment      "cart.*"  matches "cart.cleared", not "cart.item.added"
+//   **  any number of segments   "cart.**" matches both, "**" matches everything
+//
+// Buses can be chained with `parent` like DOM nodes. dispatch() then runs, in order:
+//   capture  - capture listeners from the root down to the target's parent
+//   target   - the target's own listeners (capture ones first)
+//   bubble   - ordinary listeners from the target's parent up to the root (unless bubbles: false)
+// event.stopPropagation() ends the walk after the current bus; stopImmediatePropagation() also
+// skips the remaining listeners on it.
+//
+// A throwing (or rejecting) listener never stops the others: the error is recorded on
+// event.errors and passed to the bus's onError.
+
+const Phase = Object.freeze({
+    CAPTURE: "capture",
+    TARGET: "target",
+    BUBBLE: "bubble"
+});
+
+function topicMatches(pattern, topic) {
+    const patternParts = pattern.split(".");
+    const topicParts = topic.split(".");
+    const match = (p, t) => {
+        if (p === patternParts.length) {
+            return t === topicParts.length;
+        }
+        if (patternParts[p] === "**") {
+            // Either swallow nothing more, or one more segment and try again
+            return match(p + 1, t) || (t < topicParts.length && match(p, t + 1));
+        }
+        if (t === topicParts.length) {
+            return false;
+        }
+        return (patternParts[p] === "*" || patternParts[p] === topicParts[t]) && match(p + 1, t + 1);
+    };
+    return match(0, 0);
+}
+
+class BusEvent {
+    constructor(type, detail, target, { bubbles = true } = {}) {
+        this.type = type;
+        this.detail = detail;
+        this.target = target;
+        this.currentTarget = null;
+        this.phase = null;
+        this.bubbles = bubbles;
+        this.defaultPrevented = false;
+        this.propagationStopped = false;
+        this.immediatePropagationStopped = false;
+        this.errors = [];
+    }
+
+    stopPropagation() {
+        this.propagationStopped = true;
+    }
+
+    stopImmediatePropagation() {
+        this.propagationStopped = true;
+        this.immediatePropagationStopped = true;
+    }
+
+    preventDefault() {
+        this.defaultPrevented = true;
+    }
+}
+
+let nextListenerId = 1;
+
+class EventBus {
+    constructor({ name = "bus", parent = null, onError, logger = defaultLogger } = {}) {
+        this.name = name;
+        this.parent = parent;
+        this.logger = logger;
+        this.onError = onError || ((error, event) => {
+            this.logger.error(`Listener for "${event.type}" on ${this.name} failed: ${error.message}`, {
+                bus: this.name,
+                eventType: event.type,
+                error
+            });
+        });
+        this.listeners = [];  // Kept sorted: priority high -> low, then registration order
+    }
+
+    // Returns a handle; handle.unsubscribe() (or bus.off(handle)) removes the listener.
+    // Options: once, priority (default 0, higher runs first), capture, signal (AbortSignal)
+    on(pattern, listener, { once = false, priority = 0, capture = false, signal } = {}) {
+        if (typeof listener !== "function") {
+            throw new TypeError(`Listener for "${pattern}" must be a function`);
+        }
+        const handle = {
+            id: nextListenerId++,
+            pattern,
+            listener,
+            once,
+            priority,
+            capture,
+            active: true,
+            unsubscribe: () => this.off(handle),
+            unlinkSignal: () => {}
+        };
+        if (signal && signal.aborted) {
+            handle.active = false;
+            return handle;
+        }
+        if (signal) {
+            const onAbort = () => this.off(handle);
+            signal.addEventListener("abort", onAbort, { once: true });
+            handle.unlinkSignal = () => signal.removeEventListener("abort", onAbort);  // Dropped again by off()
+        }
+
+        const index = this.listeners.findIndex(existing => existing.priority < priority);
+        this.listeners.splice(index === -1 ? this.listeners.length : index, 0, handle);
+        return handle;
+    }
+
+    once(pattern, listener, options = {}) {
+        return this.on(pattern, listener, { ...options, once: true });
+    }
+
+    off(handle) {
+        const index = this.listeners.indexOf(handle);
+        if (index === -1) {
+            return false;
+        }
+        this.listeners.splice(index, 1);
+        handle.active = false;
+        handle.unlinkSignal();
+        return true;
+    }
+
+    listenerCount(topic) {
+        return topic === undefined
+            ? this.listeners.length
+            : this.listeners.filter(handle => topicMatches(handle.pattern, topic)).length;
+    }
+
+    // This bus and its ancestors, target first
+    getPath() {
+        const path = [];
+        for (let node = this; node; node = node.parent) {
+            path.push(node);
+        }
+        return path;
+    }
+
+    // Synchronous; returns the event so callers can inspect defaultPrevented / errors
+    dispatch(type, detail, options = {}) {
+        const event = new BusEvent(type, detail, this, options);
+        const path = this.getPath();
+        const ancestors = path.slice(1);
+
+        const steps = [
+            ...[...ancestors].reverse().map(node => [node, Phase.CAPTURE]),
+            [this, Phase.TARGET],
+            ...(event.bubbles ? ancestors.map(node => [node, Phase.BUBBLE]) : [])
+        ];
+        for (const [node, phase] of steps) {
+            node.invoke(event, phase);
+            if (event.propagationStopped) {
+                break;
+            }
+        }
+        event.currentTarget = null;
+        event.phase = null;
+        return event;
+    }
+
+    // Alias matching the familiar emit() name
+    emit(type, detail, options) {
+        return this.dispatch(type, detail, options);
+    }
+
+    invoke(event, phase) {
+        event.currentTarget = this;
+        event.phase = phase;
+        // Snapshot so listeners added or removed mid-dispatch don't disturb this round
+        const listeners = this.listeners.filter(handle => {
+            if (!topicMatches(handle.pattern, event.type)) {
+                return false;
+            }
+            if (phase === Phase.CAPTURE) {
+                return handle.capture;
+            }
+            return phase === Phase.TARGET || !handle.capture;
+        });
+        if (phase === Phase.TARGET) {
+            listeners.sort((a, b) => Number(b.capture) - Number(a.capture));
+        }
+
+        for (const handle of listeners) {
+            if (!handle.active) {
+                continue;
+            }
+            if (handle.once) {
+                this.off(handle);
+            }
+            try {
+                const result = handle.listener.call(this, event);
+                if (result && typeof result.then === "function") {
+                    result.then(undefined, error => this.reportError(error, event, handle));
+                }
+            } catch (error) {
+                this.reportError(error, event, handle);
+            }
+            if (event.immediatePropagationStopped) {
+                break;
+            }
+        }
+    }
+
+    reportError(error, event, handle) {
+        event.errors.push({ error, bus: this.name, pattern: handle.pattern });
+        try {
+            this.onError(error, event);
+        } catch (ignored) {
+            // An error handler that throws must not break dispatch either
+        }
+    }
+}
+
+module.exports = {
+    EventBus,
+    BusEvent,
+    Phase,
+    topicMatches
+};
@@ -0,0 +1,68 @@
+const { EventBus } = require("./EventBus");
+const { defaultLogger } = require("./Logger");
+
+//////////////////////////////////////////// Event Handler ////////////////////////////////////////////
+
+// Real-world example showing the difference between handlers that keep `this` and ones that lose it.
+// Each EventHandler owns an EventBus node; pass `parent` to nest them like DOM elements,
+// so a click on a button captures down from and bubbles up to its form.
+class EventHandler {
+    constructor(elementName, { parent = null, onError, logger = defaultLogger } = {}) {
+        this.elementName = elementName;
+        this.clickCount = 0;
+        this.logger = logger.child({ element: elementName });
+        this.events = new EventBus({
+            name: elementName,
+            parent: parent ? parent.events : null,
+            onError,
+            logger: this.logger
+        });
+    }
+
+    // ❌ WRONG WAY: Regular function loses `this`
+    // (attached to a bus it gets the bus as `this`, just like a DOM listener gets the element)
+    getWrongClickHandler() {
+        return function(event) {
+            this.clickCount++;  // `this` is NOT the EventHandler instance
+            this.logger.info(`${this.elementName} clicked ${this.clickCount} times`);
+        };
+    }
+
+    // ✅ RIGHT WAY: Arrow function preserves `this`
+    getCorrectClickHandler() {
+        return (event) => {
+            this.clickCount++;  // `this` IS the EventHandler instance
+            this.logger.info(`${this.elementName} clicked ${this.clickCount} times`);
+        };
+    }
+
+    // ✅ ALTERNATIVE WAY: Using closure variables
+    getClosureClickHandler() {
+        let clickCount = 0;
+        const elementName = this.elementName;
+        const logger = this.logger;
+
+        return function(event) {
+            clickCount++;
+            logger.info(`${elementName} clicked ${clickCount} times`);
+        };
+    }
+
+    // Wires the correct handler to this element's bus; returns the handle for removal
+    attach(type = "click", options = {}) {
+        return this.events.on(type, this.getCorrectClickHandler(), options);
+    }
+
+    on(pattern, listener, options) {
+        return this.events.on(pattern, listener, options);
+    }
+
+    // Simulates the user clicking this element
+    click(detail = {}) {
+        return this.events.dispatch("click", detail);
+    }
+}
+
+module.exports = {
+    EventHandler
+};
@@ -0,0 +1,219 @@
+const util = require("util");
+const { AsyncLocalStorage, createHook, executionAsyncId } = require("async_hooks");
+const { TimelineMismatchError } = require("./Errors");
+
+//////////////////////////////////////////// Event Loop Tracer ////////////////////////////////////////////
+
+// Runs a function and records every console.log it makes - including from callbacks it schedules -
+// together with the phase of the event loop the log ran in:
+//   sync       - straight through, before the function returned (Promise executors count: they run immediately)
+//   microtask  - .then/.catch/await continuations, queueMicrotask, process.nextTick
+//   timer      - setTimeout / setInterval callbacks
+//   immediate  - setImmediate callbacks
+//   other      - anything else (I/O callbacks...); entry.asyncType has Node's name for it
+//
+//   const { entries } = await traceEventLoop(demo);
+//   console.log(formatTimeline(entries));
+//   assertTimeline(entries, [{ phase: "sync", message: "1. Before Promise" }, ...]);
+//
+// The trace ends once the function's promise (if any) has settled and every timer/immediate it
+// started has fired or been cleared, or after timeoutMs. Each run is isolated with
+// AsyncLocalStorage, so traces running side by side never capture each other's logs.
+
+const Phase = Object.freeze({
+    SYNC: "sync",
+    MICROTASK: "microtask",
+    TIMER: "timer",
+    IMMEDIATE: "immediate",
+    OTHER: "other"
+});
+
+const PHASE_BY_ASYNC_TYPE = {
+    PROMISE: Phase.MICROTASK,
+    Microtask: Phase.MICROTASK,
+    TickObject: Phase.MICROTASK,
+    Timeout: Phase.TIMER,
+    Immediate: Phase.IMMEDIATE
+};
+
+const storage = new AsyncLocalStorage();
+const pendingOwners = new Map();  // Timer/immediate asyncId -> the trace waiting for it
+let activeTraces = 0;
+let originalLog = null;
+
+function release(trace, asyncId) {
+    pendingOwners.delete(asyncId);
+    trace.pending.delete(asyncId);
+    if (trace.pending.size === 0 && trace.wake) {
+        trace.wake();
+    }
+}
+
+// Node marks a timer or immediate _destroyed as soon as it has fired for the last time or been
+// cleared; its destroy hook only follows later, whenever something else wakes the loop
+function releaseFinished(trace) {
+    trace.pending.forEach((resource, asyncId) => {
+        if (resource._destroyed) {
+            release(trace, asyncId);
+        }
+    });
+}
+
+const hook = createHook({
+    init(asyncId, type, triggerAsyncId, resource) {
+        const trace = storage.getStore();
+        if (!trace) {
+            return;
+        }
+        trace.asyncTypes.set(asyncId, type);
+        if (type === "Timeout" || type === "Immediate") {
+            trace.pending.set(asyncId, resource);
+            pendingOwners.set(asyncId, trace);
+        }
+    },
+    // Any callback of the trace may have been the last timer, or may have cleared the others
+    after() {
+        const trace = storage.getStore();
+        if (trace) {
+            releaseFinished(trace);
+        }
+    },
+    destroy(asyncId) {
+        const trace = pendingOwners.get(asyncId);
+        if (trace) {
+            release(trace, asyncId);
+        }
+    }
+});
+
+function tracedLog(...args) {
+    const trace = storage.getStore();
+    if (!trace) {
+        originalLog.apply(console, args);
+        return;
+    }
+    const asyncId = executionAsyncId();
+    const asyncType = asyncId === trace.rootAsyncId ? null : trace.asyncTypes.get(asyncId) || null;
+    trace.entries.push({
+        seq: trace.entries.length + 1,
+        phase: asyncType === null ? Phase.SYNC : PHASE_BY_ASYNC_TYPE[asyncType] || Phase.OTHER,
+        asyncType,
+        message: util.format(...args),
+        at: Date.now() - trace.startedAt
+    });
+    if (trace.echo) {
+        originalLog.apply(console, args);
+    }
+}
+
+function install() {
+    if (activeTraces++ === 0) {
+        originalLog = console.log;
+        console.log = tracedLog;
+        hook.enable();
+    }
+}
+
+function uninstall() {
+    if (--activeTraces === 0) {
+        hook.disable();
+        console.log = originalLog;
+        originalLog = null;
+    }
+}
+
+// -> { entries, result, error, timedOut }
+async function traceEventLoop(fn, { echo = false, timeoutMs = 10000 } = {}) {
+    const trace = {
+        entries: [],
+        asyncTypes: new Map(),
+        pending: new Map(),  // asyncId -> the Timeout/Immediate
+        rootAsyncId: executionAsyncId(),
+        startedAt: Date.now(),
+        echo
+    };
+    install();
+    const outcome = { result: undefined, error: undefined, timedOut: false };
+    try {
+        try {
+            outcome.result = await storage.run(trace, fn);
+        } catch (error) {
+            outcome.error = error;
+        }
+        releaseFinished(trace);
+        if (trace.pending.size > 0) {
+            outcome.timedOut = await new Promise(resolve => {
+                const finish = (timedOut) => {
+                    clearTimeout(timer);
+                    resolve(timedOut);
+                };
+                const timer = setTimeout(() => finish(true), timeoutMs);
+                trace.wake = () => finish(false);
+            });
+        }
+        // Let microtasks queued by the last callback run before the trace closes
+        await new Promise(resolve => setImmediate(resolve));
+    } finally {
+        trace.pending.forEach((resource, asyncId) => pendingOwners.delete(asyncId));
+        uninstall();
+    }
+    return { entries: trace.entries, ...outcome };
+}
+
+// Expected entries are message strings, or { message, phase } where message may be a RegExp
+function matches(expected, actual) {
+    const { message, phase } = typeof expected === "string" || expected instanceof RegExp ? { message: expected } : expected;
+    const messageOk = message === undefined
+        || (message instanceof RegExp ? message.test(actual.message) : message === actual.message);
+    return messageOk && (phase === undefined || phase === actual.phase);
+}
+
+function describeExpected(expected) {
+    if (typeof expected === "string" || expected instanceof RegExp) {
+        return String(expected);
+    }
+    return expected.phase ? `[${expected.phase}] ${expected.message}` : String(expected.message);
+}
+
+// -> { ok, differences: [{ index, expected, actual }] } comparing position by position
+function compareTimeline(entries, expected) {
+    const differences = [];
+    for (let index = 0; index < Math.max(entries.length, expected.length); index++) {
+        const actual = entries[index];
+        const wanted = expected[index];
+        if (!actual || wanted === undefined || !matches(wanted, actual)) {
+            differences.push({
+                index,
+                expected: wanted === undefined ? null : describeExpected(wanted),
+                actual: actual ? `[${actual.phase}] ${actual.message}` : null
+            });
+        }
+    }
+    return { ok: differences.length === 0, differences };
+}
+
+function assertTimeline(entries, expected) {
+    const { ok, differences } = compareTimeline(entries, expected);
+    if (!ok) {
+        const lines = differences.map(({ index, expected: wanted, actual }) =>
+            `  #${index + 1}: expected ${wanted === null ? "nothing" : wanted}, got ${actual === null ? "nothing" : actual}`);
+        throw new TimelineMismatchError(`Event loop order differs from expected:\n${lines.join("\n")}\n${formatTimeline(entries)}`, {
+            differences
+        });
+    }
+    return entries;
+}
+
+function formatTimeline(entries) {
+    return entries
+        .map(entry => `${String(entry.seq).padStart(3)}  ${entry.phase.padEnd(9)} +${String(entry.at).padStart(4)}ms  ${entry.message}`)
+        .join("\n");
+}
+
+module.exports = {
+    traceEventLoop,
+    compareTimeline,
+    assertTimeline,
+    formatTimeline,
+    Phase
+};
@@ -0,0 +1,111 @@
+const { createHash } = require("crypto");
+const { GatewayError } = require("./Errors");
+
+//////////////////////////////////////////// Fake Blockchain ////////////////////////////////////////////
+
+// In-memory chain for CryptoProcessor. A broadcast transaction sits in the mempool (0 confirmations)
+// until a block includes it; every later block adds one more confirmation.
+//
+// Blocks are mined every `blockTimeMs` while somebody is waiting for confirmations, and the timer is
+// cleared as soon as nobody is - so an idle chain never keeps the process alive.
+// Call mine() directly to drive it by hand.
+class FakeBlockchain {
+    constructor({ blockTimeMs = 10 } = {}) {
+        this.blockTimeMs = blockTimeMs;
+        this.height = 0;
+        this.transactions = new Map();  // hash -> { from, to, amount, blockHeight }
+        this.listeners = new Set();
+        this.timer = null;
+        this.nonce = 0;
+    }
+
+    async broadcast({ from, to, amount }) {
+        const hash = createHash("sha256")
+            .update(`${from}:${to}:${amount}:${this.nonce++}`)
+            .digest("hex");
+        this.transactions.set(hash, { from, to, amount, blockHeight: null });
+        return hash;
+    }
+
+    mine(blocks = 1) {
+        for (let i = 0; i < blocks; i++) {
+            this.height++;
+            this.transactions.forEach(transaction => {
+                if (transaction.blockHeight === null) {
+                    transaction.blockHeight = this.height;
+                }
+            });
+            [...this.listeners].forEach(listener => listener(this.height));
+        }
+    }
+
+    getConfirmations(hash) {
+        const transaction = this.transactions.get(hash);
+        if (!transaction) {
+            throw new GatewayError(`Unknown transaction hash ${hash}`, { hash });
+        }
+        return transaction.blockHeight === null ? 0 : this.height - transaction.blockHeight + 1;
+    }
+
+    // Resolves with the confirmation count once it reaches `required`.
+    // onProgress(count) fires after every block; rejects with GatewayError after timeoutMs, or with
+    // whatever onProgress throws - it runs from the mining timer, where a throw would crash the process.
+    waitForConfirmations(hash, required, { timeoutMs = Infinity, onProgress = () => {} } = {}) {
+        return new Promise((resolve, reject) => {
+            let timeout = null;
+
+            const done = () => {
+                this.listeners.delete(check);
+                clearTimeout(timeout);
+                this.stopMiningIfIdle();
+            };
+
+            const check = () => {
+                try {
+                    const confirmations = this.getConfirmations(hash);
+                    onProgress(confirmations);
+                    if (confirmations >= required) {
+                        done();
+                        resolve(confirmations);
+                    }
+                } catch (error) {
+                    done();
+                    reject(error);
+                }
+            };
+
+            if (this.getConfirmations(hash) >= required) {
+                resolve(this.getConfirmations(hash));
+                return;
+            }
+            if (Number.isFinite(timeoutMs)) {
+                timeout = setTimeout(() => {
+                    done();
+                    reject(new GatewayError(`Transaction ${hash} not confirmed within ${timeoutMs}ms`, {
+                        hash,
+                        confirmations: this.getConfirmations(hash)
+                    }));
+                }, timeoutMs);
+            }
+            this.listeners.add(check);
+            this.startMining();
+        });
+    }
+
+    startMining() {
+        if (!this.timer && this.blockTimeMs > 0) {
+            this.timer = setInterval(() => this.mine(), this.blockTimeMs);
+        }
+    }
+
+    stopMiningIfIdle() {
+        if (this.timer && this.listeners.size === 0) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = {
+    FakeBlockchain
+};
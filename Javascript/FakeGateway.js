@@ -0,0 +1,100 @@
+const { Money } = require("./Money");
+const { PaymentDeclinedError, GatewayError } = require("./Errors");
+
+//////////////////////////////////////////// Fake Payment Gateway ////////////////////////////////////////////
+
+// In-memory stand-in for a card/PayPal gateway so the processors can be exercised offline.
+// It keeps its own books (authorized / captured / refunded per authorization) and rejects
+// anything a real gateway would, independently of the processor-side state machine.
+//
+// Options:
+//   latencyMs - simulated network delay per call (0 = resolve on the next microtask)
+//   decline   - (source, amount) => reason string to decline, or falsy to approve
+class FakeGateway {
+    constructor({ latencyMs = 0, decline = () => null } = {}) {
+        this.latencyMs = latencyMs;
+        this.decline = decline;
+        this.authorizations = new Map();
+        this.calls = [];  // Every request in order - handy for asserting "the gateway was never charged"
+        this.sequence = 0;
+    }
+
+    async authorize({ source, amount }) {
+        await this.respond("authorize", { source, amount });
+        const reason = this.decline(source, amount);
+        if (reason) {
+            throw new PaymentDeclinedError(`Payment declined: ${reason}`, { reason, amount });
+        }
+        const authorizationId = this.nextId("auth");
+        this.authorizations.set(authorizationId, {
+            amount,
+            captured: null,
+            refunded: Money.zero(amount.currency),
+            status: "authorized"
+        });
+        return { authorizationId };
+    }
+
+    async capture(authorizationId, amount) {
+        await this.respond("capture", { authorizationId, amount });
+        const auth = this.getAuthorization(authorizationId);
+        if (auth.status !== "authorized") {
+            throw new GatewayError(`Authorization ${authorizationId} is ${auth.status}`, { authorizationId });
+        }
+        if (amount.greaterThan(auth.amount)) {
+            throw new GatewayError(`Cannot capture ${amount} on an authorization of ${auth.amount}`, { authorizationId });
+        }
+        auth.captured = amount;
+        auth.status = "captured";
+        return { captureId: this.nextId("cap") };
+    }
+
+    async void(authorizationId) {
+        await this.respond("void", { authorizationId });
+        const auth = this.getAuthorization(authorizationId);
+        if (auth.status !== "authorized") {
+            throw new GatewayError(`Authorization ${authorizationId} is ${auth.status}`, { authorizationId });
+        }
+        auth.status = "voided";
+        return { voided: true };
+    }
+
+    async refund(authorizationId, amount) {
+        await this.respond("refund", { authorizationId, amount });
+        const auth = this.getAuthorization(authorizationId);
+        if (auth.status !== "captured") {
+            throw new GatewayError(`Authorization ${authorizationId} is ${auth.status}`, { authorizationId });
+        }
+        if (auth.refunded.add(amount).greaterThan(auth.captured)) {
+            throw new GatewayError(`Refund of ${amount} exceeds captured ${auth.captured}`, { authorizationId });
+        }
+        auth.refunded = auth.refunded.add(amount);
+        return { refundId: this.nextId("ref") };
+    }
+
+    getAuthorization(authorizationId) {
+        const auth = this.authorizations.get(authorizationId);
+        if (!auth) {
+            throw new GatewayError(`Unknown authorization ${authorizationId}`, { authorizationId });
+        }
+        return auth;
+    }
+
+    nextId(prefix) {
+        this.sequence++;
+        return `${prefix}_${this.sequence}`;
+    }
+
+    async respond(operation, request) {
+        this.calls.push({ operation, ...request });
+        if (this.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+        } else {
+            await Promise.resolve();
+        }
+    }
+}
+
+module.exports = {
+    FakeGateway
+};
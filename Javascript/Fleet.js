@@ -0,0 +1,207 @@
+const { VehicleState } = require("./Vehicles");
+const { VehicleNotFoundError, VehicleBusyError } = require("./Errors");
+
+//////////////////////////////////////////// Fleet ////////////////////////////////////////////
+
+// Runs any mix of vehicles through the same time-stepped simulation - the fleet only talks to the
+// AbstractVehicle API, so cars, motorcycles and electric cars are interchangeable here.
+//
+//   const id = fleet.register(new Car("Toyota", "Camry"));
+//   fleet.dispatch(id, { distanceKm: 12, speed: 50, startAt: 600 });   // startAt in simulated seconds
+//   fleet.simulate({ duration: 3600, step: 60 });
+//   fleet.getUtilizationReport();
+//
+// Each step, per vehicle: start the next due trip if the vehicle is free, tick it (braking and
+// switching off exactly on arrival), then send it to refuel if it's parked below lowEnergyThreshold.
+// A vehicle that runs dry mid-trip strands that trip.
+
+const TripStatus = Object.freeze({
+    SCHEDULED: "scheduled",
+    ACTIVE: "active",
+    COMPLETED: "completed",
+    STRANDED: "stranded"
+});
+
+class Fleet {
+    constructor({ lowEnergyThreshold = 0.15, autoRefuel = true } = {}) {
+        this.lowEnergyThreshold = lowEnergyThreshold;  // Fraction of capacity
+        this.autoRefuel = autoRefuel;
+        this.vehicles = new Map();  // id -> { id, vehicle, baseline }
+        this.trips = [];
+        this.clock = 0;  // Simulated seconds
+        this.nextVehicleNumber = 1;
+        this.nextTripNumber = 1;
+    }
+
+    // Returns the vehicle's fleet id; registering the same vehicle twice returns the same id
+    register(vehicle, { id } = {}) {
+        const existing = this.list().find(entry => entry.vehicle === vehicle);
+        if (existing) {
+            return existing.id;
+        }
+        if (id === undefined) {
+            id = `V${this.nextVehicleNumber++}`;  // Only numbered once it really joins
+        }
+        if (this.vehicles.has(id)) {
+            throw new RangeError(`Fleet already has a vehicle with id '${id}'`);
+        }
+        // Reports only count what happened after joining the fleet
+        this.vehicles.set(id, {
+            id,
+            vehicle,
+            baseline: { odometer: vehicle.odometer, energyUsed: vehicle.energyUsed, timeInState: { ...vehicle.timeInState } }
+        });
+        return id;
+    }
+
+    // Drops the vehicle's scheduled trips too; throws VehicleBusyError while one of its trips is active
+    unregister(id) {
+        const active = this.trips.find(trip => trip.vehicleId === id && trip.status === TripStatus.ACTIVE);
+        if (active) {
+            throw new VehicleBusyError(`Vehicle '${id}' is on trip ${active.id}`, { vehicleId: id, tripId: active.id });
+        }
+        this.trips = this.trips.filter(trip => trip.vehicleId !== id || trip.status !== TripStatus.SCHEDULED);
+        return this.vehicles.delete(id);
+    }
+
+    get(id) {
+        const entry = this.vehicles.get(id);
+        if (!entry) {
+            throw new VehicleNotFoundError(`No vehicle '${id}' in the fleet`, { vehicleId: id });
+        }
+        return entry.vehicle;
+    }
+
+    list() {
+        return [...this.vehicles.values()].map(({ id, vehicle }) => ({ id, vehicle }));
+    }
+
+    // Queues a trip; trips for one vehicle run one after another in the order they were dispatched
+    dispatch(vehicleId, { distanceKm, speed, startAt = this.clock }) {
+        const vehicle = this.get(vehicleId);
+        if (!(distanceKm > 0)) {
+            throw new RangeError(`Trip distance must be positive, got ${distanceKm}`);
+        }
+        if (!(speed > 0 && speed <= vehicle.maxSpeed)) {
+            throw new RangeError(`Trip speed must be between 0 and ${vehicle.maxSpeed} km/h, got ${speed}`);
+        }
+        const trip = {
+            id: `T${this.nextTripNumber++}`,
+            vehicleId,
+            distanceKm,
+            speed,
+            startAt,
+            status: TripStatus.SCHEDULED,
+            startedAt: null,
+            finishedAt: null,
+            startOdometer: null
+        };
+        this.trips.push(trip);
+        return trip;
+    }
+
+    // Advances every vehicle by `duration` seconds in `step`-second increments
+    simulate({ duration, step = 60, onStep } = {}) {
+        if (!(duration > 0) || !(step > 0)) {
+            throw new RangeError("Simulation duration and step must be positive");
+        }
+        const end = this.clock + duration;
+        while (this.clock < end) {
+            const seconds = Math.min(step, end - this.clock);
+            this.vehicles.forEach(entry => this.advance(entry, seconds));
+            this.clock += seconds;
+            if (onStep) {
+                onStep({ time: this.clock, fleet: this });
+            }
+        }
+        return this.getUtilizationReport();
+    }
+
+    advance({ id, vehicle }, seconds) {
+        let trip = this.trips.find(candidate => candidate.vehicleId === id && candidate.status === TripStatus.ACTIVE);
+        if (!trip) {
+            trip = this.startNextTrip(id, vehicle);
+        }
+
+        if (trip && vehicle.state === VehicleState.MOVING) {
+            const remainingKm = trip.distanceKm - (vehicle.odometer - trip.startOdometer);
+            const toArrive = (remainingKm / vehicle.speed) * 3600;
+            if (toArrive <= seconds) {
+                vehicle.tick(toArrive);
+                if (vehicle.state === VehicleState.MOVING) {
+                    vehicle.setSpeed(0).stop();
+                    this.finishTrip(trip, TripStatus.COMPLETED, this.clock + toArrive);
+                }
+                vehicle.tick(seconds - toArrive);
+            } else {
+                vehicle.tick(seconds);
+            }
+        } else {
+            vehicle.tick(seconds);
+        }
+
+        if (trip && trip.status === TripStatus.ACTIVE && vehicle.state === VehicleState.OFF) {
+            this.finishTrip(trip, TripStatus.STRANDED, this.clock + seconds);
+        }
+        const low = vehicle.level < vehicle.capacity * this.lowEnergyThreshold;
+        if (this.autoRefuel && low && vehicle.state === VehicleState.OFF) {
+            vehicle.refuel();
+        }
+    }
+
+    startNextTrip(id, vehicle) {
+        const trip = this.trips.find(candidate => candidate.vehicleId === id && candidate.status === TripStatus.SCHEDULED);
+        if (!trip || trip.startAt > this.clock || vehicle.state !== VehicleState.OFF || vehicle.isEmpty()) {
+            return null;  // Not due yet, or still refuelling - try again next step
+        }
+        vehicle.start().setSpeed(trip.speed);
+        trip.status = TripStatus.ACTIVE;
+        trip.startedAt = this.clock;
+        trip.startOdometer = vehicle.odometer;
+        return trip;
+    }
+
+    finishTrip(trip, status, at) {
+        trip.status = status;
+        trip.finishedAt = at;
+    }
+
+    // Utilization = share of time spent moving since the vehicle joined the fleet
+    getUtilizationReport() {
+        const vehicles = [...this.vehicles.values()].map(({ id, vehicle, baseline }) => {
+            const secondsByState = Object.fromEntries(
+                Object.entries(vehicle.timeInState).map(([state, seconds]) => [state, seconds - (baseline.timeInState[state] || 0)])
+            );
+            const total = Object.values(secondsByState).reduce((sum, seconds) => sum + seconds, 0);
+            const trips = this.trips.filter(trip => trip.vehicleId === id);
+            return {
+                id,
+                vehicle: vehicle.getInfo(),
+                state: vehicle.state,
+                distanceKm: vehicle.odometer - baseline.odometer,
+                energyUsed: vehicle.energyUsed - baseline.energyUsed,
+                unit: vehicle.unit,
+                levelPercent: vehicle.getLevelPercent(),
+                secondsByState,
+                utilization: total > 0 ? secondsByState[VehicleState.MOVING] / total : 0,
+                tripsCompleted: trips.filter(trip => trip.status === TripStatus.COMPLETED).length,
+                tripsStranded: trips.filter(trip => trip.status === TripStatus.STRANDED).length
+            };
+        });
+        const countTrips = status => this.trips.filter(trip => trip.status === status).length;
+        return {
+            elapsedSeconds: this.clock,
+            vehicles,
+            totalDistanceKm: vehicles.reduce((sum, entry) => sum + entry.distanceKm, 0),
+            averageUtilization: vehicles.length > 0
+                ? vehicles.reduce((sum, entry) => sum + entry.utilization, 0) / vehicles.length
+                : 0,
+            trips: Object.fromEntries(Object.values(TripStatus).map(status => [status, countTrips(status)]))
+        };
+    }
+}
+
+module.exports = {
+    Fleet,
+    TripStatus
+};
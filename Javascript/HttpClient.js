@@ -0,0 +1,295 @@
+const {
+    AppError,
+    HttpError,
+    HttpTimeoutError,
+    NetworkError,
+    RequestAbortedError,
+    ResponseParseError
+} = require("./Errors");
+const { delay } = require("./Clock");
+
+//////////////////////////////////////////// HTTP Client ////////////////////////////////////////////
+
+// fetch() with the parts every real call needs:
+//   - baseUrl + path, query objects, JSON bodies
+//   - a timeout per attempt (AbortController), and cancellation through the caller's `signal`
+//   - typed errors: HttpError for non-2xx (a 404 never reaches your JSON handling),
+//     HttpTimeoutError, NetworkError, RequestAbortedError, ResponseParseError
+//   - retries with exponential backoff + full jitter, for idempotent methods only
+//     (GET, HEAD, OPTIONS, PUT, DELETE) unless the request says `idempotent: true`
+//   - interceptors: request ones run once and may rewrite the config (auth headers...),
+//     response ones run on every response before the status check
+//
+//   const api = new HttpClient({ baseUrl: "https://api.example.com", timeoutMs: 5000 });
+//   const { data } = await api.get("/users/1");
+//   await api.post("/users", { json: { name: "Ada" } });
+//
+// `fetch` and `sleep` can be injected, and baseUrl can point at a local http.createServer stub.
+
+const IDEMPOTENT_METHODS = Object.freeze(["GET", "HEAD", "OPTIONS", "PUT", "DELETE"]);
+const RETRYABLE_STATUSES = Object.freeze([408, 425, 429, 500, 502, 503, 504]);
+
+const defaultSleep = (ms, signal) => delay(ms, { signal });
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+class HttpClient {
+    constructor({
+        baseUrl = "",
+        headers = {},
+        timeoutMs = 10000,
+        retries = 2,
+        retryDelayMs = 200,
+        maxRetryDelayMs = 5000,
+        retryStatuses = RETRYABLE_STATUSES,
+        fetch = globalThis.fetch,
+        sleep = defaultSleep,
+        random = Math.random
+    } = {}) {
+        this.baseUrl = baseUrl.replace(/\/+$/, "");
+        this.headers = { ...headers };
+        this.timeoutMs = timeoutMs;
+        this.retries = retries;
+        this.retryDelayMs = retryDelayMs;
+        this.maxRetryDelayMs = maxRetryDelayMs;
+        this.retryStatuses = retryStatuses;
+        this.fetch = fetch;
+        this.sleep = sleep;
+        this.random = random;
+        this.interceptors = { request: [], response: [] };
+    }
+
+    // interceptor(config) -> config (or nothing to keep it); returns a function that removes it
+    useRequestInterceptor(interceptor) {
+        return this.addInterceptor(this.interceptors.request, interceptor);
+    }
+
+    // interceptor(response, config) -> response (or nothing to keep it); may throw to reject
+    useResponseInterceptor(interceptor) {
+        return this.addInterceptor(this.interceptors.response, interceptor);
+    }
+
+    addInterceptor(list, interceptor) {
+        list.push(interceptor);
+        return () => {
+            const index = list.indexOf(interceptor);
+            if (index !== -1) {
+                list.splice(index, 1);
+            }
+        };
+    }
+
+    buildUrl(path, query) {
+        const url = /^[a-z][a-z\d+.-]*:\/\//i.test(path)
+            ? new URL(path)
+            : new URL(`${this.baseUrl}/${String(path).replace(/^\/+/, "")}`);
+        Object.entries(query || {}).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                url.searchParams.append(key, String(value));
+            }
+        });
+        return url.toString();
+    }
+
+    get(path, options) {
+        return this.request("GET", path, options);
+    }
+
+    head(path, options) {
+        return this.request("HEAD", path, options);
+    }
+
+    delete(path, options) {
+        return this.request("DELETE", path, options);
+    }
+
+    post(path, options) {
+        return this.request("POST", path, options);
+    }
+
+    put(path, options) {
+        return this.request("PUT", path, options);
+    }
+
+    patch(path, options) {
+        return this.request("PATCH", path, options);
+    }
+
+    // options: query, headers, json | body, timeoutMs, retries, idempotent, signal, responseType ("auto" | "json" | "text")
+    // -> { status, statusText, headers, data, url, method, attempts }
+    async request(method, path, options = {}) {
+        let config = {
+            method: method.toUpperCase(),
+            url: this.buildUrl(path, options.query),
+            headers: { ...this.headers, ...options.headers },
+            body: options.body,
+            timeoutMs: options.timeoutMs ?? this.timeoutMs,
+            signal: options.signal,
+            responseType: options.responseType ?? "auto"
+        };
+        if (options.json !== undefined) {
+            config.body = JSON.stringify(options.json);
+            config.headers["content-type"] = config.headers["content-type"] || "application/json";
+        }
+        for (const interceptor of this.interceptors.request) {
+            config = (await interceptor(config)) || config;
+        }
+
+        const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(config.method);
+        const attempts = 1 + (idempotent ? (options.retries ?? this.retries) : 0);
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.attempt(config, attempt);
+            } catch (error) {
+                if (attempt >= attempts || !this.isRetryable(error)) {
+                    throw error;
+                }
+                try {
+                    await this.sleep(this.backoff(attempt, error.retryAfterMs), config.signal);
+                } catch (abortReason) {
+                    throw new RequestAbortedError(`${config.method} ${config.url} was aborted while waiting to retry`, {
+                        method: config.method,
+                        url: config.url,
+                        attempt,
+                        cause: abortReason
+                    });
+                }
+            }
+        }
+    }
+
+    async attempt(config, attempt) {
+        const { method, url } = config;
+        if (config.signal && config.signal.aborted) {
+            throw new RequestAbortedError(`${method} ${url} was aborted`, { method, url, attempt });
+        }
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(config.signal.reason);
+        if (config.signal) {
+            config.signal.addEventListener("abort", onAbort, { once: true });
+        }
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, config.timeoutMs);
+
+        let response;
+        try {
+            const raw = await this.fetch(url, { method, headers: config.headers, body: config.body, signal: controller.signal });
+            response = {
+                status: raw.status,
+                statusText: raw.statusText,
+                headers: Object.fromEntries(raw.headers),
+                data: await this.parseBody(raw, config),  // Still inside the timeout - slow bodies count too
+                url,
+                method,
+                attempts: attempt
+            };
+        } catch (error) {
+            if (error instanceof AppError) {
+                throw error;
+            }
+            if (timedOut) {
+                throw new HttpTimeoutError(`${method} ${url} timed out after ${config.timeoutMs} ms`, {
+                    method,
+                    url,
+                    timeoutMs: config.timeoutMs,
+                    attempt
+                });
+            }
+            if (config.signal && config.signal.aborted) {
+                throw new RequestAbortedError(`${method} ${url} was aborted`, { method, url, attempt });
+            }
+            throw new NetworkError(`${method} ${url} failed: ${(error.cause && error.cause.message) || error.message}`, {
+                method,
+                url,
+                attempt,
+                cause: error
+            });
+        } finally {
+            clearTimeout(timer);
+            if (config.signal) {
+                config.signal.removeEventListener("abort", onAbort);
+            }
+        }
+
+        for (const interceptor of this.interceptors.response) {
+            response = (await interceptor(response, config)) || response;
+        }
+        if (response.status < 200 || response.status > 299) {
+            throw new HttpError(`${method} ${url} failed with ${response.status} ${response.statusText}`.trim(), {
+                status: response.status,
+                statusText: response.statusText,
+                method,
+                url,
+                data: response.data,
+                headers: response.headers,
+                attempt,
+                retryAfterMs: parseRetryAfter(response.headers["retry-after"])
+            });
+        }
+        return response;
+    }
+
+    async parseBody(raw, config) {
+        if (config.method === "HEAD" || raw.status === 204 || raw.status === 304) {
+            return null;
+        }
+        const text = await raw.text();
+        const contentType = raw.headers.get("content-type") || "";
+        const wantsJson = config.responseType === "json" || (config.responseType === "auto" && contentType.includes("json"));
+        if (!wantsJson) {
+            return text;
+        }
+        if (text === "") {
+            return null;
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            if (raw.status < 200 || raw.status > 299) {
+                return text;  // Error pages are often HTML whatever they claim - let HttpError report the status
+            }
+            throw new ResponseParseError(`${config.method} ${config.url} returned invalid JSON`, {
+                method: config.method,
+                url: config.url,
+                status: raw.status,
+                body: text.slice(0, 200)
+            });
+        }
+    }
+
+    isRetryable(error) {
+        if (error instanceof HttpTimeoutError || error instanceof NetworkError) {
+            return true;
+        }
+        return error instanceof HttpError && this.retryStatuses.includes(error.status);
+    }
+
+    // Full jitter: anywhere between 0 and the exponential cap, so clients that failed together
+    // don't all come back together. A server's Retry-After wins when it asks for longer.
+    backoff(attempt, retryAfterMs) {
+        const cap = Math.min(this.maxRetryDelayMs, this.retryDelayMs * 2 ** (attempt - 1));
+        const jittered = Math.floor(this.random() * cap);
+        return retryAfterMs == null ? jittered : Math.min(this.maxRetryDelayMs, Math.max(retryAfterMs, jittered));
+    }
+}
+
+module.exports = {
+    HttpClient,
+    IDEMPOTENT_METHODS,
+    RETRYABLE_STATUSES,
+    parseRetryAfter
+};
@@ -0,0 +1,71 @@
+const { abstractClass } = require("./Interfaces");
+
+//////////////////////////////////////////// Idempotency Store ////////////////////////////////////////////
+
+// Remembers the result of an operation under a caller-chosen key so a retry with the same key
+// gets the original result back instead of running the operation (charging the customer) again.
+//
+// 📋 INTERFACE/CONTRACT - any backing store (Redis, a DB table...) must provide:
+//   get(key)            -> stored result or undefined
+//   set(key, result)    -> remember result
+//   delete(key)
+//   acquire(key)        -> resolves with a release() function once no one else holds the key,
+//                          so concurrent calls with one key run one after another
+const IdempotencyStore = abstractClass(class IdempotencyStore {}, {
+    abstract: { get: 1, set: 2, delete: 1, acquire: 1 }
+});
+
+// 🔧 IMPLEMENTATION - single process, entries expire after ttlMs
+class InMemoryIdempotencyStore extends IdempotencyStore {
+    constructor({ ttlMs = 24 * 60 * 60 * 1000, now = () => Date.now() } = {}) {
+        super();
+        this.ttlMs = ttlMs;
+        this.now = now;
+        this.entries = new Map();  // key -> { result, expiresAt }
+        this.locks = new Map();  // key -> promise that settles when the current holder releases
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.expiresAt <= this.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return entry.result;
+    }
+
+    async set(key, result) {
+        this.entries.set(key, { result, expiresAt: this.now() + this.ttlMs });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    // Each caller chains onto the previous holder's promise - a FIFO queue per key
+    async acquire(key) {
+        const previous = this.locks.get(key) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => {
+            release = resolve;
+        });
+        const tail = previous.then(() => current);
+        this.locks.set(key, tail);
+
+        await previous;
+        return () => {
+            release();
+            if (this.locks.get(key) === tail) {
+                this.locks.delete(key);
+            }
+        };
+    }
+}
+
+module.exports = {
+    IdempotencyStore,
+    InMemoryIdempotencyStore
+};
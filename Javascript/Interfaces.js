@@ -0,0 +1,170 @@
+const { AbstractInstantiationError, InterfaceNotImplementedError } = require("./Errors");
+
+//////////////////////////////////////////// Interfaces & Abstract Classes ////////////////////////////////////////////
+
+// Hand-rolled abstract methods (`throw new Error("must be implemented")`) only fail when they are
+// called - maybe in production, maybe never. These helpers check the whole contract up front,
+// the moment a subclass is first instantiated, and report everything that is wrong at once.
+//
+//   📋 const Payable = defineInterface("Payable", { pay: 1 }, { defaults: { payTwice(x) { ... } } });
+//       members map method name -> arity (number of declared parameters)
+//       defaults are mixed into classes that implement the interface but don't define that method
+//
+//   🔒 const Vehicle = abstractClass(class Vehicle { ...concrete methods... }, {
+//          abstract: { start: 0, stop: 0 },   // required methods declared right here
+//          implements: [Payable],             // required methods (and defaults) from interfaces
+//          mixins: [{ honk() { ... } }]       // extra default methods
+//      });
+//       new Vehicle()            -> AbstractInstantiationError
+//       new Car() (missing stop) -> InterfaceNotImplementedError listing every missing/wrong member
+//
+// Abstract classes can extend each other; a concrete class must satisfy all of its ancestors.
+
+class Interface {
+    constructor(name, members, { extends: parents = [], defaults = {} } = {}) {
+        Object.entries(members).forEach(([member, arity]) => {
+            if (!Number.isInteger(arity) || arity < 0) {
+                throw new TypeError(`Interface ${name}: arity of '${member}' must be a non-negative integer`);
+            }
+        });
+        this.name = name;
+        this.parents = parents;
+        this.ownMembers = { ...members };
+        this.ownDefaults = { ...defaults };
+        Object.freeze(this);
+    }
+
+    // Own members plus inherited ones; a child interface may redeclare an arity
+    get members() {
+        return Object.assign({}, ...this.parents.map(parent => parent.members), this.ownMembers);
+    }
+
+    get defaults() {
+        return Object.assign({}, ...this.parents.map(parent => parent.defaults), this.ownDefaults);
+    }
+
+    // Duck-typing check for plain objects that never went through abstractClass
+    isImplementedBy(target) {
+        return findProblems(target, [{ source: this.name, members: this.members }]).length === 0;
+    }
+}
+
+function defineInterface(name, members, options) {
+    return new Interface(name, members, options);
+}
+
+// Abstract wrapper class -> [{ source, members }] it requires
+const requirements = new WeakMap();
+// Placeholder methods installed for abstract members, so they can be told apart from real ones
+const stubs = new WeakSet();
+// Concrete classes that already passed the check
+const verified = new WeakSet();
+
+function findProblems(target, groups) {
+    const problems = [];
+    const seen = new Set();
+    groups.forEach(({ source, members }) => {
+        Object.entries(members).forEach(([member, arity]) => {
+            if (seen.has(member)) {
+                return;
+            }
+            seen.add(member);
+            const implementation = target[member];
+            if (typeof implementation !== "function" || stubs.has(implementation)) {
+                problems.push({ member, source, reason: "missing", expected: arity });
+            } else if (implementation.length !== arity) {
+                problems.push({ member, source, reason: "arity", expected: arity, actual: implementation.length });
+            }
+        });
+    });
+    return problems;
+}
+
+function describeProblem({ member, source, reason, expected, actual }) {
+    return reason === "missing"
+        ? `${member}() from ${source} is not implemented`
+        : `${member}() from ${source} should take ${expected} parameter(s) but takes ${actual}`;
+}
+
+function verify(Concrete) {
+    if (verified.has(Concrete)) {
+        return;
+    }
+    const groups = [];
+    for (let Class = Concrete; Class && Class !== Function.prototype; Class = Object.getPrototypeOf(Class)) {
+        if (requirements.has(Class)) {
+            groups.push(...requirements.get(Class));
+        }
+    }
+    const problems = findProblems(Concrete.prototype, groups);
+    if (problems.length > 0) {
+        throw new InterfaceNotImplementedError(
+            `${Concrete.name} cannot be instantiated: ${problems.map(describeProblem).join("; ")}`,
+            { className: Concrete.name, problems }
+        );
+    }
+    verified.add(Concrete);
+}
+
+function hasMethod(prototype, name) {
+    return typeof prototype[name] === "function" && !stubs.has(prototype[name]);
+}
+
+function abstractClass(Base, { abstract = {}, implements: interfaces = [], mixins = [] } = {}) {
+    const className = Base.name;
+    const Abstract = class extends Base {
+        constructor(...args) {
+            if (new.target === Abstract) {
+                throw new AbstractInstantiationError(`Cannot instantiate abstract class ${className}`, { className });
+            }
+            verify(new.target);
+            super(...args);
+        }
+    };
+    Object.defineProperty(Abstract, "name", { value: className });
+
+    const groups = [
+        ...interfaces.map(contract => ({ source: contract.name, members: contract.members })),
+        { source: className, members: abstract }
+    ];
+    requirements.set(Abstract, groups.filter(group => Object.keys(group.members).length > 0));
+
+    // Defaults only fill gaps - anything Base (or its ancestors) already defines wins
+    const defaults = Object.assign({}, ...interfaces.map(contract => contract.defaults), ...mixins);
+    Object.entries(defaults).forEach(([name, method]) => {
+        if (!hasMethod(Base.prototype, name)) {
+            Object.defineProperty(Abstract.prototype, name, { value: method, configurable: true, writable: true });
+        }
+    });
+
+    // Placeholders keep `super.start()` and direct prototype calls failing loudly
+    groups.forEach(({ source, members }) => {
+        Object.keys(members).forEach(name => {
+            if (hasMethod(Abstract.prototype, name)) {
+                return;
+            }
+            const stub = {
+                [name]() {
+                    throw new InterfaceNotImplementedError(`Method '${name}' from ${source} must be implemented.`, {
+                        className: this.constructor.name,
+                        problems: [{ member: name, source, reason: "missing" }]
+                    });
+                }
+            }[name];
+            stubs.add(stub);
+            Object.defineProperty(Abstract.prototype, name, { value: stub, configurable: true, writable: true });
+        });
+    });
+    return Abstract;
+}
+
+function isAbstract(Class) {
+    return requirements.has(Class);
+}
+
+module.exports = {
+    Interface,
+    defineInterface,
+    abstractClass,
+    isAbstract
+};
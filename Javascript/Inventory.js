@@ -0,0 +1,184 @@
+const { Money } = require("./Money");
+const { systemClock } = require("./Clock");
+const { InvalidQuantityError, OutOfStockError, ReservationNotFoundError, UnknownProductError } = require("./Errors");
+
+//////////////////////////////////////////// Catalog & Inventory ////////////////////////////////////////////
+
+// The catalog says what can be sold (SKU -> name + price); the inventory says how many are on the shelf
+// and how many of those are held for carts:
+//
+//   const catalog = new Catalog().add({ sku: "LAPTOP-15", name: "Laptop", price: 999.99 });
+//   const inventory = new Inventory({ catalog, reservationTtlMs: 15 * 60 * 1000 });
+//   inventory.restock("LAPTOP-15", 3);
+//   const hold = inventory.reserve("LAPTOP-15", 1);   // available drops to 2 for everyone else
+//   inventory.commit(hold.id);                        // sold: on hand drops to 2 for good
+//   inventory.release(hold.id);                       // or: back on the shelf
+//
+// A reservation lapses ttlMs after it was placed (or last renewed) and its units go back on the shelf;
+// expired holds are swept lazily whenever stock is looked at, against the injected clock.
+// Checking availability and placing the hold happen in one synchronous step, so no interleaving of
+// async checkouts can hold - and so sell - more units than are on hand.
+
+function checkQuantity(quantity) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new InvalidQuantityError(`Quantity must be a positive integer, got ${quantity}`, { quantity });
+    }
+    return quantity;
+}
+
+class Catalog {
+    constructor({ currency = "USD" } = {}) {
+        this.currency = currency;
+        this.products = new Map();  // sku -> { sku, name, price }
+    }
+
+    // Adding a SKU again replaces its name and price
+    add({ sku, name = sku, price }) {
+        if (typeof sku !== "string" || sku.trim() === "") {
+            throw new TypeError(`SKU must be a non-empty string, got ${sku}`);
+        }
+        this.products.set(sku, Object.freeze({ sku, name, price: Money.from(price, this.currency) }));
+        return this;
+    }
+
+    has(sku) {
+        return this.products.has(sku);
+    }
+
+    get(sku) {
+        const product = this.products.get(sku);
+        if (!product) {
+            throw new UnknownProductError(`No product with SKU '${sku}' in the catalog`, { sku });
+        }
+        return product;
+    }
+
+    list() {
+        return [...this.products.values()];
+    }
+}
+
+class Inventory {
+    constructor({ catalog = new Catalog(), clock = systemClock, reservationTtlMs = 15 * 60 * 1000 } = {}) {
+        this.catalog = catalog;
+        this.clock = clock;
+        this.reservationTtlMs = reservationTtlMs;
+        this.stock = new Map();  // sku -> units on hand (sold units are gone, held ones are still here)
+        this.reservations = new Map();  // id -> { id, sku, quantity, owner, expiresAt }
+        this.nextReservationNumber = 1;
+    }
+
+    restock(sku, quantity) {
+        this.catalog.get(sku);
+        checkQuantity(quantity);
+        this.stock.set(sku, this.onHand(sku) + quantity);
+        return this.onHand(sku);
+    }
+
+    onHand(sku) {
+        return this.stock.get(sku) || 0;
+    }
+
+    reserved(sku) {
+        this.sweep();
+        let held = 0;
+        this.reservations.forEach(reservation => {
+            if (reservation.sku === sku) {
+                held += reservation.quantity;
+            }
+        });
+        return held;
+    }
+
+    available(sku) {
+        return this.onHand(sku) - this.reserved(sku);
+    }
+
+    // ttlMs: Infinity holds until committed or released - checkout uses that while the payment runs
+    reserve(sku, quantity, { ttlMs = this.reservationTtlMs, owner = null } = {}) {
+        this.catalog.get(sku);
+        checkQuantity(quantity);
+        this.ensureAvailable(sku, quantity);
+        const reservation = {
+            id: `R${this.nextReservationNumber++}`,
+            sku,
+            quantity,
+            owner,
+            expiresAt: this.clock.now() + ttlMs
+        };
+        this.reservations.set(reservation.id, reservation);
+        return { ...reservation };
+    }
+
+    // Changes how many units a reservation holds; growing it needs the extra units to be available
+    adjust(id, quantity) {
+        const reservation = this.getReservation(id);
+        checkQuantity(quantity);
+        if (quantity > reservation.quantity) {
+            this.ensureAvailable(reservation.sku, quantity - reservation.quantity);
+        }
+        reservation.quantity = quantity;
+        return { ...reservation };
+    }
+
+    renew(id, ttlMs = this.reservationTtlMs) {
+        const reservation = this.getReservation(id);
+        reservation.expiresAt = this.clock.now() + ttlMs;
+        return { ...reservation };
+    }
+
+    // Returns false if the reservation had already expired, been released or been committed
+    release(id) {
+        this.sweep();
+        return this.reservations.delete(id);
+    }
+
+    // The held units are sold: they leave the shelf for good
+    commit(id) {
+        const reservation = this.getReservation(id);
+        this.reservations.delete(id);
+        this.stock.set(reservation.sku, this.onHand(reservation.sku) - reservation.quantity);
+        return { ...reservation };
+    }
+
+    isActive(id) {
+        this.sweep();
+        return this.reservations.has(id);
+    }
+
+    getReservation(id) {
+        this.sweep();
+        const reservation = this.reservations.get(id);
+        if (!reservation) {
+            throw new ReservationNotFoundError(`Reservation ${id} has expired, been released or been committed`, {
+                reservationId: id
+            });
+        }
+        return reservation;
+    }
+
+    // Drops lapsed reservations; returns copies of what it released
+    sweep() {
+        const now = this.clock.now();
+        const expired = [...this.reservations.values()].filter(reservation => reservation.expiresAt <= now);
+        expired.forEach(reservation => this.reservations.delete(reservation.id));
+        return expired.map(reservation => ({ ...reservation }));
+    }
+
+    ensureAvailable(sku, quantity) {
+        const available = this.available(sku);
+        if (quantity > available) {
+            const name = this.catalog.get(sku).name;
+            throw new OutOfStockError(`Only ${available} x ${name} available, ${quantity} requested`, {
+                sku,
+                requested: quantity,
+                available
+            });
+        }
+    }
+}
+
+module.exports = {
+    Catalog,
+    Inventory
+};
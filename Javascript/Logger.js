@@ -0,0 +1,297 @@
+//////////////////////////////////////////// Logger ////////////////////////////////////////////
+
+// What the classes use instead of console.log: levelled, structured, and injectable.
+//
+//   const logger = new Logger({ level: "debug", format: "json" });
+//   const accountLog = logger.child({ accountId: "ACC-1" });   // bound context on every entry
+//   accountLog.info("Deposited $100.00", { amount: money });
+//   // {"time":"...","level":"info","message":"Deposited $100.00","accountId":"ACC-1","amount":{...}}
+//
+// Every class takes a `logger` option and falls back to `defaultLogger`, which prints pretty lines
+// ("INFO  Deposited $100.00 accountId=ACC-1") through console.log - warn and error through
+// console.error. LOG_LEVEL and LOG_FORMAT in the environment configure it (unknown values are
+// ignored with a warning); setLevel() on any logger changes the level for its whole family of
+// children.
+//
+// Entries are redacted before they are written, whoever logged them and however careless:
+// fields named like secrets (password, token, cvv...) become "[REDACTED]", card number fields keep
+// only their last four digits, and so does any card number inside a string - the message included.
+// Only runs that could really be a card are masked there (an issuer's first digit and a valid Luhn
+// check digit), so timestamps, order numbers and other ids stay readable. Class instances are searched as well, and cycles are cut rather than
+// followed, so logging an object never throws.
+//
+// Tests pass their own write(line, entry) to collect entries instead of printing them.
+
+const LogLevel = Object.freeze({
+    DEBUG: "debug",
+    INFO: "info",
+    WARN: "warn",
+    ERROR: "error",
+    SILENT: "silent"
+});
+
+const SEVERITY = Object.freeze({
+    [LogLevel.DEBUG]: 10,
+    [LogLevel.INFO]: 20,
+    [LogLevel.WARN]: 30,
+    [LogLevel.ERROR]: 40,
+    [LogLevel.SILENT]: Infinity
+});
+
+const LogFormat = Object.freeze({
+    PRETTY: "pretty",
+    JSON: "json"
+});
+
+// Compared case-insensitively, ignoring "-" and "_" (so api_key and API-Key match apiKey)
+const SECRET_KEYS = Object.freeze(["password", "secret", "token", "accessToken", "refreshToken", "apiKey",
+    "authorization", "cookie", "cvv", "cvc", "pin", "privateKey"]);
+const CARD_KEYS = Object.freeze(["cardNumber", "card", "pan"]);
+
+// 13-19 digits, optionally grouped by spaces or dashes, starting with a card issuer's digit (2-6)
+const CARD_NUMBER_PATTERN = /\b[2-6](?:[ -]?\d){12,18}\b/g;
+
+function normalizeKey(key) {
+    return key.replace(/[-_]/g, "").toLowerCase();
+}
+
+function maskCardNumber(value) {
+    const digits = String(value).replace(/\D/g, "");
+    return digits.length > 4 ? "*".repeat(digits.length - 4) + digits.slice(-4) : "****";
+}
+
+function checkLevel(level) {
+    if (!Object.prototype.hasOwnProperty.call(SEVERITY, level)) {
+        throw new RangeError(`Unknown log level '${level}' (use ${Object.values(LogLevel).join(", ")})`);
+    }
+    return level;
+}
+
+function checkFormat(format) {
+    if (!Object.values(LogFormat).includes(format)) {
+        throw new RangeError(`Unknown log format '${format}' (use ${Object.values(LogFormat).join(", ")})`);
+    }
+    return format;
+}
+
+function isPlainObject(value) {
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+// The check digit every card number ends with: doubling every second digit from the right, the
+// digits of the whole number must add up to a multiple of 10
+function passesLuhnCheck(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+function maskCardNumbers(text) {
+    return text.replace(CARD_NUMBER_PATTERN,
+        (match) => passesLuhnCheck(match.replace(/\D/g, "")) ? maskCardNumber(match) : match);
+}
+
+// Copies plain objects and arrays with secrets masked and cycles cut ("[Circular]"); errors become
+// { name, message }. Any other object (Money, a model...) is checked through what would be written
+// for it - toJSON() if it has one, else its own enumerable fields - and kept as it is when nothing
+// there needed masking, so it still prints its own way; otherwise its redacted copy replaces it.
+function redactValue(value, secretKeys, cardKeys) {
+    const ancestors = new Set();
+    let changes = 0;
+
+    const redactFields = (object) => Object.fromEntries(Object.entries(object).map(([key, item]) => {
+        const normalized = normalizeKey(key);
+        if (cardKeys.has(normalized) && (typeof item === "string" || typeof item === "number")) {
+            changes++;
+            return [key, maskCardNumber(item)];
+        }
+        if (secretKeys.has(normalized)) {
+            changes++;
+            return [key, "[REDACTED]"];
+        }
+        return [key, walk(item)];
+    }));
+
+    const walk = (current) => {
+        if (typeof current === "string") {
+            const masked = maskCardNumbers(current);
+            changes += masked === current ? 0 : 1;
+            return masked;
+        }
+        if (current === null || typeof current !== "object" || current instanceof Date) {
+            return current;
+        }
+        if (ancestors.has(current)) {
+            changes++;
+            return "[Circular]";
+        }
+        if (current instanceof Error) {
+            return { name: current.name, message: walk(current.message) };
+        }
+        ancestors.add(current);
+        try {
+            if (Array.isArray(current)) {
+                return current.map(walk);
+            }
+            if (isPlainObject(current)) {
+                return redactFields(current);
+            }
+            const before = changes;
+            const written = typeof current.toJSON === "function" ? current.toJSON() : current;
+            const copy = written === current ? redactFields(current) : walk(written);
+            return changes === before ? current : copy;
+        } finally {
+            ancestors.delete(current);
+        }
+    };
+
+    return walk(value);
+}
+
+function formatValue(value) {
+    if (typeof value === "string") {
+        return /\s|"/.test(value) || value === "" ? JSON.stringify(value) : value;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (value !== null && typeof value === "object" && value.toString !== Object.prototype.toString
+        && !Array.isArray(value)) {
+        return formatValue(maskCardNumbers(String(value)));  // Money -> "USD 10.00"
+    }
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function formatPretty({ level, message, time, ...fields }) {
+    const pairs = Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${formatValue(value)}`);
+    return [level.toUpperCase().padEnd(5), message, ...pairs].join(" ");
+}
+
+function writeToConsole(line, entry) {
+    if (SEVERITY[entry.level] >= SEVERITY[LogLevel.WARN]) {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+}
+
+class Logger {
+    constructor({
+        level = LogLevel.INFO,
+        format = LogFormat.PRETTY,
+        write = writeToConsole,
+        redact = [],   // extra secret field names on top of SECRET_KEYS
+        context = {},
+        now = () => new Date()
+    } = {}) {
+        // Shared with every child, so one setLevel() reaches them all
+        this.settings = {
+            level: checkLevel(level),
+            format: checkFormat(format),
+            write,
+            secretKeys: new Set([...SECRET_KEYS, ...redact].map(normalizeKey)),
+            cardKeys: new Set(CARD_KEYS.map(normalizeKey)),
+            now
+        };
+        this.context = Object.freeze({ ...context });
+    }
+
+    // Same output and level, with `context` added to every entry (the child's keys win)
+    child(context = {}) {
+        const child = Object.create(Logger.prototype);
+        child.settings = this.settings;
+        child.context = Object.freeze({ ...this.context, ...context });
+        return child;
+    }
+
+    get level() {
+        return this.settings.level;
+    }
+
+    setLevel(level) {
+        this.settings.level = checkLevel(level);
+        return this;
+    }
+
+    isLevelEnabled(level) {
+        return SEVERITY[checkLevel(level)] >= SEVERITY[this.settings.level];
+    }
+
+    debug(message, fields) {
+        return this.log(LogLevel.DEBUG, message, fields);
+    }
+
+    info(message, fields) {
+        return this.log(LogLevel.INFO, message, fields);
+    }
+
+    warn(message, fields) {
+        return this.log(LogLevel.WARN, message, fields);
+    }
+
+    error(message, fields) {
+        return this.log(LogLevel.ERROR, message, fields);
+    }
+
+    // Returns the redacted entry that was written, or null if the level is filtered out
+    log(level, message, fields = {}) {
+        if (level === LogLevel.SILENT || !this.isLevelEnabled(level)) {
+            return null;
+        }
+        const { format, write, secretKeys, cardKeys, now } = this.settings;
+        const reserved = { time: now().toISOString(), level, message: String(message) };
+        // Fields can't overwrite time, level or message, but the three still come first
+        const entry = redactValue({ ...reserved, ...this.context, ...fields, ...reserved }, secretKeys, cardKeys);
+        write(format === LogFormat.JSON ? JSON.stringify(entry) : formatPretty(entry), entry);
+        return entry;
+    }
+}
+
+// Configured from LOG_LEVEL and LOG_FORMAT (case-insensitive). This runs when Logger.js is first
+// required, so a misspelled value falls back to info / pretty with one warning instead of throwing
+// out of every module that logs. `options` go to the Logger as they are (tests pass write).
+function createDefaultLogger(env = process.env, options = {}) {
+    const ignored = [];
+    const setting = (name, allowed, fallback) => {
+        const value = env[name];
+        if (value === undefined || value === "") {
+            return fallback;
+        }
+        if (allowed.includes(value.toLowerCase())) {
+            return value.toLowerCase();
+        }
+        ignored.push(`${name}='${value}' (use ${allowed.join(", ")})`);
+        return fallback;
+    };
+    const logger = new Logger({
+        level: setting("LOG_LEVEL", Object.values(LogLevel), LogLevel.INFO),
+        format: setting("LOG_FORMAT", Object.values(LogFormat), LogFormat.PRETTY),
+        ...options
+    });
+    if (ignored.length > 0) {
+        logger.warn(`Ignoring ${ignored.join(" and ")} - falling back to the default`);
+    }
+    return logger;
+}
+
+// What every class logs to unless it is given its own logger
+const defaultLogger = createDefaultLogger();
+
+module.exports = {
+    Logger,
+    LogLevel,
+    LogFormat,
+    defaultLogger,
+    createDefaultLogger,
+    maskCardNumber
+};
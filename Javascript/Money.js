@@ -0,0 +1,305 @@
+const { InvalidAmountError, CurrencyMismatchError, UnknownCurrencyError } = require("./Errors");
+
+//////////////////////////////////////////// Money ////////////////////////////////////////////
+
+// Why not plain numbers?  999.99 + 29.99 === 1029.98 is false in floating point.
+// Money stores an INTEGER count of minor units (cents, pence, yen...) next to an ISO 4217 code,
+// so adding, splitting and comparing never drift. Instances are frozen - every operation returns a new Money.
+
+// Number of minor-unit digits per ISO currency code
+const CURRENCY_EXPONENTS = {
+    USD: 2,
+    EUR: 2,
+    GBP: 2,
+    INR: 2,
+    CAD: 2,
+    AUD: 2,
+    CHF: 2,
+    CNY: 2,
+    JPY: 0,
+    KRW: 0,
+    KWD: 3,
+    BHD: 3
+};
+
+function exponentOf(currency) {
+    const exponent = CURRENCY_EXPONENTS[currency];
+    if (exponent === undefined) {
+        throw new UnknownCurrencyError(`Unknown currency code: ${currency}`, { currency });
+    }
+    return exponent;
+}
+
+// Half-up away from zero, so -2.5 rounds to -3 just like 2.5 rounds to 3
+function roundHalfUp(value) {
+    return Math.sign(value) * Math.round(Math.abs(value));
+}
+
+class Money {
+    constructor(minor, currency) {
+        exponentOf(currency);
+        if (!Number.isSafeInteger(minor)) {
+            throw new InvalidAmountError(`Minor units must be a safe integer, got ${minor}`, { amount: minor });
+        }
+        this.minor = minor;
+        this.currency = currency;
+        Object.freeze(this);
+    }
+
+    // From major units: Money.of(19.99, "USD") -> 1999 cents.
+    // Rejects NaN, Infinity and more decimal places than the currency has.
+    static of(amount, currency = "USD") {
+        if (typeof amount !== "number" || Number.isNaN(amount)) {
+            throw new InvalidAmountError(`Amount must be a number, got ${amount}`, { amount });
+        }
+        if (!Number.isFinite(amount)) {
+            throw new InvalidAmountError(`Amount must be finite, got ${amount}`, { amount });
+        }
+        const factor = 10 ** exponentOf(currency);
+        const minor = Math.round(amount * factor);
+        if (minor / factor !== amount) {
+            throw new InvalidAmountError(
+                `Amount cannot have more than ${exponentOf(currency)} decimal places in ${currency}, got ${amount}`,
+                { amount, currency }
+            );
+        }
+        return new Money(minor, currency);
+    }
+
+    static fromMinor(minor, currency = "USD") {
+        return new Money(minor, currency);
+    }
+
+    static zero(currency = "USD") {
+        return new Money(0, currency);
+    }
+
+    // Accepts an existing Money or a major-unit number, so callers can keep writing addItem("Mouse", 29.99)
+    static from(value, currency = "USD") {
+        return value instanceof Money ? value : Money.of(value, currency);
+    }
+
+    static sum(values, currency = "USD") {
+        return values.reduce((total, value) => total.add(value), Money.zero(currency));
+    }
+
+    static isMoney(value) {
+        return value instanceof Money;
+    }
+
+    // ---------- arithmetic ----------
+
+    add(other) {
+        this.assertSameCurrency(other);
+        return new Money(this.minor + other.minor, this.currency);
+    }
+
+    subtract(other) {
+        this.assertSameCurrency(other);
+        return new Money(this.minor - other.minor, this.currency);
+    }
+
+    // Rounds the result back to whole minor units (half-up)
+    multiply(factor) {
+        if (typeof factor !== "number" || !Number.isFinite(factor)) {
+            throw new InvalidAmountError(`Multiplier must be a finite number, got ${factor}`, { amount: factor });
+        }
+        return new Money(roundHalfUp(this.minor * factor), this.currency);
+    }
+
+    negate() {
+        return new Money(-this.minor, this.currency);
+    }
+
+    abs() {
+        return new Money(Math.abs(this.minor), this.currency);
+    }
+
+    // Splits by ratios without losing a cent: Money.of(100).allocate([1, 1, 1]) -> 33.34, 33.33, 33.33.
+    // Leftover minor units go one each to the earliest shares.
+    allocate(ratios) {
+        if (!Array.isArray(ratios) || ratios.length === 0) {
+            throw new InvalidAmountError("allocate() needs at least one ratio");
+        }
+        if (ratios.some(ratio => typeof ratio !== "number" || !Number.isFinite(ratio) || ratio < 0)) {
+            throw new InvalidAmountError(`Ratios must be non-negative finite numbers, got ${ratios}`);
+        }
+        const totalRatio = ratios.reduce((sum, ratio) => sum + ratio, 0);
+        if (totalRatio === 0) {
+            throw new InvalidAmountError("Ratios cannot all be zero");
+        }
+
+        const sign = Math.sign(this.minor) || 1;
+        const whole = Math.abs(this.minor);
+        const shares = ratios.map(ratio => Math.floor(whole * ratio / totalRatio));
+        let remainder = whole - shares.reduce((sum, share) => sum + share, 0);
+        for (let i = 0; remainder > 0; i = (i + 1) % shares.length) {
+            if (ratios[i] > 0) {
+                shares[i]++;
+                remainder--;
+            }
+        }
+        return shares.map(share => new Money(sign * share, this.currency));
+    }
+
+    split(parts) {
+        if (!Number.isInteger(parts) || parts <= 0) {
+            throw new InvalidAmountError(`Cannot split into ${parts} parts`, { amount: parts });
+        }
+        return this.allocate(new Array(parts).fill(1));
+    }
+
+    // ---------- comparison ----------
+
+    // Same currency compares directly; different currencies need a RateTable to bring `other` into this currency
+    compareTo(other, rates) {
+        const target = other.currency === this.currency ? other : this.convertOther(other, rates);
+        return Math.sign(this.minor - target.minor);
+    }
+
+    equals(other, rates) {
+        if (!(other instanceof Money)) {
+            return false;
+        }
+        if (other.currency !== this.currency && !rates) {
+            return false;
+        }
+        return this.compareTo(other, rates) === 0;
+    }
+
+    greaterThan(other, rates) {
+        return this.compareTo(other, rates) > 0;
+    }
+
+    lessThan(other, rates) {
+        return this.compareTo(other, rates) < 0;
+    }
+
+    isZero() {
+        return this.minor === 0;
+    }
+
+    isPositive() {
+        return this.minor > 0;
+    }
+
+    isNegative() {
+        return this.minor < 0;
+    }
+
+    convertTo(currency, rates) {
+        if (currency === this.currency) {
+            return this;
+        }
+        if (!rates) {
+            throw new CurrencyMismatchError(`A rate table is needed to convert ${this.currency} to ${currency}`, {
+                expected: currency,
+                actual: this.currency
+            });
+        }
+        return rates.convert(this, currency);
+    }
+
+    // ---------- output ----------
+
+    // Major units as a number - for display and interop only, never for arithmetic
+    toNumber() {
+        return this.minor / 10 ** exponentOf(this.currency);
+    }
+
+    format(locale = "en-US") {
+        const digits = exponentOf(this.currency);
+        return new Intl.NumberFormat(locale, {
+            style: "currency",
+            currency: this.currency,
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        }).format(this.toNumber());
+    }
+
+    // "USD 1029.98" - built from integers so it never shows float noise
+    toString() {
+        const digits = exponentOf(this.currency);
+        const whole = Math.abs(this.minor);
+        const major = Math.floor(whole / 10 ** digits);
+        const fraction = digits ? "." + String(whole % 10 ** digits).padStart(digits, "0") : "";
+        return `${this.currency} ${this.minor < 0 ? "-" : ""}${major}${fraction}`;
+    }
+
+    toJSON() {
+        return { minor: this.minor, currency: this.currency };
+    }
+
+    static fromJSON({ minor, currency }) {
+        return new Money(minor, currency);
+    }
+
+    // ---------- internals ----------
+
+    assertSameCurrency(other) {
+        if (!(other instanceof Money)) {
+            throw new InvalidAmountError(`Expected a Money value, got ${other}`, { amount: other });
+        }
+        if (other.currency !== this.currency) {
+            throw new CurrencyMismatchError(`Cannot combine ${this.currency} with ${other.currency}`, {
+                expected: this.currency,
+                actual: other.currency
+            });
+        }
+    }
+
+    convertOther(other, rates) {
+        if (!(other instanceof Money)) {
+            throw new InvalidAmountError(`Expected a Money value, got ${other}`, { amount: other });
+        }
+        return other.convertTo(this.currency, rates);
+    }
+}
+
+
+// Pluggable exchange rates: rates.setRate("USD", "EUR", 0.92).
+// The inverse pair is derived automatically unless it was set explicitly.
+class RateTable {
+    constructor(rates = {}) {
+        this.rates = new Map();
+        Object.entries(rates).forEach(([pair, rate]) => {
+            const [from, to] = pair.split("/");
+            this.setRate(from, to, rate);
+        });
+    }
+
+    setRate(from, to, rate) {
+        exponentOf(from);
+        exponentOf(to);
+        if (typeof rate !== "number" || !Number.isFinite(rate) || rate <= 0) {
+            throw new InvalidAmountError(`Exchange rate must be a positive number, got ${rate}`, { amount: rate });
+        }
+        this.rates.set(`${from}/${to}`, rate);
+        return this;
+    }
+
+    getRate(from, to) {
+        if (from === to) {
+            return 1;
+        }
+        if (this.rates.has(`${from}/${to}`)) {
+            return this.rates.get(`${from}/${to}`);
+        }
+        if (this.rates.has(`${to}/${from}`)) {
+            return 1 / this.rates.get(`${to}/${from}`);
+        }
+        throw new CurrencyMismatchError(`No exchange rate from ${from} to ${to}`, { expected: to, actual: from });
+    }
+
+    convert(money, currency) {
+        const rate = this.getRate(money.currency, currency);
+        const scale = 10 ** (exponentOf(currency) - exponentOf(money.currency));
+        return new Money(roundHalfUp(money.minor * rate * scale), currency);
+    }
+}
+
+module.exports = {
+    Money,
+    RateTable,
+    CURRENCY_EXPONENTS
+};
@@ -0,0 +1,263 @@
+const EventEmitter = require("events");
+const { IllegalTransitionError, OrderNotFoundError } = require("./Errors");
+const { defaultLogger } = require("./Logger");
+
+//////////////////////////////////////////// Orders ////////////////////////////////////////////
+
+// What a successful checkout leaves behind: a snapshot of what was bought and how it was paid,
+// moving through fulfilment:
+//
+//   placed ──► paid ──► shipped ──► delivered ──► return-requested ──► refunded
+//     │          │                      ▲                │
+//     ▼          ▼                      └── rejected ────┘
+//   cancelled ◄──┘  (refunded through the processor that took the payment)
+//
+// Lines and totals are frozen copies - changing prices or the cart later never changes an order.
+// Every transition emits "transition" and the new state's name with
+// { order, from, to, at, ...details }; an OrderBook re-emits the events of all its orders.
+// Each listener runs on its own: one that throws is logged and the others still run, and the
+// transition (or the checkout that placed the order) stands - the state has already changed.
+//
+// cancel() on a paid order and approveReturn() refund the full payment through the originating
+// PaymentProcessor first; if the refund fails the order stays where it was and the error is thrown.
+// An order marked paid without a processor has nothing to refund through, and refuses both.
+
+const OrderState = Object.freeze({
+    PLACED: "placed",
+    PAID: "paid",
+    SHIPPED: "shipped",
+    DELIVERED: "delivered",
+    CANCELLED: "cancelled",
+    RETURN_REQUESTED: "return-requested",
+    REFUNDED: "refunded"
+});
+
+const TRANSITIONS = Object.freeze({
+    [OrderState.PLACED]: [OrderState.PAID, OrderState.CANCELLED],
+    [OrderState.PAID]: [OrderState.SHIPPED, OrderState.CANCELLED],
+    [OrderState.SHIPPED]: [OrderState.DELIVERED],
+    [OrderState.DELIVERED]: [OrderState.RETURN_REQUESTED],
+    [OrderState.RETURN_REQUESTED]: [OrderState.REFUNDED, OrderState.DELIVERED],
+    [OrderState.CANCELLED]: [],
+    [OrderState.REFUNDED]: []
+});
+
+// The processor is needed for refunds but isn't part of the order's data
+const processors = new WeakMap();
+
+function emitIsolated(emitter, name, event, logger) {
+    emitter.rawListeners(name).forEach(listener => {
+        try {
+            listener.call(emitter, event);
+        } catch (error) {
+            logger.error(`"${name}" listener failed for order ${event.order.id}: ${error.message}`, {
+                event: name,
+                error
+            });
+        }
+    });
+}
+
+function snapshotLine({ sku, name, quantity, unitPrice, lineTotal }) {
+    return Object.freeze({ sku, name, quantity, unitPrice, lineTotal });
+}
+
+class Order extends EventEmitter {
+    // summary: a pricing breakdown (cart.getSummary())
+    constructor({ id, summary, now = () => new Date(), logger = defaultLogger }) {
+        super();
+        this.id = id;
+        this.logger = logger.child({ orderId: id });
+        this.lines = Object.freeze(summary.lines.map(snapshotLine));
+        this.totals = Object.freeze({
+            currency: summary.currency,
+            subtotal: summary.subtotal,
+            discountTotal: summary.discountTotal,
+            shipping: summary.shipping ? summary.shipping.amount : null,
+            taxTotal: summary.taxTotal,
+            total: summary.total
+        });
+        this.state = OrderState.PLACED;
+        this.payment = null;     // { transactionId, amount, processor }
+        this.shipment = null;    // { trackingNumber, carrier }
+        this.returnRequest = null;  // { reason }
+        this.refund = null;      // { amount, reason, transactionState } once refunded
+        this.now = now;
+        this.history = [{ state: this.state, at: now() }];
+        this.busy = false;
+    }
+
+    canTransition(to) {
+        return TRANSITIONS[this.state].includes(to);
+    }
+
+    assertCanTransition(to, action) {
+        if (this.busy) {
+            throw new IllegalTransitionError(`Order ${this.id} already has a refund in progress`, {
+                orderId: this.id,
+                from: this.state,
+                to
+            });
+        }
+        if (!this.canTransition(to)) {
+            throw new IllegalTransitionError(`Cannot ${action} order ${this.id} while it is ${this.state}`, {
+                orderId: this.id,
+                from: this.state,
+                to
+            });
+        }
+    }
+
+    transition(to, action, details = {}) {
+        this.assertCanTransition(to, action);
+        const from = this.state;
+        const at = this.now();
+        this.state = to;
+        this.history.push({ state: to, at, ...details });
+        this.logger.debug(`Order ${this.id} ${from} -> ${to}`, { from, to });
+        const event = { order: this, from, to, at, ...details };
+        emitIsolated(this, "transition", event, this.logger);
+        emitIsolated(this, to, event, this.logger);
+        return this;
+    }
+
+    markPaid(processor, { transactionId, amount }) {
+        this.assertCanTransition(OrderState.PAID, "pay");
+        processors.set(this, processor);
+        this.payment = Object.freeze({ transactionId, amount, processor: processor ? processor.constructor.name : null });
+        return this.transition(OrderState.PAID, "pay", { transactionId });
+    }
+
+    ship({ trackingNumber = null, carrier = null } = {}) {
+        this.assertCanTransition(OrderState.SHIPPED, "ship");
+        this.shipment = Object.freeze({ trackingNumber, carrier });
+        return this.transition(OrderState.SHIPPED, "ship", { trackingNumber, carrier });
+    }
+
+    deliver() {
+        return this.transition(OrderState.DELIVERED, "deliver");
+    }
+
+    // Unpaid orders are simply cancelled; paid ones are refunded first
+    async cancel(reason = null) {
+        this.assertCanTransition(OrderState.CANCELLED, "cancel");
+        if (this.state === OrderState.PAID) {
+            await this.refundPayment(reason);
+        }
+        return this.transition(OrderState.CANCELLED, "cancel", { reason });
+    }
+
+    requestReturn(reason = null) {
+        this.assertCanTransition(OrderState.RETURN_REQUESTED, "request a return for");
+        this.returnRequest = Object.freeze({ reason });
+        return this.transition(OrderState.RETURN_REQUESTED, "request a return for", { reason });
+    }
+
+    async approveReturn() {
+        this.assertCanTransition(OrderState.REFUNDED, "refund");
+        await this.refundPayment(this.returnRequest.reason);
+        return this.transition(OrderState.REFUNDED, "refund", { amount: this.refund.amount });
+    }
+
+    rejectReturn(reason = null) {
+        this.assertCanTransition(OrderState.DELIVERED, "reject the return for");
+        return this.transition(OrderState.DELIVERED, "reject the return for", { reason, returnRejected: true });
+    }
+
+    async refundPayment(reason) {
+        const processor = processors.get(this);
+        if (!this.payment || !processor) {
+            throw new IllegalTransitionError(
+                `Cannot refund order ${this.id}: ${this.payment ? "no processor took its payment" : "it was never paid"}`,
+                { orderId: this.id, from: this.state }
+            );
+        }
+        this.busy = true;
+        try {
+            const transaction = await processor.refund(this.payment.transactionId);
+            this.refund = Object.freeze({ amount: this.payment.amount, reason, transactionState: transaction.state });
+            this.logger.info(`Refunded ${this.payment.amount.format()} for order ${this.id}`, {
+                transactionId: this.payment.transactionId
+            });
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    isTerminal() {
+        return TRANSITIONS[this.state].length === 0;
+    }
+
+    // Plain data copy - safe to hand to callers or log
+    toJSON() {
+        return {
+            id: this.id,
+            state: this.state,
+            lines: this.lines.map(line => ({
+                ...line,
+                unitPrice: line.unitPrice.toJSON(),
+                lineTotal: line.lineTotal.toJSON()
+            })),
+            totals: Object.fromEntries(Object.entries(this.totals)
+                .map(([key, value]) => [key, value && typeof value.toJSON === "function" ? value.toJSON() : value])),
+            payment: this.payment && { ...this.payment, amount: this.payment.amount.toJSON() },
+            shipment: this.shipment && { ...this.shipment },
+            returnRequest: this.returnRequest && { ...this.returnRequest },
+            refund: this.refund && { ...this.refund, amount: this.refund.amount.toJSON() },
+            history: this.history.map(step => ({ ...step }))
+        };
+    }
+}
+
+// Keeps every order a cart (or several) placed, and re-emits their events so one listener sees them all:
+//   orders.on("shipped", ({ order }) => notifyCustomer(order));
+class OrderBook extends EventEmitter {
+    constructor({ now = () => new Date(), logger = defaultLogger } = {}) {
+        super();
+        this.orders = new Map();
+        this.now = now;
+        this.logger = logger;
+        this.nextOrderNumber = 1;
+    }
+
+    // Creates the order for a paid checkout: emits "placed", then "paid"
+    place({ summary, processor, payment }) {
+        const order = new Order({
+            id: `ORD-${String(this.nextOrderNumber++).padStart(5, "0")}`,
+            summary,
+            now: this.now,
+            logger: this.logger
+        });
+        this.orders.set(order.id, order);
+        order.on("transition", event => {
+            emitIsolated(this, "transition", event, this.logger);
+            emitIsolated(this, event.to, event, this.logger);
+        });
+        const placed = { order, from: null, to: OrderState.PLACED, at: order.history[0].at };
+        emitIsolated(this, "transition", placed, this.logger);
+        emitIsolated(this, OrderState.PLACED, placed, this.logger);
+        if (payment) {
+            order.markPaid(processor, payment);
+        }
+        return order;
+    }
+
+    get(id) {
+        const order = this.orders.get(id);
+        if (!order) {
+            throw new OrderNotFoundError(`No order '${id}'`, { orderId: id });
+        }
+        return order;
+    }
+
+    list({ state } = {}) {
+        return [...this.orders.values()].filter(order => state === undefined || order.state === state);
+    }
+}
+
+module.exports = {
+    Order,
+    OrderBook,
+    OrderState,
+    TRANSITIONS
+};
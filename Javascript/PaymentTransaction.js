@@ -0,0 +1,97 @@
+const { Money } = require("./Money");
+const { IllegalTransitionError } = require("./Errors");
+
+//////////////////////////////////////////// Payment Transaction ////////////////////////////////////////////
+
+// Two-phase lifecycle used by real gateways:
+//
+//   pending ──► authorized ──► captured ──► partially-refunded ──► refunded
+//      │             │            └──────────────────────────────────▲
+//      ▼             ▼
+//    failed        voided
+//
+// Anything not listed in TRANSITIONS (e.g. capturing a voided transaction) is rejected.
+const TransactionState = Object.freeze({
+    PENDING: "pending",
+    AUTHORIZED: "authorized",
+    CAPTURED: "captured",
+    PARTIALLY_REFUNDED: "partially-refunded",
+    REFUNDED: "refunded",
+    VOIDED: "voided",
+    FAILED: "failed"
+});
+
+const TRANSITIONS = Object.freeze({
+    [TransactionState.PENDING]: [TransactionState.AUTHORIZED, TransactionState.FAILED],
+    [TransactionState.AUTHORIZED]: [TransactionState.CAPTURED, TransactionState.VOIDED],
+    [TransactionState.CAPTURED]: [TransactionState.PARTIALLY_REFUNDED, TransactionState.REFUNDED],
+    [TransactionState.PARTIALLY_REFUNDED]: [TransactionState.PARTIALLY_REFUNDED, TransactionState.REFUNDED],
+    [TransactionState.REFUNDED]: [],
+    [TransactionState.VOIDED]: [],
+    [TransactionState.FAILED]: []
+});
+
+class PaymentTransaction {
+    constructor({ id, processor, amount, now = () => new Date() }) {
+        this.id = id;
+        this.processor = processor;
+        this.amount = amount;  // Authorized amount
+        this.capturedAmount = Money.zero(amount.currency);
+        this.refundedAmount = Money.zero(amount.currency);
+        this.state = TransactionState.PENDING;
+        this.gatewayReferences = {};  // authorizationId, captureId, refundIds...
+        this.history = [{ state: this.state, at: now() }];
+        this.now = now;
+    }
+
+    canTransition(to) {
+        return TRANSITIONS[this.state].includes(to);
+    }
+
+    // Call BEFORE talking to the gateway so an illegal request never reaches it
+    assertCanTransition(to) {
+        if (!this.canTransition(to)) {
+            throw new IllegalTransitionError(`Cannot move transaction ${this.id} from '${this.state}' to '${to}'`, {
+                transactionId: this.id,
+                from: this.state,
+                to
+            });
+        }
+    }
+
+    transition(to, details = {}) {
+        this.assertCanTransition(to);
+        this.state = to;
+        this.history.push({ state: to, at: this.now(), ...details });
+        return this;
+    }
+
+    // Money still available to refund
+    getRefundable() {
+        return this.capturedAmount.subtract(this.refundedAmount);
+    }
+
+    isTerminal() {
+        return TRANSITIONS[this.state].length === 0;
+    }
+
+    // Plain data copy - safe to hand to callers or log
+    toJSON() {
+        return {
+            id: this.id,
+            processor: this.processor,
+            state: this.state,
+            amount: this.amount.toJSON(),
+            capturedAmount: this.capturedAmount.toJSON(),
+            refundedAmount: this.refundedAmount.toJSON(),
+            gatewayReferences: { ...this.gatewayReferences },
+            history: this.history.map(step => ({ ...step }))
+        };
+    }
+}
+
+module.exports = {
+    PaymentTransaction,
+    TransactionState,
+    TRANSITIONS
+};
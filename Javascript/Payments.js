@@ -0,0 +1,220 @@
+const { randomUUID } = require("crypto");
+const { Money } = require("./Money");
+const { FakeGateway } = require("./FakeGateway");
+const { PaymentTransaction, TransactionState } = require("./PaymentTransaction");
+const { InvalidAmountError, TransactionNotFoundError, IllegalTransitionError } = require("./Errors");
+const { defineInterface, abstractClass } = require("./Interfaces");
+const { defaultLogger } = require("./Logger");
+
+//////////////////////////////////////////// Payment Processors ////////////////////////////////////////////
+
+// 📋 INTERFACE/CONTRACT
+// Every processor supports the two-phase flow real gateways use:
+//   authorize(amount)          -> hold funds, returns a PaymentTransaction
+//   capture(id, amount?)       -> take the held funds (all of them by default)
+//   void(id)                   -> release an authorization that was never captured
+//   refund(id, amount?)        -> give back some or all of a capture
+// processPayment(amount) is the one-shot authorize + capture kept for existing callers.
+const PaymentLifecycle = defineInterface("PaymentLifecycle", {
+    authorize: 1,
+    capture: 2,
+    void: 1,
+    refund: 2
+});
+
+const PaymentProcessor = abstractClass(class PaymentProcessor {
+    constructor({ now = () => new Date(), logger = defaultLogger } = {}) {
+        this.transactions = new Map();
+        this.now = now;
+        this.logger = logger.child({ processor: this.constructor.name });
+    }
+
+    // CONCRETE METHODS - shared by all processors
+
+    // A capture that fails voids the authorization, so the hold doesn't stay open at the gateway;
+    // the capture error is what the caller sees either way
+    async processPayment(amount) {
+        const transaction = await this.authorize(amount);
+        try {
+            await this.capture(transaction.id);
+        } catch (error) {
+            if (transaction.canTransition(TransactionState.VOIDED)) {
+                try {
+                    await this.void(transaction.id);
+                } catch (voidError) {
+                    this.logger.error(`Could not void ${transaction.id} after its capture failed: ${voidError.message}`, {
+                        transactionId: transaction.id,
+                        error: voidError
+                    });
+                }
+            }
+            throw error;
+        }
+        return { success: true, transactionId: transaction.id, amount: transaction.capturedAmount };
+    }
+
+    // Accepts Money or a plain number in major units of `currency`; returns the validated Money.
+    // Capture and refund pass the transaction's currency, so capture(id, 50) on a EUR payment is EUR 50.
+    validatePayment(amount, currency = "USD") {
+        const money = Money.from(amount, currency);
+        if (!money.isPositive()) {
+            throw new InvalidAmountError("Payment amount must be positive", { amount: money });
+        }
+        return money;
+    }
+
+    getTransaction(transactionId) {
+        const transaction = this.transactions.get(transactionId);
+        if (!transaction) {
+            throw new TransactionNotFoundError(`Unknown transaction ${transactionId}`, { transactionId });
+        }
+        return transaction;
+    }
+}, { implements: [PaymentLifecycle] });
+
+
+// Shared authorize/capture/void/refund against a gateway client (FakeGateway by default).
+// Subclasses only say what the payment source is and how to describe it.
+const GatewayPaymentProcessor = abstractClass(class GatewayPaymentProcessor extends PaymentProcessor {
+    constructor({ gateway = new FakeGateway(), prefix = "TX", ...options } = {}) {
+        super(options);
+        this.gateway = gateway;
+        this.prefix = prefix;
+        this.inFlight = new Set();  // Transaction ids with a gateway call outstanding
+    }
+
+    async authorize(amount) {
+        const money = this.validatePayment(amount);
+        const transaction = new PaymentTransaction({
+            id: `${this.prefix}_${randomUUID()}`,
+            processor: this.constructor.name,
+            amount: money,
+            now: this.now
+        });
+        this.transactions.set(transaction.id, transaction);
+
+        this.logger.info(`Authorizing ${money.format()} via ${this.describe()}`, { transactionId: transaction.id });
+        try {
+            const { authorizationId } = await this.gateway.authorize({ source: this.paymentSource(), amount: money });
+            transaction.gatewayReferences.authorizationId = authorizationId;
+            return transaction.transition(TransactionState.AUTHORIZED, { authorizationId });
+        } catch (error) {
+            transaction.transition(TransactionState.FAILED, { reason: error.message });
+            throw error;
+        }
+    }
+
+    async capture(transactionId, amount) {
+        const transaction = this.getTransaction(transactionId);
+        transaction.assertCanTransition(TransactionState.CAPTURED);
+        const { currency } = transaction.amount;
+        const money = amount === undefined ? transaction.amount : this.validatePayment(amount, currency);
+        if (money.greaterThan(transaction.amount)) {
+            throw new InvalidAmountError(`Cannot capture ${money.format()}, only ${transaction.amount.format()} was authorized`, {
+                amount: money
+            });
+        }
+
+        const { captureId } = await this.withLock(transaction, () =>
+            this.gateway.capture(transaction.gatewayReferences.authorizationId, money)
+        );
+        transaction.capturedAmount = money;
+        transaction.gatewayReferences.captureId = captureId;
+        this.logger.info(`Captured ${money.format()} via ${this.describe()}`, { transactionId, captureId });
+        return transaction.transition(TransactionState.CAPTURED, { captureId, amount: money });
+    }
+
+    async void(transactionId) {
+        const transaction = this.getTransaction(transactionId);
+        transaction.assertCanTransition(TransactionState.VOIDED);
+
+        await this.withLock(transaction, () => this.gateway.void(transaction.gatewayReferences.authorizationId));
+        this.logger.info(`Voided authorization ${transaction.id}`, { transactionId });
+        return transaction.transition(TransactionState.VOIDED);
+    }
+
+    async refund(transactionId, amount) {
+        const transaction = this.getTransaction(transactionId);
+        transaction.assertCanTransition(TransactionState.REFUNDED);
+        const refundable = transaction.getRefundable();
+        const money = amount === undefined ? refundable : this.validatePayment(amount, refundable.currency);
+        if (money.greaterThan(refundable)) {
+            throw new InvalidAmountError(`Cannot refund ${money.format()}, only ${refundable.format()} is refundable`, {
+                amount: money
+            });
+        }
+
+        const { refundId } = await this.withLock(transaction, () =>
+            this.gateway.refund(transaction.gatewayReferences.authorizationId, money)
+        );
+        transaction.refundedAmount = transaction.refundedAmount.add(money);
+        transaction.gatewayReferences.refundIds = [...(transaction.gatewayReferences.refundIds || []), refundId];
+        this.logger.info(`Refunded ${money.format()} via ${this.describe()}`, { transactionId, refundId });
+        const next = transaction.getRefundable().isZero() ? TransactionState.REFUNDED : TransactionState.PARTIALLY_REFUNDED;
+        return transaction.transition(next, { refundId, amount: money });
+    }
+
+    // One gateway call per transaction at a time - a second capture/refund racing the first
+    // would otherwise pass the state checks before either one had updated the transaction
+    async withLock(transaction, call) {
+        if (this.inFlight.has(transaction.id)) {
+            throw new IllegalTransitionError(`Transaction ${transaction.id} already has an operation in progress`, {
+                transactionId: transaction.id,
+                from: transaction.state
+            });
+        }
+        this.inFlight.add(transaction.id);
+        try {
+            return await call();
+        } finally {
+            this.inFlight.delete(transaction.id);
+        }
+    }
+}, {
+    abstract: {
+        paymentSource: 0,  // what the gateway should charge, e.g. { type: "card", number, expiry }
+        describe: 0        // human readable description for logs, e.g. "Credit Card ending in 3456"
+    }
+});
+
+
+// 🔧 IMPLEMENTATION
+class CreditCardProcessor extends GatewayPaymentProcessor {
+    constructor(cardNumber, expiryDate, options = {}) {
+        super({ prefix: "CC", ...options });
+        this.cardNumber = cardNumber;
+        this.expiryDate = expiryDate;
+        this.logger = this.logger.child({ cardNumber });  // Masked to the last four digits when written
+    }
+
+    paymentSource() {
+        return { type: "card", number: this.cardNumber, expiry: this.expiryDate };
+    }
+
+    describe() {
+        return `Credit Card ending in ${this.cardNumber.slice(-4)}`;
+    }
+}
+
+class PayPalProcessor extends GatewayPaymentProcessor {
+    constructor(email, options = {}) {
+        super({ prefix: "PP", ...options });
+        this.email = email;
+    }
+
+    paymentSource() {
+        return { type: "paypal", email: this.email };
+    }
+
+    describe() {
+        return `PayPal for ${this.email}`;
+    }
+}
+
+module.exports = {
+    PaymentLifecycle,
+    PaymentProcessor,
+    GatewayPaymentProcessor,
+    CreditCardProcessor,
+    PayPalProcessor
+};
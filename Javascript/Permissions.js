@@ -0,0 +1,182 @@
+const { ForbiddenError } = require("./Errors");
+
+//////////////////////////////////////////// Roles & Permissions ////////////////////////////////////////////
+
+// Roles are granted to objects, and objects inherit them the same way they inherit methods:
+//
+//   grantRole(User, "customer");     // on User.prototype - every User has it, and so does every Ankit
+//   grantRole(Ankit, "seller");      // on Ankit.prototype - only Ankits
+//   grantRole(ankit, "admin");       // just this one object
+//   revokeRole(ankit, "seller");     // this Ankit no longer sells, the others still do
+//   clearRole(ankit, "seller");      // forget that: this Ankit inherits "seller" again
+//
+// Lookups walk the prototype chain from the object up and the nearest grant or revoke wins.
+//
+// An AccessPolicy says what each role may do. A rule is { action, resource, when? }: action and
+// resource may be "*", and when(user, resource) adds a condition on the actual objects
+// (e.g. only sell items you own). A resource's type is its `type` property, else its class name;
+// a plain string is taken as a type name with nothing to check conditions against, so only rules
+// without a `when` match it.
+//
+//   const policy = new AccessPolicy()
+//       .defineRole("seller", [{ action: "sell", resource: "Item", when: (user, item) => item.owner === user }]);
+//   policy.can(ankit, "sell", apple);         // true / false
+//   policy.authorize(ankit, "sell", apple);   // throws ForbiddenError when not allowed
+//   guardAction(User.prototype, "sell", { policy });   // every sell() call is authorized first
+
+const grants = new WeakMap();  // object -> Map(role -> true for granted / false for revoked)
+
+// Constructors stand for their prototype, so grantRole(User, ...) reaches every instance
+function holder(target) {
+    if (typeof target === "function") {
+        return target.prototype;
+    }
+    if (target === null || typeof target !== "object") {
+        throw new TypeError(`Roles can only be granted to objects and constructors, got ${target}`);
+    }
+    return target;
+}
+
+function decide(target, role, granted) {
+    if (typeof role !== "string" || role === "") {
+        throw new TypeError(`Role must be a non-empty string, got ${role}`);
+    }
+    const object = holder(target);
+    if (!grants.has(object)) {
+        grants.set(object, new Map());
+    }
+    grants.get(object).set(role, granted);
+    return target;
+}
+
+function grantRole(target, role) {
+    return decide(target, role, true);
+}
+
+function revokeRole(target, role) {
+    return decide(target, role, false);
+}
+
+// Removes the object's own grant or revoke, leaving whatever its prototypes decide
+function clearRole(target, role) {
+    const own = grants.get(holder(target));
+    if (own) {
+        own.delete(role);
+    }
+    return target;
+}
+
+// Every role the object has, own and inherited, nearest decision first
+function rolesOf(target) {
+    const decided = new Map();
+    for (let object = holder(target); object; object = Object.getPrototypeOf(object)) {
+        (grants.get(object) || new Map()).forEach((granted, role) => {
+            if (!decided.has(role)) {
+                decided.set(role, granted);
+            }
+        });
+    }
+    return [...decided].filter(([, granted]) => granted).map(([role]) => role);
+}
+
+function hasRole(target, role) {
+    return rolesOf(target).includes(role);
+}
+
+function resourceType(resource) {
+    if (typeof resource === "string") {
+        return resource;
+    }
+    if (resource === null || resource === undefined) {
+        return "*";
+    }
+    return resource.type || (resource.constructor && resource.constructor.name) || typeof resource;
+}
+
+// Conditions need an object to look at - not a type name, and not nothing
+function hasObject(resource) {
+    return typeof resource !== "string" && resource !== null && resource !== undefined;
+}
+
+function describeSubject(user) {
+    return (user && user.name) || resourceType(user);
+}
+
+class AccessPolicy {
+    constructor() {
+        this.roles = new Map();  // role -> [{ action, resource, when }]
+    }
+
+    // Defining a role again adds to its rules
+    defineRole(role, rules = []) {
+        rules.forEach(rule => {
+            if (typeof rule.action !== "string" || typeof rule.resource !== "string") {
+                throw new TypeError(`Rules for role '${role}' need an action and a resource (or "*")`);
+            }
+            if (rule.when !== undefined && typeof rule.when !== "function") {
+                throw new TypeError(`Condition for '${rule.action}' on '${rule.resource}' must be a function`);
+            }
+        });
+        this.roles.set(role, [...(this.roles.get(role) || []), ...rules]);
+        return this;
+    }
+
+    // -> { allowed, role, rule } for the first rule that allows it, or { allowed: false, roles }
+    check(user, action, resource) {
+        const type = resourceType(resource);
+        const roles = rolesOf(user);
+        for (const role of roles) {
+            const rule = (this.roles.get(role) || []).find(candidate =>
+                (candidate.action === "*" || candidate.action === action)
+                && (candidate.resource === "*" || candidate.resource === type)
+                && (!candidate.when || (hasObject(resource) && candidate.when(user, resource))));
+            if (rule) {
+                return { allowed: true, role, rule };
+            }
+        }
+        return { allowed: false, roles };
+    }
+
+    can(user, action, resource) {
+        return this.check(user, action, resource).allowed;
+    }
+
+    authorize(user, action, resource) {
+        const decision = this.check(user, action, resource);
+        if (!decision.allowed) {
+            const type = resourceType(resource);
+            throw new ForbiddenError(
+                `${describeSubject(user)} may not ${action} ${type}` +
+                ` (roles: ${decision.roles.length > 0 ? decision.roles.join(", ") : "none"})`,
+                { user: describeSubject(user), action, resource: type, roles: decision.roles }
+            );
+        }
+        return decision;
+    }
+}
+
+// Replaces target[method] with a version that authorizes `this` first. resource(...args) picks the
+// resource out of the call's arguments (the first one by default).
+function guardAction(target, method, { policy, action = method, resource = (...args) => args[0] }) {
+    const original = target[method];
+    if (typeof original !== "function") {
+        throw new TypeError(`Cannot guard '${method}': it is not a method`);
+    }
+    const guarded = function(...args) {
+        policy.authorize(this, action, resource(...args));
+        return original.apply(this, args);
+    };
+    Object.defineProperty(guarded, "name", { value: original.name || method });
+    target[method] = guarded;
+    return original;
+}
+
+module.exports = {
+    AccessPolicy,
+    grantRole,
+    revokeRole,
+    clearRole,
+    rolesOf,
+    hasRole,
+    guardAction
+};
@@ -1,5 +1,14 @@
 //// Inheritance
 
+// Only definitions live here - requiring this file runs nothing. The demos are in examples/:
+//   node examples            lists them
+//   node examples <name>     runs one on its own
+//
+// The classes below report what they do through an injectable Logger (levels, child loggers with
+// bound context, pretty or JSON lines, secrets and card numbers redacted) - see Logger.js.
+// Pass { logger } to any of them, or set LOG_LEVEL / LOG_FORMAT for the default one: node examples logging
+const { Logger, defaultLogger } = require("./Logger");
+
 class Animal {
     constructor(name, weight) {
         this.name = name;
@@ -28,14 +37,12 @@ class Dog extends Animal {
     }
 }
 
-const dog = new Dog("Rex", 10, "German Shepherd");
-
-// dog.eat();
+// new Dog("Rex", 10, "German Shepherd").eat();  ->  node examples inheritance
 
 
 /// Prototype
 
-let user  = {
+const user = {
     name: "John",
     age: 20,
     greet() {
@@ -54,8 +61,9 @@ function User(name, age) {
     this.age = age;
 }
 
+// stuff: whatever is being sold - a name, or an Item (see Roles & permissions below)
 User.prototype.sell = function(stuff) {
-    console.log(`${this.name} is selling, ${stuff}`);
+    console.log(`${this.name} is selling, ${stuff instanceof Item ? stuff.name : stuff}`);
 }
 
 User.prototype.greet = function() {
@@ -73,11 +81,58 @@ class Ankit extends User {
     }
 }
 
-let ankit = new Ankit("Ankit", 20, "Software Engineer");
 
-// ankit.greet();
-// ankit.sell("Apple");
-// ankit.work();
+/// Roles & permissions - see Permissions.js
+// Roles sit on objects and are inherited like methods: a role granted to User.prototype reaches every
+// Ankit too, while one granted to Ankit.prototype stays with Ankits.
+const { AccessPolicy, grantRole, revokeRole, clearRole, hasRole, rolesOf, guardAction } = require("./Permissions");
+
+class Item {
+    constructor(name, owner) {
+        this.name = name;
+        this.owner = owner;
+    }
+}
+
+const marketplace = new AccessPolicy()
+    .defineRole("customer", [{ action: "buy", resource: "Item", when: (user, item) => item.owner !== user }])
+    .defineRole("seller", [{ action: "sell", resource: "Item", when: (user, item) => item.owner === user }])
+    .defineRole("moderator", [{ action: "*", resource: "Item" }]);
+
+function can(user, action, resource) {
+    return marketplace.can(user, action, resource);
+}
+
+// Nothing is granted or guarded until this runs, so requiring this file leaves User and Ankit as they
+// are. Returns a function that takes it all back; calling it again while set up returns the same one.
+let teardownMarketplace = null;
+
+function setupMarketplace() {
+    if (teardownMarketplace) {
+        return teardownMarketplace;
+    }
+    // Teardown removes exactly the grants made here, and leaves any that were already there
+    const added = [];
+    const grant = (target, role) => {
+        if (!hasRole(target, role)) {
+            grantRole(target, role);
+            added.push([target, role]);
+        }
+    };
+    grant(User, "customer");  // Every User - Ankits included
+    grant(Ankit, "seller");   // Only Ankits - and only what they own
+    // Unauthorized calls throw ForbiddenError instead of selling - strings included, they aren't Items
+    const unguardedSell = guardAction(User.prototype, "sell", { policy: marketplace });
+    teardownMarketplace = () => {
+        User.prototype.sell = unguardedSell;
+        added.forEach(([target, role]) => clearRole(target, role));
+        teardownMarketplace = null;
+    };
+    return teardownMarketplace;
+}
+
+// node examples permissions
+
 
 
 
@@ -103,11 +158,7 @@ function User1(name, age) {
     }
 }
 
-let userBalance = new User1("John", 20);
-
-userBalance.greet();
-userBalance.sell("Apple", 100);
-console.log(userBalance.getBalance());
+// node examples encapsulation
 
 
 // /// WRONG : "this" context inside the return object is not the same as the "this" context of the function
@@ -134,113 +185,21 @@ console.log(userBalance.getBalance());
 // More example of closures w.r.t. classes
 
 // Example 1: Private variables using closures in classes
-class BankAccount {
-    constructor(initialBalance) {
-        let balance = initialBalance; // Private variable through closure
-        
-        this.deposit = function(amount) {
-            balance += amount;
-            console.log(`Deposited $${amount}. New balance: $${balance}`);
-        };
-        
-        this.withdraw = function(amount) {
-            if (amount <= balance) {
-                balance -= amount;
-                console.log(`Withdrew $${amount}. New balance: $${balance}`);
-            } else {
-                console.log("Insufficient funds!");
-            }
-        };
-        
-        this.getBalance = function() {
-            return balance; // Closure access to private variable
-        };
-    }
-}
-
-const account = new BankAccount(1000);
-account.deposit(500);
-account.withdraw(200);
-console.log(`Current balance: $${account.getBalance()}`);
-// console.log(account.balance); // undefined - truly private!
+// BankAccount keeps its balance and ledger inside the constructor closure - see BankAccount.js
+const { BankAccount, StrictOverdraftPolicy, FixedLimitOverdraftPolicy, FeeOverdraftPolicy, transfer } = require("./BankAccount");
+const { Money } = require("./Money");
 
 // Example 2: Factory methods that create closures
-class TaskManager {
-    constructor() {
-        this.tasks = [];
-    }
-    
-    createTask(name) {
-        let completed = false;
-        let taskId = Date.now();
-        
-        const task = {
-            getName: () => name,
-            getId: () => taskId,
-            complete: () => {
-                completed = true;
-                console.log(`Task "${name}" completed!`);
-            },
-            isCompleted: () => completed,
-            getStatus: () => `Task: ${name}, ID: ${taskId}, Completed: ${completed}`
-        };
-        
-        this.tasks.push(task);
-        return task;
-    }
-    
-    getAllTasks() {
-        return this.tasks;
-    }
-}
-
-const manager = new TaskManager();
-const task1 = manager.createTask("Learn JavaScript");
-const task2 = manager.createTask("Build a project");
-
-console.log(task1.getStatus());
-task1.complete();
-console.log(task1.getStatus());
+// Each task's state lives in the closure created by createTask - see TaskManager.js
+const { TaskManager } = require("./TaskManager");
+const { InMemoryTaskStorage, JsonFileTaskStorage } = require("./TaskStorage");
+const { TaskScheduler } = require("./TaskScheduler");
 
 // Example 3: Event handlers with closure
-class Counter {
-    constructor(startValue = 0) {
-        this.count = startValue;
-    }
-    
-    // Returns a function that captures the current instance
-    getIncrementer() {
-        return () => {
-            this.count++;
-            console.log(`Count: ${this.count}`);
-        };
-    }
-    
-    // Returns a function that captures custom increment value
-    getCustomIncrementer(increment) {
-        return () => {
-            this.count += increment;
-            console.log(`Count increased by ${increment}: ${this.count}`);
-        };
-    }
-    
-    // Simulate event handler
-    setupEventHandler() {
-        const handler = (eventType) => {
-            console.log(`Event "${eventType}" triggered. Current count: ${this.count}`);
-            this.count++;
-        };
-        return handler;
-    }
-}
+// Counter is observable and bounded - see Counter.js
+const { Counter } = require("./Counter");
 
-const counter = new Counter(10);
-const increment = counter.getIncrementer();
-const incrementBy5 = counter.getCustomIncrementer(5);
-
-increment(); // Count: 11
-increment(); // Count: 12
-incrementBy5(); // Count increased by 5: 17
+// node examples bank-account | tasks | counter
 
 
 // IMPORTANT: Understanding `this` in Closures - Arrow vs Regular Functions
@@ -289,89 +248,13 @@ class ThisContextDemo {
     }
 }
 
-const demo = new ThisContextDemo("TestObject");
-
-// Test different approaches
-const arrowFunc = demo.getArrowFunction();
-const regularFunc = demo.getRegularFunction();
-const closureFunc = demo.getClosureFunction();
-const boundFunc = demo.getBoundFunction();
-
-console.log("=== Testing Arrow Function (WORKS) ===");
-arrowFunc();  // Works fine
-arrowFunc();  // Works fine
-
-console.log("\n=== Testing Regular Function (BREAKS) ===");
-try {
-    regularFunc();  // Will throw error or show undefined
-} catch (error) {
-    console.log("Error:", error.message);
-}
-
-console.log("\n=== Testing Closure Function (WORKS) ===");
-closureFunc();  // Works with closure variables
-closureFunc();  // Works with closure variables
-
-console.log("\n=== Testing Bound Function (WORKS) ===");
-boundFunc();  // Works with explicit binding
-boundFunc();  // Works with explicit binding
-
-// Real-world example showing the difference
-class EventHandler {
-    constructor(elementName) {
-        this.elementName = elementName;
-        this.clickCount = 0;
-    }
-    
-    // ❌ WRONG WAY: Regular function loses `this`
-    getWrongClickHandler() {
-        return function(event) {
-            this.clickCount++;  // `this` is NOT the EventHandler instance
-            console.log(`${this.elementName} clicked ${this.clickCount} times`);
-        };
-    }
-    
-    // ✅ RIGHT WAY: Arrow function preserves `this`
-    getCorrectClickHandler() {
-        return (event) => {
-            this.clickCount++;  // `this` IS the EventHandler instance
-            console.log(`${this.elementName} clicked ${this.clickCount} times`);
-        };
-    }
-    
-    // ✅ ALTERNATIVE WAY: Using closure variables
-    getClosureClickHandler() {
-        let clickCount = 0;
-        const elementName = this.elementName;
-        
-        return function(event) {
-            clickCount++;
-            console.log(`${elementName} clicked ${clickCount} times`);
-        };
-    }
-}
-
-console.log("\n=== Real-world Event Handler Example ===");
-const handler = new EventHandler("Button");
-
-const wrongHandler = handler.getWrongClickHandler();
-const correctHandler = handler.getCorrectClickHandler();
-const closureHandler = handler.getClosureClickHandler();
-
-console.log("Wrong handler (will fail):");
-try {
-    wrongHandler();  // Fails
-} catch (error) {
-    console.log("Error:", error.message);
-}
+// Real-world example showing the difference - see EventHandler.js
+const { EventHandler } = require("./EventHandler");
 
-console.log("Correct handler (arrow function):");
-correctHandler();  // Works
-correctHandler();  // Works
+// Tools for the same bugs - see ThisBinding.js
+const { bindAll, autoBind, guardThis } = require("./ThisBinding");
 
-console.log("Closure handler (captured variables):");
-closureHandler();  // Works
-closureHandler();  // Works
+// node examples this-binding | event-handler
 
 
 
@@ -384,19 +267,28 @@ closureHandler();  // Works
 // 🔄 POLYMORPHISM - Different objects can be used interchangeably
 
 // Example 1: Basic Polymorphism - Method Overriding
-class Animal1 {
+// The contract is checked when a subclass is first created, not when a missing method is finally called - see Interfaces.js
+const { defineInterface, abstractClass } = require("./Interfaces");
+
+const Speaker = defineInterface("Speaker", { makeSound: 0 }, {
+    // Default mixed into every implementer that doesn't write its own
+    defaults: {
+        introduce() {
+            console.log(`Say hello to ${this.name}:`);
+            this.makeSound();
+        }
+    }
+});
+
+const Animal1 = abstractClass(class Animal1 {
     constructor(name) {
         this.name = name;
     }
 
-    makeSound() {
-        throw new Error("Method 'makeSound' must be implemented.");
-    }
-    
     move() {
         console.log(`${this.name} is moving`);
     }
-}
+}, { implements: [Speaker] });
 
 class Dog1 extends Animal1 {
     makeSound() {
@@ -418,108 +310,28 @@ class Cat1 extends Animal1 {
     }
 }
 
-// Polymorphism in action - same method call, different behaviors
-const animals = [
-    new Dog1("Rex"),
-    new Cat1("Whiskers")
-];
-
-console.log("=== Polymorphism Example 1: Method Overriding ===");
-animals.forEach(animal => {
-    animal.makeSound();  // Different implementation for each animal
-    animal.move();       // Different movement behavior
-    console.log("---");
-});
+// Polymorphism in action - same method call, different behaviors: node examples polymorphism
 
 // Example 2: Interface-like Polymorphism - Payment Processing
-class PaymentProcessor {
-    processPayment(amount) {
-        throw new Error("Method 'processPayment' must be implemented.");
-    }
-    
-    validatePayment(amount) {
-        if (amount <= 0) {
-            throw new Error("Payment amount must be positive");
-        }
-        return true;
-    }
-}
+// PaymentProcessor, CreditCardProcessor and PayPalProcessor live in Payments.js.
+// They share one async contract - authorize / capture / void / refund - so checkout works with any of them.
+const { PaymentProcessor, CreditCardProcessor, PayPalProcessor } = require("./Payments");
 
-class CreditCardProcessor extends PaymentProcessor {
-    constructor(cardNumber, expiryDate) {
-        super();
-        this.cardNumber = cardNumber;
-        this.expiryDate = expiryDate;
-    }
-    
-    processPayment(amount) {
-        this.validatePayment(amount);
-        console.log(`Processing $${amount} via Credit Card ending in ${this.cardNumber.slice(-4)}`);
-        console.log("Credit card payment successful!");
-        return { success: true, transactionId: `CC_${Date.now()}` };
-    }
-}
-
-class PayPalProcessor extends PaymentProcessor {
-    constructor(email) {
-        super();
-        this.email = email;
-    }
-    
-    processPayment(amount) {
-        this.validatePayment(amount);
-        console.log(`Processing $${amount} via PayPal for ${this.email}`);
-        console.log("PayPal payment successful!");
-        return { success: true, transactionId: `PP_${Date.now()}` };
-    }
-}
-
-
-// E-commerce checkout system using polymorphism
-class ShoppingCart {
-    constructor() {
-        this.items = [];
-        this.total = 0;
-    }
-    
-    addItem(item, price) {
-        this.items.push({ item, price });
-        this.total += price;
-    }
-    
-    // Polymorphic method - works with any PaymentProcessor
-    checkout(paymentProcessor) {
-        console.log(`\nChecking out ${this.items.length} items totaling $${this.total}`);
-        
-        try {
-            const result = paymentProcessor.processPayment(this.total);
-            console.log(`Transaction ID: ${result.transactionId}`);
-            this.items = [];
-            this.total = 0;
-            return result;
-        } catch (error) {
-            console.log(`Payment failed: ${error.message}`);
-            return { success: false, error: error.message };
-        }
-    }
-}
+// Two-phase flow - hold the money first, take it later, refund part of it: node examples payments
 
-// console.log("\n=== Polymorphism Example 2: Payment Processing ===");
-// const cart = new ShoppingCart();
-// cart.addItem("Laptop", 999.99);
-// cart.addItem("Mouse", 29.99);
+// E-commerce checkout system using polymorphism - see ShoppingCart.js
+// checkout() takes any PaymentProcessor, or a registered name + config:
+//   cart.checkout(new PayPalProcessor(email))  ===  cart.checkout("paypal", { email })
+const { ShoppingCart } = require("./ShoppingCart");
+const { CryptoProcessor } = require("./CryptoProcessor");
 
-// // Same checkout method, different payment processors
-// const creditCard = new CreditCardProcessor("1234567890123456", "12/25");
-// const paypal = new PayPalProcessor("user@example.com");
-// const bitcoin = new CryptoProcessor("1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa", "Bitcoin");
+// Address checks, fraud screening, receipts... plug in as checkout middleware - see CheckoutPipeline.js
+// Stock: with an Inventory, carts hold units from the catalog until checkout - see Inventory.js
+const { Catalog, Inventory } = require("./Inventory");
+// A paid checkout places an Order (result.order) that ships, delivers, cancels or gets returned - see Orders.js
+const { Order, OrderBook, OrderState } = require("./Orders");
 
-// // Polymorphism: same method call, different implementations
-// cart.checkout(creditCard);
-// cart.addItem("Keyboard", 79.99);
-// cart.checkout(paypal);
-// cart.addItem("Monitor", 299.99);
-// cart.checkout(bitcoin);
+// node examples checkout | checkout-middleware | pricing | inventory | orders
 
 
 
@@ -553,65 +365,15 @@ class ShoppingCart {
 
 
 
-// Abstract class - cannot be instantiated
-class AbstractVehicle {
-    constructor(brand, model) {
-        // Prevent direct instantiation
-        if (this.constructor === AbstractVehicle) {
-            throw new Error("Cannot instantiate abstract class");
-        }
-        
-        this.brand = brand;
-        this.model = model;
-    }
-    
-    // ABSTRACT METHODS - must be implemented by children
-    start() {
-        throw new Error("Abstract method 'start' must be implemented");
-    }
-    
-    stop() {
-        throw new Error("Abstract method 'stop' must be implemented");
-    }
-    
-    // CONCRETE METHODS - shared by all children
-    getInfo() {
-        return `${this.brand} ${this.model}`;
-    }
-    
-    honk() {
-        console.log(`${this.getInfo()} is honking!`);
-    }
-}
+// AbstractVehicle, Car, Motorcycle and ElectricCar live in Vehicles.js. The abstract class owns the
+// state machine (off / idling / moving / refuelling), fuel or charge level, speed and odometer;
+// children only supply ignition() and their numbers.
+const { AbstractVehicle, Car, Motorcycle, ElectricCar } = require("./Vehicles");
+const { Fleet } = require("./Fleet");
 
-// Concrete implementations
-class Car extends AbstractVehicle {
-    start() {
-        console.log(`${this.getInfo()} engine started with key`);
-    }
-    
-    stop() {
-        console.log(`${this.getInfo()} engine stopped`);
-    }
-}
-
-class Motorcycle extends AbstractVehicle {
-    start() {
-        console.log(`${this.getInfo()} started with kick/button`);
-    }
-    
-    stop() {
-        console.log(`${this.getInfo()} engine stopped`);
-    }
-}
-
-
-// ❌ This will throw an error
-const vehicle = new AbstractVehicle("Generic", "Vehicle");
-
-// ✅ This works fine
-const car = new Car("Toyota", "Camry");
-const motorcycle = new Motorcycle("Harley", "Davidson");
+// ❌ new AbstractVehicle("Generic", "Vehicle") throws, and so does a child that gets ignition() wrong
+// ✅ new Car("Toyota", "Camry") works fine
+// node examples vehicles | fleet
 
 // // Polymorphism in action
 // const vehicles = [car, motorcycle];
@@ -621,11 +383,55 @@ const motorcycle = new Motorcycle("Harley", "Davidson");
 //     vehicle.stop();     // Different implementation for each
 // });
 
-
-
-
-
-
-
-
-
+module.exports = {
+    Logger,
+    defaultLogger,
+    Animal,
+    Dog,
+    user,
+    User,
+    Ankit,
+    Item,
+    marketplace,
+    setupMarketplace,
+    can,
+    grantRole,
+    revokeRole,
+    rolesOf,
+    User1,
+    BankAccount,
+    StrictOverdraftPolicy,
+    FixedLimitOverdraftPolicy,
+    FeeOverdraftPolicy,
+    transfer,
+    Money,
+    TaskManager,
+    InMemoryTaskStorage,
+    JsonFileTaskStorage,
+    TaskScheduler,
+    Counter,
+    ThisContextDemo,
+    EventHandler,
+    bindAll,
+    autoBind,
+    guardThis,
+    Speaker,
+    Animal1,
+    Dog1,
+    Cat1,
+    PaymentProcessor,
+    CreditCardProcessor,
+    PayPalProcessor,
+    CryptoProcessor,
+    ShoppingCart,
+    Catalog,
+    Inventory,
+    Order,
+    OrderBook,
+    OrderState,
+    AbstractVehicle,
+    Car,
+    Motorcycle,
+    ElectricCar,
+    Fleet
+};
@@ -0,0 +1,253 @@
+const { Money } = require("./Money");
+const { InvalidAmountError } = require("./Errors");
+
+//////////////////////////////////////////// Pricing Pipeline ////////////////////////////////////////////
+
+// A cart's price is worked out from scratch every time by running its line items through a list of steps.
+// Each step has a `kind` and an apply(breakdown) that returns one adjustment (or null when it doesn't apply):
+//   discount  -> { code, description, amount }     e.g. coupons, buy-X-get-Y deals
+//   shipping  -> { method, amount }                last shipping step wins
+//   tax       -> { region, rate, amount }
+// Steps run discount -> shipping -> tax regardless of the order they were added in,
+// so tax and free-shipping thresholds always see the discounted subtotal.
+
+const PHASES = ["discount", "shipping", "tax"];
+
+// Recomputes every derived figure on the breakdown - called after each step
+function withTotals(breakdown) {
+    const zero = Money.zero(breakdown.currency);
+    const discountTotal = Money.sum(breakdown.discounts.map(discount => discount.amount), breakdown.currency);
+    const discountedSubtotal = breakdown.subtotal.subtract(discountTotal);
+    const shippingAmount = breakdown.shipping ? breakdown.shipping.amount : zero;
+    const taxTotal = Money.sum(breakdown.taxes.map(tax => tax.amount), breakdown.currency);
+    return {
+        ...breakdown,
+        discountTotal,
+        discountedSubtotal,
+        taxTotal,
+        total: discountedSubtotal.add(shippingAmount).add(taxTotal)
+    };
+}
+
+class PricingPipeline {
+    constructor(steps = []) {
+        this.steps = [];
+        steps.forEach(step => this.use(step));
+    }
+
+    use(step) {
+        if (!PHASES.includes(step.kind) || typeof step.apply !== "function") {
+            throw new TypeError(`Pricing step must have kind ${PHASES.join("/")} and an apply() method`);
+        }
+        this.steps.push(step);
+        return this;
+    }
+
+    // lines: [{ sku, name, quantity, unitPrice }]; extraSteps are per-cart (applied coupons)
+    price({ lines, currency = "USD", region = null, extraSteps = [] }) {
+        const pricedLines = lines.map(line => Object.freeze({
+            ...line,
+            lineTotal: line.unitPrice.multiply(line.quantity)
+        }));
+        let breakdown = withTotals({
+            currency,
+            region,
+            lines: pricedLines,
+            itemCount: pricedLines.reduce((count, line) => count + line.quantity, 0),
+            subtotal: Money.sum(pricedLines.map(line => line.lineTotal), currency),
+            discounts: [],
+            shipping: null,
+            taxes: []
+        });
+
+        const steps = [...this.steps, ...extraSteps];
+        PHASES.forEach(phase => {
+            steps.filter(step => step.kind === phase).forEach(step => {
+                const adjustment = step.apply(breakdown);
+                if (!adjustment) {
+                    return;
+                }
+                if (phase === "discount") {
+                    // Never discount below zero
+                    const amount = adjustment.amount.greaterThan(breakdown.discountedSubtotal)
+                        ? breakdown.discountedSubtotal
+                        : adjustment.amount;
+                    if (amount.isPositive()) {
+                        breakdown = withTotals({ ...breakdown, discounts: [...breakdown.discounts, { ...adjustment, amount }] });
+                    }
+                } else if (phase === "shipping") {
+                    breakdown = withTotals({ ...breakdown, shipping: adjustment });
+                } else {
+                    breakdown = withTotals({ ...breakdown, taxes: [...breakdown.taxes, adjustment] });
+                }
+            });
+        });
+
+        if (!breakdown.shipping) {
+            breakdown = withTotals({ ...breakdown, shipping: { method: "none", amount: Money.zero(currency) } });
+        }
+        return Object.freeze(breakdown);
+    }
+}
+
+
+// ---------- Discounts ----------
+
+function checkPercent(percent) {
+    if (typeof percent !== "number" || !Number.isFinite(percent) || percent <= 0 || percent > 100) {
+        throw new InvalidAmountError(`Percentage must be between 0 and 100, got ${percent}`, { amount: percent });
+    }
+    return percent;
+}
+
+// 10% off everything, optionally only above a minimum spend
+class PercentageCoupon {
+    constructor(code, percent, { minSubtotal = 0 } = {}) {
+        this.kind = "discount";
+        this.code = code;
+        this.percent = checkPercent(percent);
+        this.minSubtotal = minSubtotal;
+    }
+
+    apply(breakdown) {
+        if (breakdown.subtotal.lessThan(Money.from(this.minSubtotal, breakdown.currency))) {
+            return null;
+        }
+        return {
+            code: this.code,
+            description: `${this.percent}% off`,
+            amount: breakdown.discountedSubtotal.multiply(this.percent / 100)
+        };
+    }
+}
+
+// $15 off, optionally only above a minimum spend
+class FixedCoupon {
+    constructor(code, amount, { minSubtotal = 0 } = {}) {
+        this.kind = "discount";
+        this.code = code;
+        this.amount = amount;
+        this.minSubtotal = minSubtotal;
+    }
+
+    apply(breakdown) {
+        if (breakdown.subtotal.lessThan(Money.from(this.minSubtotal, breakdown.currency))) {
+            return null;
+        }
+        const amount = Money.from(this.amount, breakdown.currency);
+        return { code: this.code, description: `${amount.format()} off`, amount };
+    }
+}
+
+// Buy 2 get 1 free: every (buy + get) units of the SKU, `get` of them cost nothing
+class BuyXGetY {
+    constructor(sku, buy, get) {
+        if (!Number.isInteger(buy) || !Number.isInteger(get) || buy < 1 || get < 1) {
+            throw new InvalidAmountError(`Buy/get counts must be positive integers, got ${buy}/${get}`);
+        }
+        this.kind = "discount";
+        this.sku = sku;
+        this.buy = buy;
+        this.get = get;
+    }
+
+    apply(breakdown) {
+        const line = breakdown.lines.find(candidate => candidate.sku === this.sku);
+        if (!line) {
+            return null;
+        }
+        const freeUnits = Math.floor(line.quantity / (this.buy + this.get)) * this.get;
+        if (freeUnits === 0) {
+            return null;
+        }
+        return {
+            code: `BUY${this.buy}GET${this.get}-${this.sku}`,
+            description: `Buy ${this.buy} get ${this.get} free on ${line.name}`,
+            amount: line.unitPrice.multiply(freeUnits)
+        };
+    }
+}
+
+
+// ---------- Shipping ----------
+
+class FlatRateShipping {
+    constructor(amount) {
+        this.kind = "shipping";
+        this.amount = amount;
+    }
+
+    apply(breakdown) {
+        if (breakdown.itemCount === 0) {
+            return null;
+        }
+        return { method: "flat-rate", amount: Money.from(this.amount, breakdown.currency) };
+    }
+}
+
+class PerItemShipping {
+    constructor(perItem, { base = 0 } = {}) {
+        this.kind = "shipping";
+        this.perItem = perItem;
+        this.base = base;
+    }
+
+    apply(breakdown) {
+        if (breakdown.itemCount === 0) {
+            return null;
+        }
+        const perItem = Money.from(this.perItem, breakdown.currency).multiply(breakdown.itemCount);
+        return { method: "per-item", amount: Money.from(this.base, breakdown.currency).add(perItem) };
+    }
+}
+
+// Free once the discounted subtotal reaches the threshold, otherwise defer to another calculator
+class FreeShippingOver {
+    constructor(threshold, otherwise) {
+        this.kind = "shipping";
+        this.threshold = threshold;
+        this.otherwise = otherwise;
+    }
+
+    apply(breakdown) {
+        if (!breakdown.discountedSubtotal.lessThan(Money.from(this.threshold, breakdown.currency))) {
+            return { method: "free", amount: Money.zero(breakdown.currency) };
+        }
+        return this.otherwise.apply(breakdown);
+    }
+}
+
+
+// ---------- Tax ----------
+
+// rates: { "US-CA": 0.0725, "US-NY": 0.04, "GB": 0.2 } - looked up by the cart's region
+class RegionTaxRule {
+    constructor(rates, { defaultRate = 0, includeShipping = false } = {}) {
+        this.kind = "tax";
+        this.rates = rates;
+        this.defaultRate = defaultRate;
+        this.includeShipping = includeShipping;
+    }
+
+    apply(breakdown) {
+        const rate = this.rates[breakdown.region] ?? this.defaultRate;
+        if (!rate) {
+            return null;
+        }
+        const taxable = this.includeShipping && breakdown.shipping
+            ? breakdown.discountedSubtotal.add(breakdown.shipping.amount)
+            : breakdown.discountedSubtotal;
+        return { region: breakdown.region, rate, amount: taxable.multiply(rate) };
+    }
+}
+
+module.exports = {
+    PricingPipeline,
+    PercentageCoupon,
+    FixedCoupon,
+    BuyXGetY,
+    FlatRateShipping,
+    PerItemShipping,
+    FreeShippingOver,
+    RegionTaxRule
+};
@@ -0,0 +1,56 @@
+const { CreditCardProcessor, PayPalProcessor } = require("./Payments");
+const { CryptoProcessor } = require("./CryptoProcessor");
+const { UnknownProcessorError } = require("./Errors");
+
+//////////////////////////////////////////// Processor Registry ////////////////////////////////////////////
+
+// Maps a processor name to a factory (config) => PaymentProcessor,
+// so callers can say checkout("paypal", { email }) instead of constructing the processor themselves.
+class ProcessorRegistry {
+    constructor() {
+        this.factories = new Map();
+    }
+
+    register(name, factory) {
+        if (typeof factory !== "function") {
+            throw new TypeError(`Factory for processor '${name}' must be a function`);
+        }
+        this.factories.set(name, factory);
+        return this;
+    }
+
+    unregister(name) {
+        return this.factories.delete(name);
+    }
+
+    has(name) {
+        return this.factories.has(name);
+    }
+
+    list() {
+        return [...this.factories.keys()];
+    }
+
+    create(name, config = {}) {
+        const factory = this.factories.get(name);
+        if (!factory) {
+            throw new UnknownProcessorError(`No payment processor registered as '${name}'. Known: ${this.list().join(", ")}`, {
+                processor: name
+            });
+        }
+        return factory(config);
+    }
+}
+
+// Registry pre-loaded with every processor in this folder
+function createDefaultRegistry() {
+    return new ProcessorRegistry()
+        .register("credit-card", ({ cardNumber, expiryDate, ...options }) => new CreditCardProcessor(cardNumber, expiryDate, options))
+        .register("paypal", ({ email, ...options }) => new PayPalProcessor(email, options))
+        .register("crypto", ({ address, network, ...options }) => new CryptoProcessor(address, network, options));
+}
+
+module.exports = {
+    ProcessorRegistry,
+    createDefaultRegistry
+};
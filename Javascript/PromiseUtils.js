@@ -0,0 +1,306 @@
+const { TimeoutError } = require("./Errors");
+
+//////////////////////////////////////////// Promise Utilities ////////////////////////////////////////////
+
+// Between Promise.all (first failure wins) and Promise.allSettled (wait for everything):
+//   pLimit(n)                       - run at most n tasks at once
+//   mapConcurrent(items, fn, { concurrency })
+//   pTimeout(task, ms)              - reject with TimeoutError if it takes too long
+//   pRetry(task, { retries })       - try again with exponential backoff
+//   pAny(tasks)                     - first success; AggregateError with every failure otherwise
+//   pSettleWithinDeadline(tasks, ms) - allSettled, but stop waiting at the deadline
+//
+// A "task" is either a promise or a function (signal) => promise. Functions are better: they get an
+// AbortSignal that fires when the result is no longer wanted (timeout, a sibling won, deadline passed),
+// so they can stop their work. Every helper also takes { signal } from the caller; aborting it rejects
+// with signal.reason. Results always come back in input order. Helpers that wait take { clock } -
+// anything with setTimeout/clearTimeout - so tests can run them on virtual time.
+
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw signal.reason;
+    }
+}
+
+// Settles like promise, but rejects with signal.reason as soon as signal aborts
+function raceAbort(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener("abort", onAbort, { once: true });
+        promise.then(
+            value => {
+                signal.removeEventListener("abort", onAbort);
+                resolve(value);
+            },
+            error => {
+                signal.removeEventListener("abort", onAbort);
+                reject(error);
+            }
+        );
+    });
+}
+
+// Controller that also aborts when the caller's signal does. Call unlink() once the operation
+// settles, so a long-lived caller signal doesn't keep one listener per call.
+function linkedController(signal) {
+    const controller = new AbortController();
+    let unlink = () => {};
+    if (signal) {
+        if (signal.aborted) {
+            controller.abort(signal.reason);
+        } else {
+            const onAbort = () => controller.abort(signal.reason);
+            signal.addEventListener("abort", onAbort, { once: true });
+            unlink = () => signal.removeEventListener("abort", onAbort);
+        }
+    }
+    return { controller, unlink };
+}
+
+function runTask(task, signal) {
+    try {
+        return Promise.resolve(typeof task === "function" ? task(signal) : task);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+}
+
+// What the helpers wait on unless they are given a clock
+const realTimers = Object.freeze({
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: (timer) => clearTimeout(timer)
+});
+
+function sleep(ms, signal, clock) {
+    return raceAbort(new Promise(resolve => {
+        const onAbort = () => clock.clearTimeout(timer);
+        const timer = clock.setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener("abort", onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener("abort", onAbort, { once: true });
+        }
+    }), signal);
+}
+
+// limit(fn, ...args) queues fn and resolves with its result. Aborting `signal` rejects everything
+// still queued; tasks already running are left to finish.
+function pLimit(concurrency, { signal } = {}) {
+    if (!(Number.isInteger(concurrency) && concurrency >= 1) && concurrency !== Infinity) {
+        throw new RangeError(`Concurrency must be a positive integer or Infinity, got ${concurrency}`);
+    }
+    const queue = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= concurrency || queue.length === 0) {
+            return;
+        }
+        active++;
+        const { fn, args, resolve, reject } = queue.shift();
+        runTask(() => fn(...args))
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    const clearQueue = (reason) => {
+        queue.splice(0).forEach(entry => entry.reject(reason));
+    };
+    if (signal) {
+        signal.addEventListener("abort", () => clearQueue(signal.reason), { once: true });
+    }
+
+    const limit = (fn, ...args) => new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        queue.push({ fn, args, resolve, reject });
+        next();
+    });
+    Object.defineProperties(limit, {
+        activeCount: { get: () => active },
+        pendingCount: { get: () => queue.length }
+    });
+    limit.clearQueue = clearQueue;
+    return limit;
+}
+
+// mapper(item, index, signal). Fails fast like Promise.all: the first error rejects the whole map,
+// nothing new is started, and running mappers see their signal abort.
+async function mapConcurrent(items, mapper, { concurrency = Infinity, signal } = {}) {
+    throwIfAborted(signal);
+    const { controller, unlink } = linkedController(signal);
+    const limit = pLimit(concurrency, { signal: controller.signal });
+    const list = [...items];
+    try {
+        return await raceAbort(
+            Promise.all(list.map((item, index) => limit(async () => {
+                try {
+                    return await mapper(item, index, controller.signal);
+                } catch (error) {
+                    controller.abort(error);  // Right away, before the freed slot starts the next item
+                    throw error;
+                }
+            }))),
+            signal
+        );
+    } catch (error) {
+        controller.abort(error);
+        throw error;
+    } finally {
+        unlink();
+    }
+}
+
+// task's signal aborts with the TimeoutError when time runs out. ms = Infinity never times out
+// but still passes the caller's signal through.
+function pTimeout(task, ms, { signal, message, clock = realTimers } = {}) {
+    const { controller, unlink } = linkedController(signal);
+    let timer;
+    const racers = [runTask(task, controller.signal)];
+    if (ms !== Infinity) {
+        racers.push(new Promise((resolve, reject) => {
+            timer = clock.setTimeout(() => {
+                const error = new TimeoutError(message || `Operation timed out after ${ms} ms`, { timeoutMs: ms });
+                controller.abort(error);
+                reject(error);
+            }, ms);
+        }));
+    }
+    return raceAbort(Promise.race(racers), signal)
+        .finally(() => {
+            clock.clearTimeout(timer);
+            unlink();
+        });
+}
+
+// task(attempt, signal). Waits between attempts grow minDelayMs * factor^n up to maxDelayMs, with full
+// jitter so many callers failing together don't retry in lockstep. shouldRetry(error, attempt) can
+// refuse (e.g. don't retry a 404). The last error is thrown, with `attempts` set on it.
+async function pRetry(task, {
+    retries = 3,
+    minDelayMs = 100,
+    maxDelayMs = 5000,
+    factor = 2,
+    jitter = true,
+    shouldRetry = () => true,
+    onRetry,
+    signal,
+    random = Math.random,
+    clock = realTimers
+} = {}) {
+    for (let attempt = 1; ; attempt++) {
+        throwIfAborted(signal);
+        try {
+            return await raceAbort(runTask(() => task(attempt, signal)), signal);
+        } catch (error) {
+            if ((signal && signal.aborted) || attempt > retries || !(await shouldRetry(error, attempt))) {
+                if (error && typeof error === "object") {
+                    error.attempts = attempt;
+                }
+                throw error;
+            }
+            const cap = Math.min(maxDelayMs, minDelayMs * factor ** (attempt - 1));
+            const delayMs = jitter ? Math.floor(random() * cap) : cap;
+            if (onRetry) {
+                onRetry({ error, attempt, delayMs });
+            }
+            await sleep(delayMs, signal, clock);
+        }
+    }
+}
+
+// First task to fulfil wins and the rest are told to stop. If all reject: AggregateError whose
+// `errors` line up with the inputs.
+function pAny(tasks, { signal } = {}) {
+    const list = [...tasks];
+    const { controller, unlink } = linkedController(signal);
+    return raceAbort(new Promise((resolve, reject) => {
+        if (list.length === 0) {
+            reject(new AggregateError([], "pAny was given no tasks"));
+            return;
+        }
+        const errors = new Array(list.length);
+        let rejected = 0;
+        list.forEach((task, index) => {
+            runTask(task, controller.signal).then(
+                value => {
+                    controller.abort(new Error("Another task already fulfilled"));
+                    resolve(value);
+                },
+                error => {
+                    errors[index] = error;
+                    rejected++;
+                    if (rejected === list.length) {
+                        reject(new AggregateError(errors, `All ${list.length} tasks failed`));
+                    }
+                }
+            );
+        });
+    }), signal).finally(unlink);
+}
+
+// Like Promise.allSettled, but at deadlineMs it returns what it has: unfinished entries are
+// { status: "pending" } and their tasks' signals abort with a TimeoutError.
+function pSettleWithinDeadline(tasks, deadlineMs, { signal, clock = realTimers } = {}) {
+    const list = [...tasks];
+    const { controller, unlink } = linkedController(signal);
+    const results = list.map(() => ({ status: "pending" }));
+    let timer;
+    return raceAbort(new Promise(resolve => {
+        let settled = 0;
+        const finish = () => {
+            clock.clearTimeout(timer);
+            resolve(results.map(result => ({ ...result })));
+        };
+        timer = clock.setTimeout(() => {
+            controller.abort(new TimeoutError(`Deadline of ${deadlineMs} ms passed`, { timeoutMs: deadlineMs }));
+            finish();
+        }, deadlineMs);
+        if (list.length === 0) {
+            finish();
+            return;
+        }
+        list.forEach((task, index) => {
+            runTask(task, controller.signal).then(
+                value => {
+                    results[index] = { status: "fulfilled", value };
+                },
+                reason => {
+                    results[index] = { status: "rejected", reason };
+                }
+            ).then(() => {
+                settled++;
+                if (settled === list.length && !controller.signal.aborted) {
+                    finish();
+                }
+            });
+        });
+    }), signal).finally(() => {
+        clock.clearTimeout(timer);
+        unlink();
+    });
+}
+
+module.exports = {
+    pLimit,
+    mapConcurrent,
+    pTimeout,
+    pRetry,
+    pAny,
+    pSettleWithinDeadline
+};
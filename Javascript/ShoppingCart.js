@@ -0,0 +1,315 @@
+const { createHash } = require("crypto");
+const { Money } = require("./Money");
+const { createDefaultRegistry } = require("./ProcessorRegistry");
+const { InMemoryIdempotencyStore } = require("./IdempotencyStore");
+const { PricingPipeline } = require("./Pricing");
+const { CheckoutPipeline } = require("./CheckoutPipeline");
+const { OrderBook } = require("./Orders");
+const { InvalidAmountError, InvalidQuantityError, ItemNotFoundError, IdempotencyConflictError } = require("./Errors");
+const { defaultLogger } = require("./Logger");
+
+//////////////////////////////////////////// Shopping Cart ////////////////////////////////////////////
+
+function checkQuantity(quantity, { allowZero }) {
+    if (!Number.isInteger(quantity) || quantity < 0 || (quantity === 0 && !allowZero)) {
+        throw new InvalidQuantityError(`Quantity must be a ${allowZero ? "non-negative" : "positive"} integer, got ${quantity}`, {
+            quantity
+        });
+    }
+    return quantity;
+}
+
+// What a checkout was asked to buy - lines, coupons and total - so a reused idempotency key can be
+// told apart from a retry
+function checkoutFingerprint(cart) {
+    const request = { items: cart.items, coupons: [...cart.coupons.keys()], total: cart.total };
+    return createHash("sha256").update(JSON.stringify(request)).digest("hex");
+}
+
+// E-commerce checkout system using polymorphism
+//
+// The cart only stores line items (SKU -> quantity + unit price) and applied coupons.
+// Subtotal, discounts, shipping, tax and total are always recomputed from them by the
+// pricing pipeline - nothing is ever added to a running total.
+//
+// Give the cart an Inventory and every line holds its units (see Inventory.js): addItem only takes
+// SKUs from the catalog and only as many as are available, the holds follow quantity changes and
+// removals, are kept for the length of the payment at checkout, and are committed when the payment
+// goes through or released when it fails. A hold that lapsed while the cart sat idle is placed again
+// at checkout - and if the stock is gone by then, nothing is charged.
+class ShoppingCart {
+    constructor({
+        currency = "USD",
+        region = null,
+        pricing = new PricingPipeline(),
+        registry = createDefaultRegistry(),
+        idempotencyStore = new InMemoryIdempotencyStore(),
+        logger = defaultLogger,  // Before pipeline and orders, so their defaults log to it too
+        pipeline = new CheckoutPipeline({ logger }),
+        inventory = null,
+        orders = new OrderBook({ logger })
+    } = {}) {
+        this.currency = currency;
+        this.region = region;
+        this.pricing = pricing;
+        this.registry = registry;
+        this.idempotencyStore = idempotencyStore;
+        this.pipeline = pipeline;
+        this.inventory = inventory;
+        this.orders = orders;
+        this.logger = logger;
+        this.lines = new Map();  // sku -> { sku, name, quantity, unitPrice }
+        this.reservations = new Map();  // sku -> inventory reservation id
+        this.coupons = new Map();  // code -> coupon step
+    }
+
+    // unitPrice can be Money or a number in major units: addItem("MOUSE-01", 29.99, 2, { name: "Mouse" }).
+    // Adding a SKU that's already in the cart adds to its quantity.
+    // With an inventory, pass null as the price to use the catalog's (and a different one is refused).
+    addItem(sku, unitPrice, quantity = 1, { name } = {}) {
+        const product = this.inventory ? this.inventory.catalog.get(sku) : null;
+        const price = unitPrice === null && product ? product.price : Money.from(unitPrice, this.currency);
+        if (product && !product.price.equals(price)) {
+            throw new InvalidAmountError(`${sku} sells at ${product.price.format()}, not ${price.format()}`, { amount: price });
+        }
+        checkQuantity(quantity, { allowZero: false });
+        if (price.isNegative()) {
+            throw new InvalidAmountError(`Unit price cannot be negative, got ${price}`, { amount: price });
+        }
+
+        const existing = this.lines.get(sku);
+        if (existing) {
+            if (!existing.unitPrice.equals(price)) {
+                throw new InvalidAmountError(`${sku} is already in the cart at ${existing.unitPrice.format()}`, {
+                    amount: price
+                });
+            }
+            return this.updateQuantity(sku, existing.quantity + quantity);
+        }
+        this.hold(sku, quantity);
+        const line = { sku, name: name || (product ? product.name : sku), quantity, unitPrice: price };
+        this.lines.set(sku, line);
+        return { ...line };
+    }
+
+    // Setting the quantity to 0 removes the line
+    updateQuantity(sku, quantity) {
+        checkQuantity(quantity, { allowZero: true });
+        const line = this.getLine(sku);
+        if (quantity === 0) {
+            this.removeItem(sku);
+            return { ...line, quantity: 0 };
+        }
+        this.hold(sku, quantity);
+        const updated = { ...line, quantity };
+        this.lines.set(sku, updated);
+        return { ...updated };
+    }
+
+    removeItem(sku) {
+        this.getLine(sku);
+        this.unhold(sku);
+        this.lines.delete(sku);
+    }
+
+    // Coupons are pricing steps (PercentageCoupon, FixedCoupon...) that only apply to this cart
+    applyCoupon(coupon) {
+        this.coupons.set(coupon.code, coupon);
+    }
+
+    removeCoupon(code) {
+        return this.coupons.delete(code);
+    }
+
+    setRegion(region) {
+        this.region = region;
+    }
+
+    get items() {
+        return [...this.lines.values()].map(line => ({ ...line }));
+    }
+
+    get total() {
+        return this.getSummary().total;
+    }
+
+    // Itemized breakdown: lines with lineTotal, subtotal, discounts, shipping, taxes and total
+    getSummary() {
+        return this.pricing.price({
+            lines: [...this.lines.values()],
+            currency: this.currency,
+            region: this.region,
+            extraSteps: [...this.coupons.values()]
+        });
+    }
+
+    // Checkout middleware and post-payment hooks (address checks, fraud screening, receipts...) - see CheckoutPipeline.js
+    use(middleware) {
+        this.pipeline.use(middleware);
+        return this;
+    }
+
+    afterPayment(hook) {
+        this.pipeline.afterPayment(hook);
+        return this;
+    }
+
+    clear() {
+        this.releaseHolds();
+        this.lines.clear();
+        this.coupons.clear();
+    }
+
+    // Polymorphic method - works with any PaymentProcessor, or with a processor
+    // name from the registry plus its config: checkout("crypto", { address, network })
+    //
+    // Pass an idempotencyKey to make retries safe: checkout(card, { idempotencyKey: "order-42" }).
+    // A successful result is stored under the key and replayed for any later call with that key,
+    // and calls sharing a key wait for each other instead of charging in parallel.
+    // Failed payments are not stored, so a retry after a decline or timeout really retries.
+    // The result is stored with a fingerprint of the cart as it was when checkout was called; a
+    // call whose cart differs throws IdempotencyConflictError instead of getting someone else's order.
+    //
+    // A successful result carries the Order it placed in `orders` (see Orders.js): the cart is
+    // emptied, the order keeps what was bought and refunds through the same processor. If placing
+    // the order fails the checkout still succeeds, with order null and the error in postPaymentErrors.
+    async checkout(paymentProcessor, { idempotencyKey, ...config } = {}) {
+        if (idempotencyKey === undefined) {
+            return this.charge(paymentProcessor, config);
+        }
+
+        // Taken before waiting for the key - the checkout holding it empties the cart when it succeeds
+        const fingerprint = checkoutFingerprint(this);
+        const release = await this.idempotencyStore.acquire(idempotencyKey);
+        try {
+            const previous = await this.idempotencyStore.get(idempotencyKey);
+            if (previous) {
+                if (previous.fingerprint !== fingerprint) {
+                    throw new IdempotencyConflictError(
+                        `Idempotency key '${idempotencyKey}' was already used for a different checkout`,
+                        { idempotencyKey }
+                    );
+                }
+                this.logger.info(`Checkout '${idempotencyKey}' already completed - returning original result`, { idempotencyKey });
+                return previous.result;
+            }
+            const result = await this.charge(paymentProcessor, config);
+            if (result.success) {
+                await this.idempotencyStore.set(idempotencyKey, { fingerprint, result });
+            }
+            return result;
+        } finally {
+            release();
+        }
+    }
+
+    // Runs the checkout middleware around the payment itself. Middleware may change the cart
+    // (a fraud check adding a fee, a stock check dropping a line), so the total is worked out
+    // again right before charging.
+    async charge(paymentProcessor, config) {
+        const ctx = {
+            cart: this,
+            processor: paymentProcessor,
+            config,
+            summary: this.getSummary(),
+            state: {},
+            payment: null,
+            order: null,
+            result: null
+        };
+        this.logger.info(`Checking out ${ctx.summary.itemCount} items totaling ${ctx.summary.total.format()}`, {
+            itemCount: ctx.summary.itemCount,
+            total: ctx.summary.total
+        });
+
+        return this.pipeline.run(ctx, async () => {
+            const processor = typeof ctx.processor === "string"
+                ? this.registry.create(ctx.processor, { logger: this.logger, ...config })
+                : ctx.processor;
+            ctx.processor = processor;
+            ctx.summary = this.getSummary();
+            let payment;
+            try {
+                this.holdForPayment();
+                payment = await processor.processPayment(ctx.summary.total);
+            } catch (error) {
+                this.releaseHolds();
+                throw error;
+            }
+            this.commitHolds();
+            this.logger.info(`Transaction ID: ${payment.transactionId}`, { transactionId: payment.transactionId });
+            ctx.payment = payment;
+            ctx.result = { ...payment, summary: ctx.summary, order: null };
+            this.clear();
+            // The money has moved: an order that can't be recorded is reported, not turned into a failed
+            // checkout that the customer would retry and pay for twice
+            try {
+                ctx.order = this.orders.place({ summary: ctx.summary, processor, payment });
+                ctx.result.order = ctx.order;
+            } catch (error) {
+                this.logger.error(`Order for ${payment.transactionId} could not be placed: ${error.message}`, {
+                    transactionId: payment.transactionId,
+                    error
+                });
+                ctx.result.postPaymentErrors = [{ hook: "order", error: error.message }];
+            }
+        });
+    }
+
+    // ---------- stock holds (only with an inventory) ----------
+
+    // Makes the SKU's hold cover `quantity`, placing a new one if there is none or it lapsed.
+    // Throws OutOfStockError and leaves the old hold as it was when the units aren't there.
+    hold(sku, quantity, { ttlMs } = {}) {
+        if (!this.inventory) {
+            return;
+        }
+        const id = this.reservations.get(sku);
+        if (id && this.inventory.isActive(id)) {
+            this.inventory.adjust(id, quantity);
+            if (ttlMs !== undefined) {
+                this.inventory.renew(id, ttlMs);
+            }
+            return;
+        }
+        this.reservations.set(sku, this.inventory.reserve(sku, quantity, { ttlMs, owner: this }).id);
+    }
+
+    unhold(sku) {
+        const id = this.reservations.get(sku);
+        if (id) {
+            this.inventory.release(id);
+            this.reservations.delete(sku);
+        }
+    }
+
+    releaseHolds() {
+        [...this.reservations.keys()].forEach(sku => this.unhold(sku));
+    }
+
+    // The order is paid: the held units are sold
+    commitHolds() {
+        this.reservations.forEach(id => this.inventory.commit(id));
+        this.reservations.clear();
+    }
+
+    // Right before charging: every line must be held, and kept held however long the payment takes
+    holdForPayment() {
+        if (!this.inventory) {
+            return;
+        }
+        this.lines.forEach(line => this.hold(line.sku, line.quantity, { ttlMs: Infinity }));
+    }
+
+    getLine(sku) {
+        const line = this.lines.get(sku);
+        if (!line) {
+            throw new ItemNotFoundError(`${sku} is not in the cart`, { sku });
+        }
+        return line;
+    }
+}
+
+module.exports = {
+    ShoppingCart
+};
@@ -0,0 +1,418 @@
+const { randomUUID } = require("crypto");
+const { InMemoryTaskStorage } = require("./TaskStorage");
+const { queryTasks } = require("./TaskQuery");
+const {
+    IllegalTransitionError,
+    InvalidTaskDataError,
+    TaskNotFoundError,
+    DependencyCycleError
+} = require("./Errors");
+const { defaultLogger } = require("./Logger");
+
+//////////////////////////////////////////// Task Manager ////////////////////////////////////////////
+
+// Factory methods that create closures: each task's state lives in the closure of createTask,
+// and the returned object only exposes methods. toJSON() is the one way to read it all out,
+// which is also what the storage adapters persist.
+
+const TaskStatus = Object.freeze({
+    TODO: "todo",
+    IN_PROGRESS: "in-progress",
+    BLOCKED: "blocked",
+    DONE: "done",
+    CANCELLED: "cancelled"
+});
+
+// Allowed moves. Done tasks can be reopened; cancelled is final.
+const STATUS_TRANSITIONS = Object.freeze({
+    [TaskStatus.TODO]: [TaskStatus.IN_PROGRESS, TaskStatus.BLOCKED, TaskStatus.DONE, TaskStatus.CANCELLED],
+    [TaskStatus.IN_PROGRESS]: [TaskStatus.TODO, TaskStatus.BLOCKED, TaskStatus.DONE, TaskStatus.CANCELLED],
+    [TaskStatus.BLOCKED]: [TaskStatus.TODO, TaskStatus.IN_PROGRESS, TaskStatus.CANCELLED],
+    [TaskStatus.DONE]: [TaskStatus.TODO],
+    [TaskStatus.CANCELLED]: []
+});
+
+// Higher rank runs first
+const TaskPriority = Object.freeze({
+    LOW: "low",
+    MEDIUM: "medium",
+    HIGH: "high",
+    CRITICAL: "critical"
+});
+const PRIORITY_RANK = Object.freeze({ low: 1, medium: 2, high: 3, critical: 4 });
+
+const SCHEMA_VERSION = 1;
+
+// Raw state behind each task object - only the manager reaches in here (dependencies, ordering)
+const internals = new WeakMap();
+
+// Builds the closure-backed task object around a plain state record
+function buildTask(initial, now, logger) {
+    const state = {
+        ...initial,
+        dependsOn: [...initial.dependsOn],
+        tags: [...initial.tags],
+        statusHistory: initial.statusHistory.map(step => ({ ...step }))
+    };
+
+    const touch = () => {
+        state.updatedAt = now().toISOString();
+    };
+
+    const moveTo = (status, note) => {
+        if (!STATUS_TRANSITIONS[state.status].includes(status)) {
+            throw new IllegalTransitionError(`Task "${state.name}" cannot move from '${state.status}' to '${status}'`, {
+                taskId: state.id,
+                from: state.status,
+                to: status
+            });
+        }
+        touch();
+        state.status = status;
+        state.statusHistory.push(note ? { status, at: state.updatedAt, note } : { status, at: state.updatedAt });
+    };
+
+    const task = {
+        getName: () => state.name,
+        getId: () => state.id,
+        getState: () => state.status,
+        getPriority: () => state.priority,
+        setPriority: (priority) => {
+            validatePriority(priority, state.id);
+            state.priority = priority;
+            touch();
+        },
+        getDueDate: () => state.dueDate && new Date(state.dueDate),
+        setDueDate: (dueDate) => {
+            state.dueDate = normalizeDueDate(dueDate, state.id);
+            touch();
+        },
+        getDependencies: () => [...state.dependsOn],
+        getTags: () => [...state.tags],
+        addTag: (tag) => {
+            if (!state.tags.includes(tag)) {
+                state.tags.push(tag);
+                touch();
+            }
+        },
+        removeTag: (tag) => {
+            state.tags = state.tags.filter(existing => existing !== tag);
+            touch();
+        },
+        getAssignee: () => state.assignee,
+        assign: (assignee) => {
+            state.assignee = assignee ?? null;
+            touch();
+        },
+        start: () => moveTo(TaskStatus.IN_PROGRESS),
+        block: (reason) => moveTo(TaskStatus.BLOCKED, reason),
+        unblock: () => moveTo(TaskStatus.TODO),
+        complete: () => {
+            moveTo(TaskStatus.DONE);
+            logger.info(`Task "${state.name}" completed!`);
+        },
+        cancel: (reason) => moveTo(TaskStatus.CANCELLED, reason),
+        reopen: () => moveTo(TaskStatus.TODO),
+        setStatus: (status, note) => moveTo(status, note),
+        isCompleted: () => state.status === TaskStatus.DONE,
+        getStatus: () => `Task: ${state.name}, ID: ${state.id}, Status: ${state.status}`,
+        // Plain copy - changing it doesn't touch the task
+        toJSON: () => ({
+            ...state,
+            dependsOn: [...state.dependsOn],
+            tags: [...state.tags],
+            statusHistory: state.statusHistory.map(step => ({ ...step }))
+        })
+    };
+    internals.set(task, state);
+    return task;
+}
+
+function validatePriority(priority, taskId) {
+    if (!PRIORITY_RANK[priority]) {
+        throw new InvalidTaskDataError(`Unknown priority '${priority}' (use ${Object.keys(PRIORITY_RANK).join(", ")})`, { taskId });
+    }
+}
+
+// Stored as an ISO string so it survives JSON round trips
+function normalizeDueDate(dueDate, taskId) {
+    if (dueDate === null || dueDate === undefined) {
+        return null;
+    }
+    const date = new Date(dueDate);
+    if (Number.isNaN(date.getTime())) {
+        throw new InvalidTaskDataError(`Invalid due date '${dueDate}'`, { taskId });
+    }
+    return date.toISOString();
+}
+
+function validateTaskData(data) {
+    if (!data || typeof data.id !== "string" || !data.id) {
+        throw new InvalidTaskDataError(`Task is missing an id: ${JSON.stringify(data)}`);
+    }
+    if (typeof data.name !== "string") {
+        throw new InvalidTaskDataError(`Task ${data.id} is missing a name`, { taskId: data.id });
+    }
+    if (!Object.values(TaskStatus).includes(data.status)) {
+        throw new InvalidTaskDataError(`Task ${data.id} has unknown status '${data.status}'`, { taskId: data.id });
+    }
+    validatePriority(data.priority, data.id);
+    if (!Array.isArray(data.dependsOn)) {
+        throw new InvalidTaskDataError(`Task ${data.id} dependsOn must be an array`, { taskId: data.id });
+    }
+    if (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== "string")) {
+        throw new InvalidTaskDataError(`Task ${data.id} tags must be an array of strings`, { taskId: data.id });
+    }
+}
+
+// Priority first, then earliest due date (no due date last), then oldest
+function compareTasks(a, b) {
+    const left = internals.get(a);
+    const right = internals.get(b);
+    const byPriority = PRIORITY_RANK[right.priority] - PRIORITY_RANK[left.priority];
+    if (byPriority !== 0) {
+        return byPriority;
+    }
+    if (left.dueDate !== right.dueDate) {
+        if (!left.dueDate || !right.dueDate) {
+            return left.dueDate ? -1 : 1;
+        }
+        return left.dueDate < right.dueDate ? -1 : 1;
+    }
+    return left.createdAt < right.createdAt ? -1 : left.createdAt > right.createdAt ? 1 : 0;
+}
+
+class TaskManager {
+    constructor({
+        storage = new InMemoryTaskStorage(),
+        generateId = () => randomUUID(),
+        now = () => new Date(),
+        logger = defaultLogger
+    } = {}) {
+        this.storage = storage;
+        this.generateId = generateId;
+        this.now = now;
+        this.logger = logger;
+        this.tasks = new Map();  // id -> task, in creation order
+    }
+
+    createTask(name, { priority = TaskPriority.MEDIUM, dueDate = null, dependsOn = [], tags = [], assignee = null } = {}) {
+        const createdAt = this.now().toISOString();
+        const id = this.generateId();
+        const task = this.addTask({
+            id,
+            name,
+            status: TaskStatus.TODO,
+            priority,
+            dueDate: normalizeDueDate(dueDate, id),
+            dependsOn: [],
+            tags: [...new Set(tags)],
+            assignee,
+            createdAt,
+            updatedAt: createdAt,
+            statusHistory: [{ status: TaskStatus.TODO, at: createdAt }]
+        });
+        try {
+            dependsOn.forEach(dependencyId => this.addDependency(id, dependencyId));
+        } catch (error) {
+            this.tasks.delete(id);
+            throw error;
+        }
+        return task;
+    }
+
+    getTask(id) {
+        const task = this.tasks.get(id);
+        if (!task) {
+            throw new TaskNotFoundError(`No task with id ${id}`, { taskId: id });
+        }
+        return task;
+    }
+
+    getAllTasks() {
+        return [...this.tasks.values()];
+    }
+
+    // Filter / search / sort / paginate - see TaskQuery.js for the query shape.
+    // Returns plain snapshots, never the task objects themselves.
+    query(query = {}) {
+        const snapshots = this.getAllTasks().map(task => task.toJSON());
+        return queryTasks(snapshots, query, { priority: task => PRIORITY_RANK[task.priority] });
+    }
+
+    // ---------- dependencies ----------
+
+    // `taskId` can't start until `dependsOnId` is done. Rejects anything that would close a loop.
+    addDependency(taskId, dependsOnId) {
+        const state = internals.get(this.getTask(taskId));
+        this.getTask(dependsOnId);
+        if (taskId === dependsOnId) {
+            throw new DependencyCycleError(`Task ${taskId} cannot depend on itself`, { cycle: [taskId, taskId] });
+        }
+        if (state.dependsOn.includes(dependsOnId)) {
+            return;
+        }
+        // A cycle appears if taskId is already reachable from dependsOnId
+        const path = this.findPath(dependsOnId, taskId);
+        if (path) {
+            throw new DependencyCycleError(`Dependency would create a cycle: ${[taskId, ...path].join(" -> ")}`, {
+                cycle: [taskId, ...path]
+            });
+        }
+        state.dependsOn.push(dependsOnId);
+        state.updatedAt = this.now().toISOString();
+    }
+
+    removeDependency(taskId, dependsOnId) {
+        const state = internals.get(this.getTask(taskId));
+        state.dependsOn = state.dependsOn.filter(id => id !== dependsOnId);
+    }
+
+    // Tasks that list `taskId` as a dependency
+    getDependents(taskId) {
+        return this.getAllTasks().filter(task => internals.get(task).dependsOn.includes(taskId));
+    }
+
+    // Every cycle in the graph, each as [a, b, ..., a]. Only loaded data can have them.
+    detectCycles() {
+        const cycles = [];
+        const visiting = [];
+        const finished = new Set();
+        const visit = (id) => {
+            if (finished.has(id)) {
+                return;
+            }
+            const index = visiting.indexOf(id);
+            if (index !== -1) {
+                cycles.push([...visiting.slice(index), id]);
+                return;
+            }
+            visiting.push(id);
+            internals.get(this.tasks.get(id)).dependsOn.forEach(visit);
+            visiting.pop();
+            finished.add(id);
+        };
+        this.tasks.forEach((task, id) => visit(id));
+        return cycles;
+    }
+
+    // Dependencies before dependents; among tasks that are free at the same time, best-ranked first
+    topologicalOrder() {
+        const cycles = this.detectCycles();
+        if (cycles.length) {
+            throw new DependencyCycleError(`Dependency cycle: ${cycles[0].join(" -> ")}`, { cycle: cycles[0] });
+        }
+        const remaining = new Map(this.getAllTasks().map(task => [task.getId(), new Set(task.getDependencies())]));
+        const order = [];
+        while (remaining.size) {
+            const free = [...remaining.keys()]
+                .filter(id => remaining.get(id).size === 0)
+                .map(id => this.tasks.get(id))
+                .sort(compareTasks);
+            const next = free[0];
+            order.push(next);
+            remaining.delete(next.getId());
+            remaining.forEach(dependencies => dependencies.delete(next.getId()));
+        }
+        return order;
+    }
+
+    // Todo tasks whose dependencies are all done, best-ranked first
+    getRunnableTasks() {
+        return this.getAllTasks()
+            .filter(task => task.getState() === TaskStatus.TODO)
+            .filter(task => task.getDependencies().every(id => this.tasks.get(id).isCompleted()))
+            .sort(compareTasks);
+    }
+
+    getNextRunnable() {
+        return this.getRunnableTasks()[0] || null;
+    }
+
+    // ---------- persistence ----------
+
+    toJSON() {
+        return {
+            version: SCHEMA_VERSION,
+            tasks: this.getAllTasks().map(task => task.toJSON())
+        };
+    }
+
+    static fromJSON(json, options = {}) {
+        const data = typeof json === "string" ? JSON.parse(json) : json;
+        if (!data || data.version !== SCHEMA_VERSION || !Array.isArray(data.tasks)) {
+            throw new InvalidTaskDataError(`Unsupported task data (expected version ${SCHEMA_VERSION})`);
+        }
+        const manager = new TaskManager(options);
+        data.tasks.forEach(task => manager.addTask(task));
+        manager.getAllTasks().forEach(task => task.getDependencies().forEach(id => {
+            if (!manager.tasks.has(id)) {
+                throw new InvalidTaskDataError(`Task ${task.getId()} depends on missing task ${id}`, { taskId: task.getId() });
+            }
+        }));
+        const cycles = manager.detectCycles();
+        if (cycles.length) {
+            throw new DependencyCycleError(`Saved tasks contain a dependency cycle: ${cycles[0].join(" -> ")}`, {
+                cycle: cycles[0]
+            });
+        }
+        return manager;
+    }
+
+    async save() {
+        await this.storage.save(this.toJSON());
+    }
+
+    // Rebuilds a manager from whatever the storage adapter holds (empty if nothing was saved yet)
+    static async load(storage, options = {}) {
+        const data = await storage.load();
+        return data ? TaskManager.fromJSON(data, { ...options, storage }) : new TaskManager({ ...options, storage });
+    }
+
+    // Fields added after the first release get their defaults here, so older saves still load
+    addTask(data) {
+        const record = {
+            priority: TaskPriority.MEDIUM,
+            dueDate: null,
+            dependsOn: [],
+            tags: [],
+            assignee: null,
+            statusHistory: [],
+            ...data
+        };
+        validateTaskData(record);
+        if (this.tasks.has(record.id)) {
+            throw new InvalidTaskDataError(`Duplicate task id ${record.id}`, { taskId: record.id });
+        }
+        const task = buildTask({ ...record, dueDate: normalizeDueDate(record.dueDate, record.id) }, this.now,
+            this.logger.child({ taskId: record.id }));
+        this.tasks.set(record.id, task);
+        return task;
+    }
+
+    // Dependency path from `fromId` to `toId` as a list of ids, or null
+    findPath(fromId, toId, seen = new Set()) {
+        if (fromId === toId) {
+            return [toId];
+        }
+        if (seen.has(fromId)) {
+            return null;
+        }
+        seen.add(fromId);
+        for (const next of internals.get(this.tasks.get(fromId)).dependsOn) {
+            const path = this.findPath(next, toId, seen);
+            if (path) {
+                return [fromId, ...path];
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    TaskManager,
+    TaskStatus,
+    TaskPriority,
+    STATUS_TRANSITIONS,
+    compareTasks
+};
@@ -0,0 +1,146 @@
+const { InvalidQueryError } = require("./Errors");
+
+//////////////////////////////////////////// Task Query ////////////////////////////////////////////
+
+// Filters, sorts and pages plain task snapshots (task.toJSON() output). Works on copies only,
+// so nothing a caller does with the result can reach back into the tasks.
+//
+// query = {
+//   status:    "todo" | ["todo", "blocked"]
+//   tag:       "backend"            - must have this tag
+//   tags:      ["backend", "urgent"] - must have all of them
+//   assignee:  "alice" | null        - null means unassigned
+//   dateRange: { field: "dueDate" | "createdAt" | "updatedAt", from, to }   (inclusive, either end optional)
+//   text:      "login bug"          - every word must appear in the name (case-insensitive)
+//   sortBy:    one of SORTABLE_FIELDS (default "createdAt"), order: "asc" | "desc"
+//   limit:     page size (default 20), cursor: nextCursor from the previous page
+// }
+// -> { items, total, nextCursor }   (nextCursor is null on the last page)
+//
+// sortKeys lets the caller say how a field compares when its raw value doesn't,
+// e.g. { priority: task => rank[task.priority] } so "critical" sorts above "low".
+
+const DATE_FIELDS = ["dueDate", "createdAt", "updatedAt"];
+const SORTABLE_FIELDS = ["id", "name", "status", "priority", "dueDate", "createdAt", "updatedAt", "assignee"];
+
+function toArray(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+function toTime(value, label) {
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) {
+        throw new InvalidQueryError(`Invalid date for ${label}: ${value}`);
+    }
+    return time;
+}
+
+function buildFilters(query) {
+    const filters = [];
+    if (query.status !== undefined) {
+        const statuses = toArray(query.status);
+        filters.push(task => statuses.includes(task.status));
+    }
+    if (query.tag !== undefined || query.tags !== undefined) {
+        const tags = [...toArray(query.tag ?? []), ...toArray(query.tags ?? [])];
+        filters.push(task => tags.every(tag => task.tags.includes(tag)));
+    }
+    if (query.assignee !== undefined) {
+        filters.push(task => task.assignee === query.assignee);
+    }
+    if (query.dateRange) {
+        const { field = "dueDate", from, to } = query.dateRange;
+        if (!DATE_FIELDS.includes(field)) {
+            throw new InvalidQueryError(`Cannot filter dates on '${field}' (use ${DATE_FIELDS.join(", ")})`);
+        }
+        const start = from === undefined ? -Infinity : toTime(from, "dateRange.from");
+        const end = to === undefined ? Infinity : toTime(to, "dateRange.to");
+        filters.push(task => {
+            if (!task[field]) {
+                return false;
+            }
+            const time = new Date(task[field]).getTime();
+            return time >= start && time <= end;
+        });
+    }
+    if (query.text) {
+        const words = query.text.toLowerCase().split(/\s+/).filter(Boolean);
+        filters.push(task => words.every(word => task.name.toLowerCase().includes(word)));
+    }
+    return filters;
+}
+
+// Missing values (no due date, unassigned) always sort last; ties break on id so paging is stable
+function buildComparator(sortBy, order) {
+    const direction = order === "desc" ? -1 : 1;
+    return (left, right) => {
+        if (left.value !== right.value) {
+            if (left.value === null || left.value === undefined) {
+                return 1;
+            }
+            if (right.value === null || right.value === undefined) {
+                return -1;
+            }
+            return (left.value < right.value ? -1 : 1) * direction;
+        }
+        return left.id < right.id ? -1 : left.id > right.id ? 1 : 0;
+    };
+}
+
+// Cursor = position after the last item of a page, tied to the sort it was made for
+function encodeCursor(key, sortBy, order) {
+    return Buffer.from(JSON.stringify({ sortBy, order, value: key.value ?? null, id: key.id })).toString("base64url");
+}
+
+function decodeCursor(cursor, sortBy, order) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch (error) {
+        throw new InvalidQueryError("Malformed cursor");
+    }
+    if (!decoded || decoded.sortBy !== sortBy || decoded.order !== order || typeof decoded.id !== "string") {
+        throw new InvalidQueryError("Cursor was created for a different sort order");
+    }
+    return { value: decoded.value, id: decoded.id };
+}
+
+function queryTasks(snapshots, query = {}, sortKeys = {}) {
+    const { sortBy = "createdAt", order = "asc", limit = 20, cursor } = query;
+    if (!SORTABLE_FIELDS.includes(sortBy)) {
+        throw new InvalidQueryError(`Cannot sort on '${sortBy}' (use ${SORTABLE_FIELDS.join(", ")})`);
+    }
+    if (order !== "asc" && order !== "desc") {
+        throw new InvalidQueryError(`Order must be 'asc' or 'desc', got '${order}'`);
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new InvalidQueryError(`Limit must be a positive integer, got ${limit}`);
+    }
+
+    const filters = buildFilters(query);
+    const compare = buildComparator(sortBy, order);
+    const matching = snapshots
+        .filter(task => filters.every(filter => filter(task)))
+        .map(task => ({ task, key: { value: sortKeys[sortBy] ? sortKeys[sortBy](task) : task[sortBy], id: task.id } }))
+        .sort((a, b) => compare(a.key, b.key));
+
+    let start = 0;
+    if (cursor) {
+        const after = decodeCursor(cursor, sortBy, order);
+        start = matching.findIndex(entry => compare(entry.key, after) > 0);
+        start = start === -1 ? matching.length : start;
+    }
+    const page = matching.slice(start, start + limit);
+    const hasMore = start + limit < matching.length;
+
+    return {
+        items: page.map(entry => entry.task),
+        total: matching.length,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1].key, sortBy, order) : null
+    };
+}
+
+module.exports = {
+    queryTasks,
+    SORTABLE_FIELDS
+};
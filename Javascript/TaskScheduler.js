@@ -0,0 +1,136 @@
+const { TaskStatus, compareTasks } = require("./TaskManager");
+
+//////////////////////////////////////////// Task Scheduler ////////////////////////////////////////////
+
+// Runs async task bodies for a TaskManager:
+//   - at most `concurrency` bodies at once
+//   - a task starts only after every dependency is done
+//   - when several tasks are ready, the best-ranked one (priority, due date, age) goes first
+//   - if a body throws, the task is blocked and everything downstream of it is skipped
+//
+// bodies: { [taskId]: async (task, { signal }) => result } - tasks without a body are not run.
+class TaskScheduler {
+    constructor(manager, { concurrency = 2 } = {}) {
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new RangeError(`Concurrency must be a positive integer, got ${concurrency}`);
+        }
+        this.manager = manager;
+        this.concurrency = concurrency;
+    }
+
+    // Resolves (never rejects) with { completed, failed, skipped, results }
+    async run(bodies, { signal } = {}) {
+        this.manager.topologicalOrder();  // Throws DependencyCycleError before anything runs
+
+        const running = new Map();  // id -> promise that resolves when the body settles
+        const report = { completed: [], failed: [], skipped: [], results: {} };
+        const unusable = new Set();  // failed or skipped ids - their dependents can never run
+        const pending = new Set();
+
+        const skip = (id, reason, block) => {
+            pending.delete(id);
+            unusable.add(id);
+            report.skipped.push({ id, reason });
+            const task = this.manager.getTask(id);
+            if (block && task.getState() === TaskStatus.TODO) {
+                task.block(reason);
+            }
+        };
+
+        // Todo and blocked tasks (e.g. failures from an earlier run) are runnable; done ones are
+        // already satisfied, and cancelled or in-progress ones are reported as skipped. Checked up
+        // front and again before every launch, since a pending task can move on while others run.
+        const triage = (id) => {
+            const state = this.manager.getTask(id).getState();
+            if (state === TaskStatus.TODO || state === TaskStatus.BLOCKED) {
+                pending.add(id);
+            } else if (state === TaskStatus.DONE) {
+                pending.delete(id);
+            } else {
+                skip(id, `Task is ${state}`, false);
+            }
+        };
+        Object.keys(bodies).forEach(triage);
+
+        const fail = (id, error) => {
+            unusable.add(id);
+            const failure = { id, error };
+            report.failed.push(failure);
+            return failure;
+        };
+
+        // The task can move on while its body runs (cancelled, say), so completing or blocking it
+        // afterwards may be illegal: that is recorded as a failure - as error, or as transitionError
+        // next to the body's own error - rather than rejecting the run
+        const launch = (task) => {
+            const id = task.getId();
+            pending.delete(id);
+            task.start();
+            const settled = Promise.resolve()
+                .then(() => bodies[id](task, { signal }))
+                .then(
+                    (result) => {
+                        try {
+                            task.complete();
+                        } catch (transitionError) {
+                            fail(id, transitionError);
+                            return;
+                        }
+                        report.completed.push(id);
+                        report.results[id] = result;
+                    },
+                    (error) => {
+                        const failure = fail(id, error);
+                        try {
+                            task.block(`Failed: ${error.message}`);
+                        } catch (transitionError) {
+                            failure.transitionError = transitionError;
+                        }
+                    }
+                )
+                .finally(() => running.delete(id));
+            running.set(id, settled);
+        };
+
+        while (pending.size || running.size) {
+            pending.forEach(triage);
+
+            // Cascade skips until nothing new is unreachable
+            let changed = true;
+            while (changed) {
+                changed = false;
+                pending.forEach(id => {
+                    const upstream = this.manager.getTask(id).getDependencies().find(dependency => unusable.has(dependency));
+                    if (upstream) {
+                        skip(id, `Upstream task ${upstream} did not complete`, true);
+                        changed = true;
+                    }
+                });
+            }
+
+            if (signal && signal.aborted) {
+                [...pending].forEach(id => skip(id, "Aborted", false));
+            }
+
+            const ready = [...pending]
+                .map(id => this.manager.getTask(id))
+                .filter(task => task.getDependencies().every(dependency => this.manager.getTask(dependency).isCompleted()))
+                .sort(compareTasks);
+            while (running.size < this.concurrency && ready.length) {
+                launch(ready.shift());
+            }
+
+            if (running.size === 0) {
+                // Whatever is left waits on tasks that aren't part of this run and aren't done
+                [...pending].forEach(id => skip(id, "Waiting on dependencies outside this run", false));
+                break;
+            }
+            await Promise.race(running.values());
+        }
+        return report;
+    }
+}
+
+module.exports = {
+    TaskScheduler
+};
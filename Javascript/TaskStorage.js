@@ -0,0 +1,61 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { abstractClass } = require("./Interfaces");
+
+//////////////////////////////////////////// Task Storage ////////////////////////////////////////////
+
+// 📋 INTERFACE/CONTRACT - where a TaskManager's toJSON() output is kept
+//   load() -> the last saved data, or null if nothing has been saved
+//   save(data)
+const TaskStorage = abstractClass(class TaskStorage {}, {
+    abstract: { load: 0, save: 1 }
+});
+
+// Keeps a serialized copy so later changes to the manager don't leak into what was "saved"
+class InMemoryTaskStorage extends TaskStorage {
+    constructor() {
+        super();
+        this.snapshot = null;
+    }
+
+    async load() {
+        return this.snapshot === null ? null : JSON.parse(this.snapshot);
+    }
+
+    async save(data) {
+        this.snapshot = JSON.stringify(data);
+    }
+}
+
+// One JSON file on disk. Writes go to a temp file first and are renamed into place,
+// so a crash mid-write leaves the previous save intact.
+class JsonFileTaskStorage extends TaskStorage {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+    }
+
+    async load() {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, "utf8"));
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async save(data) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.rename(tempPath, this.filePath);
+    }
+}
+
+module.exports = {
+    TaskStorage,
+    InMemoryTaskStorage,
+    JsonFileTaskStorage
+};
@@ -0,0 +1,145 @@
+const { ThisBindingError } = require("./Errors");
+
+//////////////////////////////////////////// `this` Binding Helpers ////////////////////////////////////////////
+
+// Tools for the bugs ThisContextDemo shows off:
+//   bindAll(instance)  - give the instance bound copies of all its methods, so they survive being passed around
+//   autoBind(Class)    - same thing for every instance of a class
+//   guardThis(Class)   - development-mode wrapper that explains a lost `this` instead of a bare TypeError
+
+// Method names from the prototype chain (nearest first), skipping the constructor and getters/setters
+function methodNames(prototype) {
+    const names = new Set();
+    for (let proto = prototype; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+        Object.getOwnPropertyNames(proto).forEach(name => {
+            const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+            if (name !== "constructor" && typeof descriptor.value === "function") {
+                names.add(name);
+            }
+        });
+    }
+    return [...names];
+}
+
+function bindAll(instance, { exclude = [] } = {}) {
+    methodNames(Object.getPrototypeOf(instance))
+        .filter(name => !exclude.includes(name))
+        .forEach(name => {
+            Object.defineProperty(instance, name, {
+                value: instance[name].bind(instance),
+                configurable: true,
+                writable: true,
+                enumerable: false
+            });
+        });
+    return instance;
+}
+
+// Decorator-style: const BoundCounter = autoBind(Counter)
+// Every instance gets bound methods, so `const { increment } = counter` just works.
+function autoBind(Class, options = {}) {
+    const Bound = class extends Class {
+        constructor(...args) {
+            super(...args);
+            bindAll(this, options);
+        }
+    };
+    Object.defineProperty(Bound, "name", { value: Class.name });
+    return Bound;
+}
+
+function withArticle(word) {
+    return `${/^[aeiou]/i.test(word) ? "an" : "a"} ${word}`;
+}
+
+function describeReceiver(receiver) {
+    if (receiver === undefined || receiver === null) {
+        return String(receiver);
+    }
+    if (receiver === globalThis) {
+        return "the global object";
+    }
+    return withArticle((receiver.constructor && receiver.constructor.name) || typeof receiver);
+}
+
+function detachedMethodError(className, name, receiver) {
+    const instance = className.charAt(0).toLowerCase() + className.slice(1);
+    return new ThisBindingError(
+        `${className}.${name}() ran with \`this\` = ${describeReceiver(receiver)} instead of ${withArticle(className)} instance. ` +
+        "It was probably detached from its object (passed as a callback or destructured). " +
+        `Fix: call it through an arrow function \`(...args) => ${instance}.${name}(...args)\`, ` +
+        `bind it with \`${instance}.${name}.bind(${instance})\`, or wrap the class with autoBind(${className}).`,
+        { className, method: name, receiver: describeReceiver(receiver) }
+    );
+}
+
+function lostReturnedThisError(className, name, receiver) {
+    return new ThisBindingError(
+        `The function returned by ${className}.${name}() used \`this\`, but ran with \`this\` = ` +
+        `${describeReceiver(receiver)} instead of ${withArticle(className)} instance. ` +
+        "A regular `function` gets its own `this` from whoever calls it. " +
+        "Fix: return an arrow function so `this` is captured lexically, return `fn.bind(this)`, " +
+        "or copy the values it needs into closure variables.",
+        { className, method: name, receiver: describeReceiver(receiver) }
+    );
+}
+
+// Wraps every method of Class (including inherited ones) so a call with the wrong receiver throws
+// ThisBindingError naming the class and method.
+//
+// Regular functions a method RETURNS are wrapped too (the getRegularFunction()/getWrongClickHandler()
+// bug). When one is called on something other than an instance it gets a stand-in `this` that throws
+// on any use, so the mistake surfaces even in sloppy mode where `this` would silently be the global
+// object. Functions that never touch `this` (closure handlers) keep working.
+//
+// Disabled (returns Class unchanged) when NODE_ENV is "production", unless enabled is passed.
+function guardThis(Class, { enabled = process.env.NODE_ENV !== "production" } = {}) {
+    if (!enabled) {
+        return Class;
+    }
+    const className = Class.name;
+    const Guarded = class extends Class {};
+    Object.defineProperty(Guarded, "name", { value: className });
+
+    const guardReturned = (fn, name) => {
+        // Arrow and bound functions have no prototype - their `this` can't be lost
+        if (typeof fn !== "function" || !Object.prototype.hasOwnProperty.call(fn, "prototype")) {
+            return fn;
+        }
+        return function(...args) {
+            if (this instanceof Class) {
+                return fn.apply(this, args);
+            }
+            const receiver = this;
+            const fail = () => {
+                throw lostReturnedThisError(className, name, receiver);
+            };
+            const standIn = new Proxy({}, { get: fail, set: fail, has: fail, deleteProperty: fail, defineProperty: fail });
+            return fn.apply(standIn, args);
+        };
+    };
+
+    methodNames(Class.prototype).forEach(name => {
+        const original = Class.prototype[name];
+        Object.defineProperty(Guarded.prototype, name, {
+            value: {
+                [name](...args) {
+                    if (!(this instanceof Class)) {
+                        throw detachedMethodError(className, name, this);
+                    }
+                    return guardReturned(original.apply(this, args), name);
+                }
+            }[name],
+            configurable: true,
+            writable: true,
+            enumerable: false
+        });
+    });
+    return Guarded;
+}
+
+module.exports = {
+    bindAll,
+    autoBind,
+    guardThis
+};
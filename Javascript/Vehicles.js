@@ -0,0 +1,328 @@
+const { abstractClass } = require("./Interfaces");
+const { IllegalTransitionError, OutOfEnergyError } = require("./Errors");
+const { defaultLogger } = require("./Logger");
+
+//////////////////////////////////////////// Vehicles ////////////////////////////////////////////
+
+// Every vehicle runs the same state machine:
+//
+//   off ──start()──► idling ──setSpeed(>0)──► moving
+//    ▲  ◄──stop()────  ▲ ◄────setSpeed(0)─────┘
+//    │                 └── runs dry: idling/moving stall to off
+//    └─ refuelling ◄──refuel()── off      (back to off when full, or finishRefuelling())
+//
+// Energy is generic - litres of fuel or kWh of charge - so subclasses only change numbers and wording.
+// Time only passes through tick(seconds): idling burns idlePerHour, moving burns consumptionPerKm
+// for every km covered, refuelling adds refillPerHour. Time spent in each state is kept for reports.
+const VehicleState = Object.freeze({
+    OFF: "off",
+    IDLING: "idling",
+    MOVING: "moving",
+    REFUELLING: "refuelling"
+});
+
+const TRANSITIONS = Object.freeze({
+    [VehicleState.OFF]: [VehicleState.IDLING, VehicleState.REFUELLING],
+    [VehicleState.IDLING]: [VehicleState.OFF, VehicleState.MOVING],
+    [VehicleState.MOVING]: [VehicleState.IDLING, VehicleState.MOVING],
+    [VehicleState.REFUELLING]: [VehicleState.OFF]
+});
+
+// Abstract class - cannot be instantiated
+const AbstractVehicle = abstractClass(class AbstractVehicle {
+    constructor(brand, model, {
+        unit = "L",
+        energyName = "fuel",
+        capacity = 50,
+        level = capacity,
+        consumptionPerKm = 0.07,
+        idlePerHour = 0.8,
+        refillPerHour = 1200,
+        maxSpeed = 180,
+        logger = defaultLogger
+    } = {}) {
+        if (!(capacity > 0)) {
+            throw new RangeError(`Capacity must be positive, got ${capacity}`);
+        }
+        if (!(level >= 0 && level <= capacity)) {
+            throw new RangeError(`Level ${level} is outside [0, ${capacity}]`);
+        }
+        this.brand = brand;
+        this.model = model;
+        this.unit = unit;
+        this.energyName = energyName;
+        this.capacity = capacity;
+        this.consumptionPerKm = consumptionPerKm;
+        this.idlePerHour = idlePerHour;
+        this.refillPerHour = refillPerHour;
+        this.maxSpeed = maxSpeed;
+        this.logger = logger.child({ vehicle: this.getInfo() });
+
+        this.state = VehicleState.OFF;
+        this.speed = 0;            // km/h
+        this.level = level;        // in `unit`
+        this.odometer = 0;         // km
+        this.energyUsed = 0;       // in `unit`
+        this.elapsed = 0;          // seconds of simulated time this vehicle has lived through
+        this.timeInState = Object.fromEntries(Object.values(VehicleState).map(state => [state, 0]));
+        this.history = [{ state: this.state, at: 0 }];
+    }
+
+    // ---------- state machine ----------
+
+    canTransition(to) {
+        return TRANSITIONS[this.state].includes(to);
+    }
+
+    transition(to, action, details = {}) {
+        if (!this.canTransition(to)) {
+            throw new IllegalTransitionError(`Cannot ${action} ${this.getInfo()} while it is ${this.state}`, {
+                vehicle: this.getInfo(),
+                from: this.state,
+                to
+            });
+        }
+        this.state = to;
+        this.history.push({ state: to, at: this.elapsed, ...details });
+        return this;
+    }
+
+    start() {
+        if (this.level <= 0 && this.state === VehicleState.OFF) {
+            throw new OutOfEnergyError(`${this.getInfo()} has no ${this.energyName} left - refuel first`, {
+                vehicle: this.getInfo()
+            });
+        }
+        this.transition(VehicleState.IDLING, "start");
+        this.logger.info(`${this.getInfo()} ${this.ignition()}`, { state: this.state });
+        return this;
+    }
+
+    stop() {
+        if (this.state === VehicleState.MOVING) {
+            throw new IllegalTransitionError(`Cannot switch off ${this.getInfo()} at ${this.speed} km/h - setSpeed(0) first`, {
+                vehicle: this.getInfo(),
+                from: this.state,
+                to: VehicleState.OFF
+            });
+        }
+        this.transition(VehicleState.OFF, "stop");
+        this.logger.info(`${this.getInfo()} ${this.shutdown()}`, { state: this.state });
+        return this;
+    }
+
+    // 0 brings a moving vehicle back to idling
+    setSpeed(speed) {
+        if (typeof speed !== "number" || !(speed >= 0 && speed <= this.maxSpeed)) {
+            throw new RangeError(`Speed must be between 0 and ${this.maxSpeed} km/h, got ${speed}`);
+        }
+        if (speed === 0) {
+            if (this.state === VehicleState.MOVING) {
+                this.transition(VehicleState.IDLING, "brake");
+            } else if (this.state !== VehicleState.IDLING) {
+                throw new IllegalTransitionError(`Cannot brake ${this.getInfo()} while it is ${this.state}`, {
+                    vehicle: this.getInfo(),
+                    from: this.state,
+                    to: VehicleState.IDLING
+                });
+            }
+        } else {
+            this.transition(VehicleState.MOVING, "drive", { speed });
+        }
+        this.speed = speed;
+        return this;
+    }
+
+    refuel() {
+        return this.transition(VehicleState.REFUELLING, "refuel");
+    }
+
+    finishRefuelling() {
+        return this.transition(VehicleState.OFF, "finish refuelling");
+    }
+
+    // ---------- simulation ----------
+
+    // Advances simulated time; may end in a different state (stalled, or done refuelling)
+    tick(seconds) {
+        if (typeof seconds !== "number" || !(seconds >= 0)) {
+            throw new RangeError(`Tick must be a non-negative number of seconds, got ${seconds}`);
+        }
+        const hours = seconds / 3600;
+        if (this.state === VehicleState.IDLING) {
+            const wanted = this.idlePerHour * hours;
+            const burned = this.burn(wanted);
+            if (burned < wanted) {
+                this.runDry(VehicleState.IDLING, (burned / this.idlePerHour) * 3600, seconds);
+            } else {
+                this.spend(VehicleState.IDLING, seconds);
+            }
+        } else if (this.state === VehicleState.MOVING) {
+            const wanted = this.speed * hours;
+            const reachable = this.consumptionPerKm > 0 ? this.level / this.consumptionPerKm : Infinity;
+            const distance = Math.min(wanted, reachable);
+            this.odometer += distance;
+            this.burn(distance * this.consumptionPerKm);
+            if (distance < wanted) {
+                this.runDry(VehicleState.MOVING, (distance / this.speed) * 3600, seconds);
+            } else {
+                this.spend(VehicleState.MOVING, seconds);
+            }
+        } else if (this.state === VehicleState.REFUELLING) {
+            const missing = this.capacity - this.level;
+            const toFull = this.refillPerHour > 0 ? (missing / this.refillPerHour) * 3600 : Infinity;
+            if (toFull <= seconds) {
+                this.level = this.capacity;
+                this.spend(VehicleState.REFUELLING, toFull);
+                this.finishRefuelling();
+                this.spend(VehicleState.OFF, seconds - toFull);
+            } else {
+                this.level += this.refillPerHour * hours;
+                this.spend(VehicleState.REFUELLING, seconds);
+            }
+        } else {
+            this.spend(VehicleState.OFF, seconds);
+        }
+        return this;
+    }
+
+    // Takes up to `amount` from the tank/battery; returns what was actually taken
+    burn(amount) {
+        const taken = Math.min(amount, this.level);
+        this.level -= taken;
+        this.energyUsed += taken;
+        return taken;
+    }
+
+    spend(state, seconds) {
+        this.timeInState[state] += seconds;
+        this.elapsed += seconds;
+    }
+
+    // Ran dry `ran` seconds into a tick: coast to a halt, die, and sit switched off for the rest
+    runDry(state, ran, seconds) {
+        this.burn(this.level);  // Whatever rounding left behind
+        this.spend(state, ran);
+        if (this.state === VehicleState.MOVING) {
+            this.transition(VehicleState.IDLING, "brake", { reason: "stalled" });
+            this.speed = 0;
+        }
+        this.transition(VehicleState.OFF, "stop", { reason: "stalled" });
+        this.spend(VehicleState.OFF, seconds - ran);
+        this.logger.warn(`${this.getInfo()} ran out of ${this.energyName}`, { odometer: this.odometer });
+    }
+
+    // ---------- CONCRETE METHODS - shared by all children ----------
+
+    getInfo() {
+        return `${this.brand} ${this.model}`;
+    }
+
+    honk() {
+        this.logger.info(`${this.getInfo()} is honking!`);
+    }
+
+    // What stop() says; override for vehicles without an engine
+    shutdown() {
+        return "engine stopped";
+    }
+
+    getLevelPercent() {
+        return (this.level / this.capacity) * 100;
+    }
+
+    isEmpty() {
+        return this.level <= 0;
+    }
+
+    // Plain data copy - safe to hand to callers or log
+    getStatus() {
+        return {
+            vehicle: this.getInfo(),
+            state: this.state,
+            speed: this.speed,
+            level: this.level,
+            capacity: this.capacity,
+            unit: this.unit,
+            levelPercent: this.getLevelPercent(),
+            odometer: this.odometer,
+            energyUsed: this.energyUsed,
+            timeInState: { ...this.timeInState }
+        };
+    }
+}, {
+    // ABSTRACT METHODS - must be implemented by children
+    // ignition() -> how start() describes it, e.g. "engine started with key"
+    abstract: { ignition: 0 }
+});
+
+// Concrete implementations
+class Car extends AbstractVehicle {
+    constructor(brand, model, options = {}) {
+        super(brand, model, { capacity: 50, consumptionPerKm: 0.065, idlePerHour: 0.8, maxSpeed: 180, ...options });
+    }
+
+    ignition() {
+        return "engine started with key";
+    }
+}
+
+class Motorcycle extends AbstractVehicle {
+    constructor(brand, model, options = {}) {
+        super(brand, model, { capacity: 15, consumptionPerKm: 0.045, idlePerHour: 0.4, maxSpeed: 200, ...options });
+    }
+
+    ignition() {
+        return "started with kick/button";
+    }
+}
+
+// Same state machine, different energy: kWh from a charger instead of litres from a pump.
+// Slowing down feeds some energy back into the battery (regenerative braking).
+class ElectricCar extends AbstractVehicle {
+    constructor(brand, model, { regenPerKmh = 0.002, ...options } = {}) {
+        super(brand, model, {
+            unit: "kWh",
+            energyName: "charge",
+            capacity: 60,
+            consumptionPerKm: 0.16,
+            idlePerHour: 0.3,   // Climate control and electronics - there is no engine to idle
+            refillPerHour: 50,  // 50 kW DC charger
+            maxSpeed: 160,
+            ...options
+        });
+        this.regenPerKmh = regenPerKmh;  // kWh recovered per km/h of speed shed
+    }
+
+    ignition() {
+        return "powered on silently";
+    }
+
+    shutdown() {
+        return "powered down";
+    }
+
+    setSpeed(speed) {
+        const previous = this.speed;
+        super.setSpeed(speed);
+        if (speed < previous) {
+            const recovered = Math.min((previous - speed) * this.regenPerKmh, this.capacity - this.level);
+            this.level += recovered;
+            this.energyUsed -= recovered;
+        }
+        return this;
+    }
+
+    // Electric wording for refuel()
+    charge() {
+        return this.refuel();
+    }
+}
+
+module.exports = {
+    AbstractVehicle,
+    Car,
+    Motorcycle,
+    ElectricCar,
+    VehicleState
+};
@@ -0,0 +1,117 @@
+const { systemClock } = require("./Clock");
+const { pTimeout } = require("./PromiseUtils");
+const { TimeoutError } = require("./Errors");
+
+//////////////////////////////////////////// Workflow Runner ////////////////////////////////////////////
+
+// Runs async steps one after another - sequentialOperations() with the parts real jobs need:
+//
+//   const workflow = new Workflow([
+//       { name: "download", run: async (context) => ..., timeoutMs: 5000 },
+//       { name: "resize",   run: async ({ results, signal }) => resize(results.download, { signal }) }
+//   ]);
+//   const report = await workflow.run({ onProgress: event => ... });
+//   if (report.status === "failed") {
+//       await workflow.run({ resumeFrom: report.checkpoint });   // skips the steps that already succeeded
+//   }
+//
+// Each step gets { results, signal, clock, step }: results holds earlier steps' return values by
+// name, and signal aborts when the step times out or the caller cancels the run.
+// onProgress receives { type: "step-start" | "step-complete" | "step-failed", step, index, total, ... }.
+// run() never throws for a failing step; the report says what happened and carries a checkpoint.
+
+const WorkflowStatus = Object.freeze({
+    COMPLETED: "completed",
+    FAILED: "failed",
+    ABORTED: "aborted"
+});
+
+class Workflow {
+    constructor(steps, { defaultTimeoutMs = Infinity, clock = systemClock } = {}) {
+        const names = new Set();
+        steps.forEach((step, index) => {
+            if (!step || typeof step.name !== "string" || typeof step.run !== "function") {
+                throw new TypeError(`Step ${index} needs a name and a run function`);
+            }
+            if (names.has(step.name)) {
+                throw new TypeError(`Duplicate step name '${step.name}'`);
+            }
+            names.add(step.name);
+        });
+        this.steps = steps.map(step => ({ ...step }));
+        this.defaultTimeoutMs = defaultTimeoutMs;
+        this.clock = clock;
+    }
+
+    // resumeFrom: a checkpoint from an earlier report, or a step name / index to start at
+    resolveStart(resumeFrom) {
+        if (resumeFrom === undefined || resumeFrom === null) {
+            return { index: 0, results: {} };
+        }
+        if (typeof resumeFrom === "object") {
+            return { index: this.indexOf(resumeFrom.nextStep), results: { ...resumeFrom.results } };
+        }
+        return { index: this.indexOf(resumeFrom), results: {} };
+    }
+
+    indexOf(step) {
+        const index = typeof step === "number" ? step : this.steps.findIndex(candidate => candidate.name === step);
+        if (!Number.isInteger(index) || index < 0 || index > this.steps.length) {
+            throw new RangeError(`Unknown step '${step}'`);
+        }
+        return index;
+    }
+
+    async run({ resumeFrom, onProgress = () => {}, signal } = {}) {
+        const start = this.resolveStart(resumeFrom);
+        const results = start.results;
+        const total = this.steps.length;
+        const startedAt = this.clock.now();
+        const report = (status, index, extra = {}) => ({
+            status,
+            results: { ...results },
+            completedSteps: this.steps.slice(0, index).map(step => step.name),
+            durationMs: this.clock.now() - startedAt,
+            checkpoint: index < total ? { nextStep: this.steps[index].name, results: { ...results } } : null,
+            ...extra
+        });
+
+        for (let index = start.index; index < total; index++) {
+            const step = this.steps[index];
+            if (signal && signal.aborted) {
+                return report(WorkflowStatus.ABORTED, index, { failedStep: step.name, error: signal.reason });
+            }
+            const timeoutMs = step.timeoutMs ?? this.defaultTimeoutMs;
+            const stepStartedAt = this.clock.now();
+            onProgress({ type: "step-start", step: step.name, index, total });
+            try {
+                const run = (stepSignal) => step.run({ results: { ...results }, signal: stepSignal, clock: this.clock, step: step.name });
+                const result = await pTimeout(run, timeoutMs, {
+                    signal,
+                    clock: this.clock,
+                    message: `Step '${step.name}' timed out after ${timeoutMs} ms`
+                });
+                results[step.name] = result;
+                onProgress({
+                    type: "step-complete",
+                    step: step.name,
+                    index,
+                    total,
+                    result,
+                    durationMs: this.clock.now() - stepStartedAt,
+                    percent: Math.round(((index + 1) / total) * 100)
+                });
+            } catch (error) {
+                const aborted = Boolean(signal && signal.aborted) && !(error instanceof TimeoutError);
+                onProgress({ type: "step-failed", step: step.name, index, total, error, durationMs: this.clock.now() - stepStartedAt });
+                return report(aborted ? WorkflowStatus.ABORTED : WorkflowStatus.FAILED, index, { failedStep: step.name, error });
+            }
+        }
+        return report(WorkflowStatus.COMPLETED, total, { failedStep: null, error: null });
+    }
+}
+
+module.exports = {
+    Workflow,
+    WorkflowStatus
+};
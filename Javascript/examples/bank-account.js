@@ -0,0 +1,28 @@
+const { BankAccount, FeeOverdraftPolicy, transfer, Money } = require("../Practice");
+
+module.exports = {
+    description: "BankAccount: closure-private balance, typed errors, overdraft policies, transfers and Money",
+    run() {
+        // BankAccount keeps its balance and ledger inside the constructor closure - see BankAccount.js
+        const account = new BankAccount(1000);
+        account.deposit(500);
+        account.withdraw(200);
+        console.log(`Current balance: ${account.getBalance().format()}`);
+        // console.log(account.balance); // undefined - truly private!
+
+        try {
+            account.withdraw(5000);  // Throws InsufficientFundsError instead of just logging
+        } catch (error) {
+            console.log(`${error.name}: ${error.message}`);
+        }
+
+        const savings = new BankAccount(0, { overdraftPolicy: new FeeOverdraftPolicy({ limit: 100, fee: 5 }) });
+        transfer(account, savings, 300);
+        savings.withdraw(350);  // Goes $50 overdrawn and is charged a $5 fee
+        console.log(savings.getStatement().entries.map(entry => `${entry.type} ${entry.amount} -> ${entry.balanceAfter}`));
+
+        // Money splits without losing a cent: $100 three ways is 33.34 + 33.33 + 33.33
+        console.log(Money.of(100).split(3).map(share => share.format()));
+        console.log(Money.of(1234.5, "EUR").format("de-DE"));  // 1.234,50 €
+    }
+};
@@ -0,0 +1,52 @@
+const { ShoppingCart, CreditCardProcessor, Money } = require("../Practice");
+
+function report({ success, transactionId, error, postPaymentErrors = [] }) {
+    console.log(success ? `✅ Paid: ${transactionId}` : `❌ ${error}`);
+    postPaymentErrors.forEach(failure => console.log(`   ⚠️ ${failure.hook}: ${failure.error}`));
+}
+
+module.exports = {
+    description: "Checkout middleware: address check, fraud screening, error handling and post-payment hooks",
+    async run() {
+        const cart = new ShoppingCart();
+
+        // Short-circuit: no address, no charge
+        cart.use(async (ctx, next) => {
+            if (!ctx.config.address) {
+                ctx.result = { success: false, error: "Shipping address is required" };
+                return;
+            }
+            await next();
+        });
+
+        // Fraud screening: throwing hands the checkout to the error middleware below
+        cart.use(async (ctx, next) => {
+            if (ctx.summary.total.greaterThan(Money.of(5000))) {
+                throw new Error("Order flagged for manual review");
+            }
+            const startedAt = Date.now();
+            await next();
+            console.log(`Payment took ${Date.now() - startedAt} ms`);  // Runs after the charge
+        });
+
+        cart.use(async (error, ctx, next) => {
+            ctx.result = { success: false, error: `We couldn't take this order: ${error.message}` };
+        });
+
+        // After the charge: a failing receipt is reported, the payment stands
+        cart.afterPayment(async function sendReceipt() {
+            throw new Error("mail server unreachable");
+        });
+        cart.afterPayment(async function recordAnalytics(ctx) {
+            console.log(`analytics: ${ctx.payment.transactionId} for ${ctx.payment.amount.format()}`);
+        });
+
+        const card = new CreditCardProcessor("1234567890123456", "12/30");
+        cart.addItem("Laptop", 999.99);
+        report(await cart.checkout(card));                                // No address
+        report(await cart.checkout(card, { address: "1 Main St" }));     // Paid, receipt failed
+
+        cart.addItem("Server rack", 7999.99);
+        report(await cart.checkout(card, { address: "1 Main St" }));     // Flagged
+    }
+};
@@ -0,0 +1,37 @@
+const { ShoppingCart, CreditCardProcessor, PayPalProcessor, CryptoProcessor } = require("../Practice");
+
+module.exports = {
+    description: "One checkout() for any PaymentProcessor, by instance or registered name, with idempotency keys",
+    async run() {
+        // checkout() takes any PaymentProcessor, or a registered name + config:
+        //   cart.checkout(new PayPalProcessor(email))  ===  cart.checkout("paypal", { email })
+        console.log("=== Polymorphism Example 2: Payment Processing ===");
+        const cart = new ShoppingCart();
+        cart.addItem("Laptop", 999.99);
+        cart.addItem("Mouse", 29.99);
+
+        // Same checkout method, different payment processors
+        const creditCard = new CreditCardProcessor("1234567890123456", "12/25");
+        const paypal = new PayPalProcessor("user@example.com");
+        const bitcoin = new CryptoProcessor("1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa", "Bitcoin");
+
+        // Polymorphism: same method call, different implementations
+        await cart.checkout(creditCard);
+        cart.addItem("Keyboard", 79.99);
+        await cart.checkout(paypal);
+        cart.addItem("Monitor", 299.99);
+        await cart.checkout(bitcoin);
+
+        // Or let the registry build the processor from a name + config
+        cart.addItem("Headphones", 149.99);
+        await cart.checkout("crypto", { address: "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed", network: "Ethereum" });
+
+        // A retry of the same order with the same idempotency key (e.g. after a client timeout) never
+        // charges twice - reusing the key for a different cart throws IdempotencyConflictError
+        cart.addItem("Webcam", 59.99);
+        const first = await cart.checkout(creditCard, { idempotencyKey: "order-1001" });
+        cart.addItem("Webcam", 59.99);
+        const retry = await cart.checkout(creditCard, { idempotencyKey: "order-1001" });
+        console.log(`Same transaction on retry: ${first.transactionId === retry.transactionId}`);
+    }
+};
@@ -0,0 +1,23 @@
+const { Counter } = require("../Practice");
+
+module.exports = {
+    description: "Event handlers with closure: an observable, bounded Counter with undo/redo",
+    run() {
+        // Counter is observable and bounded - see Counter.js
+        const counter = new Counter(10);
+        const increment = counter.getIncrementer();
+        const incrementBy5 = counter.getCustomIncrementer(5);
+
+        increment(); // Count: 11
+        increment(); // Count: 12
+        incrementBy5(); // Count increased by 5: 17
+
+        const dial = new Counter(0, { min: 0, max: 9, mode: "wrap" });
+        dial.on("change", ({ previous, value, operation }) => console.log(`dial ${operation}: ${previous} -> ${value}`));
+        dial.on("overflow", ({ attempted, value }) => console.log(`dial overflowed: ${attempted} wrapped to ${value}`));
+        dial.increment(8);
+        dial.increment(3);  // 11 wraps to 1
+        dial.undo();        // back to 8
+        dial.redo();        // forward to 1 again
+    }
+};
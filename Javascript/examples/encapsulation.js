@@ -0,0 +1,13 @@
+const { User1 } = require("../Practice");
+
+module.exports = {
+    description: "Private state with closures: the balance can only change through the returned methods",
+    run() {
+        const userBalance = new User1("John", 20);
+
+        userBalance.greet();
+        userBalance.sell("Apple", 100);
+        console.log(userBalance.getBalance());
+        console.log(userBalance.balance);  // undefined - there is no property to tamper with
+    }
+};
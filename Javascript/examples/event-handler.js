@@ -0,0 +1,48 @@
+const { EventHandler } = require("../Practice");
+
+module.exports = {
+    description: "EventHandler: losing `this` in click handlers, then a DOM-free bus with capture/bubble",
+    run() {
+        // Real-world example showing the difference - see EventHandler.js
+        console.log("=== Real-world Event Handler Example ===");
+        const handler = new EventHandler("Button");
+
+        const wrongHandler = handler.getWrongClickHandler();
+        const correctHandler = handler.getCorrectClickHandler();
+        const closureHandler = handler.getClosureClickHandler();
+
+        console.log("Wrong handler (will fail):");
+        try {
+            wrongHandler();  // Fails
+        } catch (error) {
+            console.log("Error:", error.message);
+        }
+
+        console.log("Correct handler (arrow function):");
+        correctHandler();  // Works
+        correctHandler();  // Works
+
+        console.log("Closure handler (captured variables):");
+        closureHandler();  // Works
+        closureHandler();  // Works
+
+        // Handlers attached to a DOM-free event bus: capture on the form, bubble back up, stop propagation
+        console.log("\n=== Event dispatch without a browser ===");
+        const form = new EventHandler("Form");
+        const submit = new EventHandler("Submit", { parent: form });
+        form.on("click", (event) => console.log(`Form saw click during ${event.phase}`), { capture: true });
+        form.on("click", (event) => console.log(`Form saw click during ${event.phase}`));
+        submit.attach("click");
+        submit.on("click", () => { throw new Error("analytics is down"); });  // Isolated - others still run
+        const stopper = submit.on("click", (event) => event.stopPropagation(), { priority: -1 });
+        submit.click();         // capture -> target -> (stopped, no bubble)
+        stopper.unsubscribe();
+        submit.click();         // capture -> target -> bubble
+
+        const controller = new AbortController();
+        form.on("form.**", (event) => console.log(`wildcard got ${event.type}`), { signal: controller.signal });
+        form.events.dispatch("form.field.changed");
+        controller.abort();     // Listener removed
+        form.events.dispatch("form.field.changed");
+    }
+};
@@ -0,0 +1,15 @@
+const {
+    checkEventLoopOrder,
+    promiseConstructorDemo,
+    promiseConstructorOrder,
+    awaitDemo,
+    awaitOrder
+} = require("../AsyncProgrammingPractive");
+
+module.exports = {
+    description: "Traces what runs sync, as a microtask or from a timer, and checks it against the expected order",
+    async run() {
+        await checkEventLoopOrder("Promise constructor runs immediately", promiseConstructorDemo, promiseConstructorOrder);
+        await checkEventLoopOrder("await pauses only the async function", awaitDemo, awaitOrder);
+    }
+};
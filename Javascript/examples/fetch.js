@@ -0,0 +1,11 @@
+const { fetchData, fetchUserData, fetchUserDataWithThen, testPromiseAll, testPromiseAllSettled } = require("../AsyncProgrammingPractive");
+
+module.exports = {
+    description: "HttpClient against jsonplaceholder: Promise.all vs Promise.allSettled (needs network)",
+    async run() {
+        await fetchData();
+        console.log(await fetchUserData(1), await fetchUserDataWithThen(2));
+        await testPromiseAll();         // One 404 rejects the whole batch
+        await testPromiseAllSettled();  // ...while allSettled keeps the two that worked
+    }
+};
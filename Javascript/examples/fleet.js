@@ -0,0 +1,21 @@
+const { Car, Motorcycle, ElectricCar, Fleet } = require("../Practice");
+
+module.exports = {
+    description: "A simulated fleet of fuel and electric vehicles with a utilization report",
+    run() {
+        // A fleet only knows the AbstractVehicle API, so an electric car slots right in
+        const fleet = new Fleet();
+        const taxi = fleet.register(new Car("Toyota", "Camry"));
+        const courier = fleet.register(new Motorcycle("Harley", "Davidson"));
+        const shuttle = fleet.register(new ElectricCar("Tesla", "Model 3", { level: 12 }));
+        fleet.dispatch(taxi, { distanceKm: 20, speed: 60 });
+        fleet.dispatch(courier, { distanceKm: 8, speed: 40, startAt: 900 });
+        fleet.dispatch(shuttle, { distanceKm: 120, speed: 100 });  // Not enough charge - gets stranded, then recharged
+        const report = fleet.simulate({ duration: 2 * 3600, step: 60 });
+        report.vehicles.forEach(entry => {
+            console.log(`${entry.id} ${entry.vehicle}: ${entry.distanceKm.toFixed(1)} km, ` +
+                `${(entry.utilization * 100).toFixed(0)}% utilized, ${entry.state}, ${entry.levelPercent.toFixed(0)}% ${entry.unit}`);
+        });
+        console.log(report.trips);
+    }
+};
@@ -0,0 +1,92 @@
+const fs = require("fs");
+const path = require("path");
+const { fork } = require("child_process");
+
+//////////////////////////////////////////// Examples ////////////////////////////////////////////
+
+// Every demo from Practice.js and AsyncProgrammingPractive.js, one file each:
+//   node examples               list them
+//   node examples <name>        run one on its own (exit code 1 if it throws)
+//   node examples all           run each in its own process and print a summary,
+//                               so one crashing demo can't hide the others
+//
+// A demo file exports { description, run } and does nothing when required; run() may be async.
+
+function loadExamples() {
+    return fs.readdirSync(__dirname)
+        .filter(file => file.endsWith(".js") && file !== path.basename(__filename))
+        .sort()
+        .map(file => {
+            const { description, run } = require(path.join(__dirname, file));
+            return { name: path.basename(file, ".js"), description, run };
+        });
+}
+
+function list(examples) {
+    const width = Math.max(...examples.map(example => example.name.length));
+    console.log("Examples:");
+    examples.forEach(example => console.log(`  ${example.name.padEnd(width)}  ${example.description}`));
+    console.log("\nRun one with: node examples <name>   (or all of them: node examples all)");
+}
+
+async function runOne(example) {
+    try {
+        await example.run();
+        return true;
+    } catch (error) {
+        console.error(`\n❌ ${example.name} failed: ${error.stack || error}`);
+        return false;
+    }
+}
+
+// A child process per demo: stray timers, unhandled rejections and process.exit stay contained
+function runIsolated(example) {
+    return new Promise(resolve => {
+        const child = fork(__filename, [example.name], { stdio: "inherit" });
+        child.on("error", () => resolve(false));
+        child.on("exit", code => resolve(code === 0));
+    });
+}
+
+async function runAll(examples) {
+    const results = [];
+    for (const example of examples) {
+        console.log(`\n━━━━━━━━ ${example.name} ━━━━━━━━`);
+        results.push({ name: example.name, ok: await runIsolated(example) });
+    }
+    const failed = results.filter(result => !result.ok);
+    console.log("\n━━━━━━━━ Summary ━━━━━━━━");
+    results.forEach(result => console.log(`${result.ok ? "✅" : "❌"} ${result.name}`));
+    console.log(`${results.length - failed.length} passed, ${failed.length} failed`);
+    return failed.length === 0;
+}
+
+async function main([name] = []) {
+    const examples = loadExamples();
+    if (!name || name === "list" || name === "--help") {
+        list(examples);
+        return true;
+    }
+    if (name === "all") {
+        return runAll(examples);
+    }
+    const example = examples.find(candidate => candidate.name === name);
+    if (!example) {
+        console.error(`Unknown example '${name}'.\n`);
+        list(examples);
+        return false;
+    }
+    return runOne(example);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(ok => {
+        process.exitCode = ok ? 0 : 1;
+    });
+}
+
+module.exports = {
+    loadExamples,
+    runOne,
+    main
+};
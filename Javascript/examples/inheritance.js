@@ -0,0 +1,19 @@
+const { Dog, User, Ankit } = require("../Practice");
+
+module.exports = {
+    description: "Class inheritance with super, and prototype methods shared through a constructor function",
+    run() {
+        const dog = new Dog("Rex", 10, "German Shepherd");
+        dog.eat();   // Animal's eat() via super, then Dog's extra line
+        dog.bark();
+
+        // Methods on User.prototype are shared by every instance - and by classes that extend User
+        const john = new User("John", 20);
+        john.greet();
+
+        const ankit = new Ankit("Ankit", 20, "Software Engineer");
+        ankit.greet();
+        ankit.sell("Apple");
+        ankit.work();
+    }
+};
@@ -0,0 +1,46 @@
+const { ShoppingCart, CreditCardProcessor, Catalog, Inventory } = require("../Practice");
+const { FakeClock } = require("../Clock");
+
+module.exports = {
+    description: "Catalog + stock reservations: two carts racing for the last laptop, expired holds, failed payments",
+    async run() {
+        const clock = new FakeClock();  // Virtual time, so the 15 minute hold can lapse instantly
+        const catalog = new Catalog()
+            .add({ sku: "LAPTOP-15", name: "Laptop", price: 999.99 })
+            .add({ sku: "MOUSE-01", name: "Mouse", price: 29.99 });
+        const inventory = new Inventory({ catalog, clock, reservationTtlMs: 15 * 60 * 1000 });
+        inventory.restock("LAPTOP-15", 1);
+        inventory.restock("MOUSE-01", 10);
+
+        const alice = new ShoppingCart({ inventory });
+        const bob = new ShoppingCart({ inventory });
+        alice.addItem("LAPTOP-15", null);  // null: take the catalog price
+        try {
+            bob.addItem("LAPTOP-15", null);
+        } catch (error) {
+            console.log(`Bob: ${error.message}`);
+        }
+        try {
+            bob.addItem("Laptop", 999.99);  // Not a SKU
+        } catch (error) {
+            console.log(`Bob: ${error.message}`);
+        }
+
+        // Alice wanders off; her hold lapses and Bob gets the laptop
+        await clock.advance(20 * 60 * 1000);
+        bob.addItem("LAPTOP-15", null);
+        const card = new CreditCardProcessor("1234567890123456", "12/30");
+        const [aliceResult, bobResult] = await Promise.all([alice.checkout(card), bob.checkout(card)]);
+        console.log(`Alice: ${aliceResult.success ? "paid" : aliceResult.error}`);
+        console.log(`Bob: ${bobResult.success ? "paid" : bobResult.error}`);
+        console.log(`Laptops on hand: ${inventory.onHand("LAPTOP-15")}`);
+
+        // A declined payment gives the held mice back
+        alice.clear();
+        alice.addItem("MOUSE-01", null, 3);
+        console.log(`Mice available while Alice holds 3: ${inventory.available("MOUSE-01")}`);
+        const declining = { processPayment: async () => { throw new Error("Card declined"); } };
+        await alice.checkout(declining);
+        console.log(`Mice available after her payment failed: ${inventory.available("MOUSE-01")}`);
+    }
+};
@@ -0,0 +1,26 @@
+const { Logger, BankAccount, CreditCardProcessor, ShoppingCart, Car } = require("../Practice");
+
+module.exports = {
+    description: "Structured logging: levels, child loggers with context, JSON lines, redacted card numbers",
+    async run() {
+        // Pretty lines for people, with each class's context (account, vehicle...) bound on
+        const pretty = new Logger({ level: "debug" });
+        const account = new BankAccount(100, { id: "ACC-1", logger: pretty });
+        account.deposit(50);
+        const car = new Car("Toyota", "Camry", { level: 0.01, logger: pretty });
+        car.start().setSpeed(60).tick(60);  // Runs dry: a warning
+
+        // JSON lines for machines - and the card number never makes it out whole
+        const json = new Logger({ format: "json" });
+        const card = new CreditCardProcessor("4111111111111111", "12/30", { logger: json });
+        const cart = new ShoppingCart({ logger: json });
+        cart.addItem("Laptop", 999.99);
+        await cart.checkout(card);
+        json.info("Customer typed their card into the notes: 4111 1111 1111 1111", { password: "hunter2" });
+
+        // Filtering: only warnings and up from here on
+        pretty.setLevel("warn");
+        account.withdraw(20);  // Not shown
+        pretty.child({ job: "nightly-settlement" }).error("Settlement file missing");
+    }
+};
@@ -0,0 +1,48 @@
+const { ShoppingCart, CreditCardProcessor, OrderBook, OrderState } = require("../Practice");
+
+module.exports = {
+    description: "Orders after checkout: ship and deliver, cancel with a refund, returns approved and rejected",
+    async run() {
+        const orders = new OrderBook();
+        orders.on("transition", ({ order, from, to }) => console.log(`📦 ${order.id}: ${from || "-"} -> ${to}`));
+        orders.on(OrderState.REFUNDED, ({ order }) => console.log(`📧 Refund confirmation sent for ${order.id}`));
+
+        const card = new CreditCardProcessor("1234567890123456", "12/30");
+        const buy = async (name, price) => {
+            const cart = new ShoppingCart({ orders });
+            cart.addItem(name, price);
+            const result = await cart.checkout(card);
+            return result.order;
+        };
+
+        // The happy path
+        const laptop = await buy("Laptop", 999.99);
+        laptop.ship({ trackingNumber: "1Z999", carrier: "UPS" });
+        laptop.deliver();
+
+        // Changed their mind before it shipped: refunded, then cancelled
+        const mouse = await buy("Mouse", 29.99);
+        await mouse.cancel("Ordered by mistake");
+        console.log(`Mouse refund: ${mouse.refund.amount.format()} (${mouse.refund.transactionState})`);
+
+        // Once shipped it can't be cancelled - only returned after delivery
+        const headphones = await buy("Headphones", 149.99);
+        headphones.ship();
+        try {
+            await headphones.cancel();
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
+        headphones.deliver();
+        headphones.requestReturn("Too quiet");
+        await headphones.approveReturn();
+
+        // A rejected return puts the order back to delivered
+        laptop.requestReturn("Scratched lid");
+        laptop.rejectReturn("Damage not covered");
+
+        console.log("\nOrders:");
+        orders.list().forEach(order => console.log(`  ${order.id}  ${order.totals.total.format().padStart(10)}  ${order.state}`));
+        console.log(`Delivered: ${orders.list({ state: OrderState.DELIVERED }).map(order => order.id).join(", ")}`);
+    }
+};
@@ -0,0 +1,22 @@
+const { CreditCardProcessor, PayPalProcessor, Money } = require("../Practice");
+
+module.exports = {
+    description: "Two-phase payments: authorize, partial capture, refund, and void",
+    async run() {
+        // Two-phase flow: hold the money first, take it later, refund part of it
+        const card = new CreditCardProcessor("4111111111111111", "12/30");
+        const transaction = await card.authorize(Money.of(120));
+        await card.capture(transaction.id, Money.of(100));  // Partial capture - the rest of the hold is released
+        await card.refund(transaction.id, Money.of(25));
+        console.log(`Transaction ${transaction.state}: captured ${transaction.capturedAmount}, refunded ${transaction.refundedAmount}`);
+
+        const paypal = new PayPalProcessor("user@example.com");
+        const held = await paypal.authorize(49.99);
+        await paypal.void(held.id);
+        try {
+            await paypal.capture(held.id);  // ❌ Voided transactions can't be captured
+        } catch (error) {
+            console.log(`${error.name}: ${error.message}`);
+        }
+    }
+};
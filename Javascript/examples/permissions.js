@@ -0,0 +1,35 @@
+const { User, Ankit, Item, setupMarketplace, can, grantRole, revokeRole, rolesOf } = require("../Practice");
+
+module.exports = {
+    description: "Roles inherited through the prototype chain, ownership rules, and ForbiddenError from sell()",
+    run() {
+        const teardown = setupMarketplace();  // Grants the roles and guards sell()
+        const john = new User("John", 20);
+        const ankit = new Ankit("Ankit", 20, "Software Engineer");
+        const laptop = new Item("Laptop", ankit);
+        const bike = new Item("Bike", john);
+
+        // customer comes from User.prototype, seller from Ankit.prototype
+        console.log(`John's roles: ${rolesOf(john).join(", ")}`);
+        console.log(`Ankit's roles: ${rolesOf(ankit).join(", ")}`);
+
+        console.log(`Ankit can sell his laptop: ${can(ankit, "sell", laptop)}`);
+        console.log(`Ankit can sell John's bike: ${can(ankit, "sell", bike)}`);
+        console.log(`John can buy Ankit's laptop: ${can(john, "buy", laptop)}`);
+
+        ankit.sell(laptop);
+        try {
+            john.sell(bike);  // John owns it, but customers can't sell
+        } catch (error) {
+            console.log(`${error.name}: ${error.message}`);
+        }
+
+        // Roles granted or revoked on one object only affect that object
+        grantRole(john, "moderator");
+        john.sell(bike);
+        revokeRole(ankit, "seller");
+        console.log(`After revoking, Ankit can sell his laptop: ${can(ankit, "sell", laptop)}`);
+        console.log(`A new Ankit is still a seller: ${rolesOf(new Ankit("Ankit", 30, "Chef")).includes("seller")}`);
+        teardown();
+    }
+};
@@ -0,0 +1,19 @@
+const { Dog1, Cat1 } = require("../Practice");
+
+module.exports = {
+    description: "Method overriding behind a Speaker interface with a shared default introduce()",
+    run() {
+        // Polymorphism in action - same method call, different behaviors
+        const animals = [
+            new Dog1("Rex"),
+            new Cat1("Whiskers")
+        ];
+
+        console.log("=== Polymorphism Example 1: Method Overriding ===");
+        animals.forEach(animal => {
+            animal.introduce();  // Shared default, calls each animal's own makeSound()
+            animal.move();       // Different movement behavior
+            console.log("---");
+        });
+    }
+};
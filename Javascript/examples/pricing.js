@@ -0,0 +1,24 @@
+const { ShoppingCart } = require("../Practice");
+const { PricingPipeline, PercentageCoupon, BuyXGetY, FreeShippingOver, FlatRateShipping, RegionTaxRule } = require("../Pricing");
+
+module.exports = {
+    description: "Cart totals from line items: deals, coupons, free shipping and regional tax",
+    run() {
+        // Totals are derived from line items every time: deals -> coupons -> shipping -> tax
+        const store = new PricingPipeline([
+            new BuyXGetY("SOCKS", 2, 1),
+            new FreeShippingOver(100, new FlatRateShipping(7.99)),
+            new RegionTaxRule({ "US-CA": 0.0725, "US-NY": 0.04 })
+        ]);
+        const basket = new ShoppingCart({ pricing: store, region: "US-CA" });
+        basket.addItem("SOCKS", 4.99, 3, { name: "Socks" });
+        basket.addItem("MUG", 12.5, 2, { name: "Mug" });
+        basket.applyCoupon(new PercentageCoupon("SAVE10", 10));
+        basket.updateQuantity("MUG", 1);
+        const summary = basket.getSummary();
+        summary.lines.forEach(line => console.log(`${line.quantity} x ${line.name} @ ${line.unitPrice.format()} = ${line.lineTotal.format()}`));
+        summary.discounts.forEach(discount => console.log(`${discount.description}: -${discount.amount.format()}`));
+        console.log(`Shipping (${summary.shipping.method}): ${summary.shipping.amount.format()}`);
+        console.log(`Tax: ${summary.taxTotal.format()}  Total: ${summary.total.format()}`);
+    }
+};
@@ -0,0 +1,8 @@
+const { promiseBasics } = require("../AsyncProgrammingPractive");
+
+module.exports = {
+    description: "A promise starts pending and resolves from a setTimeout one second later",
+    run() {
+        return promiseBasics();
+    }
+};
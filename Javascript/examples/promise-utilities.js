@@ -0,0 +1,8 @@
+const { testPromiseUtilities } = require("../AsyncProgrammingPractive");
+
+module.exports = {
+    description: "mapConcurrent, pAny and pSettleWithinDeadline against jsonplaceholder (needs network)",
+    run() {
+        return testPromiseUtilities();
+    }
+};
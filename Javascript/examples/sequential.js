@@ -0,0 +1,15 @@
+const { sequentialOperations, sequentialOperationsOnVirtualTime, runSequentialWorkflow } = require("../AsyncProgrammingPractive");
+const { FakeClock } = require("../Clock");
+
+module.exports = {
+    description: "Sequential awaits on real and virtual time, then as a resumable Workflow",
+    async run() {
+        console.log(await sequentialOperations());
+        await sequentialOperationsOnVirtualTime();
+
+        const clock = new FakeClock();
+        const done = runSequentialWorkflow({ clock });
+        await clock.runAll();
+        console.log(await done);
+    }
+};
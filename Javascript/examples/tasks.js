@@ -0,0 +1,51 @@
+const os = require("os");
+const path = require("path");
+const { TaskManager, JsonFileTaskStorage, TaskScheduler } = require("../Practice");
+
+module.exports = {
+    description: "TaskManager: closure-backed tasks, queries, saving to disk, dependencies and a scheduler",
+    async run() {
+        // Each task's state lives in the closure created by createTask - see TaskManager.js
+        const manager = new TaskManager();
+        const task1 = manager.createTask("Learn JavaScript");
+        const task2 = manager.createTask("Build a project");  // Same millisecond, different id
+
+        console.log(task1.getStatus());
+        task1.start();
+        task1.complete();
+        console.log(task1.getStatus());
+        task2.block("Waiting on design review");
+
+        // Query API returns plain snapshots - editing them can't touch the tasks
+        manager.createTask("Fix login bug", { tags: ["backend"], assignee: "alice", priority: "critical" });
+        const page = manager.query({ status: ["todo", "blocked"], sortBy: "priority", order: "desc", limit: 2 });
+        console.log(page.items.map(item => `${item.name} (${item.priority})`), `next page: ${page.nextCursor ? "yes" : "no"}`);
+        console.log(manager.query({ tag: "backend", text: "login" }).items.map(item => item.assignee));
+
+        // Save to disk and reload into a fresh manager
+        const storage = new JsonFileTaskStorage(path.join(os.tmpdir(), "practice-tasks.json"));
+        const saving = new TaskManager({ storage });
+        saving.createTask("Write notes").start();
+        await saving.save();
+        const reloaded = await TaskManager.load(storage);
+        reloaded.getAllTasks().forEach(task => console.log(`Reloaded -> ${task.getStatus()}`));
+
+        // Dependencies + priorities: design -> build -> ship, with docs free to run alongside
+        const project = new TaskManager();
+        const design = project.createTask("Design", { priority: "high" });
+        const build = project.createTask("Build", { dependsOn: [design.getId()] });
+        const docs = project.createTask("Docs", { priority: "low" });
+        const ship = project.createTask("Ship", { dependsOn: [build.getId(), docs.getId()], dueDate: "2026-12-01" });
+        console.log(project.topologicalOrder().map(task => task.getName()).join(" -> "));
+
+        const work = (ms) => () => new Promise(resolve => setTimeout(resolve, ms));
+        const report = await new TaskScheduler(project, { concurrency: 2 }).run({
+            [design.getId()]: work(10),
+            [build.getId()]: () => Promise.reject(new Error("compiler crashed")),
+            [docs.getId()]: work(5),
+            [ship.getId()]: work(5)
+        });
+        console.log(`Completed ${report.completed.length}, failed ${report.failed.length}, skipped ${report.skipped.length}`);
+        console.log(ship.getStatus());  // Blocked - its upstream Build failed
+    }
+};
@@ -0,0 +1,58 @@
+const { ThisContextDemo, Counter, EventHandler, bindAll, autoBind, guardThis } = require("../Practice");
+
+module.exports = {
+    description: "`this` in closures: arrow vs regular vs bound functions, and guardThis/autoBind/bindAll",
+    run() {
+        const demo = new ThisContextDemo("TestObject");
+
+        // Test different approaches
+        const arrowFunc = demo.getArrowFunction();
+        const regularFunc = demo.getRegularFunction();
+        const closureFunc = demo.getClosureFunction();
+        const boundFunc = demo.getBoundFunction();
+
+        console.log("=== Testing Arrow Function (WORKS) ===");
+        arrowFunc();  // Works fine
+        arrowFunc();  // Works fine
+
+        console.log("\n=== Testing Regular Function (BREAKS) ===");
+        try {
+            regularFunc();  // Will throw error or show undefined
+        } catch (error) {
+            console.log("Error:", error.message);
+        }
+
+        console.log("\n=== Testing Closure Function (WORKS) ===");
+        closureFunc();  // Works with closure variables
+        closureFunc();  // Works with closure variables
+
+        console.log("\n=== Testing Bound Function (WORKS) ===");
+        boundFunc();  // Works with explicit binding
+        boundFunc();  // Works with explicit binding
+
+        // Tools for the same bugs - see ThisBinding.js
+        console.log("\n=== Catching a lost `this` ===");
+        const GuardedDemo = guardThis(ThisContextDemo);
+        try {
+            new GuardedDemo("Guarded").getRegularFunction()();  // Explains the fix instead of a bare TypeError
+        } catch (error) {
+            console.log(`${error.name}: ${error.message}`);
+        }
+        const GuardedCounter = guardThis(Counter);
+        const detachedIncrement = new GuardedCounter().increment;
+        try {
+            detachedIncrement();
+        } catch (error) {
+            console.log(`${error.name}: ${error.message}`);
+        }
+
+        const BoundCounter = autoBind(Counter);
+        const { increment, undo } = new BoundCounter(0);   // Destructuring is safe now
+        increment();
+        increment();
+        undo();
+        const boundButton = bindAll(new EventHandler("Bound button"));
+        boundButton.attach();
+        [1, 2].forEach(boundButton.click);                   // Passed as a callback, still clicks the right element
+    }
+};
@@ -0,0 +1,38 @@
+const { AbstractVehicle, Car } = require("../Practice");
+
+module.exports = {
+    description: "Abstract classes: contract checks at construction and the vehicle state machine",
+    run() {
+        // ❌ Every missing or mis-declared method is reported at once, before anything runs
+        class Bicycle extends AbstractVehicle {
+            ignition(rider) {
+                return `is pedalled off by ${rider}`;
+            }
+        }
+        try {
+            new Bicycle("Trek", "FX 3");
+        } catch (error) {
+            console.log(`${error.name}: ${error.message}`);
+        }
+
+        // ❌ The abstract class itself can't be instantiated
+        try {
+            new AbstractVehicle("Generic", "Vehicle");
+        } catch (error) {
+            console.log(`${error.name}: ${error.message}`);
+        }
+
+        // ✅ This works fine
+        const car = new Car("Toyota", "Camry");
+
+        // Starting twice or stopping a parked car is an error, not the same log line again
+        car.start();
+        try {
+            car.start();
+        } catch (error) {
+            console.log(`${error.name}: ${error.message}`);
+        }
+        car.setSpeed(50).tick(600).setSpeed(0).stop();
+        console.log(`${car.getInfo()}: ${car.odometer.toFixed(1)} km, ${car.level.toFixed(2)} ${car.unit} left`);
+    }
+};
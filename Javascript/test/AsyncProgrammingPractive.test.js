@@ -0,0 +1,85 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const practice = require("../AsyncProgrammingPractive");
+const { FakeClock } = require("../Clock");
+const { HttpError } = require("../Errors");
+const { silenceConsole, startStubServer, sendJson } = require("./helpers");
+
+describe("AsyncProgrammingPractive", () => {
+    let output;
+    beforeEach((t) => {
+        output = silenceConsole(t);
+    });
+
+    const logged = () => output.log.mock.calls.map(call => call.arguments.join(" "));
+
+    describe("event loop order", () => {
+        // These really wait on 1 s timers - the point is the real event loop
+        it("matches the documented order for a Promise constructor", async () => {
+            const entries = await practice.checkEventLoopOrder("promise", practice.promiseConstructorDemo, practice.promiseConstructorOrder);
+            assert.equal(entries.length, 7);
+        });
+
+        it("matches the documented order for await", async () => {
+            const entries = await practice.checkEventLoopOrder("await", practice.awaitDemo, practice.awaitOrder);
+            assert.equal(entries.length, 8);
+        });
+    });
+
+    describe("virtual time", () => {
+        it("runs sequentialOperations on a FakeClock", async () => {
+            const clock = new FakeClock();
+            const done = practice.sequentialOperations({ clock });
+            await clock.advance(1000);
+            assert.deepEqual(logged(), ["Starting...", "1 second passed"]);
+            await clock.advance(2000);
+            assert.equal(await done, "All done!");
+            assert.deepEqual(logged(), ["Starting...", "1 second passed", "3 seconds total"]);
+        });
+
+        it("resumes the sequential workflow after its flaky step times out", async () => {
+            const clock = new FakeClock();
+            const done = practice.runSequentialWorkflow({ clock });
+            await clock.runAll();
+            assert.equal(await done, "All done!");
+            assert.ok(logged().includes("failed at flaky-step: Step 'flaky-step' timed out after 1500 ms"));
+            assert.equal(logged().filter(line => line === "step-start: wait-1s").length, 1);
+        });
+    });
+
+    describe("fetch helpers", () => {
+        let server;
+        let originalBaseUrl;
+
+        before(async () => {
+            server = await startStubServer((request, response) => {
+                const match = request.url.match(/^\/users\/(\d+)$/);
+                if (match && Number(match[1]) <= 10) {
+                    sendJson(response, 200, { id: Number(match[1]), name: `User ${match[1]}` });
+                } else {
+                    sendJson(response, 404, {});
+                }
+            });
+            originalBaseUrl = practice.api.baseUrl;
+            practice.api.baseUrl = server.url;
+        });
+
+        after(async () => {
+            practice.api.baseUrl = originalBaseUrl;
+            await server.close();
+        });
+
+        it("returns the same user with .then() and with await", async () => {
+            assert.deepEqual(await practice.fetchUserData(2), { id: 2, name: "User 2" });
+            assert.deepEqual(await practice.fetchUserDataWithThen(2), await practice.fetchUserData(2));
+            await assert.rejects(practice.fetchUserData(999), (error) => error instanceof HttpError && error.status === 404);
+        });
+
+        it("shows Promise.all failing as a whole and allSettled keeping the rest", async () => {
+            await practice.testPromiseAll();
+            assert.match(logged()[0], /^One failed, all failed:/);
+            await practice.testPromiseAllSettled();
+            assert.deepEqual(logged().slice(1), ["User 1: Success", `User 2: Failed - HttpError: GET ${server.url}/users/999 failed with 404 Not Found`, "User 3: Success"]);
+        });
+    });
+});
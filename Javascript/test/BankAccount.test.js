@@ -0,0 +1,135 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    BankAccount,
+    EntryType,
+    FixedLimitOverdraftPolicy,
+    FeeOverdraftPolicy,
+    transfer,
+    validateAmount
+} = require("../BankAccount");
+const { Money } = require("../Money");
+const { InvalidAmountError, InsufficientFundsError, TransferError, CurrencyMismatchError } = require("../Errors");
+const { silenceConsole } = require("./helpers");
+
+describe("BankAccount", () => {
+    beforeEach((t) => {
+        silenceConsole(t);
+    });
+
+    it("keeps the balance private to the constructor closure", () => {
+        const account = new BankAccount(100);
+        assert.equal(account.balance, undefined);
+        assert.ok(!Object.keys(account).some(key => /balance/i.test(key) && typeof account[key] !== "function"));
+        account.balance = 1e6;  // Only adds an unrelated property
+        assert.equal(account.getBalance().toString(), "USD 100.00");
+    });
+
+    it("deposits and withdraws, recording each change in the ledger", () => {
+        const account = new BankAccount(1000);
+        account.deposit(500);
+        const entry = account.withdraw(200, "Rent");
+        assert.equal(account.getBalance().toString(), "USD 1300.00");
+        assert.equal(entry.type, EntryType.WITHDRAWAL);
+        assert.equal(entry.description, "Rent");
+        assert.ok(Object.isFrozen(entry));
+        assert.deepEqual(account.getStatement().entries.map(item => item.type), ["deposit", "deposit", "withdrawal"]);
+    });
+
+    it("rejects zero, negative, NaN and over-precise amounts without touching the balance", () => {
+        const account = new BankAccount(50);
+        [0, -5, NaN, 10.005].forEach(amount => {
+            assert.throws(() => account.deposit(amount), InvalidAmountError);
+            assert.throws(() => account.withdraw(amount), InvalidAmountError);
+        });
+        assert.throws(() => account.deposit(Money.of(5, "EUR")), CurrencyMismatchError);
+        assert.equal(account.getBalance().minor, 5000);
+        assert.equal(account.getStatement().entries.length, 1);
+    });
+
+    it("throws InsufficientFundsError with the details attached", () => {
+        const account = new BankAccount(100, { id: "acc-1" });
+        assert.throws(() => account.withdraw(150), (error) => {
+            assert.ok(error instanceof InsufficientFundsError);
+            assert.equal(error.accountId, "acc-1");
+            assert.equal(error.balance.toString(), "USD 100.00");
+            assert.equal(error.amount.toString(), "USD 150.00");
+            return true;
+        });
+        assert.equal(account.getBalance().minor, 10000);
+    });
+
+    it("lets overdraft policies allow a negative balance, charging fees where configured", () => {
+        const limited = new BankAccount(0, { overdraftPolicy: new FixedLimitOverdraftPolicy(100) });
+        limited.withdraw(100);
+        assert.equal(limited.getBalance().toString(), "USD -100.00");
+        assert.throws(() => limited.withdraw(0.01), InsufficientFundsError);
+
+        const charged = new BankAccount(0, { overdraftPolicy: new FeeOverdraftPolicy({ limit: 100, fee: 5 }) });
+        charged.withdraw(50);
+        assert.equal(charged.getBalance().toString(), "USD -55.00");
+        assert.deepEqual(charged.getStatement().entries.map(entry => entry.type), ["withdrawal", "fee"]);
+        assert.throws(() => charged.withdraw(41), InsufficientFundsError);  // 41 + 5 fee would pass the limit
+        assert.throws(() => new FeeOverdraftPolicy({ limit: -1, fee: 5 }), InvalidAmountError);
+    });
+
+    it("filters statements by date with opening and closing balances", () => {
+        let time = Date.parse("2026-01-01T00:00:00Z");
+        const account = new BankAccount(10, { now: () => new Date(time) });
+        time += 86400000;
+        account.deposit(20);
+        time += 86400000;
+        account.withdraw(5);
+
+        const statement = account.getStatement("2026-01-02T00:00:00Z", "2026-01-02T23:59:59Z");
+        assert.equal(statement.entries.length, 1);
+        assert.equal(statement.openingBalance.toString(), "USD 10.00");
+        assert.equal(statement.closingBalance.toString(), "USD 30.00");
+        assert.equal(account.getStatement("2027-01-01").closingBalance.toString(), "USD 25.00");
+    });
+});
+
+describe("transfer", () => {
+    beforeEach((t) => {
+        silenceConsole(t);
+    });
+
+    it("moves money between accounts with a matching pair of entries", () => {
+        const from = new BankAccount(100, { id: "a" });
+        const to = new BankAccount(0, { id: "b" });
+        const { outgoing, incoming } = transfer(from, to, 40);
+        assert.equal(outgoing.type, EntryType.TRANSFER_OUT);
+        assert.equal(incoming.type, EntryType.TRANSFER_IN);
+        assert.equal(from.getBalance().minor, 6000);
+        assert.equal(to.getBalance().minor, 4000);
+    });
+
+    it("rolls both ledgers back when either side fails", () => {
+        const from = new BankAccount(100);
+        const to = new BankAccount(0, { currency: "EUR" });
+        assert.throws(() => transfer(from, to, 40), TransferError);  // EUR account can't take USD
+        assert.equal(from.getBalance().minor, 10000);
+        assert.equal(from.getStatement().entries.length, 1);
+        assert.equal(to.getStatement().entries.length, 0);
+
+        const poor = new BankAccount(10);
+        assert.throws(() => transfer(poor, new BankAccount(), 20), (error) =>
+            error instanceof TransferError && error.cause instanceof InsufficientFundsError);
+        assert.equal(poor.getBalance().minor, 1000);
+    });
+
+    it("refuses self-transfers, non-accounts and invalid amounts", () => {
+        const account = new BankAccount(100);
+        assert.throws(() => transfer(account, account, 1), TransferError);
+        assert.throws(() => transfer(account, { deposit() {} }, 1), TransferError);
+        assert.throws(() => transfer(account, new BankAccount(), -1), InvalidAmountError);
+    });
+});
+
+describe("validateAmount", () => {
+    it("returns Money for positive amounts and rejects everything else", () => {
+        assert.equal(validateAmount(12.5).minor, 1250);
+        assert.throws(() => validateAmount(0), InvalidAmountError);
+        assert.throws(() => validateAmount(Money.of(1, "EUR")), CurrencyMismatchError);
+    });
+});
@@ -0,0 +1,147 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ShoppingCart } = require("../ShoppingCart");
+const { CheckoutPipeline } = require("../CheckoutPipeline");
+const { CreditCardProcessor } = require("../Payments");
+const { FakeGateway } = require("../FakeGateway");
+const { silenceConsole } = require("./helpers");
+
+describe("checkout middleware", () => {
+    let gateway;
+    let card;
+    let cart;
+    beforeEach((t) => {
+        silenceConsole(t);
+        gateway = new FakeGateway();
+        card = new CreditCardProcessor("4111111111111111", "12/30", { gateway });
+        cart = new ShoppingCart();
+        cart.addItem("A", 10);
+    });
+
+    const captures = () => gateway.calls.filter(call => call.operation === "capture").length;
+
+    it("runs middleware in order around the payment", async () => {
+        const order = [];
+        cart.use(async (ctx, next) => {
+            order.push("first:before");
+            await next();
+            order.push(`first:after:${ctx.payment.transactionId === ctx.result.transactionId}`);
+        });
+        cart.use(async (ctx, next) => {
+            order.push(`second:${ctx.summary.total}`);
+            ctx.state.checked = true;
+            await next();
+        });
+        const result = await cart.checkout(card);
+        assert.equal(result.success, true);
+        assert.deepEqual(result.postPaymentErrors, []);
+        assert.deepEqual(order, ["first:before", "second:USD 10.00", "first:after:true"]);
+    });
+
+    it("short-circuits when a middleware doesn't call next()", async () => {
+        cart.use(async (ctx, next) => {
+            if (!ctx.config.address) {
+                ctx.result = { success: false, error: "Shipping address is required" };
+                return;
+            }
+            await next();
+        });
+        assert.deepEqual(await cart.checkout(card), { success: false, error: "Shipping address is required" });
+        assert.equal(gateway.calls.length, 0);
+        assert.equal(cart.items.length, 1);
+        assert.equal((await cart.checkout(card, { address: "1 Main St" })).success, true);
+    });
+
+    it("charges the total as it stands after middleware changed the cart", async () => {
+        cart.use(async (ctx, next) => {
+            ctx.cart.addItem("FEE", 2, 1, { name: "Handling fee" });
+            await next();
+        });
+        const result = await cart.checkout(card);
+        assert.equal(result.amount.toString(), "USD 12.00");
+        assert.equal(result.summary.itemCount, 2);
+    });
+
+    it("sends errors from middleware or payment to error middleware in order", async () => {
+        const seen = [];
+        cart.use(async () => {
+            throw new Error("fraud score too high");
+        });
+        cart.use(async (error, ctx, next) => {
+            seen.push(`log:${error.message}`);
+            next(new Error("Payment could not be verified"));
+        });
+        cart.use(async (error, ctx, next) => {  // All three parameters, or it is regular middleware
+            seen.push(`respond:${error.message}`);
+            ctx.result = { success: false, error: error.message, code: "VERIFY" };
+        });
+        assert.deepEqual(await cart.checkout(card), { success: false, error: "Payment could not be verified", code: "VERIFY" });
+        assert.deepEqual(seen, ["log:fraud score too high", "respond:Payment could not be verified"]);
+        assert.equal(gateway.calls.length, 0);
+    });
+
+    it("fails with the error's message when no error middleware handles it", async () => {
+        const declined = new CreditCardProcessor("4111111111111111", "12/30", {
+            gateway: new FakeGateway({ decline: () => "insufficient funds" })
+        });
+        cart.use(async (error, ctx, next) => next());
+        const result = await cart.checkout(declined);
+        assert.equal(result.success, false);
+        assert.match(result.error, /insufficient funds/);
+        assert.equal(cart.items.length, 1);
+    });
+
+    it("reports failing post-payment hooks separately without undoing the charge", async () => {
+        const ran = [];
+        cart.afterPayment(async function sendReceipt() {
+            throw new Error("mail server down");
+        });
+        cart.afterPayment(async (ctx) => {
+            ran.push(ctx.payment.transactionId);
+        });
+        cart.use(async (error, ctx, next) => {
+            ran.push("error middleware");  // Must not run - hooks are not payment errors
+        });
+        const result = await cart.checkout(card);
+        assert.equal(result.success, true);
+        assert.deepEqual(result.postPaymentErrors, [{ hook: "sendReceipt", error: "mail server down" }]);
+        assert.deepEqual(ran, [result.transactionId]);
+        assert.equal(captures(), 1);
+        assert.equal(gateway.calls.filter(call => call.operation === "refund" || call.operation === "void").length, 0);
+        assert.deepEqual(cart.items, []);
+    });
+
+    it("keeps a completed charge when middleware throws after next()", async () => {
+        cart.use(async (ctx, next) => {
+            await next();
+            throw new Error("analytics offline");
+        });
+        const result = await cart.checkout(card);
+        assert.equal(result.success, true);
+        assert.match(result.transactionId, /^CC_/);
+        assert.deepEqual(result.postPaymentErrors, [{ hook: "middleware", error: "analytics offline" }]);
+    });
+
+    it("skips hooks when the checkout didn't charge", async () => {
+        let ran = false;
+        cart.afterPayment(() => {
+            ran = true;
+        });
+        cart.use(async () => {});
+        assert.equal((await cart.checkout(card)).error, "Checkout was stopped before payment");
+        assert.equal(ran, false);
+    });
+
+    it("rejects next() called twice and non-function middleware", async () => {
+        cart.use(async (ctx, next) => {
+            await next();
+            await next();
+        });
+        const result = await cart.checkout(card);
+        assert.equal(result.success, true);
+        assert.match(result.postPaymentErrors[0].error, /next\(\) called more than once/);
+        assert.equal(captures(), 1);
+        assert.throws(() => new CheckoutPipeline().use("nope"), TypeError);
+        assert.throws(() => new CheckoutPipeline().afterPayment(null), TypeError);
+    });
+});
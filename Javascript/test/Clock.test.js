@@ -0,0 +1,62 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { FakeClock, delay, systemClock } = require("../Clock");
+
+describe("FakeClock", () => {
+    it("fires due timers in time order, then by creation order", async () => {
+        const clock = new FakeClock(1000);
+        const fired = [];
+        clock.setTimeout(() => fired.push("b"), 200);
+        clock.setTimeout(() => fired.push("a"), 100);
+        clock.setTimeout(() => fired.push("c"), 200);
+        const cancelled = clock.setTimeout(() => fired.push("never"), 50);
+        clock.clearTimeout(cancelled);
+
+        await clock.advance(150);
+        assert.deepEqual(fired, ["a"]);
+        assert.equal(clock.now(), 1150);
+        await clock.advance(50);
+        assert.deepEqual(fired, ["a", "b", "c"]);
+        assert.equal(clock.pendingCount, 0);
+    });
+
+    it("fires timers scheduled by code resumed from an await", async () => {
+        const clock = new FakeClock();
+        const steps = [];
+        const run = (async () => {
+            await delay(100, { clock });
+            steps.push(clock.now());
+            await delay(100, { clock });
+            steps.push(clock.now());
+        })();
+        await clock.advance(200);
+        await run;
+        assert.deepEqual(steps, [100, 200]);
+    });
+
+    it("runAll stops code that reschedules forever", async () => {
+        const clock = new FakeClock();
+        const tick = () => clock.setTimeout(tick, 10);
+        tick();
+        await assert.rejects(clock.runAll({ limit: 5 }), RangeError);
+        await assert.rejects(clock.advance(-1), RangeError);
+    });
+});
+
+describe("delay", () => {
+    it("rejects with the abort reason and clears its timer", async () => {
+        const clock = new FakeClock();
+        const controller = new AbortController();
+        const waiting = delay(1000, { clock, signal: controller.signal });
+        controller.abort(new Error("cancelled"));
+        await assert.rejects(waiting, { message: "cancelled" });
+        assert.equal(clock.pendingCount, 0);
+        await assert.rejects(delay(10, { signal: AbortSignal.abort(new Error("already")) }), { message: "already" });
+    });
+
+    it("uses real time by default", async () => {
+        const before = systemClock.now();
+        await delay(20);
+        assert.ok(systemClock.now() - before >= 15);
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Counter, BoundsMode } = require("../Counter");
+const { CounterOverflowError } = require("../Errors");
+const { silenceConsole, captureLogs } = require("./helpers");
+
+describe("Counter", () => {
+    let output;
+    beforeEach((t) => {
+        output = silenceConsole(t);
+    });
+
+    it("keeps the count read-only from outside", () => {
+        const counter = new Counter(3);
+        counter.count = 99;  // Getter only - ignored
+        assert.equal(counter.count, 3);
+        assert.equal(counter.increment(2), 5);
+        assert.equal(counter.decrement(), 4);
+        assert.equal(counter.set(7), 7);
+    });
+
+    it("emits change events for every change, including undo and redo", () => {
+        const counter = new Counter(0);
+        const changes = [];
+        counter.on("change", change => changes.push(change));
+        counter.increment();
+        counter.undo();
+        counter.redo();
+        assert.deepEqual(changes, [
+            { previous: 0, value: 1, operation: "increment" },
+            { previous: 1, value: 0, operation: "undo" },
+            { previous: 0, value: 1, operation: "redo" }
+        ]);
+    });
+
+    it("clamps, wraps or throws at the bounds", () => {
+        const clamped = new Counter(9, { max: 10 });
+        const overflows = [];
+        clamped.on("overflow", event => overflows.push(event));
+        assert.equal(clamped.increment(5), 10);
+        assert.deepEqual(overflows, [{ attempted: 14, value: 10, bound: 10, mode: BoundsMode.CLAMP }]);
+
+        const dial = new Counter(8, { min: 0, max: 9, mode: "wrap" });
+        assert.equal(dial.increment(3), 1);
+        assert.equal(dial.decrement(3), 8);
+
+        const strict = new Counter(0, { min: 0, max: 2, mode: "throw" });
+        assert.throws(() => strict.decrement(), CounterOverflowError);
+        assert.equal(strict.count, 0);
+        assert.equal(strict.canUndo(), false);
+    });
+
+    it("validates its configuration and inputs", () => {
+        assert.throws(() => new Counter(0, { mode: "bounce" }), RangeError);
+        assert.throws(() => new Counter(0, { min: 5, max: 1 }), RangeError);
+        assert.throws(() => new Counter(0, { mode: "wrap" }), RangeError);
+        assert.throws(() => new Counter(20, { max: 10 }), RangeError);
+        assert.throws(() => new Counter().increment(NaN), TypeError);
+    });
+
+    it("undoes, redoes, drops the redo branch on a new change and caps history", () => {
+        const counter = new Counter(0, { historyLimit: 2 });
+        counter.increment();
+        counter.increment();
+        counter.increment();
+        assert.equal(counter.getHistory().length, 2);
+        assert.ok(counter.undo());
+        assert.ok(counter.undo());
+        assert.equal(counter.undo(), false);
+        assert.equal(counter.count, 1);
+        assert.ok(counter.canRedo());
+        counter.set(5);
+        assert.equal(counter.canRedo(), false);
+        assert.equal(counter.redo(), false);
+    });
+
+    it("resets to the start value and emits reset", () => {
+        const counter = new Counter(4);
+        let reset = null;
+        counter.on("reset", event => {
+            reset = event;
+        });
+        counter.increment(6);
+        assert.equal(counter.reset(), 4);
+        assert.deepEqual(reset, { previous: 10, value: 4 });
+    });
+
+    it("keeps `this` in the closures it hands out", () => {
+        const logs = captureLogs();
+        const counter = new Counter(10, { logger: logs.logger });
+        const increment = counter.getIncrementer();
+        const incrementBy5 = counter.getCustomIncrementer(5);
+        const handler = counter.setupEventHandler();
+        increment();
+        incrementBy5();
+        handler("click");
+        assert.equal(counter.count, 17);
+        assert.deepEqual(logs.messages(), [
+            "Count: 11",
+            "Count increased by 5: 16",
+            'Event "click" triggered. Current count: 16'
+        ]);
+        assert.equal(logs.entries[1].increment, 5);
+        assert.equal(output.log.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    isValidBitcoinAddress,
+    isValidEthereumAddress,
+    toEthereumChecksumAddress,
+    keccak256
+} = require("../CryptoAddress");
+
+describe("Crypto address validation", () => {
+    it("accepts base58check Bitcoin addresses and rejects corrupted ones", () => {
+        assert.ok(isValidBitcoinAddress("1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa"));
+        assert.ok(isValidBitcoinAddress("3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy"));
+        assert.equal(isValidBitcoinAddress("1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb"), false);  // Checksum
+        assert.equal(isValidBitcoinAddress("1A1zP1eP5QGefi2DMPTfTL5SLmv7Divf0a"), false);  // '0' isn't base58
+        assert.equal(isValidBitcoinAddress("1short"), false);
+        assert.equal(isValidBitcoinAddress(42), false);
+    });
+
+    it("implements Keccak-256, not SHA3-256", () => {
+        assert.equal(keccak256("").toString("hex"), "c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470");
+    });
+
+    it("checks EIP-55 checksums on mixed-case Ethereum addresses", () => {
+        const address = "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed";
+        assert.equal(toEthereumChecksumAddress(address.toLowerCase()), address);
+        assert.ok(isValidEthereumAddress(address));
+        assert.ok(isValidEthereumAddress(address.toLowerCase()));
+        assert.equal(isValidEthereumAddress("0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD"), false);
+        assert.equal(isValidEthereumAddress("0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeA"), false);
+    });
+});
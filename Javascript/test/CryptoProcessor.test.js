@@ -0,0 +1,90 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { CryptoProcessor } = require("../CryptoProcessor");
+const { FakeBlockchain } = require("../FakeBlockchain");
+const { TransactionState } = require("../PaymentTransaction");
+const { InvalidAddressError, IllegalTransitionError, InvalidAmountError, GatewayError } = require("../Errors");
+const { silenceConsole, captureLogs } = require("./helpers");
+
+const BITCOIN = "1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa";
+const ETHEREUM = "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed";
+
+describe("CryptoProcessor", () => {
+    beforeEach((t) => {
+        silenceConsole(t);
+    });
+
+    const create = (options = {}) => new CryptoProcessor(BITCOIN, "btc", {
+        chain: new FakeBlockchain({ blockTimeMs: 1 }),
+        requiredConfirmations: 2,
+        ...options
+    });
+
+    it("validates the address for the chosen network", () => {
+        assert.equal(new CryptoProcessor(ETHEREUM, "Ethereum").requiredConfirmations, 12);
+        assert.equal(create().describe(), "Bitcoin wallet 1A1zP1...vfNa");
+        assert.throws(() => new CryptoProcessor(ETHEREUM, "bitcoin"), InvalidAddressError);
+        assert.throws(() => new CryptoProcessor(BITCOIN, "dogecoin"), InvalidAddressError);
+    });
+
+    it("authorizes once the payment has enough confirmations, then captures in full", async () => {
+        const seen = [];
+        const processor = create({ onConfirmation: transaction => seen.push(transaction.confirmation.confirmations) });
+        const result = await processor.processPayment(0.5);
+        const transaction = processor.getTransaction(result.transactionId);
+        assert.equal(transaction.state, TransactionState.CAPTURED);
+        assert.equal(transaction.confirmation.status, "confirmed");
+        assert.deepEqual(seen, [1, 2]);
+        assert.match(transaction.id, /^BTC_/);
+    });
+
+    it("logs a throwing onConfirmation and still completes the payment", async () => {
+        const logs = captureLogs();
+        const processor = create({
+            logger: logs.logger,
+            onConfirmation: () => {
+                throw new Error("progress bar gone");
+            }
+        });
+        const result = await processor.processPayment(0.5);
+        assert.equal(processor.getTransaction(result.transactionId).state, TransactionState.CAPTURED);
+        const failures = logs.entries.filter(entry => entry.level === "error");
+        assert.equal(failures.length, 2);  // One per confirmation
+        assert.equal(failures[0].message, `onConfirmation failed for ${result.transactionId}: progress bar gone`);
+    });
+
+    it("cannot capture part of a payment or void one", async () => {
+        const processor = create();
+        const transaction = await processor.authorize(10);
+        await assert.rejects(processor.capture(transaction.id, 5), InvalidAmountError);
+        await assert.rejects(processor.void(transaction.id), IllegalTransitionError);
+        await processor.capture(transaction.id, 10);
+    });
+
+    it("refunds by sending the money back on chain", async () => {
+        const processor = create();
+        const { transactionId } = await processor.processPayment(10);
+        await processor.refund(transactionId, 4);
+        const transaction = processor.getTransaction(transactionId);
+        assert.equal(transaction.state, TransactionState.PARTIALLY_REFUNDED);
+        await assert.rejects(processor.refund(transactionId, 7), InvalidAmountError);
+        await processor.refund(transactionId);
+        assert.equal(transaction.state, TransactionState.REFUNDED);
+        assert.equal(transaction.gatewayReferences.refundIds.length, 2);
+    });
+
+    it("fails the transaction when confirmations time out", async () => {
+        const processor = create({ chain: new FakeBlockchain({ blockTimeMs: 0 }), confirmationTimeoutMs: 5 });
+        await assert.rejects(processor.processPayment(10), GatewayError);
+        const [transaction] = processor.transactions.values();
+        assert.equal(transaction.state, TransactionState.FAILED);
+        assert.equal(transaction.confirmation.status, "failed");
+    });
+
+    it("rejects non-positive amounts before broadcasting", async () => {
+        const chain = new FakeBlockchain({ blockTimeMs: 0 });
+        const processor = create({ chain });
+        await assert.rejects(processor.processPayment(-1), InvalidAmountError);
+        assert.equal(chain.transactions.size, 0);
+    });
+});
@@ -0,0 +1,129 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getEventListeners } = require("node:events");
+const { EventBus, Phase, topicMatches } = require("../EventBus");
+
+describe("topicMatches", () => {
+    it("matches one segment with * and any number with **", () => {
+        assert.ok(topicMatches("cart.*", "cart.cleared"));
+        assert.equal(topicMatches("cart.*", "cart.item.added"), false);
+        assert.ok(topicMatches("cart.**", "cart.item.added"));
+        assert.ok(topicMatches("cart.**", "cart"));
+        assert.ok(topicMatches("**", "anything.at.all"));
+        assert.ok(topicMatches("*.item.*", "cart.item.added"));
+        assert.equal(topicMatches("cart", "cart.item"), false);
+    });
+});
+
+describe("EventBus", () => {
+    it("runs listeners by priority, then in registration order", () => {
+        const bus = new EventBus();
+        const calls = [];
+        bus.on("ping", () => calls.push("normal"));
+        bus.on("ping", () => calls.push("high"), { priority: 10 });
+        bus.on("ping", () => calls.push("normal 2"));
+        bus.dispatch("ping");
+        assert.deepEqual(calls, ["high", "normal", "normal 2"]);
+    });
+
+    it("removes once-listeners, unsubscribed handles and aborted listeners", () => {
+        const bus = new EventBus();
+        let count = 0;
+        bus.once("ping", () => count++);
+        const handle = bus.on("ping", () => count++);
+        const controller = new AbortController();
+        bus.on("ping", () => count++, { signal: controller.signal });
+        bus.dispatch("ping");
+        handle.unsubscribe();
+        controller.abort();
+        bus.dispatch("ping");
+        assert.equal(count, 3);
+        assert.equal(bus.listenerCount(), 0);
+        assert.equal(bus.on("ping", () => {}, { signal: controller.signal }).active, false);
+        assert.equal(bus.off(handle), false);
+    });
+
+    it("stops listening to a listener's signal once it is removed", () => {
+        const bus = new EventBus();
+        const controller = new AbortController();
+        bus.on("ping", () => {}, { signal: controller.signal }).unsubscribe();
+        bus.once("ping", () => {}, { signal: controller.signal });
+        bus.dispatch("ping");
+        assert.equal(getEventListeners(controller.signal, "abort").length, 0);
+    });
+
+    it("captures down from the root, hits the target, then bubbles back up", () => {
+        const root = new EventBus({ name: "root" });
+        const form = new EventBus({ name: "form", parent: root });
+        const button = new EventBus({ name: "button", parent: form });
+        const calls = [];
+        const record = (label) => (event) => calls.push(`${label}:${event.phase}:${event.currentTarget.name}`);
+        root.on("click", record("root capture"), { capture: true });
+        form.on("click", record("form bubble"));
+        button.on("click", record("button"));
+        button.on("click", record("button capture"), { capture: true });
+        root.on("click", record("root bubble"));
+
+        const event = button.dispatch("click", { x: 1 });
+        assert.deepEqual(calls, [
+            "root capture:capture:root",
+            "button capture:target:button",
+            "button:target:button",
+            "form bubble:bubble:form",
+            "root bubble:bubble:root"
+        ]);
+        assert.equal(event.target, button);
+        assert.equal(event.phase, null);
+        assert.deepEqual(event.detail, { x: 1 });
+
+        calls.length = 0;
+        button.dispatch("click", {}, { bubbles: false });
+        assert.deepEqual(calls.map(call => call.split(":")[1]), [Phase.CAPTURE, Phase.TARGET, Phase.TARGET]);
+    });
+
+    it("stops propagation after the current bus, or immediately", () => {
+        const parent = new EventBus({ name: "parent" });
+        const child = new EventBus({ name: "child", parent });
+        const calls = [];
+        child.on("x", event => {
+            calls.push("first");
+            event.stopPropagation();
+        });
+        child.on("x", () => calls.push("second"));
+        parent.on("x", () => calls.push("parent"));
+        child.dispatch("x");
+        assert.deepEqual(calls, ["first", "second"]);
+
+        calls.length = 0;
+        child.on("y", event => {
+            calls.push("first");
+            event.stopImmediatePropagation();
+        });
+        child.on("y", () => calls.push("second"));
+        child.dispatch("y");
+        assert.deepEqual(calls, ["first"]);
+    });
+
+    it("isolates throwing and rejecting listeners", async () => {
+        const errors = [];
+        const bus = new EventBus({ name: "bus", onError: error => errors.push(error.message) });
+        let reached = false;
+        bus.on("x", () => {
+            throw new Error("sync boom");
+        });
+        bus.on("x", async () => {
+            throw new Error("async boom");
+        });
+        bus.on("x", event => {
+            reached = true;
+            event.preventDefault();
+        });
+        const event = bus.emit("x");
+        await new Promise(resolve => setImmediate(resolve));
+        assert.ok(reached);
+        assert.ok(event.defaultPrevented);
+        assert.deepEqual(errors, ["sync boom", "async boom"]);
+        assert.equal(event.errors.length, 2);
+        assert.throws(() => bus.on("x", "not a function"), TypeError);
+    });
+});
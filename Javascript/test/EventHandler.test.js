@@ -0,0 +1,57 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventHandler } = require("../EventHandler");
+const { captureLogs } = require("./helpers");
+
+describe("EventHandler", () => {
+    let logs;
+    beforeEach(() => {
+        logs = captureLogs();
+    });
+
+    it("loses `this` with a regular function handler", () => {
+        const handler = new EventHandler("Button", { logger: logs.logger });
+        const wrong = handler.getWrongClickHandler();
+        assert.throws(() => wrong.call(undefined), TypeError);
+        assert.equal(handler.clickCount, 0);
+    });
+
+    it("keeps `this` with an arrow function, or avoids it with closure variables", () => {
+        const handler = new EventHandler("Button", { logger: logs.logger });
+        const correct = handler.getCorrectClickHandler();
+        const closure = handler.getClosureClickHandler();
+        correct();
+        correct();
+        closure();
+        assert.equal(handler.clickCount, 2);
+        assert.deepEqual(logs.messages(), [
+            "Button clicked 1 times",
+            "Button clicked 2 times",
+            "Button clicked 1 times"
+        ]);
+    });
+
+    it("clicks through its own bus, bubbling to a parent element", () => {
+        const form = new EventHandler("Form", { logger: logs.logger });
+        const submit = new EventHandler("Submit", { parent: form, logger: logs.logger });
+        const phases = [];
+        form.on("click", event => phases.push(event.phase));
+        const handle = submit.attach();
+        submit.click();
+        assert.equal(submit.clickCount, 1);
+        assert.deepEqual(phases, ["bubble"]);
+        handle.unsubscribe();
+        submit.click();
+        assert.equal(submit.clickCount, 1);
+    });
+
+    it("gives the bus as `this` to a wrong handler attached to it", () => {
+        const handler = new EventHandler("Button", { logger: logs.logger });
+        handler.on("click", handler.getWrongClickHandler());
+        const event = handler.click();
+        assert.equal(event.errors.length, 0);
+        assert.equal(handler.clickCount, 0);
+        assert.ok(Number.isNaN(handler.events.clickCount));  // The bus got the (undefined++) increment instead
+        assert.deepEqual(logs.messages(), ["undefined clicked NaN times"]);  // Logged through the bus's logger
+    });
+});
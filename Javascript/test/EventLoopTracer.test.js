@@ -0,0 +1,101 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { traceEventLoop, compareTimeline, assertTimeline, formatTimeline, Phase } = require("../EventLoopTracer");
+const { TimelineMismatchError } = require("../Errors");
+
+function everyPhase() {
+    console.log("sync");
+    setTimeout(() => console.log("timer"), 0);
+    setImmediate(() => console.log("immediate"));
+    Promise.resolve().then(() => console.log("then"));
+    console.log("sync again");
+}
+
+describe("traceEventLoop", () => {
+    it("records each log with the phase it ran in, and finishes as soon as the last timer fires", async () => {
+        const startedAt = Date.now();
+        const { entries, timedOut } = await traceEventLoop(everyPhase);
+        assert.equal(timedOut, false);
+        assert.ok(Date.now() - startedAt < 1000);
+        assert.deepEqual(entries.slice(0, 3).map(entry => [entry.phase, entry.message]), [
+            [Phase.SYNC, "sync"],
+            [Phase.SYNC, "sync again"],
+            [Phase.MICROTASK, "then"]
+        ]);
+        // A 0 ms timeout and an immediate race on the first turn of the loop - only the set is fixed
+        assert.deepEqual(entries.slice(3).map(entry => entry.phase).sort(), [Phase.IMMEDIATE, Phase.TIMER]);
+        assert.deepEqual(entries.map(entry => entry.seq), [1, 2, 3, 4, 5]);
+    });
+
+    it("waits for the function's promise and captures its error", async () => {
+        const { entries, error, result } = await traceEventLoop(async () => {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            console.log("after await");
+            throw new Error("late");
+        });
+        assert.deepEqual(entries.map(entry => entry.phase), [Phase.MICROTASK]);
+        assert.equal(error.message, "late");
+        assert.equal(result, undefined);
+    });
+
+    it("keeps side-by-side traces apart", async () => {
+        const logAfter = (label, ms) => () => setTimeout(() => console.log(label), ms);
+        const [a, b] = await Promise.all([traceEventLoop(logAfter("a", 20)), traceEventLoop(logAfter("b", 5))]);
+        assert.deepEqual(a.entries.map(entry => entry.message), ["a"]);
+        assert.deepEqual(b.entries.map(entry => entry.message), ["b"]);
+    });
+
+    it("ends as soon as the last interval and timer are cleared", async () => {
+        const startedAt = Date.now();
+        const { entries, timedOut } = await traceEventLoop(() => {
+            const never = setTimeout(() => console.log("never"), 5000);
+            let ticks = 0;
+            const interval = setInterval(() => {
+                console.log(`tick ${++ticks}`);
+                if (ticks === 3) {
+                    clearInterval(interval);
+                    clearTimeout(never);
+                }
+            }, 5);
+        }, { timeoutMs: 5000 });
+        assert.equal(timedOut, false);
+        assert.deepEqual(entries.map(entry => entry.message), ["tick 1", "tick 2", "tick 3"]);
+        assert.ok(Date.now() - startedAt < 1000);
+    });
+
+    it("gives up on timers that outlive timeoutMs", async () => {
+        let timer;
+        const { timedOut } = await traceEventLoop(() => {
+            timer = setTimeout(() => {}, 10000);
+        }, { timeoutMs: 20 });
+        clearTimeout(timer);
+        assert.equal(timedOut, true);
+    });
+});
+
+describe("timeline checks", () => {
+    const entries = [
+        { seq: 1, phase: Phase.SYNC, message: "1. start", at: 0 },
+        { seq: 2, phase: Phase.TIMER, message: "2. later", at: 1000 }
+    ];
+
+    it("matches strings, regexes and phases position by position", () => {
+        assert.equal(compareTimeline(entries, ["1. start", { phase: Phase.TIMER, message: /later/ }]).ok, true);
+        assert.equal(assertTimeline(entries, ["1. start", /2\./]), entries);
+    });
+
+    it("throws TimelineMismatchError listing each difference", () => {
+        assert.throws(() => assertTimeline(entries, [{ phase: Phase.MICROTASK, message: "1. start" }, "2. later", "3. missing"]), (error) => {
+            assert.ok(error instanceof TimelineMismatchError);
+            assert.deepEqual(error.differences, [
+                { index: 0, expected: "[microtask] 1. start", actual: "[sync] 1. start" },
+                { index: 2, expected: "3. missing", actual: null }
+            ]);
+            return true;
+        });
+    });
+
+    it("formats one aligned line per entry", () => {
+        assert.equal(formatTimeline(entries), "  1  sync      +   0ms  1. start\n  2  timer     +1000ms  2. later");
+    });
+});
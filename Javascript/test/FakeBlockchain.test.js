@@ -0,0 +1,55 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { FakeBlockchain } = require("../FakeBlockchain");
+const { Money } = require("../Money");
+const { GatewayError } = require("../Errors");
+
+describe("FakeBlockchain", () => {
+    it("counts confirmations from the block that included a transaction", async () => {
+        const chain = new FakeBlockchain({ blockTimeMs: 0 });  // Mined by hand only
+        const hash = await chain.broadcast({ from: "a", to: "b", amount: Money.of(1) });
+        assert.equal(chain.getConfirmations(hash), 0);
+        chain.mine(3);
+        assert.equal(chain.getConfirmations(hash), 3);
+        assert.throws(() => chain.getConfirmations("missing"), GatewayError);
+    });
+
+    it("resolves waiters once enough blocks arrive, reporting progress", async () => {
+        const chain = new FakeBlockchain({ blockTimeMs: 0 });
+        const hash = await chain.broadcast({ from: "a", to: "b", amount: Money.of(1) });
+        const progress = [];
+        const waiting = chain.waitForConfirmations(hash, 2, { onProgress: count => progress.push(count) });
+        chain.mine(2);
+        assert.equal(await waiting, 2);
+        assert.deepEqual(progress, [1, 2]);
+        assert.equal(chain.listeners.size, 0);
+    });
+
+    it("mines on a timer only while someone is waiting", async () => {
+        const chain = new FakeBlockchain({ blockTimeMs: 1 });
+        const hash = await chain.broadcast({ from: "a", to: "b", amount: Money.of(1) });
+        assert.equal(chain.timer, null);
+        await chain.waitForConfirmations(hash, 3);
+        assert.equal(chain.timer, null);
+        assert.ok(chain.height >= 3);
+    });
+
+    it("rejects with what onProgress throws instead of crashing the mining timer", async () => {
+        const chain = new FakeBlockchain({ blockTimeMs: 1 });
+        const hash = await chain.broadcast({ from: "a", to: "b", amount: Money.of(1) });
+        await assert.rejects(chain.waitForConfirmations(hash, 3, {
+            onProgress: () => {
+                throw new Error("listener broke");
+            }
+        }), { message: "listener broke" });
+        assert.equal(chain.listeners.size, 0);
+        assert.equal(chain.timer, null);
+    });
+
+    it("rejects with GatewayError when confirmations don't arrive in time", async () => {
+        const chain = new FakeBlockchain({ blockTimeMs: 0 });
+        const hash = await chain.broadcast({ from: "a", to: "b", amount: Money.of(1) });
+        await assert.rejects(chain.waitForConfirmations(hash, 1, { timeoutMs: 5 }), (error) =>
+            error instanceof GatewayError && error.confirmations === 0);
+    });
+});
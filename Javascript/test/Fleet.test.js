@@ -0,0 +1,91 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Fleet, TripStatus } = require("../Fleet");
+const { Car, ElectricCar, VehicleState } = require("../Vehicles");
+const { VehicleNotFoundError, VehicleBusyError } = require("../Errors");
+const { silenceConsole } = require("./helpers");
+
+describe("Fleet", () => {
+    beforeEach((t) => {
+        silenceConsole(t);
+    });
+
+    it("registers each vehicle once and rejects duplicate ids", () => {
+        const fleet = new Fleet();
+        const car = new Car("Toyota", "Camry");
+        const id = fleet.register(car);
+        assert.equal(fleet.register(car), id);
+        assert.equal(fleet.register(new Car("Ford", "Focus")), "V2");  // Numbers aren't used up by repeats
+        assert.throws(() => fleet.register(new Car("Honda", "Civic"), { id }), RangeError);
+        assert.equal(fleet.get(id), car);
+        assert.ok(fleet.unregister(id));
+        assert.throws(() => fleet.get(id), (error) => error instanceof VehicleNotFoundError && error.vehicleId === id);
+    });
+
+    it("won't unregister a vehicle in the middle of a trip", () => {
+        const fleet = new Fleet();
+        const car = new Car("Toyota", "Camry");
+        const id = fleet.register(car);
+        const trip = fleet.dispatch(id, { distanceKm: 10, speed: 60 });
+        fleet.dispatch(id, { distanceKm: 5, speed: 60, startAt: 3600 });
+        fleet.simulate({ duration: 120, step: 60 });
+        assert.equal(trip.status, TripStatus.ACTIVE);
+        assert.throws(() => fleet.unregister(id),
+            (error) => error instanceof VehicleBusyError && error.vehicleId === id && error.tripId === trip.id);
+        assert.equal(fleet.get(id), car);
+
+        fleet.simulate({ duration: 600, step: 60 });
+        assert.equal(trip.status, TripStatus.COMPLETED);
+        assert.ok(fleet.unregister(id));
+        assert.deepEqual(fleet.trips, [trip]);  // The second, still scheduled trip went with it
+    });
+
+    it("validates trips", () => {
+        const fleet = new Fleet();
+        const id = fleet.register(new Car("Toyota", "Camry"));
+        assert.throws(() => fleet.dispatch(id, { distanceKm: 0, speed: 50 }), RangeError);
+        assert.throws(() => fleet.dispatch(id, { distanceKm: 5, speed: 500 }), RangeError);
+        assert.throws(() => fleet.dispatch("V99", { distanceKm: 5, speed: 50 }), VehicleNotFoundError);
+    });
+
+    it("completes trips on time and reports utilization", () => {
+        const fleet = new Fleet();
+        const id = fleet.register(new Car("Toyota", "Camry"));
+        const trip = fleet.dispatch(id, { distanceKm: 10, speed: 60, startAt: 600 });
+        const report = fleet.simulate({ duration: 3600, step: 60 });
+
+        assert.equal(trip.status, TripStatus.COMPLETED);
+        assert.equal(trip.startedAt, 600);
+        assert.equal(trip.finishedAt, 1200);
+        const [entry] = report.vehicles;
+        assert.ok(Math.abs(entry.distanceKm - 10) < 1e-9);
+        assert.equal(entry.secondsByState.moving, 600);
+        assert.equal(entry.utilization, 600 / 3600);
+        assert.equal(entry.state, VehicleState.OFF);
+        assert.deepEqual(report.trips, { scheduled: 0, active: 0, completed: 1, stranded: 0 });
+    });
+
+    it("strands a trip when the vehicle runs dry, then sends it to refuel", () => {
+        const fleet = new Fleet({ lowEnergyThreshold: 0.5 });
+        const id = fleet.register(new ElectricCar("Tesla", "Model 3", { level: 1.6, consumptionPerKm: 0.16 }));
+        const trip = fleet.dispatch(id, { distanceKm: 50, speed: 60 });
+        const states = [];
+        fleet.simulate({ duration: 1200, step: 60, onStep: ({ fleet: current }) => states.push(current.get(id).state) });
+
+        assert.equal(trip.status, TripStatus.STRANDED);
+        // 10 km of charge at 60 km/h: dry around the 600 s mark, noticed at the end of that step
+        assert.ok(trip.finishedAt >= 600 && trip.finishedAt <= 660);
+        assert.ok(states.includes(VehicleState.REFUELLING));
+    });
+
+    it("only counts what happened after a vehicle joined", () => {
+        const car = new Car("Toyota", "Camry");
+        car.start().setSpeed(60).tick(3600).setSpeed(0).stop();
+        const fleet = new Fleet();
+        fleet.register(car);
+        const report = fleet.simulate({ duration: 600 });
+        assert.equal(report.vehicles[0].distanceKm, 0);
+        assert.equal(report.vehicles[0].secondsByState.off, 600);
+        assert.throws(() => fleet.simulate({ duration: 0 }), RangeError);
+    });
+});
@@ -0,0 +1,161 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const { HttpClient, parseRetryAfter } = require("../HttpClient");
+const { HttpError, HttpTimeoutError, NetworkError, RequestAbortedError, ResponseParseError } = require("../Errors");
+const { startStubServer, sendJson } = require("./helpers");
+
+describe("HttpClient", () => {
+    let server;
+    let failuresLeft;
+    let sleeps;
+
+    // Routes by path; `failuresLeft` makes /flaky answer 503 that many times before succeeding
+    before(async () => {
+        server = await startStubServer((request, response, body) => {
+            const { pathname, searchParams } = new URL(request.url, "http://stub");
+            if (pathname === "/users/1") {
+                sendJson(response, 200, { id: 1, name: "Leanne", query: Object.fromEntries(searchParams) });
+            } else if (pathname === "/echo") {
+                sendJson(response, 201, { method: request.method, body: JSON.parse(body), auth: request.headers.authorization });
+            } else if (pathname === "/flaky" && failuresLeft > 0) {
+                failuresLeft--;
+                sendJson(response, 503, { error: "busy" }, { "retry-after": "2" });
+            } else if (pathname === "/flaky") {
+                sendJson(response, 200, { ok: true });
+            } else if (pathname === "/broken-json") {
+                response.writeHead(200, { "content-type": "application/json" }).end("{not json");
+            } else if (pathname === "/down") {
+                response.writeHead(502, { "content-type": "application/json" }).end("<html>Bad Gateway</html>");
+            } else if (pathname === "/text") {
+                response.writeHead(200, { "content-type": "text/plain" }).end("plain");
+            } else if (pathname === "/hang") {
+                // Never answers - the client's timeout has to end it
+            } else {
+                response.writeHead(404, { "content-type": "text/html" }).end("<h1>Not Found</h1>");
+            }
+        });
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        failuresLeft = 0;
+        sleeps = [];
+        server.requests.length = 0;
+    });
+
+    const client = (options = {}) => new HttpClient({
+        baseUrl: `${server.url}/`,
+        timeoutMs: 1000,
+        random: () => 0.5,
+        sleep: async (ms) => {
+            sleeps.push(ms);
+        },
+        ...options
+    });
+
+    it("builds urls, parses JSON and reports the attempt count", async () => {
+        const response = await client().get("/users/1", { query: { include: "posts", skip: undefined } });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.data, { id: 1, name: "Leanne", query: { include: "posts" } });
+        assert.equal(response.attempts, 1);
+        assert.equal((await client().get("text")).data, "plain");
+    });
+
+    it("sends JSON bodies through request interceptors", async () => {
+        const api = client();
+        const remove = api.useRequestInterceptor(config => ({ ...config, headers: { ...config.headers, authorization: "Bearer t" } }));
+        const seen = [];
+        api.useResponseInterceptor(response => {
+            seen.push(response.status);
+        });
+        const { data } = await api.post("/echo", { json: { title: "hi" } });
+        assert.deepEqual(data, { method: "POST", body: { title: "hi" }, auth: "Bearer t" });
+        assert.equal(server.requests[0].headers["content-type"], "application/json");
+        assert.deepEqual(seen, [201]);
+        remove();
+        assert.equal((await api.post("/echo", { json: {} })).data.auth, undefined);
+    });
+
+    it("turns a 404 into HttpError without parsing the error page as JSON", async () => {
+        await assert.rejects(client().get("/users/999"), (error) => {
+            assert.ok(error instanceof HttpError);
+            assert.equal(error.status, 404);
+            assert.equal(error.data, "<h1>Not Found</h1>");
+            return true;
+        });
+        assert.equal(server.requests.length, 1);  // 404 is not retried
+    });
+
+    it("retries 503s, honouring Retry-After", async () => {
+        failuresLeft = 2;
+        const response = await client().get("/flaky");
+        assert.deepEqual(response.data, { ok: true });
+        assert.equal(response.attempts, 3);
+        assert.deepEqual(sleeps, [2000, 2000]);
+    });
+
+    it("gives up after the configured retries with the last HttpError", async () => {
+        failuresLeft = 5;
+        await assert.rejects(client({ retries: 1 }).get("/flaky"), { name: "HttpError", status: 503, attempt: 2 });
+    });
+
+    it("never retries a POST unless it is marked idempotent", async () => {
+        failuresLeft = 1;
+        await assert.rejects(client().post("/flaky", { json: {} }), HttpError);
+        assert.equal(server.requests.length, 1);
+        failuresLeft = 1;
+        assert.equal((await client().post("/flaky", { json: {}, idempotent: true })).attempts, 2);
+    });
+
+    it("times out hung requests", async () => {
+        await assert.rejects(client({ retries: 0 }).get("/hang", { timeoutMs: 50 }), (error) =>
+            error instanceof HttpTimeoutError && error.timeoutMs === 50);
+    });
+
+    it("rejects invalid JSON from a successful response", async () => {
+        await assert.rejects(client().get("/broken-json"), (error) => error instanceof ResponseParseError && error.body === "{not json");
+    });
+
+    it("reports an error status, not a parse error, when an error page claims to be JSON", async () => {
+        await assert.rejects(client({ retries: 0 }).get("/down"), (error) =>
+            error instanceof HttpError && error.status === 502 && error.data === "<html>Bad Gateway</html>");
+    });
+
+    it("stops when the caller aborts", async () => {
+        const controller = new AbortController();
+        const pending = client().get("/hang", { signal: controller.signal });
+        setTimeout(() => controller.abort(), 20);
+        await assert.rejects(pending, RequestAbortedError);
+        await assert.rejects(client().get("/users/1", { signal: AbortSignal.abort() }), RequestAbortedError);
+    });
+
+    it("reports an unreachable server as NetworkError", async () => {
+        const closed = net.createServer();
+        await new Promise(resolve => closed.listen(0, "127.0.0.1", resolve));
+        const { port } = closed.address();
+        await new Promise(resolve => closed.close(resolve));
+        await assert.rejects(client({ baseUrl: `http://127.0.0.1:${port}`, retries: 0 }).get("/"), NetworkError);
+    });
+});
+
+describe("parseRetryAfter", () => {
+    it("reads seconds or an HTTP date", () => {
+        const now = Date.parse("2024-01-01T00:00:00Z");
+        assert.equal(parseRetryAfter("3", now), 3000);
+        assert.equal(parseRetryAfter("Mon, 01 Jan 2024 00:00:10 GMT", now), 10000);
+        assert.equal(parseRetryAfter("Sun, 31 Dec 2023 00:00:00 GMT", now), 0);
+        assert.equal(parseRetryAfter("soon", now), null);
+        assert.equal(parseRetryAfter(undefined), null);
+    });
+});
+
+describe("backoff", () => {
+    it("grows exponentially with full jitter, capped, unless Retry-After asks for longer", () => {
+        const api = new HttpClient({ retryDelayMs: 100, maxRetryDelayMs: 1000, random: () => 0.5 });
+        assert.deepEqual([1, 2, 3, 4, 5].map(attempt => api.backoff(attempt)), [50, 100, 200, 400, 500]);
+        assert.equal(api.backoff(1, 800), 800);
+        assert.equal(api.backoff(1, 60000), 1000);
+    });
+});
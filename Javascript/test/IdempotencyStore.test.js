@@ -0,0 +1,38 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { IdempotencyStore, InMemoryIdempotencyStore } = require("../IdempotencyStore");
+const { AbstractInstantiationError } = require("../Errors");
+
+describe("InMemoryIdempotencyStore", () => {
+    it("stores results until they expire", async () => {
+        let now = 0;
+        const store = new InMemoryIdempotencyStore({ ttlMs: 100, now: () => now });
+        await store.set("order-1", { success: true });
+        assert.deepEqual(await store.get("order-1"), { success: true });
+        now = 100;
+        assert.equal(await store.get("order-1"), undefined);
+        await store.set("order-2", 1);
+        await store.delete("order-2");
+        assert.equal(await store.get("order-2"), undefined);
+    });
+
+    it("hands out a key to one holder at a time, first come first served", async () => {
+        const store = new InMemoryIdempotencyStore();
+        const order = [];
+        const hold = async (name) => {
+            const release = await store.acquire("key");
+            order.push(`${name} in`);
+            await new Promise(resolve => setImmediate(resolve));
+            order.push(`${name} out`);
+            release();
+        };
+        await Promise.all([hold("a"), hold("b"), hold("c")]);
+        assert.deepEqual(order, ["a in", "a out", "b in", "b out", "c in", "c out"]);
+        assert.equal(store.locks.size, 0);
+    });
+
+    it("is a concrete IdempotencyStore", () => {
+        assert.ok(new InMemoryIdempotencyStore() instanceof IdempotencyStore);
+        assert.throws(() => new IdempotencyStore(), AbstractInstantiationError);
+    });
+});
@@ -0,0 +1,95 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { Interface, defineInterface, abstractClass, isAbstract } = require("../Interfaces");
+const { AbstractInstantiationError, InterfaceNotImplementedError } = require("../Errors");
+
+const Speaker = defineInterface("Speaker", { speak: 0 }, {
+    defaults: {
+        introduce() {
+            return `I say ${this.speak()}`;
+        }
+    }
+});
+const Walker = defineInterface("Walker", { walk: 1 }, { extends: [Speaker] });
+
+describe("defineInterface", () => {
+    it("merges members and defaults from parent interfaces", () => {
+        assert.ok(Walker instanceof Interface);
+        assert.deepEqual(Walker.members, { speak: 0, walk: 1 });
+        assert.deepEqual(Object.keys(Walker.defaults), ["introduce"]);
+        assert.ok(Object.isFrozen(Walker));
+        assert.throws(() => defineInterface("Bad", { run: -1 }), TypeError);
+    });
+
+    it("duck-types plain objects", () => {
+        assert.ok(Speaker.isImplementedBy({ speak() {} }));
+        assert.equal(Walker.isImplementedBy({ speak() {}, walk() {} }), false);  // walk() has the wrong arity
+    });
+});
+
+describe("abstractClass", () => {
+    const Animal = abstractClass(class Animal {
+        constructor(name) {
+            this.name = name;
+        }
+
+        describe() {
+            return `${this.name}: ${this.introduce()}`;
+        }
+    }, { implements: [Speaker], abstract: { move: 1 }, mixins: [{ rest() { return "zzz"; } }] });
+
+    it("cannot be instantiated itself", () => {
+        assert.throws(() => new Animal("x"), (error) =>
+            error instanceof AbstractInstantiationError && error.message === "Cannot instantiate abstract class Animal");
+        assert.equal(Animal.name, "Animal");
+        assert.ok(isAbstract(Animal));
+    });
+
+    it("lets a complete subclass through, with defaults and mixins filled in", () => {
+        class Dog extends Animal {
+            speak() {
+                return "woof";
+            }
+
+            move(distance) {
+                return `ran ${distance}`;
+            }
+        }
+        const dog = new Dog("Rex");
+        assert.equal(dog.describe(), "Rex: I say woof");
+        assert.equal(dog.rest(), "zzz");
+        assert.equal(isAbstract(Dog), false);
+    });
+
+    it("reports every missing or mis-declared member at once", () => {
+        class Fish extends Animal {
+            move() {}
+        }
+        assert.throws(() => new Fish("Nemo"), (error) => {
+            assert.ok(error instanceof InterfaceNotImplementedError);
+            assert.equal(error.className, "Fish");
+            assert.deepEqual(error.problems, [
+                { member: "speak", source: "Speaker", reason: "missing", expected: 0 },
+                { member: "move", source: "Animal", reason: "arity", expected: 1, actual: 0 }
+            ]);
+            return true;
+        });
+    });
+
+    it("checks requirements from every abstract ancestor", () => {
+        const Pet = abstractClass(class Pet extends Animal {}, { abstract: { owner: 0 } });
+        class Cat extends Pet {
+            speak() {
+                return "meow";
+            }
+
+            move(distance) {}
+        }
+        assert.throws(() => new Pet("x"), AbstractInstantiationError);
+        assert.throws(() => new Cat("Tom"), (error) => error.problems.map(problem => problem.member).join() === "owner");
+    });
+
+    it("keeps abstract stubs failing loudly when called directly", () => {
+        assert.throws(() => Animal.prototype.move.call({ constructor: { name: "X" } }, 1), InterfaceNotImplementedError);
+    });
+});
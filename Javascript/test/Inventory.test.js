@@ -0,0 +1,187 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Catalog, Inventory } = require("../Inventory");
+const { ShoppingCart } = require("../ShoppingCart");
+const { CreditCardProcessor } = require("../Payments");
+const { FakeGateway } = require("../FakeGateway");
+const { FakeClock } = require("../Clock");
+const { Money } = require("../Money");
+const {
+    InvalidAmountError,
+    InvalidQuantityError,
+    OutOfStockError,
+    ReservationNotFoundError,
+    UnknownProductError
+} = require("../Errors");
+const { silenceConsole } = require("./helpers");
+
+const MINUTE = 60 * 1000;
+
+function setup({ laptops = 1, mice = 10 } = {}) {
+    const clock = new FakeClock();
+    const catalog = new Catalog()
+        .add({ sku: "LAPTOP", name: "Laptop", price: 999.99 })
+        .add({ sku: "MOUSE", name: "Mouse", price: 29.99 });
+    const inventory = new Inventory({ catalog, clock, reservationTtlMs: 15 * MINUTE });
+    inventory.restock("LAPTOP", laptops);
+    inventory.restock("MOUSE", mice);
+    return { clock, catalog, inventory };
+}
+
+describe("Catalog", () => {
+    it("stores frozen products with Money prices", () => {
+        const catalog = new Catalog().add({ sku: "A", price: 5 });
+        assert.deepEqual(catalog.get("A"), { sku: "A", name: "A", price: Money.of(5) });
+        assert.ok(Object.isFrozen(catalog.get("A")));
+        assert.throws(() => catalog.get("B"), (error) => error instanceof UnknownProductError && error.sku === "B");
+        assert.throws(() => catalog.add({ sku: " ", price: 1 }), TypeError);
+    });
+});
+
+describe("Inventory", () => {
+    it("holds units for a reservation until it is committed or released", () => {
+        const { inventory } = setup({ mice: 5 });
+        const hold = inventory.reserve("MOUSE", 3);
+        assert.equal(inventory.available("MOUSE"), 2);
+        assert.equal(inventory.onHand("MOUSE"), 5);
+        inventory.commit(hold.id);
+        assert.equal(inventory.onHand("MOUSE"), 2);
+        assert.equal(inventory.available("MOUSE"), 2);
+
+        const other = inventory.reserve("MOUSE", 2);
+        assert.equal(inventory.release(other.id), true);
+        assert.equal(inventory.release(other.id), false);
+        assert.equal(inventory.available("MOUSE"), 2);
+        assert.throws(() => inventory.commit(other.id), ReservationNotFoundError);
+    });
+
+    it("refuses to hold more than is available", () => {
+        const { inventory } = setup({ laptops: 2 });
+        inventory.reserve("LAPTOP", 2);
+        assert.throws(() => inventory.reserve("LAPTOP", 1), (error) => {
+            assert.ok(error instanceof OutOfStockError);
+            assert.deepEqual([error.sku, error.requested, error.available], ["LAPTOP", 1, 0]);
+            assert.equal(error.message, "Only 0 x Laptop available, 1 requested");
+            return true;
+        });
+        assert.throws(() => inventory.reserve("TABLET", 1), UnknownProductError);
+        assert.throws(() => inventory.reserve("LAPTOP", 0), InvalidQuantityError);
+    });
+
+    it("grows or shrinks a reservation within what is available", () => {
+        const { inventory } = setup({ mice: 5 });
+        const hold = inventory.reserve("MOUSE", 2);
+        inventory.reserve("MOUSE", 2);
+        assert.throws(() => inventory.adjust(hold.id, 4), OutOfStockError);
+        assert.equal(inventory.adjust(hold.id, 3).quantity, 3);
+        assert.equal(inventory.available("MOUSE"), 0);
+        assert.equal(inventory.adjust(hold.id, 1).quantity, 1);
+        assert.equal(inventory.available("MOUSE"), 2);
+    });
+
+    it("puts expired reservations back on the shelf", async () => {
+        const { clock, inventory } = setup();
+        const hold = inventory.reserve("LAPTOP", 1, { ttlMs: 10 * MINUTE });
+        await clock.advance(9 * MINUTE);
+        inventory.renew(hold.id);  // Another 15 minutes from now
+        await clock.advance(14 * MINUTE);
+        assert.equal(inventory.isActive(hold.id), true);
+        await clock.advance(MINUTE);
+        assert.equal(inventory.isActive(hold.id), false);
+        assert.equal(inventory.available("LAPTOP"), 1);
+        assert.throws(() => inventory.commit(hold.id), ReservationNotFoundError);
+    });
+});
+
+describe("ShoppingCart with an inventory", () => {
+    let gateway;
+    let card;
+    beforeEach((t) => {
+        silenceConsole(t);
+        gateway = new FakeGateway();
+        card = new CreditCardProcessor("4111111111111111", "12/30", { gateway });
+    });
+
+    it("only adds catalog SKUs, at the catalog price, while stock lasts", () => {
+        const { inventory } = setup({ mice: 3 });
+        const cart = new ShoppingCart({ inventory });
+        assert.throws(() => cart.addItem("Laptop", 999.99), UnknownProductError);
+        assert.throws(() => cart.addItem("LAPTOP", 10), InvalidAmountError);
+        assert.deepEqual(cart.addItem("MOUSE", null, 2), { sku: "MOUSE", name: "Mouse", quantity: 2, unitPrice: Money.of(29.99) });
+        assert.throws(() => cart.addItem("MOUSE", null, 2), OutOfStockError);
+        assert.equal(cart.items[0].quantity, 2);  // The failed add left the line and its hold alone
+        assert.equal(inventory.available("MOUSE"), 1);
+    });
+
+    it("keeps holds in step with quantity changes and removals", () => {
+        const { inventory } = setup({ mice: 5 });
+        const cart = new ShoppingCart({ inventory });
+        cart.addItem("MOUSE", 29.99, 2);
+        cart.updateQuantity("MOUSE", 4);
+        assert.equal(inventory.available("MOUSE"), 1);
+        cart.updateQuantity("MOUSE", 0);
+        assert.equal(inventory.available("MOUSE"), 5);
+        cart.addItem("MOUSE", null);
+        cart.clear();
+        assert.equal(inventory.available("MOUSE"), 5);
+    });
+
+    it("lets only one of two carts have the last unit", async () => {
+        const { inventory } = setup({ laptops: 1 });
+        const first = new ShoppingCart({ inventory });
+        const second = new ShoppingCart({ inventory });
+        first.addItem("LAPTOP", null);
+        assert.throws(() => second.addItem("LAPTOP", null), OutOfStockError);
+        const result = await first.checkout(card);
+        assert.equal(result.success, true);
+        assert.equal(inventory.onHand("LAPTOP"), 0);
+        assert.equal(inventory.available("LAPTOP"), 0);
+    });
+
+    it("never sells more than is on hand when expired carts check out at the same time", async () => {
+        const { clock, inventory } = setup({ laptops: 2 });
+        const carts = [1, 2, 3].map(() => new ShoppingCart({ inventory }));
+        carts[0].addItem("LAPTOP", null);
+        carts[1].addItem("LAPTOP", null);
+        await clock.advance(20 * MINUTE);  // Both holds lapse...
+        carts[2].addItem("LAPTOP", null);  // ...and a third cart takes one of the freed units
+        const results = await Promise.all(carts.map(cart => cart.checkout(card)));
+        assert.deepEqual(results.map(result => result.success), [true, false, true]);
+        assert.match(results[1].error, /Only 0 x Laptop available/);
+        assert.equal(inventory.onHand("LAPTOP"), 0);
+        assert.equal(gateway.calls.filter(call => call.operation === "capture").length, 2);
+    });
+
+    it("releases holds when the payment fails and places them again on retry", async () => {
+        const { inventory } = setup({ mice: 5 });
+        let decline = true;
+        const flaky = new CreditCardProcessor("4111111111111111", "12/30", {
+            gateway: new FakeGateway({ decline: () => decline && "insufficient funds" })
+        });
+        const cart = new ShoppingCart({ inventory });
+        cart.addItem("MOUSE", null, 2);
+        assert.equal((await cart.checkout(flaky)).success, false);
+        assert.equal(inventory.available("MOUSE"), 5);
+        assert.equal(cart.items.length, 1);
+
+        decline = false;
+        assert.equal((await cart.checkout(flaky)).success, true);
+        assert.equal(inventory.onHand("MOUSE"), 3);
+        assert.equal(inventory.available("MOUSE"), 3);
+    });
+
+    it("keeps holds for the whole payment, however long it takes", async () => {
+        const { clock, inventory } = setup({ laptops: 1 });
+        const slow = {
+            processPayment: async (amount) => {
+                await clock.advance(60 * MINUTE);
+                return { success: true, transactionId: "SLOW_1", amount };
+            }
+        };
+        const cart = new ShoppingCart({ inventory });
+        cart.addItem("LAPTOP", null);
+        const result = await cart.checkout(slow);
+        assert.equal(result.success, true);
+        assert.equal(inventory.onHand("LAPTOP"), 0);
+    });
+});
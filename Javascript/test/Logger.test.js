@@ -0,0 +1,174 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Logger, LogLevel, LogFormat, defaultLogger, createDefaultLogger, maskCardNumber } = require("../Logger");
+const { Money } = require("../Money");
+const { silenceConsole } = require("./helpers");
+
+// A logger writing into arrays, with time frozen at the epoch
+function recording(options = {}) {
+    const lines = [];
+    const entries = [];
+    const logger = new Logger({
+        now: () => new Date(0),
+        write: (line, entry) => {
+            lines.push(line);
+            entries.push(entry);
+        },
+        ...options
+    });
+    return { logger, lines, entries };
+}
+
+describe("Logger", () => {
+    let output;
+    beforeEach((t) => {
+        output = silenceConsole(t);
+    });
+
+    it("drops entries below its level and shares setLevel with its children", () => {
+        const { logger, entries } = recording({ level: LogLevel.WARN });
+        const child = logger.child({ taskId: "T1" });
+        assert.equal(child.info("hidden"), null);
+        child.warn("shown");
+        logger.setLevel(LogLevel.DEBUG);
+        child.debug("now shown too");
+        assert.deepEqual(entries.map(entry => [entry.level, entry.message]), [["warn", "shown"], ["debug", "now shown too"]]);
+        assert.equal(child.isLevelEnabled(LogLevel.DEBUG), true);
+        logger.setLevel(LogLevel.SILENT);
+        child.error("nothing gets through");
+        assert.equal(entries.length, 2);
+        assert.throws(() => logger.setLevel("verbose"), RangeError);
+        assert.throws(() => new Logger({ format: "xml" }), RangeError);
+    });
+
+    it("binds context through children without touching the parent", () => {
+        const { logger, entries } = recording();
+        const account = logger.child({ accountId: "ACC-1", region: "EU" });
+        account.child({ region: "US" }).info("Deposited", { entryId: "E1", level: "ignored" });
+        logger.info("Plain");
+        assert.deepEqual(entries[0], {
+            time: "1970-01-01T00:00:00.000Z",
+            level: "info",
+            message: "Deposited",
+            accountId: "ACC-1",
+            region: "US",
+            entryId: "E1"
+        });
+        assert.deepEqual(Object.keys(entries[1]), ["time", "level", "message"]);
+    });
+
+    it("writes JSON lines or pretty key=value lines", () => {
+        const json = recording({ format: LogFormat.JSON });
+        json.logger.info("Captured", { amount: Money.of(25.5), error: new Error("boom") });
+        assert.deepEqual(JSON.parse(json.lines[0]), {
+            time: "1970-01-01T00:00:00.000Z",
+            level: "info",
+            message: "Captured",
+            amount: { minor: 2550, currency: "USD" },
+            error: { name: "Error", message: "boom" }
+        });
+
+        const pretty = recording();
+        pretty.logger.child({ vehicle: "Toyota Camry" }).warn("Ran dry", { odometer: 10, at: new Date(0), tags: ["a"] });
+        pretty.logger.info("Paid", { amount: Money.of(25.5) });
+        assert.deepEqual(pretty.lines, [
+            'WARN  Ran dry vehicle="Toyota Camry" odometer=10 at=1970-01-01T00:00:00.000Z tags=["a"]',
+            'INFO  Paid amount="USD 25.50"'
+        ]);
+    });
+
+    it("redacts secrets and card numbers wherever they appear", () => {
+        const { logger, lines, entries } = recording({ format: LogFormat.JSON, redact: ["ssn"] });
+        logger.child({ cardNumber: "4111 1111 1111 1111" }).info("Charging 5500-0000-0000-0004 for order 12345", {
+            password: "hunter2",
+            headers: { Authorization: "Bearer abc", "api-key": "k" },
+            customer: { SSN: "123-45-6789", notes: ["card 378282246310005 on file"] }
+        });
+        assert.deepEqual(entries[0], {
+            time: "1970-01-01T00:00:00.000Z",
+            level: "info",
+            message: "Charging ************0004 for order 12345",
+            cardNumber: "************1111",
+            password: "[REDACTED]",
+            headers: { Authorization: "[REDACTED]", "api-key": "[REDACTED]" },
+            customer: { SSN: "[REDACTED]", notes: ["card ***********0005 on file"] }
+        });
+        assert.ok(!/4111|hunter2|Bearer/.test(lines[0]));
+        assert.equal(maskCardNumber("1234"), "****");
+    });
+
+    it("leaves long runs of digits that are not card numbers alone", () => {
+        const { logger, entries } = recording({ format: LogFormat.JSON });
+        const now = Date.now();
+        // 4111111111111112 fails the Luhn check; 9999999999999995 passes it but no issuer starts with 9
+        logger.info(`Order 4111111111111112 saved at ${now}`, { at: String(now), txId: "9999999999999995" });
+        assert.equal(entries[0].message, `Order 4111111111111112 saved at ${now}`);
+        assert.equal(entries[0].at, String(now));
+        assert.equal(entries[0].txId, "9999999999999995");
+    });
+
+    it("redacts fields of class instances, whether written from their fields or their toJSON()", () => {
+        class Customer {
+            constructor() {
+                this.name = "Ada";
+                this.cardNumber = "4111111111111111";
+                this.password = "hunter2";
+            }
+        }
+        class Session {
+            toJSON() {
+                return { user: "ada", token: "abc123" };
+            }
+        }
+        const json = recording({ format: LogFormat.JSON });
+        const pretty = recording();
+        [json, pretty].forEach(({ logger }) => logger.info("Signed in", { customer: new Customer(), session: new Session() }));
+        assert.deepEqual(json.entries[0].customer, { name: "Ada", cardNumber: "************1111", password: "[REDACTED]" });
+        assert.deepEqual(json.entries[0].session, { user: "ada", token: "[REDACTED]" });
+        [json.lines[0], pretty.lines[0]].forEach(line => assert.ok(!/4111111111111111|hunter2|abc123/.test(line), line));
+    });
+
+    it("cuts cycles instead of overflowing the stack or failing to serialize", () => {
+        const plain = { name: "loop" };
+        plain.self = plain;
+        class Node {
+            constructor() {
+                this.children = [this];
+            }
+        }
+        const shared = { id: 1 };
+        for (const format of [LogFormat.JSON, LogFormat.PRETTY]) {
+            const { logger, lines, entries } = recording({ format });
+            assert.doesNotThrow(() => logger.info("Cyclic", { plain, node: new Node(), pair: [shared, shared] }));
+            assert.deepEqual(entries[0].plain, { name: "loop", self: "[Circular]" });
+            assert.deepEqual(entries[0].node, { children: ["[Circular]"] });
+            assert.deepEqual(entries[0].pair, [{ id: 1 }, { id: 1 }]);  // Repeated, not circular
+            assert.equal(lines.length, 1);
+        }
+    });
+
+    it("prints through console by default, warnings and errors to stderr", () => {
+        const logger = new Logger();
+        logger.info("to stdout");
+        logger.error("to stderr");
+        assert.deepEqual(output.log.mock.calls.map(call => call.arguments[0]), ["INFO  to stdout"]);
+        assert.deepEqual(output.error.mock.calls.map(call => call.arguments[0]), ["ERROR to stderr"]);
+        assert.ok(defaultLogger instanceof Logger);
+    });
+
+    it("configures the default logger from the environment, ignoring misspelled values with one warning", () => {
+        const configured = createDefaultLogger({ LOG_LEVEL: "DEBUG", LOG_FORMAT: "json" });
+        assert.equal(configured.level, LogLevel.DEBUG);
+        assert.equal(configured.settings.format, LogFormat.JSON);
+
+        const entries = [];
+        const fallback = createDefaultLogger({ LOG_LEVEL: "verbose", LOG_FORMAT: "jsn" }, {
+            write: (line, entry) => entries.push(entry)
+        });
+        assert.equal(fallback.level, LogLevel.INFO);
+        assert.equal(fallback.settings.format, LogFormat.PRETTY);
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].level, LogLevel.WARN);
+        assert.match(entries[0].message, /LOG_LEVEL='verbose'.*LOG_FORMAT='jsn'/);
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { Money, RateTable } = require("../Money");
+const { InvalidAmountError, CurrencyMismatchError, UnknownCurrencyError } = require("../Errors");
+
+describe("Money", () => {
+    it("stores integer minor units so float sums don't drift", () => {
+        const total = Money.of(999.99).add(Money.of(29.99));
+        assert.equal(total.minor, 102998);
+        assert.equal(total.toString(), "USD 1029.98");
+        assert.ok(Object.isFrozen(total));
+    });
+
+    it("respects each currency's number of decimals", () => {
+        assert.equal(Money.of(1500, "JPY").minor, 1500);
+        assert.equal(Money.of(1.234, "KWD").minor, 1234);
+        assert.throws(() => Money.of(10.005), InvalidAmountError);
+        assert.throws(() => Money.of(1.5, "JPY"), InvalidAmountError);
+    });
+
+    it("rejects NaN, Infinity, non-numbers and unknown currencies", () => {
+        assert.throws(() => Money.of(NaN), InvalidAmountError);
+        assert.throws(() => Money.of(Infinity), InvalidAmountError);
+        assert.throws(() => Money.of("10"), InvalidAmountError);
+        assert.throws(() => Money.of(10, "XYZ"), UnknownCurrencyError);
+        assert.throws(() => new Money(1.5, "USD"), InvalidAmountError);
+    });
+
+    it("refuses to combine different currencies", () => {
+        assert.throws(() => Money.of(1).add(Money.of(1, "EUR")), CurrencyMismatchError);
+        assert.throws(() => Money.of(1).add(1), InvalidAmountError);
+    });
+
+    it("splits and allocates without losing a cent", () => {
+        assert.deepEqual(Money.of(100).split(3).map(share => share.minor), [3334, 3333, 3333]);
+        assert.deepEqual(Money.of(-1).split(2).map(share => share.minor), [-50, -50]);
+        assert.deepEqual(Money.of(10).allocate([1, 0, 3]).map(share => share.minor), [250, 0, 750]);
+        assert.throws(() => Money.of(10).split(0), InvalidAmountError);
+        assert.throws(() => Money.of(10).allocate([0, 0]), InvalidAmountError);
+        assert.throws(() => Money.of(10).allocate([-1, 2]), InvalidAmountError);
+    });
+
+    it("multiplies with half-up rounding away from zero", () => {
+        assert.equal(Money.fromMinor(5).multiply(0.5).minor, 3);
+        assert.equal(Money.fromMinor(-5).multiply(0.5).minor, -3);
+        assert.throws(() => Money.of(1).multiply(Infinity), InvalidAmountError);
+    });
+
+    it("compares, sums and reports its sign", () => {
+        const [small, big] = [Money.of(1), Money.of(2)];
+        assert.ok(big.greaterThan(small));
+        assert.ok(small.lessThan(big));
+        assert.ok(Money.of(2).equals(big));
+        assert.equal(Money.of(2).equals(2), false);
+        assert.equal(Money.of(2).equals(Money.of(2, "EUR")), false);
+        assert.equal(Money.sum([small, big]).minor, 300);
+        assert.ok(Money.zero().isZero());
+        assert.ok(small.negate().isNegative());
+        assert.ok(small.negate().abs().isPositive());
+    });
+
+    it("converts and compares across currencies through a RateTable", () => {
+        const rates = new RateTable({ "USD/EUR": 0.5 });
+        assert.equal(Money.of(10).convertTo("EUR", rates).toString(), "EUR 5.00");
+        assert.equal(Money.of(10, "EUR").convertTo("USD", rates).toString(), "USD 20.00");  // Derived inverse
+        assert.ok(Money.of(10).equals(Money.of(5, "EUR"), rates));
+        assert.throws(() => Money.of(10).convertTo("EUR"), CurrencyMismatchError);
+        assert.throws(() => rates.getRate("USD", "GBP"), CurrencyMismatchError);
+        assert.throws(() => rates.setRate("USD", "GBP", 0), InvalidAmountError);
+        assert.equal(new RateTable().setRate("USD", "JPY", 150).convert(Money.of(1.5), "JPY").toString(), "JPY 225");
+    });
+
+    it("formats for display and round-trips through JSON", () => {
+        assert.equal(Money.of(1234.5).format(), "$1,234.50");
+        assert.equal(Money.of(-0.05).toString(), "USD -0.05");
+        assert.equal(Money.of(12.34).toNumber(), 12.34);
+        const copy = Money.fromJSON(JSON.parse(JSON.stringify(Money.of(12.34, "GBP"))));
+        assert.ok(copy.equals(Money.of(12.34, "GBP")));
+        assert.equal(Money.from(copy), copy);
+        assert.ok(Money.isMoney(copy));
+    });
+});
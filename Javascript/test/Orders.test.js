@@ -0,0 +1,179 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Order, OrderBook, OrderState } = require("../Orders");
+const { ShoppingCart } = require("../ShoppingCart");
+const { CreditCardProcessor } = require("../Payments");
+const { FakeGateway } = require("../FakeGateway");
+const { Money } = require("../Money");
+const { GatewayError, IllegalTransitionError, OrderNotFoundError } = require("../Errors");
+const { silenceConsole, captureLogs } = require("./helpers");
+
+describe("Orders", () => {
+    let gateway;
+    let card;
+    let orders;
+    let cart;
+    beforeEach((t) => {
+        silenceConsole(t);
+        gateway = new FakeGateway();
+        card = new CreditCardProcessor("4111111111111111", "12/30", { gateway });
+        orders = new OrderBook();
+        cart = new ShoppingCart({ orders });
+        cart.addItem("LAPTOP", 999.99, 1, { name: "Laptop" });
+        cart.addItem("MOUSE", 29.99, 2, { name: "Mouse" });
+    });
+
+    const refunds = () => gateway.calls.filter(call => call.operation === "refund");
+
+    it("is placed and paid by a successful checkout, with a frozen snapshot of the cart", async () => {
+        const events = [];
+        orders.on("transition", ({ order, from, to }) => events.push(`${order.id}:${from}->${to}`));
+        const result = await cart.checkout(card);
+        const { order } = result;
+
+        assert.ok(order instanceof Order);
+        assert.equal(orders.get(order.id), order);
+        assert.equal(order.state, OrderState.PAID);
+        assert.deepEqual(events, ["ORD-00001:null->placed", "ORD-00001:placed->paid"]);
+        assert.deepEqual(order.payment, { transactionId: result.transactionId, amount: Money.of(1059.97), processor: "CreditCardProcessor" });
+        assert.deepEqual(order.lines.map(line => [line.sku, line.quantity, line.lineTotal.toString()]), [
+            ["LAPTOP", 1, "USD 999.99"],
+            ["MOUSE", 2, "USD 59.98"]
+        ]);
+        assert.equal(order.totals.total.toString(), "USD 1059.97");
+        assert.ok(Object.isFrozen(order.lines) && Object.isFrozen(order.lines[0]));
+
+        cart.addItem("MOUSE", 29.99);  // The cart moves on; the order doesn't
+        assert.equal(order.lines.length, 2);
+    });
+
+    it("places no order when the payment fails", async () => {
+        const declined = new CreditCardProcessor("4111111111111111", "12/30", { gateway: new FakeGateway({ decline: () => "no" }) });
+        const result = await cart.checkout(declined);
+        assert.equal(result.success, false);
+        assert.deepEqual(orders.list(), []);
+    });
+
+    it("ships and delivers, emitting each state's event", async () => {
+        const { order } = await cart.checkout(card);
+        const shipped = [];
+        order.on("shipped", ({ trackingNumber }) => shipped.push(trackingNumber));
+        order.ship({ trackingNumber: "1Z999", carrier: "UPS" }).deliver();
+        assert.deepEqual(shipped, ["1Z999"]);
+        assert.deepEqual(order.history.map(step => step.state), ["placed", "paid", "shipped", "delivered"]);
+        assert.deepEqual(orders.list({ state: OrderState.DELIVERED }), [order]);
+        assert.throws(() => order.ship(), (error) =>
+            error instanceof IllegalTransitionError && error.message === `Cannot ship order ${order.id} while it is delivered`);
+    });
+
+    it("keeps the checkout paid when a \"paid\" listener throws", async () => {
+        const logs = captureLogs();
+        orders = new OrderBook({ logger: logs.logger });
+        cart = new ShoppingCart({ orders });
+        cart.addItem("LAPTOP", 999.99, 1, { name: "Laptop" });
+        const seen = [];
+        orders.on(OrderState.PAID, () => {
+            throw new Error("mailer down");
+        });
+        orders.on(OrderState.PAID, ({ order }) => seen.push(order.id));
+
+        const result = await cart.checkout(card);
+        assert.equal(result.success, true);
+        assert.equal(result.order.state, OrderState.PAID);
+        assert.deepEqual(result.postPaymentErrors, []);
+        assert.deepEqual(seen, ["ORD-00001"]);  // The next listener still ran
+        assert.equal(cart.lines.size, 0);
+        assert.deepEqual(gateway.calls.map(call => call.operation), ["authorize", "capture"]);
+        assert.deepEqual(logs.entries.filter(entry => entry.level === "error").map(entry => entry.message), [
+            '"paid" listener failed for order ORD-00001: mailer down'
+        ]);
+    });
+
+    it("reports an order that could not be placed without failing the paid checkout", async () => {
+        orders.place = () => {
+            throw new Error("order store offline");
+        };
+        const result = await cart.checkout(card);
+        assert.equal(result.success, true);
+        assert.equal(result.order, null);
+        assert.deepEqual(result.postPaymentErrors, [{ hook: "order", error: "order store offline" }]);
+        assert.equal(cart.lines.size, 0);
+        assert.equal(gateway.calls.filter(call => call.operation === "capture").length, 1);
+    });
+
+    it("refunds through the originating processor when a paid order is cancelled", async () => {
+        const { order, transactionId } = await cart.checkout(card);
+        const cancelled = [];
+        orders.on("cancelled", ({ reason }) => cancelled.push(reason));
+        await order.cancel("changed my mind");
+        assert.equal(order.state, OrderState.CANCELLED);
+        assert.deepEqual(cancelled, ["changed my mind"]);
+        assert.equal(refunds().length, 1);
+        assert.equal(card.getTransaction(transactionId).state, "refunded");
+        assert.equal(order.refund.amount.toString(), "USD 1059.97");
+        assert.ok(order.isTerminal());
+        await assert.rejects(order.cancel(), IllegalTransitionError);
+    });
+
+    it("refunds an approved return, and goes back to delivered for a rejected one", async () => {
+        const first = (await cart.checkout(card)).order;
+        first.ship().deliver();
+        first.requestReturn("too heavy");
+        first.rejectReturn("outside the return window");
+        assert.equal(first.state, OrderState.DELIVERED);
+        assert.equal(refunds().length, 0);
+
+        first.requestReturn("really too heavy");
+        await first.approveReturn();
+        assert.equal(first.state, OrderState.REFUNDED);
+        assert.equal(first.refund.reason, "really too heavy");
+        assert.equal(refunds().length, 1);
+    });
+
+    it("stays put when the refund fails, and refuses a second refund while one is running", async () => {
+        const { order } = await cart.checkout(card);
+        gateway.refund = async () => {
+            throw new GatewayError("Refunds are unavailable");
+        };
+        await assert.rejects(order.cancel(), GatewayError);
+        assert.equal(order.state, OrderState.PAID);
+        assert.equal(order.refund, null);
+
+        delete gateway.refund;  // Back to the prototype's working refund
+        const cancelling = order.cancel();
+        await assert.rejects(order.cancel(), /already has a refund in progress/);
+        await cancelling;
+        assert.equal(order.state, OrderState.CANCELLED);
+    });
+
+    it("cancels an unpaid order without refunding", async () => {
+        const summary = cart.getSummary();
+        const order = new Order({ id: "ORD-X", summary });
+        await order.cancel();
+        assert.equal(order.state, OrderState.CANCELLED);
+        assert.equal(refunds().length, 0);
+        assert.throws(() => orders.get("ORD-X"), OrderNotFoundError);
+    });
+
+    it("refuses to refund a payment no processor took, and stays where it was", async () => {
+        const order = new Order({ id: "ORD-Y", summary: cart.getSummary() });
+        order.markPaid(null, { transactionId: "TX_manual", amount: cart.total });
+        await assert.rejects(order.cancel(), (error) =>
+            error instanceof IllegalTransitionError && error.message === "Cannot refund order ORD-Y: no processor took its payment");
+        assert.equal(order.state, OrderState.PAID);
+        assert.equal(order.refund, null);
+
+        order.ship().deliver().requestReturn("Broken");
+        await assert.rejects(order.approveReturn(), IllegalTransitionError);
+        assert.equal(order.state, OrderState.RETURN_REQUESTED);
+        assert.equal(order.busy, false);
+    });
+
+    it("serializes to plain data", async () => {
+        const { order } = await cart.checkout(card);
+        const json = JSON.parse(JSON.stringify(order));
+        assert.equal(json.state, "paid");
+        assert.deepEqual(json.lines[1], { sku: "MOUSE", name: "Mouse", quantity: 2, unitPrice: Money.of(29.99).toJSON(), lineTotal: Money.of(59.98).toJSON() });
+        assert.deepEqual(json.payment.amount, Money.of(1059.97).toJSON());
+    });
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { PaymentTransaction, TransactionState } = require("../PaymentTransaction");
+const { Money } = require("../Money");
+const { IllegalTransitionError } = require("../Errors");
+
+describe("PaymentTransaction", () => {
+    const create = () => new PaymentTransaction({ id: "TX_1", processor: "Test", amount: Money.of(50), now: () => new Date(0) });
+
+    it("follows the two-phase lifecycle and records its history", () => {
+        const transaction = create();
+        transaction.transition(TransactionState.AUTHORIZED, { authorizationId: "auth_1" });
+        transaction.capturedAmount = Money.of(50);
+        transaction.transition(TransactionState.CAPTURED);
+        transaction.refundedAmount = Money.of(20);
+        transaction.transition(TransactionState.PARTIALLY_REFUNDED);
+        assert.equal(transaction.getRefundable().toString(), "USD 30.00");
+        assert.deepEqual(transaction.history.map(step => step.state), ["pending", "authorized", "captured", "partially-refunded"]);
+        assert.equal(transaction.history[1].authorizationId, "auth_1");
+        assert.equal(transaction.isTerminal(), false);
+    });
+
+    it("rejects moves the state machine doesn't allow", () => {
+        const transaction = create();
+        assert.equal(transaction.canTransition(TransactionState.CAPTURED), false);
+        assert.throws(() => transaction.transition(TransactionState.CAPTURED), (error) =>
+            error instanceof IllegalTransitionError && error.from === "pending" && error.to === "captured");
+        transaction.transition(TransactionState.FAILED);
+        assert.ok(transaction.isTerminal());
+    });
+
+    it("serializes to a plain copy", () => {
+        const transaction = create();
+        const json = transaction.toJSON();
+        json.history.push({ state: "tampered" });
+        json.gatewayReferences.authorizationId = "x";
+        assert.equal(transaction.history.length, 1);
+        assert.deepEqual(transaction.gatewayReferences, {});
+        assert.deepEqual(json.amount, { minor: 5000, currency: "USD" });
+    });
+});
@@ -0,0 +1,173 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    PaymentLifecycle,
+    PaymentProcessor,
+    GatewayPaymentProcessor,
+    CreditCardProcessor,
+    PayPalProcessor
+} = require("../Payments");
+const { FakeGateway } = require("../FakeGateway");
+const { TransactionState } = require("../PaymentTransaction");
+const { Money } = require("../Money");
+const {
+    AbstractInstantiationError,
+    InterfaceNotImplementedError,
+    InvalidAmountError,
+    PaymentDeclinedError,
+    GatewayError,
+    TransactionNotFoundError,
+    IllegalTransitionError
+} = require("../Errors");
+const { silenceConsole, captureLogs } = require("./helpers");
+
+describe("Payment processors", () => {
+    let gateway;
+    let card;
+    beforeEach((t) => {
+        silenceConsole(t);
+        gateway = new FakeGateway();
+        card = new CreditCardProcessor("4111111111111111", "12/30", { gateway });
+    });
+
+    it("processPayment authorizes and captures in one call", async () => {
+        const result = await card.processPayment(25.5);
+        assert.equal(result.success, true);
+        assert.match(result.transactionId, /^CC_/);
+        assert.equal(result.amount.toString(), "USD 25.50");
+        assert.equal(card.getTransaction(result.transactionId).state, TransactionState.CAPTURED);
+        assert.deepEqual(gateway.calls.map(call => call.operation), ["authorize", "capture"]);
+    });
+
+    it("processPayment rejects non-positive amounts before reaching the gateway", async () => {
+        for (const amount of [0, -10, Money.of(-1)]) {
+            await assert.rejects(card.processPayment(amount), InvalidAmountError);
+        }
+        await assert.rejects(card.processPayment(NaN), InvalidAmountError);
+        assert.equal(gateway.calls.length, 0);
+        assert.equal(card.transactions.size, 0);
+    });
+
+    it("marks declined authorizations as failed", async () => {
+        const declining = new PayPalProcessor("user@example.com", { gateway: new FakeGateway({ decline: () => "insufficient funds" }) });
+        await assert.rejects(declining.processPayment(10), (error) =>
+            error instanceof PaymentDeclinedError && error.reason === "insufficient funds");
+        const [transaction] = declining.transactions.values();
+        assert.equal(transaction.state, TransactionState.FAILED);
+    });
+
+    it("processPayment voids the authorization when the capture fails", async () => {
+        gateway.capture = async () => {
+            throw new GatewayError("capture timed out");
+        };
+        await assert.rejects(card.processPayment(10), { message: "capture timed out" });
+        const [transaction] = card.transactions.values();
+        assert.equal(transaction.state, TransactionState.VOIDED);
+        assert.deepEqual(gateway.calls.map(call => call.operation), ["authorize", "void"]);
+        assert.equal([...gateway.authorizations.values()][0].status, "voided");
+    });
+
+    it("captures part of a hold and refunds in steps", async () => {
+        const transaction = await card.authorize(Money.of(120));
+        await card.capture(transaction.id, 100);
+        await card.refund(transaction.id, 25);
+        assert.equal(transaction.state, TransactionState.PARTIALLY_REFUNDED);
+        await card.refund(transaction.id);
+        assert.equal(transaction.state, TransactionState.REFUNDED);
+        assert.equal(transaction.refundedAmount.toString(), "USD 100.00");
+        assert.equal(transaction.gatewayReferences.refundIds.length, 2);
+    });
+
+    it("reads plain-number captures and refunds in the transaction's currency", async () => {
+        const transaction = await card.authorize(Money.of(80, "EUR"));
+        await card.capture(transaction.id, 50);
+        assert.equal(transaction.capturedAmount.toString(), "EUR 50.00");
+        await card.refund(transaction.id, 20);
+        assert.equal(transaction.refundedAmount.toString(), "EUR 20.00");
+        assert.equal(transaction.getRefundable().toString(), "EUR 30.00");
+    });
+
+    it("refuses to capture or refund more than allowed", async () => {
+        const transaction = await card.authorize(50);
+        await assert.rejects(card.capture(transaction.id, 60), InvalidAmountError);
+        await card.capture(transaction.id);
+        await assert.rejects(card.refund(transaction.id, 50.01), InvalidAmountError);
+        await assert.rejects(card.refund(transaction.id, 0), InvalidAmountError);
+    });
+
+    it("does not capture a voided authorization, and never asks the gateway to", async () => {
+        const transaction = await card.authorize(49.99);
+        await card.void(transaction.id);
+        const callsBefore = gateway.calls.length;
+        await assert.rejects(card.capture(transaction.id), IllegalTransitionError);
+        await assert.rejects(card.void(transaction.id), IllegalTransitionError);
+        assert.equal(gateway.calls.length, callsBefore);
+    });
+
+    it("allows one gateway call per transaction at a time", async () => {
+        const transaction = await card.authorize(10);
+        const results = await Promise.allSettled([card.capture(transaction.id), card.capture(transaction.id)]);
+        assert.deepEqual(results.map(result => result.status), ["fulfilled", "rejected"]);
+        assert.ok(results[1].reason instanceof IllegalTransitionError);
+        assert.equal(gateway.calls.filter(call => call.operation === "capture").length, 1);
+    });
+
+    it("reports unknown transactions", async () => {
+        await assert.rejects(card.capture("CC_missing"), TransactionNotFoundError);
+        assert.throws(() => card.getTransaction("nope"), TransactionNotFoundError);
+    });
+
+    it("describes each payment source", () => {
+        assert.equal(card.describe(), "Credit Card ending in 1111");
+        assert.deepEqual(card.paymentSource(), { type: "card", number: "4111111111111111", expiry: "12/30" });
+        const paypal = new PayPalProcessor("user@example.com");
+        assert.equal(paypal.describe(), "PayPal for user@example.com");
+        assert.deepEqual(paypal.paymentSource(), { type: "paypal", email: "user@example.com" });
+    });
+
+    it("enforces the abstract contract", () => {
+        assert.throws(() => new PaymentProcessor(), AbstractInstantiationError);
+        assert.throws(() => new GatewayPaymentProcessor(), AbstractInstantiationError);
+        class NoSource extends GatewayPaymentProcessor {
+            describe() {
+                return "nothing";
+            }
+        }
+        assert.throws(() => new NoSource(), (error) =>
+            error instanceof InterfaceNotImplementedError && error.problems[0].member === "paymentSource");
+        assert.ok(PaymentLifecycle.isImplementedBy(card));
+        assert.equal(PaymentLifecycle.isImplementedBy({ authorize(amount) {} }), false);
+    });
+
+    it("logs each step with the card number masked", async () => {
+        const logs = captureLogs();
+        const logged = new CreditCardProcessor("4111111111111111", "12/30", { gateway, logger: logs.logger });
+        const { transactionId } = await logged.processPayment(10);
+        await logged.refund(transactionId);
+        assert.deepEqual(logs.messages(), [
+            "Authorizing $10.00 via Credit Card ending in 1111",
+            "Captured $10.00 via Credit Card ending in 1111",
+            "Refunded $10.00 via Credit Card ending in 1111"
+        ]);
+        assert.ok(logs.entries.every(entry =>
+            entry.processor === "CreditCardProcessor" && entry.cardNumber === "************1111"
+            && entry.transactionId === transactionId));
+        assert.ok(logs.lines.every(line => !line.includes("4111111111111111")));
+    });
+});
+
+describe("FakeGateway", () => {
+    it("keeps its own books and rejects what a real gateway would", async () => {
+        const gateway = new FakeGateway();
+        const { authorizationId } = await gateway.authorize({ source: { type: "card" }, amount: Money.of(10) });
+        await assert.rejects(gateway.capture(authorizationId, Money.of(11)), GatewayError);
+        await assert.rejects(gateway.refund(authorizationId, Money.of(1)), GatewayError);
+        await gateway.capture(authorizationId, Money.of(10));
+        await assert.rejects(gateway.void(authorizationId), GatewayError);
+        await gateway.refund(authorizationId, Money.of(6));
+        await assert.rejects(gateway.refund(authorizationId, Money.of(5)), GatewayError);
+        await assert.rejects(gateway.capture("auth_missing", Money.of(1)), GatewayError);
+        assert.deepEqual(gateway.calls.map(call => call.operation),
+            ["authorize", "capture", "refund", "capture", "void", "refund", "refund", "capture"]);
+    });
+});
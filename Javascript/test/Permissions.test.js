@@ -0,0 +1,128 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { AccessPolicy, grantRole, revokeRole, clearRole, rolesOf, hasRole, guardAction } = require("../Permissions");
+const { ForbiddenError } = require("../Errors");
+
+function Person(name) {
+    this.name = name;
+}
+
+class Employee extends Person {}
+
+class Manager extends Employee {}
+
+describe("roles", () => {
+    it("are inherited through the prototype chain, nearest decision first", () => {
+        grantRole(Person, "member");
+        grantRole(Employee, "staff");
+        const manager = new Manager("Mia");
+        grantRole(manager, "approver");
+        assert.deepEqual(rolesOf(manager), ["approver", "staff", "member"]);
+        assert.deepEqual(rolesOf(new Person("Pat")), ["member"]);
+        assert.ok(hasRole(Manager, "staff"));
+    });
+
+    it("can be revoked on one object without touching its prototype", () => {
+        grantRole(Employee, "staff");
+        const eve = new Employee("Eve");
+        revokeRole(eve, "staff");
+        assert.equal(hasRole(eve, "staff"), false);
+        assert.equal(hasRole(new Employee("Ed"), "staff"), true);
+        grantRole(eve, "staff");
+        assert.equal(hasRole(eve, "staff"), true);
+    });
+
+    it("can be cleared so the object inherits again", () => {
+        class Intern extends Employee {}
+        grantRole(Intern, "badge");
+        revokeRole(Intern, "staff");
+        clearRole(Intern, "badge");
+        clearRole(Intern, "staff");
+        clearRole(Intern, "never-granted");
+        assert.deepEqual(rolesOf(new Intern("Ivy")), rolesOf(new Employee("Ed")));
+        assert.equal(hasRole(Intern, "badge"), false);
+    });
+
+    it("only go on objects, with non-empty names", () => {
+        assert.throws(() => grantRole("bob", "x"), TypeError);
+        assert.throws(() => grantRole({}, ""), TypeError);
+    });
+});
+
+describe("AccessPolicy", () => {
+    const policy = new AccessPolicy()
+        .defineRole("reader", [{ action: "read", resource: "*" }])
+        .defineRole("author", [{ action: "edit", resource: "Document", when: (user, doc) => doc.author === user }])
+        .defineRole("admin", [{ action: "*", resource: "*" }]);
+
+    it("matches actions, resource types and conditions", () => {
+        const alice = grantRole({ name: "Alice" }, "author");
+        grantRole(alice, "reader");
+        const own = { type: "Document", author: alice };
+        const theirs = { type: "Document", author: {} };
+        assert.equal(policy.can(alice, "edit", own), true);
+        assert.equal(policy.can(alice, "edit", theirs), false);
+        assert.equal(policy.can(alice, "read", theirs), true);
+        assert.equal(policy.can(alice, "delete", own), false);
+        assert.equal(policy.can(alice, "edit", "Document"), false);  // No document to check ownership against
+        assert.equal(policy.check(grantRole({}, "admin"), "delete", own).role, "admin");
+    });
+
+    it("checks conditions against objects only, never against type names", () => {
+        const checked = [];
+        const buyers = new AccessPolicy().defineRole("customer", [{
+            action: "buy",
+            resource: "Item",
+            when: (user, item) => {
+                checked.push(item);
+                return item.owner !== user;
+            }
+        }]);
+        const carol = grantRole({ name: "Carol" }, "customer");
+        const apple = { type: "Item", owner: {} };
+        assert.equal(buyers.can(carol, "buy", "Item"), false);  // Would pass: "Item".owner !== carol
+        assert.deepEqual(checked, []);
+        assert.equal(buyers.can(carol, "buy", apple), true);
+        assert.equal(buyers.can(carol, "buy", { type: "Item", owner: carol }), false);
+        assert.equal(checked[0], apple);
+        assert.equal(checked.length, 2);
+    });
+
+    it("throws ForbiddenError with the details when authorizing", () => {
+        const bob = grantRole({ name: "Bob" }, "reader");
+        assert.throws(() => policy.authorize(bob, "edit", { type: "Document" }), (error) => {
+            assert.ok(error instanceof ForbiddenError);
+            assert.equal(error.message, "Bob may not edit Document (roles: reader)");
+            assert.deepEqual(error.roles, ["reader"]);
+            return true;
+        });
+        assert.throws(() => policy.authorize({}, "read", "Anything"), /Object may not read Anything \(roles: none\)/);
+    });
+
+    it("validates rules", () => {
+        assert.throws(() => new AccessPolicy().defineRole("x", [{ action: "read" }]), TypeError);
+        assert.throws(() => new AccessPolicy().defineRole("x", [{ action: "read", resource: "*", when: true }]), TypeError);
+    });
+});
+
+describe("guardAction", () => {
+    it("authorizes `this` before running the method", () => {
+        class Account {
+            constructor(owner) {
+                this.owner = owner;
+            }
+
+            close(reason) {
+                return `closed: ${reason}`;
+            }
+        }
+        const policy = new AccessPolicy().defineRole("owner", [{ action: "close", resource: "Account" }]);
+        guardAction(Account.prototype, "close", { policy, resource: () => "Account" });
+        const account = new Account("Ann");
+        assert.throws(() => account.close("moving"), ForbiddenError);
+        grantRole(account, "owner");
+        assert.equal(account.close("moving"), "closed: moving");
+        assert.equal(Account.prototype.close.name, "close");
+        assert.throws(() => guardAction(Account.prototype, "missing", { policy }), TypeError);
+    });
+});
@@ -0,0 +1,110 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { silenceConsole } = require("./helpers");
+
+describe("Practice", () => {
+    let output;
+    beforeEach((t) => {
+        output = silenceConsole(t);
+    });
+
+    it("runs nothing when required", () => {
+        require("../Practice");
+        assert.equal(output.log.mock.callCount(), 0);
+        assert.equal(output.error.mock.callCount(), 0);
+    });
+
+    it("lets Dog extend Animal's eat()", () => {
+        const { Animal, Dog } = require("../Practice");
+        const dog = new Dog("Rex", 10, "German Shepherd");
+        dog.eat();
+        assert.ok(dog instanceof Animal);
+        assert.deepEqual(output.log.mock.calls.map(call => call.arguments[0]), ["Rex is eating", "Rex finished eating"]);
+    });
+
+    it("gives classes built on constructor functions the prototype methods", () => {
+        const { User, Ankit } = require("../Practice");
+        const ankit = new Ankit("Ankit", 25, "Developer");
+        ankit.sell("Apple");
+        assert.ok(ankit instanceof User);
+        assert.equal(Object.getPrototypeOf(Ankit.prototype), User.prototype);
+        assert.equal(output.log.mock.calls[0].arguments[0], "Ankit is selling, Apple");
+    });
+
+    it("lets Ankits sell only what they own, and plain Users not at all", (t) => {
+        const { User, Ankit, Item, setupMarketplace, can, grantRole, revokeRole, rolesOf } = require("../Practice");
+        assert.deepEqual(rolesOf(new Ankit("Ankit", 25, "Developer")), []);
+        const teardown = setupMarketplace();
+        t.after(teardown);
+        const ankit = new Ankit("Ankit", 25, "Developer");
+        const john = new User("John", 20);
+        const apple = new Item("Apple", ankit);
+        const pear = new Item("Pear", john);
+
+        assert.deepEqual(rolesOf(ankit), ["seller", "customer"]);
+        assert.deepEqual(rolesOf(john), ["customer"]);
+        assert.equal(can(ankit, "sell", apple), true);
+        assert.equal(can(ankit, "sell", pear), false);
+        assert.equal(can(john, "sell", pear), false);
+        assert.equal(can(john, "buy", apple), true);
+        assert.equal(can(ankit, "buy", apple), false);  // Not from yourself
+
+        assert.throws(() => john.sell(pear), (error) => {
+            assert.equal(error.name, "ForbiddenError");
+            assert.equal(error.message, "John may not sell Item (roles: customer)");
+            assert.deepEqual([error.user, error.action, error.resource, error.roles], ["John", "sell", "Item", ["customer"]]);
+            return true;
+        });
+        assert.throws(() => ankit.sell("Apple"), { name: "ForbiddenError" });
+        assert.equal(output.log.mock.callCount(), 0);
+
+        grantRole(john, "moderator");
+        assert.equal(can(john, "sell", apple), true);
+        revokeRole(ankit, "seller");
+        assert.throws(() => ankit.sell(apple), { name: "ForbiddenError" });
+        assert.equal(can(new Ankit("Other", 30, "Chef"), "sell", new Item("Fig")), false);
+
+        teardown();  // Back to plain prototypes: no roles, and sell() takes anything again
+        const other = new Ankit("Other", 30, "Chef");
+        assert.deepEqual(rolesOf(other), []);
+        other.sell("Fig");
+        assert.equal(output.log.mock.calls.at(-1).arguments[0], "Other is selling, Fig");
+    });
+
+    it("takes back only its own grants on teardown, rather than revoking roles", () => {
+        const { User, Ankit, setupMarketplace, grantRole, rolesOf } = require("../Practice");
+        const { clearRole } = require("../Permissions");
+        grantRole(User, "customer");
+        try {
+            setupMarketplace()();
+            assert.deepEqual(rolesOf(User), ["customer"]);  // Granted before setup, so still there
+            grantRole(User, "seller");
+            assert.deepEqual(rolesOf(new Ankit("Ankit", 25, "Developer")), ["customer", "seller"]);
+        } finally {
+            clearRole(User, "customer");
+            clearRole(User, "seller");
+        }
+        assert.deepEqual(rolesOf(new Ankit("Ankit", 25, "Developer")), []);
+    });
+
+    it("keeps User1's balance private", () => {
+        const { User1 } = require("../Practice");
+        const john = User1("John", 20);
+        john.sell("Laptop", 500);
+        john.balance = 0;
+        assert.equal(john.getBalance(), 1500);
+        assert.ok(!Object.values(john).includes(1500));
+    });
+
+    it("enforces the Speaker contract on Animal1", () => {
+        const { Animal1, Dog1 } = require("../Practice");
+        assert.throws(() => new Animal1("Generic"), { name: "AbstractInstantiationError" });
+        class Fish extends Animal1 {}
+        assert.throws(() => new Fish("Nemo"), { name: "InterfaceNotImplementedError" });
+        new Dog1("Buddy").introduce();
+        assert.deepEqual(output.log.mock.calls.map(call => call.arguments[0]), [
+            "Say hello to Buddy:",
+            "Buddy is barking: Woof! Woof!"
+        ]);
+    });
+});
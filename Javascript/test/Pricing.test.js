@@ -0,0 +1,90 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    PricingPipeline,
+    PercentageCoupon,
+    FixedCoupon,
+    BuyXGetY,
+    FlatRateShipping,
+    PerItemShipping,
+    FreeShippingOver,
+    RegionTaxRule
+} = require("../Pricing");
+const { Money } = require("../Money");
+const { InvalidAmountError } = require("../Errors");
+
+const line = (sku, price, quantity) => ({ sku, name: sku, quantity, unitPrice: Money.of(price) });
+
+describe("PricingPipeline", () => {
+    it("prices lines with no steps: subtotal only, no shipping", () => {
+        const summary = new PricingPipeline().price({ lines: [line("A", 2.5, 4)] });
+        assert.equal(summary.subtotal.toString(), "USD 10.00");
+        assert.equal(summary.total.toString(), "USD 10.00");
+        assert.equal(summary.itemCount, 4);
+        assert.deepEqual(summary.shipping, { method: "none", amount: Money.zero() });
+        assert.ok(Object.isFrozen(summary));
+    });
+
+    it("runs discounts, then shipping, then tax whatever order they were added in", () => {
+        const pipeline = new PricingPipeline([
+            new RegionTaxRule({ "US-CA": 0.1 }),
+            new FreeShippingOver(50, new FlatRateShipping(5)),
+            new PercentageCoupon("TEN", 10)
+        ]);
+        const summary = pipeline.price({ lines: [line("A", 50, 1)], region: "US-CA" });
+        assert.equal(summary.discountTotal.toString(), "USD 5.00");
+        assert.equal(summary.shipping.amount.toString(), "USD 5.00");  // 45 after discount - below the threshold
+        assert.equal(summary.taxTotal.toString(), "USD 4.50");         // Tax on the discounted subtotal
+        assert.equal(summary.total.toString(), "USD 54.50");
+    });
+
+    it("never discounts below zero", () => {
+        const summary = new PricingPipeline().price({
+            lines: [line("A", 10, 1)],
+            extraSteps: [new FixedCoupon("BIG", 15), new PercentageCoupon("MORE", 50)]
+        });
+        assert.equal(summary.discounts.length, 1);
+        assert.equal(summary.total.toString(), "USD 0.00");
+    });
+
+    it("rejects steps without a known kind", () => {
+        assert.throws(() => new PricingPipeline([{ kind: "bonus", apply() {} }]), TypeError);
+    });
+});
+
+describe("Pricing steps", () => {
+    const breakdownFor = (lines, steps = [], region = null) => new PricingPipeline(steps).price({ lines, region });
+
+    it("PercentageCoupon and FixedCoupon respect a minimum spend", () => {
+        const lines = [line("A", 20, 1)];
+        assert.equal(breakdownFor(lines, [new PercentageCoupon("P", 10, { minSubtotal: 50 })]).discounts.length, 0);
+        assert.equal(breakdownFor(lines, [new FixedCoupon("F", 5, { minSubtotal: 10 })]).total.toString(), "USD 15.00");
+        assert.throws(() => new PercentageCoupon("X", 0), InvalidAmountError);
+        assert.throws(() => new PercentageCoupon("X", 101), InvalidAmountError);
+    });
+
+    it("BuyXGetY makes every (buy + get)th unit free", () => {
+        const deal = new BuyXGetY("SOCKS", 2, 1);
+        assert.equal(breakdownFor([line("SOCKS", 4.99, 7)], [deal]).discountTotal.toString(), "USD 9.98");
+        assert.equal(breakdownFor([line("SOCKS", 4.99, 2)], [deal]).discounts.length, 0);
+        assert.equal(breakdownFor([line("HATS", 4.99, 9)], [deal]).discounts.length, 0);
+        assert.throws(() => new BuyXGetY("SOCKS", 0, 1), InvalidAmountError);
+    });
+
+    it("shipping calculators charge nothing for an empty cart", () => {
+        assert.equal(breakdownFor([], [new FlatRateShipping(5)]).shipping.method, "none");
+        const perItem = breakdownFor([line("A", 1, 3)], [new PerItemShipping(1.5, { base: 2 })]);
+        assert.deepEqual(perItem.shipping, { method: "per-item", amount: Money.of(6.5) });
+        assert.equal(breakdownFor([line("A", 100, 1)], [new FreeShippingOver(100, new FlatRateShipping(5))]).shipping.method, "free");
+    });
+
+    it("RegionTaxRule looks up the cart's region, optionally taxing shipping", () => {
+        const lines = [line("A", 100, 1)];
+        const rule = new RegionTaxRule({ "US-NY": 0.04 }, { defaultRate: 0.1 });
+        assert.equal(breakdownFor(lines, [rule], "US-NY").taxTotal.toString(), "USD 4.00");
+        assert.equal(breakdownFor(lines, [rule], "GB").taxTotal.toString(), "USD 10.00");
+        assert.equal(breakdownFor(lines, [new RegionTaxRule({})], "GB").taxes.length, 0);
+        const withShipping = [new FlatRateShipping(10), new RegionTaxRule({ GB: 0.2 }, { includeShipping: true })];
+        assert.equal(breakdownFor(lines, withShipping, "GB").taxTotal.toString(), "USD 22.00");
+    });
+});
@@ -0,0 +1,27 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ProcessorRegistry, createDefaultRegistry } = require("../ProcessorRegistry");
+const { CreditCardProcessor, PayPalProcessor } = require("../Payments");
+const { CryptoProcessor } = require("../CryptoProcessor");
+const { UnknownProcessorError } = require("../Errors");
+
+describe("ProcessorRegistry", () => {
+    it("builds the default processors from a name and config", () => {
+        const registry = createDefaultRegistry();
+        assert.deepEqual(registry.list(), ["credit-card", "paypal", "crypto"]);
+        const card = registry.create("credit-card", { cardNumber: "4111111111111111", expiryDate: "12/30" });
+        assert.ok(card instanceof CreditCardProcessor);
+        assert.equal(card.expiryDate, "12/30");
+        assert.ok(registry.create("paypal", { email: "a@b.c" }) instanceof PayPalProcessor);
+        assert.ok(registry.create("crypto", { address: "1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa", network: "btc" }) instanceof CryptoProcessor);
+    });
+
+    it("registers, unregisters and reports unknown names", () => {
+        const registry = new ProcessorRegistry().register("test", config => ({ config }));
+        assert.ok(registry.has("test"));
+        assert.deepEqual(registry.create("test", { a: 1 }), { config: { a: 1 } });
+        assert.ok(registry.unregister("test"));
+        assert.throws(() => registry.create("test"), (error) => error instanceof UnknownProcessorError && error.processor === "test");
+        assert.throws(() => registry.register("bad", {}), TypeError);
+    });
+});
@@ -0,0 +1,197 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getEventListeners } = require("node:events");
+const { pLimit, mapConcurrent, pTimeout, pRetry, pAny, pSettleWithinDeadline } = require("../PromiseUtils");
+const { FakeClock, delay } = require("../Clock");
+const { TimeoutError } = require("../Errors");
+
+describe("pLimit", () => {
+    it("never runs more than `concurrency` tasks at once", async () => {
+        const clock = new FakeClock();
+        const limit = pLimit(2);
+        let running = 0;
+        let peak = 0;
+        const task = async (ms) => {
+            running++;
+            peak = Math.max(peak, running);
+            await delay(ms, { clock });
+            running--;
+            return ms;
+        };
+        const all = Promise.all([300, 100, 200, 50].map(ms => limit(task, ms)));
+        assert.equal(limit.activeCount, 2);
+        assert.equal(limit.pendingCount, 2);
+        await clock.runAll();
+        assert.deepEqual(await all, [300, 100, 200, 50]);
+        assert.equal(peak, 2);
+    });
+
+    it("rejects queued tasks when its signal aborts", async () => {
+        const controller = new AbortController();
+        const limit = pLimit(1, { signal: controller.signal });
+        const first = limit(() => new Promise(resolve => setImmediate(() => resolve("ran"))));
+        const queued = limit(() => "never");
+        controller.abort(new Error("stop"));
+        await assert.rejects(queued, { message: "stop" });
+        assert.equal(await first, "ran");
+        assert.throws(() => pLimit(0), RangeError);
+    });
+});
+
+describe("mapConcurrent", () => {
+    it("keeps input order", async () => {
+        const clock = new FakeClock();
+        const mapped = mapConcurrent([3, 1, 2], async (n) => {
+            await delay(n * 100, { clock });
+            return n * 10;
+        }, { concurrency: 2 });
+        await clock.runAll();
+        assert.deepEqual(await mapped, [30, 10, 20]);
+    });
+
+    it("fails fast, aborts running mappers and starts nothing new", async () => {
+        const clock = new FakeClock();
+        const started = [];
+        const aborted = [];
+        const mapped = mapConcurrent([1, 2, 3, 4], async (n, index, signal) => {
+            started.push(n);
+            if (n === 2) {
+                throw new Error("boom");
+            }
+            await delay(1000, { clock, signal }).catch(error => {
+                aborted.push(n);
+                throw error;
+            });
+        }, { concurrency: 2 });
+        await assert.rejects(mapped, { message: "boom" });
+        await clock.runAll();
+        assert.deepEqual(aborted, [1]);
+        assert.ok(!started.includes(4));
+    });
+});
+
+describe("pTimeout", () => {
+    it("rejects with TimeoutError and aborts the task's signal", async () => {
+        const clock = new FakeClock();
+        let taskSignal;
+        const result = pTimeout((signal) => {
+            taskSignal = signal;
+            return delay(5000, { clock, signal });
+        }, 1000, { clock, message: "too slow" });
+        const rejected = assert.rejects(result, (error) => error instanceof TimeoutError && error.message === "too slow" && error.timeoutMs === 1000);
+        await clock.advance(1000);
+        await rejected;
+        assert.ok(taskSignal.aborted);
+        assert.equal(clock.pendingCount, 0);
+    });
+
+    it("resolves and clears its timer when the task is fast enough", async () => {
+        const clock = new FakeClock();
+        const result = pTimeout(() => delay(500, { clock }).then(() => "ok"), 1000, { clock });
+        await clock.advance(500);
+        assert.equal(await result, "ok");
+        assert.equal(clock.pendingCount, 0);
+    });
+});
+
+describe("pRetry", () => {
+    it("retries with growing delays and reports attempts", async () => {
+        const clock = new FakeClock();
+        const retries = [];
+        const result = pRetry((attempt) => {
+            if (attempt < 3) {
+                throw new Error(`fail ${attempt}`);
+            }
+            return attempt;
+        }, { clock, jitter: false, minDelayMs: 100, onRetry: ({ attempt, delayMs }) => retries.push([attempt, delayMs]) });
+        await clock.runAll();
+        assert.equal(await result, 3);
+        assert.deepEqual(retries, [[1, 100], [2, 200]]);
+        assert.equal(clock.now(), 300);
+    });
+
+    it("throws the last error with `attempts` once out of retries or told not to retry", async () => {
+        const clock = new FakeClock();
+        const exhausted = assert.rejects(pRetry(() => Promise.reject(new Error("down")), { retries: 2, clock, jitter: false }), {
+            message: "down",
+            attempts: 3
+        });
+        await clock.runAll();
+        await exhausted;
+
+        const refused = pRetry(() => Promise.reject(new Error("404")), { shouldRetry: () => false, clock });
+        await assert.rejects(refused, { message: "404", attempts: 1 });
+    });
+});
+
+describe("pAny", () => {
+    it("resolves with the first success and aborts the others", async () => {
+        const clock = new FakeClock();
+        let slowSignal;
+        const winner = pAny([
+            (signal) => {
+                slowSignal = signal;
+                return delay(1000, { clock, signal }).then(() => "slow");
+            },
+            () => delay(100, { clock }).then(() => "fast")
+        ]);
+        await clock.advance(100);
+        assert.equal(await winner, "fast");
+        assert.ok(slowSignal.aborted);
+    });
+
+    it("rejects with an AggregateError whose errors follow input order", async () => {
+        const clock = new FakeClock();
+        const all = assert.rejects(pAny([
+            () => delay(200, { clock }).then(() => Promise.reject(new Error("first"))),
+            () => Promise.reject(new Error("second"))
+        ]), (error) => error instanceof AggregateError && error.errors.map(reason => reason.message).join() === "first,second");
+        await clock.runAll();
+        await all;
+        await assert.rejects(pAny([]), AggregateError);
+    });
+});
+
+describe("pSettleWithinDeadline", () => {
+    it("returns what settled in time and marks the rest pending", async () => {
+        const clock = new FakeClock();
+        let lateSignal;
+        const results = pSettleWithinDeadline([
+            () => "now",
+            () => Promise.reject(new Error("nope")),
+            (signal) => {
+                lateSignal = signal;
+                return delay(1000, { clock, signal });
+            }
+        ], 500, { clock });
+        await clock.advance(500);
+        const [fulfilled, rejected, pending] = await results;
+        assert.deepEqual(fulfilled, { status: "fulfilled", value: "now" });
+        assert.equal(rejected.status, "rejected");
+        assert.deepEqual(pending, { status: "pending" });
+        assert.ok(lateSignal.reason instanceof TimeoutError);
+    });
+
+    it("finishes early once everything has settled", async () => {
+        const clock = new FakeClock();
+        const results = await pSettleWithinDeadline([() => 1, () => 2], 500, { clock });
+        assert.deepEqual(results.map(result => result.value), [1, 2]);
+        assert.equal(clock.pendingCount, 0);
+    });
+});
+
+describe("caller signals", () => {
+    it("are let go once each helper settles", async () => {
+        const controller = new AbortController();
+        const { signal } = controller;
+        const clock = new FakeClock();
+        await mapConcurrent([1, 2], async n => n * 2, { signal });
+        await pTimeout(async () => "fast", 1000, { signal, clock });
+        await pAny([Promise.reject(new Error("no")), Promise.resolve("yes")], { signal });
+        await pSettleWithinDeadline([Promise.resolve(1)], 1000, { signal, clock });
+        await assert.rejects(mapConcurrent([1], async () => {
+            throw new Error("mapper failed");
+        }, { signal }), /mapper failed/);
+        assert.equal(getEventListeners(signal, "abort").length, 0);
+    });
+});
@@ -0,0 +1,154 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ShoppingCart } = require("../ShoppingCart");
+const { CreditCardProcessor } = require("../Payments");
+const { FakeGateway } = require("../FakeGateway");
+const { PricingPipeline, PercentageCoupon, FlatRateShipping } = require("../Pricing");
+const { Money } = require("../Money");
+const { InMemoryIdempotencyStore } = require("../IdempotencyStore");
+const { InvalidAmountError, InvalidQuantityError, ItemNotFoundError, IdempotencyConflictError } = require("../Errors");
+const { silenceConsole } = require("./helpers");
+
+describe("ShoppingCart", () => {
+    let gateway;
+    let card;
+    beforeEach((t) => {
+        silenceConsole(t);
+        gateway = new FakeGateway();
+        card = new CreditCardProcessor("4111111111111111", "12/30", { gateway });
+    });
+
+    describe("line items", () => {
+        it("adds, merges, updates and removes lines", () => {
+            const cart = new ShoppingCart();
+            cart.addItem("MOUSE", 29.99, 1, { name: "Mouse" });
+            cart.addItem("MOUSE", 29.99, 2);
+            assert.deepEqual(cart.items, [{ sku: "MOUSE", name: "Mouse", quantity: 3, unitPrice: Money.of(29.99) }]);
+            cart.updateQuantity("MOUSE", 1);
+            assert.equal(cart.total.toString(), "USD 29.99");
+            cart.updateQuantity("MOUSE", 0);
+            assert.deepEqual(cart.items, []);
+        });
+
+        it("rejects bad quantities, negative prices, price conflicts and unknown SKUs", () => {
+            const cart = new ShoppingCart();
+            assert.throws(() => cart.addItem("A", 1, 0), InvalidQuantityError);
+            assert.throws(() => cart.addItem("A", 1, 1.5), InvalidQuantityError);
+            assert.throws(() => cart.addItem("A", -1), InvalidAmountError);
+            cart.addItem("A", 1);
+            assert.throws(() => cart.addItem("A", 2), InvalidAmountError);
+            assert.throws(() => cart.updateQuantity("A", -1), InvalidQuantityError);
+            assert.throws(() => cart.updateQuantity("B", 1), ItemNotFoundError);
+            assert.throws(() => cart.removeItem("B"), ItemNotFoundError);
+        });
+
+        it("hands out copies, so callers can't edit the cart behind its back", () => {
+            const cart = new ShoppingCart();
+            cart.addItem("A", 10).quantity = 99;
+            cart.items[0].quantity = 99;
+            assert.equal(cart.items[0].quantity, 1);
+        });
+
+        it("recomputes totals from the pricing pipeline and applied coupons", () => {
+            const cart = new ShoppingCart({ pricing: new PricingPipeline([new FlatRateShipping(5)]) });
+            cart.addItem("A", 100);
+            cart.applyCoupon(new PercentageCoupon("TEN", 10));
+            assert.equal(cart.getSummary().total.toString(), "USD 95.00");
+            assert.ok(cart.removeCoupon("TEN"));
+            assert.equal(cart.total.toString(), "USD 105.00");
+        });
+    });
+
+    describe("checkout", () => {
+        it("charges the total through any processor and empties the cart", async () => {
+            const cart = new ShoppingCart();
+            cart.addItem("A", 999.99);
+            cart.addItem("B", 29.99);
+            const result = await cart.checkout(card);
+            assert.equal(result.success, true);
+            assert.equal(result.amount.toString(), "USD 1029.98");
+            assert.equal(result.summary.itemCount, 2);
+            assert.deepEqual(cart.items, []);
+        });
+
+        it("reports a processor that throws as a failed checkout and keeps the cart", async () => {
+            const cart = new ShoppingCart();
+            cart.addItem("A", 10);
+            const broken = { processPayment: async () => { throw new Error("gateway unreachable"); } };
+            assert.deepEqual(await cart.checkout(broken), { success: false, error: "gateway unreachable" });
+
+            const declined = new CreditCardProcessor("4111111111111111", "12/30", {
+                gateway: new FakeGateway({ decline: () => "card expired" })
+            });
+            const result = await cart.checkout(declined);
+            assert.equal(result.success, false);
+            assert.match(result.error, /card expired/);
+            assert.equal(cart.items.length, 1);
+        });
+
+        it("fails an empty cart instead of charging nothing", async () => {
+            const result = await new ShoppingCart().checkout(card);
+            assert.equal(result.success, false);
+            assert.match(result.error, /must be positive/);
+            assert.equal(gateway.calls.length, 0);
+        });
+
+        it("builds the processor from a registered name, and fails on unknown ones", async () => {
+            const cart = new ShoppingCart();
+            cart.addItem("A", 10);
+            const unknown = await cart.checkout("cash");
+            assert.equal(unknown.success, false);
+            assert.match(unknown.error, /No payment processor registered as 'cash'/);
+            const result = await cart.checkout("paypal", { email: "user@example.com" });
+            assert.equal(result.success, true);
+            assert.match(result.transactionId, /^PP_/);
+        });
+
+        it("replays a completed checkout for the same idempotency key and cart", async () => {
+            const idempotencyStore = new InMemoryIdempotencyStore();
+            const cart = new ShoppingCart({ idempotencyStore });
+            cart.addItem("A", 10);
+            const first = await cart.checkout(card, { idempotencyKey: "order-1" });
+            const again = new ShoppingCart({ idempotencyStore });  // The client retrying the same order
+            again.addItem("A", 10);
+            const retry = await again.checkout(card, { idempotencyKey: "order-1" });
+            assert.equal(retry, first);
+            assert.equal(again.items.length, 1);  // The retry charged nothing and left the cart alone
+            assert.equal(gateway.calls.filter(call => call.operation === "capture").length, 1);
+        });
+
+        it("refuses an idempotency key reused for a different cart", async () => {
+            const cart = new ShoppingCart();
+            cart.addItem("A", 10);
+            await cart.checkout(card, { idempotencyKey: "order-1" });
+            cart.addItem("B", 20);
+            await assert.rejects(cart.checkout(card, { idempotencyKey: "order-1" }), (error) => {
+                assert.ok(error instanceof IdempotencyConflictError);
+                assert.equal(error.idempotencyKey, "order-1");
+                return true;
+            });
+            assert.equal(cart.items.length, 1);
+            assert.equal(gateway.calls.filter(call => call.operation === "capture").length, 1);
+        });
+
+        it("charges once when calls with one key race each other", async () => {
+            const cart = new ShoppingCart();
+            cart.addItem("A", 10);
+            const results = await Promise.all([1, 2, 3].map(() => cart.checkout(card, { idempotencyKey: "race" })));
+            assert.ok(results.every(result => result.transactionId === results[0].transactionId));
+            assert.equal(gateway.calls.filter(call => call.operation === "authorize").length, 1);
+        });
+
+        it("does not remember failures, so a retry really retries", async () => {
+            let decline = true;
+            const flaky = new CreditCardProcessor("4111111111111111", "12/30", {
+                gateway: new FakeGateway({ decline: () => decline && "try again" })
+            });
+            const cart = new ShoppingCart();
+            cart.addItem("A", 10);
+            assert.equal((await cart.checkout(flaky, { idempotencyKey: "k" })).success, false);
+            decline = false;
+            assert.equal((await cart.checkout(flaky, { idempotencyKey: "k" })).success, true);
+        });
+    });
+});
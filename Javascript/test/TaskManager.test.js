@@ -0,0 +1,136 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { TaskManager, TaskStatus, TaskPriority } = require("../TaskManager");
+const { InMemoryTaskStorage } = require("../TaskStorage");
+const {
+    IllegalTransitionError,
+    InvalidTaskDataError,
+    TaskNotFoundError,
+    DependencyCycleError
+} = require("../Errors");
+const { silenceConsole } = require("./helpers");
+
+// Ids and clock under the test's control, so ordering and timestamps are predictable
+function createManager(options = {}) {
+    let id = 0;
+    let time = Date.parse("2026-01-01T00:00:00Z");
+    return new TaskManager({
+        generateId: () => `t${++id}`,
+        now: () => new Date(time += 1000),
+        ...options
+    });
+}
+
+describe("TaskManager", () => {
+    beforeEach((t) => {
+        silenceConsole(t);
+    });
+
+    it("keeps task state in a closure and exposes it only through methods", () => {
+        const task = createManager().createTask("Learn JavaScript", { tags: ["js", "js"] });
+        assert.equal(task.state, undefined);
+        assert.equal(task.getState(), TaskStatus.TODO);
+        assert.deepEqual(task.getTags(), ["js"]);
+        task.getTags().push("hacked");
+        const snapshot = task.toJSON();
+        snapshot.status = "done";
+        assert.deepEqual(task.getTags(), ["js"]);
+        assert.equal(task.getState(), TaskStatus.TODO);
+    });
+
+    it("moves through allowed statuses and records the history", () => {
+        const task = createManager().createTask("Ship");
+        task.start();
+        task.block("Waiting on review");
+        task.unblock();
+        task.complete();
+        assert.ok(task.isCompleted());
+        assert.deepEqual(task.toJSON().statusHistory.map(step => step.status), ["todo", "in-progress", "blocked", "todo", "done"]);
+        assert.equal(task.toJSON().statusHistory[2].note, "Waiting on review");
+        task.reopen();
+        task.cancel();
+        assert.throws(() => task.start(), (error) =>
+            error instanceof IllegalTransitionError && error.from === "cancelled" && error.to === "in-progress");
+    });
+
+    it("validates priorities and due dates", () => {
+        const manager = createManager();
+        assert.throws(() => manager.createTask("A", { priority: "urgent" }), InvalidTaskDataError);
+        assert.throws(() => manager.createTask("B", { dueDate: "not a date" }), InvalidTaskDataError);
+        const task = manager.createTask("C", { dueDate: "2026-03-01" });
+        assert.equal(task.getDueDate().toISOString(), "2026-03-01T00:00:00.000Z");
+        task.setPriority(TaskPriority.HIGH);
+        task.assign("alice");
+        assert.equal(task.getPriority(), "high");
+        assert.equal(task.getAssignee(), "alice");
+        assert.throws(() => manager.getTask("missing"), TaskNotFoundError);
+    });
+
+    it("rejects dependency cycles and self-dependencies", () => {
+        const manager = createManager();
+        const a = manager.createTask("A");
+        const b = manager.createTask("B", { dependsOn: [a.getId()] });
+        const c = manager.createTask("C", { dependsOn: [b.getId()] });
+        assert.throws(() => manager.addDependency(a.getId(), c.getId()), (error) =>
+            error instanceof DependencyCycleError && error.cycle.join(",") === "t1,t3,t2,t1");
+        assert.throws(() => manager.addDependency(a.getId(), a.getId()), DependencyCycleError);
+        assert.throws(() => manager.createTask("D", { dependsOn: ["missing"] }), TaskNotFoundError);
+        assert.equal(manager.getAllTasks().length, 3);  // The failed create was rolled back
+        assert.deepEqual(manager.getDependents(a.getId()).map(task => task.getName()), ["B"]);
+        manager.removeDependency(b.getId(), a.getId());
+        assert.deepEqual(b.getDependencies(), []);
+    });
+
+    it("orders tasks by dependencies, then priority, due date and age", () => {
+        const manager = createManager();
+        const design = manager.createTask("Design");
+        const docs = manager.createTask("Docs", { priority: "low" });
+        const urgent = manager.createTask("Hotfix", { priority: "critical" });
+        const build = manager.createTask("Build", { dependsOn: [design.getId()], dueDate: "2026-02-01" });
+        manager.createTask("Review", { dueDate: "2026-01-15" });
+        assert.deepEqual(manager.topologicalOrder().map(task => task.getName()), ["Hotfix", "Review", "Design", "Build", "Docs"]);
+        assert.equal(manager.getNextRunnable(), urgent);
+        urgent.complete();
+        design.complete();
+        assert.ok(manager.getRunnableTasks().includes(build));
+        assert.equal(manager.getRunnableTasks().at(-1), docs);
+    });
+
+    it("round-trips through JSON and storage", async () => {
+        const storage = new InMemoryTaskStorage();
+        const manager = createManager({ storage });
+        const a = manager.createTask("A", { tags: ["x"] });
+        manager.createTask("B", { dependsOn: [a.getId()] });
+        a.start();
+        await manager.save();
+        const loaded = await TaskManager.load(storage);
+        assert.deepEqual(loaded.toJSON(), manager.toJSON());
+        assert.equal((await TaskManager.load(new InMemoryTaskStorage())).getAllTasks().length, 0);
+    });
+
+    it("refuses malformed, duplicated, dangling or cyclic saved data", () => {
+        const base = createManager().createTask("A").toJSON();
+        const load = (tasks, version = 1) => TaskManager.fromJSON({ version, tasks });
+        assert.throws(() => load([base], 2), InvalidTaskDataError);
+        assert.throws(() => load([{ ...base, status: "paused" }]), InvalidTaskDataError);
+        assert.throws(() => load([base, base]), InvalidTaskDataError);
+        assert.throws(() => load([{ ...base, dependsOn: ["ghost"] }]), InvalidTaskDataError);
+        assert.throws(() => load([
+            { ...base, id: "x", dependsOn: ["y"] },
+            { ...base, id: "y", dependsOn: ["x"] }
+        ]), DependencyCycleError);
+        // Fields added later default in, so an old save without them still loads
+        const { priority, tags, ...old } = base;
+        assert.equal(load([old]).getTask(base.id).getPriority(), "medium");
+    });
+
+    it("answers queries with snapshots", () => {
+        const manager = createManager();
+        manager.createTask("Fix login bug", { tags: ["backend"], assignee: "alice", priority: "critical" });
+        manager.createTask("Write docs");
+        const page = manager.query({ sortBy: "priority", order: "desc" });
+        assert.equal(page.items[0].name, "Fix login bug");
+        page.items[0].name = "changed";
+        assert.equal(manager.getTask("t1").getName(), "Fix login bug");
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { queryTasks } = require("../TaskQuery");
+const { InvalidQueryError } = require("../Errors");
+
+const task = (id, fields = {}) => ({
+    id,
+    name: `Task ${id}`,
+    status: "todo",
+    priority: "medium",
+    tags: [],
+    assignee: null,
+    dueDate: null,
+    createdAt: `2026-01-0${id}T00:00:00.000Z`,
+    updatedAt: `2026-01-0${id}T00:00:00.000Z`,
+    ...fields
+});
+
+const tasks = [
+    task("1", { name: "Fix login bug", tags: ["backend", "urgent"], assignee: "alice", dueDate: "2026-02-01T00:00:00.000Z" }),
+    task("2", { status: "blocked", tags: ["backend"], dueDate: "2026-01-15T00:00:00.000Z" }),
+    task("3", { status: "done", name: "Login page styles", assignee: "bob" }),
+    task("4", { tags: ["frontend"] })
+];
+const ids = result => result.items.map(item => item.id);
+
+describe("queryTasks", () => {
+    it("filters by status, tags, assignee, text and date range", () => {
+        assert.deepEqual(ids(queryTasks(tasks, { status: ["todo", "blocked"] })), ["1", "2", "4"]);
+        assert.deepEqual(ids(queryTasks(tasks, { tag: "backend", tags: ["urgent"] })), ["1"]);
+        assert.deepEqual(ids(queryTasks(tasks, { assignee: null })), ["2", "4"]);
+        assert.deepEqual(ids(queryTasks(tasks, { text: "LOGIN" })), ["1", "3"]);
+        assert.deepEqual(ids(queryTasks(tasks, { dateRange: { to: "2026-01-31" } })), ["2"]);
+        assert.deepEqual(ids(queryTasks(tasks, { dateRange: { field: "createdAt", from: "2026-01-03" } })), ["3", "4"]);
+    });
+
+    it("sorts with missing values last and pages with a cursor", () => {
+        const byDue = { sortBy: "dueDate", limit: 2 };
+        const first = queryTasks(tasks, byDue);
+        assert.deepEqual(ids(first), ["2", "1"]);
+        assert.equal(first.total, 4);
+        const second = queryTasks(tasks, { ...byDue, cursor: first.nextCursor });
+        assert.deepEqual(ids(second), ["3", "4"]);
+        assert.equal(second.nextCursor, null);
+        assert.deepEqual(ids(queryTasks(tasks, { sortBy: "dueDate", order: "desc" })), ["1", "2", "3", "4"]);
+    });
+
+    it("uses caller-supplied sort keys", () => {
+        const rank = { medium: 1, critical: 2 };
+        const withPriority = tasks.map((item, index) => index === 3 ? { ...item, priority: "critical" } : item);
+        const result = queryTasks(withPriority, { sortBy: "priority", order: "desc", limit: 1 }, { priority: item => rank[item.priority] });
+        assert.deepEqual(ids(result), ["4"]);
+    });
+
+    it("rejects bad fields, orders, limits, dates and cursors", () => {
+        assert.throws(() => queryTasks(tasks, { sortBy: "colour" }), InvalidQueryError);
+        assert.throws(() => queryTasks(tasks, { order: "up" }), InvalidQueryError);
+        assert.throws(() => queryTasks(tasks, { limit: 0 }), InvalidQueryError);
+        assert.throws(() => queryTasks(tasks, { dateRange: { field: "name" } }), InvalidQueryError);
+        assert.throws(() => queryTasks(tasks, { dateRange: { from: "soon" } }), InvalidQueryError);
+        assert.throws(() => queryTasks(tasks, { cursor: "%%%" }), InvalidQueryError);
+        const { nextCursor } = queryTasks(tasks, { limit: 1 });
+        assert.throws(() => queryTasks(tasks, { sortBy: "name", cursor: nextCursor }), InvalidQueryError);
+    });
+});
@@ -0,0 +1,138 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { TaskScheduler } = require("../TaskScheduler");
+const { TaskManager, TaskStatus } = require("../TaskManager");
+const { IllegalTransitionError } = require("../Errors");
+const { silenceConsole } = require("./helpers");
+
+// A body that finishes on the next turn of the event loop and logs when it runs
+const step = (log, name) => async () => {
+    log.push(`${name} start`);
+    await new Promise(resolve => setImmediate(resolve));
+    log.push(`${name} end`);
+    return name;
+};
+
+describe("TaskScheduler", () => {
+    beforeEach((t) => {
+        silenceConsole(t);
+    });
+
+    it("runs dependencies first, best-ranked first, within the concurrency limit", async () => {
+        const manager = new TaskManager();
+        const design = manager.createTask("Design");
+        const docs = manager.createTask("Docs", { priority: "low" });
+        const build = manager.createTask("Build", { dependsOn: [design.getId()], priority: "high" });
+        const log = [];
+        const report = await new TaskScheduler(manager, { concurrency: 1 }).run({
+            [design.getId()]: step(log, "design"),
+            [docs.getId()]: step(log, "docs"),
+            [build.getId()]: step(log, "build")
+        });
+        assert.deepEqual(log, ["design start", "design end", "build start", "build end", "docs start", "docs end"]);
+        assert.deepEqual(report.results[build.getId()], "build");
+        assert.equal(report.completed.length, 3);
+        assert.ok(manager.getAllTasks().every(task => task.isCompleted()));
+    });
+
+    it("never runs more bodies at once than allowed", async () => {
+        const manager = new TaskManager();
+        let running = 0;
+        let peak = 0;
+        const bodies = {};
+        for (let i = 0; i < 5; i++) {
+            bodies[manager.createTask(`T${i}`).getId()] = async () => {
+                peak = Math.max(peak, ++running);
+                await new Promise(resolve => setImmediate(resolve));
+                running--;
+            };
+        }
+        await new TaskScheduler(manager, { concurrency: 2 }).run(bodies);
+        assert.equal(peak, 2);
+    });
+
+    it("blocks a failed task and skips everything downstream of it", async () => {
+        const manager = new TaskManager();
+        const build = manager.createTask("Build");
+        const ship = manager.createTask("Ship", { dependsOn: [build.getId()] });
+        const report = await new TaskScheduler(manager).run({
+            [build.getId()]: () => Promise.reject(new Error("compiler crashed")),
+            [ship.getId()]: () => assert.fail("must not run")
+        });
+        assert.equal(report.failed[0].error.message, "compiler crashed");
+        assert.equal(build.getState(), TaskStatus.BLOCKED);
+        assert.equal(ship.getState(), TaskStatus.BLOCKED);
+        assert.match(report.skipped[0].reason, /Upstream task/);
+    });
+
+    it("skips cancelled tasks and tasks waiting on work outside the run", async () => {
+        const manager = new TaskManager();
+        const outside = manager.createTask("Outside");
+        const waiting = manager.createTask("Waiting", { dependsOn: [outside.getId()] });
+        const cancelled = manager.createTask("Cancelled");
+        cancelled.cancel();
+        const report = await new TaskScheduler(manager).run({
+            [waiting.getId()]: () => assert.fail("must not run"),
+            [cancelled.getId()]: () => assert.fail("must not run")
+        });
+        assert.deepEqual(report.skipped.map(entry => entry.reason).sort(), [
+            "Task is cancelled",
+            "Waiting on dependencies outside this run"
+        ]);
+    });
+
+    it("stops launching once the signal aborts", async () => {
+        const manager = new TaskManager();
+        const controller = new AbortController();
+        const first = manager.createTask("First", { priority: "high" });
+        const second = manager.createTask("Second");
+        const report = await new TaskScheduler(manager, { concurrency: 1 }).run({
+            [first.getId()]: async () => controller.abort(),
+            [second.getId()]: () => assert.fail("must not run")
+        }, { signal: controller.signal });
+        assert.deepEqual(report.skipped, [{ id: second.getId(), reason: "Aborted" }]);
+    });
+
+    it("records a task cancelled while its body ran as failed instead of rejecting", async () => {
+        const manager = new TaskManager();
+        const done = manager.createTask("Done");
+        const broken = manager.createTask("Broken");
+        const after = manager.createTask("After", { dependsOn: [done.getId()] });
+        const report = await new TaskScheduler(manager).run({
+            [done.getId()]: async (task) => task.cancel("Changed plans"),
+            [broken.getId()]: async (task) => {
+                task.cancel("Changed plans");
+                throw new Error("boom");
+            },
+            [after.getId()]: () => assert.fail("must not run")
+        });
+        assert.deepEqual(report.completed, []);
+        const [cancelledDone, cancelledBroken] = report.failed;
+        assert.equal(cancelledDone.id, done.getId());
+        assert.ok(cancelledDone.error instanceof IllegalTransitionError);
+        assert.equal(cancelledBroken.error.message, "boom");
+        assert.ok(cancelledBroken.transitionError instanceof IllegalTransitionError);
+        assert.deepEqual(report.skipped, [{ id: after.getId(), reason: `Upstream task ${done.getId()} did not complete` }]);
+        assert.equal(after.getState(), TaskStatus.BLOCKED);
+    });
+
+    it("skips a pending task that is cancelled while another body runs", async () => {
+        const manager = new TaskManager();
+        const first = manager.createTask("First", { priority: "high" });
+        const second = manager.createTask("Second");
+        const report = await new TaskScheduler(manager, { concurrency: 1 }).run({
+            [first.getId()]: async () => second.cancel("No longer needed"),
+            [second.getId()]: () => assert.fail("must not run")
+        });
+        assert.deepEqual(report.completed, [first.getId()]);
+        assert.deepEqual(report.failed, []);
+        assert.deepEqual(report.skipped, [{ id: second.getId(), reason: "Task is cancelled" }]);
+        assert.equal(second.getState(), TaskStatus.CANCELLED);
+    });
+
+    it("needs a positive whole concurrency", () => {
+        const manager = new TaskManager();
+        assert.throws(() => new TaskScheduler(manager, { concurrency: 0 }), RangeError);
+        assert.throws(() => new TaskScheduler(manager, { concurrency: 1.5 }), RangeError);
+    });
+});
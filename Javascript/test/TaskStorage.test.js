@@ -0,0 +1,44 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { TaskStorage, InMemoryTaskStorage, JsonFileTaskStorage } = require("../TaskStorage");
+const { AbstractInstantiationError } = require("../Errors");
+
+describe("Task storage", () => {
+    let directory;
+    before(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), "task-storage-"));
+    });
+    after(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it("InMemoryTaskStorage keeps a copy, not a reference", async () => {
+        const storage = new InMemoryTaskStorage();
+        assert.equal(await storage.load(), null);
+        const data = { version: 1, tasks: [] };
+        await storage.save(data);
+        data.tasks.push("later change");
+        assert.deepEqual(await storage.load(), { version: 1, tasks: [] });
+    });
+
+    it("JsonFileTaskStorage writes through a temp file and reads it back", async () => {
+        const storage = new JsonFileTaskStorage(path.join(directory, "nested", "tasks.json"));
+        assert.equal(await storage.load(), null);
+        await storage.save({ version: 1, tasks: [{ id: "a" }] });
+        assert.deepEqual(await storage.load(), { version: 1, tasks: [{ id: "a" }] });
+        assert.deepEqual(await fs.readdir(path.join(directory, "nested")), ["tasks.json"]);
+    });
+
+    it("JsonFileTaskStorage surfaces corrupt files instead of treating them as empty", async () => {
+        const filePath = path.join(directory, "corrupt.json");
+        await fs.writeFile(filePath, "{ not json");
+        await assert.rejects(new JsonFileTaskStorage(filePath).load(), SyntaxError);
+    });
+
+    it("TaskStorage itself is abstract", () => {
+        assert.throws(() => new TaskStorage(), AbstractInstantiationError);
+    });
+});
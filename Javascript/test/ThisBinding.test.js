@@ -0,0 +1,95 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { bindAll, autoBind, guardThis } = require("../ThisBinding");
+const { ThisBindingError } = require("../Errors");
+
+class Greeter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    greet() {
+        return `Hi, ${this.name}`;
+    }
+
+    // Returns a regular function - the classic lost-`this` bug
+    later() {
+        return function() {
+            return this.name;
+        };
+    }
+
+    // Never touches `this`, so it is fine to call detached
+    closure() {
+        const name = this.name;
+        return function() {
+            return name;
+        };
+    }
+
+    get shout() {
+        return this.name.toUpperCase();
+    }
+}
+
+class LoudGreeter extends Greeter {
+    greet() {
+        return `${super.greet()}!`;
+    }
+}
+
+describe("bindAll", () => {
+    it("binds every method in the prototype chain, skipping getters and exclusions", () => {
+        const greeter = bindAll(new LoudGreeter("Ada"), { exclude: ["closure"] });
+        const { greet, later, closure } = greeter;
+        assert.equal(greet(), "Hi, Ada!");
+        assert.equal(typeof later(), "function");
+        assert.equal(closure, Greeter.prototype.closure);
+        assert.equal(greeter.shout, "ADA");
+        assert.ok(!Object.keys(greeter).includes("greet"));  // Non-enumerable
+    });
+});
+
+describe("autoBind", () => {
+    it("returns a same-named subclass whose instances have bound methods", () => {
+        const BoundGreeter = autoBind(Greeter);
+        const { greet } = new BoundGreeter("Grace");
+        assert.equal(BoundGreeter.name, "Greeter");
+        assert.equal(greet(), "Hi, Grace");
+        assert.ok(new BoundGreeter("x") instanceof Greeter);
+    });
+});
+
+describe("guardThis", () => {
+    it("explains a detached method call", () => {
+        const Guarded = guardThis(Greeter);
+        const { greet } = new Guarded("Ada");
+        assert.throws(() => greet(), (error) => {
+            assert.ok(error instanceof ThisBindingError);
+            assert.equal(error.className, "Greeter");
+            assert.equal(error.method, "greet");
+            assert.equal(error.receiver, "the global object");  // Sloppy-mode wrapper: a bare call gets globalThis
+            assert.match(error.message, /\(\.\.\.args\) => greeter\.greet\(\.\.\.args\)/);
+            assert.match(error.message, /autoBind\(Greeter\)/);
+            return true;
+        });
+        assert.throws(() => greet.call(new Map()), (error) => error.receiver === "a Map");
+        assert.equal(new Guarded("Ada").greet(), "Hi, Ada");
+    });
+
+    it("catches a returned regular function using `this`, even with the global object as `this`", () => {
+        const later = new (guardThis(Greeter))("Ada").later();
+        assert.throws(() => later(), (error) => error instanceof ThisBindingError && /returned by Greeter\.later\(\)/.test(error.message));
+        assert.throws(() => later.call(globalThis), (error) => error.receiver === "the global object");
+        assert.equal(later.call(new Greeter("Bob")), "Bob");
+    });
+
+    it("leaves returned functions that don't use `this` working", () => {
+        const closure = new (guardThis(Greeter))("Ada").closure();
+        assert.equal(closure(), "Ada");
+    });
+
+    it("is a no-op when disabled", () => {
+        assert.equal(guardThis(Greeter, { enabled: false }), Greeter);
+    });
+});
@@ -0,0 +1,92 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { AbstractVehicle, Car, Motorcycle, ElectricCar, VehicleState } = require("../Vehicles");
+const { AbstractInstantiationError, IllegalTransitionError, OutOfEnergyError } = require("../Errors");
+const { silenceConsole, captureLogs } = require("./helpers");
+
+describe("Vehicles", () => {
+    let logs;
+    beforeEach((t) => {
+        silenceConsole(t);
+        logs = captureLogs();
+    });
+
+    it("cannot instantiate the abstract base", () => {
+        assert.throws(() => new AbstractVehicle("Generic", "Box"), AbstractInstantiationError);
+        assert.throws(() => new Car("Toyota", "Camry", { level: 60 }), RangeError);
+    });
+
+    it("walks the state machine and rejects illegal moves", () => {
+        const car = new Car("Toyota", "Camry", { logger: logs.logger });
+        assert.throws(() => car.setSpeed(50), IllegalTransitionError);
+        car.start().setSpeed(50);
+        assert.equal(car.state, VehicleState.MOVING);
+        assert.throws(() => car.stop(), (error) =>
+            error instanceof IllegalTransitionError && error.from === VehicleState.MOVING && /setSpeed\(0\) first/.test(error.message));
+        car.setSpeed(0).stop();
+        assert.equal(car.state, VehicleState.OFF);
+        assert.deepEqual(car.history.map(entry => entry.state), ["off", "idling", "moving", "idling", "off"]);
+        assert.deepEqual(logs.messages(), [
+            "Toyota Camry engine started with key",
+            "Toyota Camry engine stopped"
+        ]);
+        assert.deepEqual(logs.entries.map(entry => entry.vehicle), ["Toyota Camry", "Toyota Camry"]);
+    });
+
+    it("checks speeds against the vehicle's range", () => {
+        const bike = new Motorcycle("Honda", "CBR").start();
+        assert.throws(() => bike.setSpeed(201), RangeError);
+        assert.throws(() => bike.setSpeed(-1), RangeError);
+        assert.throws(() => bike.setSpeed("fast"), RangeError);
+        assert.equal(bike.setSpeed(200).speed, 200);
+    });
+
+    it("burns energy for distance moved and for idling", () => {
+        const car = new Car("Toyota", "Camry", { consumptionPerKm: 0.1, idlePerHour: 1 });
+        car.start().tick(1800);
+        assert.equal(car.level, 49.5);
+        car.setSpeed(60).tick(3600);
+        assert.equal(car.odometer, 60);
+        assert.ok(Math.abs(car.level - 43.5) < 1e-9);
+        assert.deepEqual(car.getStatus().timeInState, { off: 0, idling: 1800, moving: 3600, refuelling: 0 });
+        assert.throws(() => car.tick(-1), RangeError);
+    });
+
+    it("stalls when it runs dry mid-tick and refuses to start empty", () => {
+        const car = new Car("Toyota", "Camry", { level: 1, consumptionPerKm: 0.1, logger: logs.logger });
+        car.start().setSpeed(60).tick(3600);
+        assert.equal(car.state, VehicleState.OFF);
+        assert.ok(Math.abs(car.odometer - 10) < 1e-9);
+        assert.equal(car.level, 0);
+        assert.equal(car.timeInState.moving, 600);
+        assert.equal(car.timeInState.off, 3000);
+        assert.equal(car.history.at(-1).reason, "stalled");
+        assert.deepEqual(logs.entries.at(-1), {
+            time: "1970-01-01T00:00:00.000Z",
+            level: "warn",
+            message: "Toyota Camry ran out of fuel",
+            vehicle: "Toyota Camry",
+            odometer: car.odometer
+        });
+        assert.throws(() => car.start(), OutOfEnergyError);
+    });
+
+    it("refuels to full and switches back off on its own", () => {
+        const car = new Car("Toyota", "Camry", { level: 30, refillPerHour: 1200 });
+        car.refuel().tick(120);
+        assert.equal(car.level, 50);
+        assert.equal(car.state, VehicleState.OFF);
+        assert.equal(car.timeInState.refuelling, 60);
+        assert.equal(car.timeInState.off, 60);
+    });
+
+    it("recovers charge when an electric car slows down", () => {
+        const tesla = new ElectricCar("Tesla", "Model 3", { level: 30, logger: logs.logger });
+        tesla.start().setSpeed(100).setSpeed(0);
+        assert.ok(Math.abs(tesla.level - 30.2) < 1e-9);
+        assert.equal(tesla.stop().state, VehicleState.OFF);
+        assert.equal(logs.messages().at(-1), "Tesla Model 3 powered down");
+        assert.equal(tesla.charge().state, VehicleState.REFUELLING);
+        assert.equal(tesla.getStatus().unit, "kWh");
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { Workflow, WorkflowStatus } = require("../Workflow");
+const { FakeClock, delay } = require("../Clock");
+const { TimeoutError } = require("../Errors");
+
+describe("Workflow", () => {
+    it("runs steps in order, passing earlier results along", async () => {
+        const clock = new FakeClock();
+        const events = [];
+        const workflow = new Workflow([
+            { name: "load", run: ({ signal }) => delay(1000, { clock, signal }).then(() => 2) },
+            { name: "double", run: ({ results }) => results.load * 2 }
+        ], { clock });
+        const running = workflow.run({ onProgress: event => events.push(`${event.type}:${event.step}`) });
+        await clock.runAll();
+        const report = await running;
+        assert.equal(report.status, WorkflowStatus.COMPLETED);
+        assert.deepEqual(report.results, { load: 2, double: 4 });
+        assert.deepEqual(report.completedSteps, ["load", "double"]);
+        assert.equal(report.durationMs, 1000);
+        assert.equal(report.checkpoint, null);
+        assert.deepEqual(events, ["step-start:load", "step-complete:load", "step-start:double", "step-complete:double"]);
+    });
+
+    it("fails a step that runs past its timeout and resumes from the checkpoint", async () => {
+        const clock = new FakeClock();
+        const calls = { first: 0, slow: 0 };
+        let slowSignal;
+        const workflow = new Workflow([
+            { name: "first", run: () => ++calls.first },
+            {
+                name: "slow",
+                timeoutMs: 500,
+                run: ({ signal }) => {
+                    slowSignal = signal;
+                    return delay(++calls.slow === 1 ? 1000 : 100, { clock, signal }).then(() => "done");
+                }
+            }
+        ], { clock });
+
+        const failing = workflow.run();
+        await clock.runAll();
+        const failed = await failing;
+        assert.equal(failed.status, WorkflowStatus.FAILED);
+        assert.equal(failed.failedStep, "slow");
+        assert.ok(failed.error instanceof TimeoutError);
+        assert.ok(slowSignal.aborted);
+        assert.deepEqual(failed.checkpoint, { nextStep: "slow", results: { first: 1 } });
+
+        const resuming = workflow.run({ resumeFrom: failed.checkpoint });
+        await clock.runAll();
+        const resumed = await resuming;
+        assert.equal(resumed.status, WorkflowStatus.COMPLETED);
+        assert.deepEqual(resumed.results, { first: 1, slow: "done" });
+        assert.equal(calls.first, 1);
+    });
+
+    it("reports an aborted run without running the remaining steps", async () => {
+        const clock = new FakeClock();
+        const controller = new AbortController();
+        let lastRan = false;
+        const workflow = new Workflow([
+            { name: "wait", run: ({ signal }) => delay(1000, { clock, signal }) },
+            { name: "last", run: () => { lastRan = true; } }
+        ], { clock });
+        const running = workflow.run({ signal: controller.signal });
+        await clock.advance(100);
+        controller.abort(new Error("user cancelled"));
+        const report = await running;
+        assert.equal(report.status, WorkflowStatus.ABORTED);
+        assert.equal(report.failedStep, "wait");
+        assert.equal(lastRan, false);
+    });
+
+    it("validates its steps and where to resume", async () => {
+        assert.throws(() => new Workflow([{ name: "a" }]), TypeError);
+        assert.throws(() => new Workflow([{ name: "a", run() {} }, { name: "a", run() {} }]), /Duplicate step name 'a'/);
+        const workflow = new Workflow([{ name: "a", run: () => 1 }]);
+        await assert.rejects(workflow.run({ resumeFrom: "missing" }), RangeError);
+    });
+});
@@ -0,0 +1,37 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExamples, runOne, main } = require("../examples");
+const { silenceConsole } = require("./helpers");
+
+describe("examples", () => {
+    let output;
+    beforeEach((t) => {
+        output = silenceConsole(t);
+    });
+
+    it("loads every demo as { name, description, run } without running any", () => {
+        const examples = loadExamples();
+        assert.ok(examples.length > 0);
+        examples.forEach(example => {
+            assert.equal(typeof example.description, "string");
+            assert.equal(typeof example.run, "function");
+        });
+        assert.ok(examples.some(example => example.name === "bank-account"));
+        assert.ok(!examples.some(example => example.name === "index"));
+        assert.equal(output.log.mock.callCount(), 0);
+    });
+
+    it("runs one demo and reports whether it threw", async () => {
+        const counter = loadExamples().find(example => example.name === "counter");
+        assert.equal(await runOne(counter), true);
+        assert.equal(await runOne({ name: "broken", run: () => Promise.reject(new Error("boom")) }), false);
+        assert.match(output.error.mock.calls[0].arguments[0], /broken failed: Error: boom/);
+    });
+
+    it("lists demos, and fails on an unknown name", async () => {
+        assert.equal(await main([]), true);
+        assert.equal(output.log.mock.calls[0].arguments[0], "Examples:");
+        assert.equal(await main(["unknown"]), false);
+        assert.equal(output.error.mock.calls[0].arguments[0], "Unknown example 'unknown'.\n");
+    });
+});
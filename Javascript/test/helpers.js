@@ -0,0 +1,85 @@
+const http = require("http");
+const { Logger } = require("../Logger");
+
+//////////////////////////////////////////// Test Helpers ////////////////////////////////////////////
+
+// Run the suite from the Javascript folder with: node --test test/
+// Everything runs offline - time comes from FakeClock, payments from FakeGateway/FakeBlockchain and
+// HTTP from a local stub server - except the event loop order checks, which wait on real 1 s timers.
+
+// The modules log as they go (deposits, captures, vehicle starts...). Tests replace console.log and
+// console.error with mocks so the output stays readable - and so a test can assert on what was logged.
+// Pass the test context (beforeEach((t) => silenceConsole(t))): its mocks are restored when that test
+// ends, so they don't pile up one on top of another across a file.
+function silenceConsole(t) {
+    return {
+        log: t.mock.method(console, "log", () => {}),
+        error: t.mock.method(console, "error", () => {})
+    };
+}
+
+// A logger that keeps its entries instead of printing them - pass it as the `logger` option:
+//   const logs = captureLogs();
+//   new Car("Toyota", "Camry", { logger: logs.logger }).start();
+//   logs.messages()  ->  ["Toyota Camry engine started with key"]
+function captureLogs({ level = "debug" } = {}) {
+    const entries = [];
+    const lines = [];
+    const logger = new Logger({
+        level,
+        now: () => new Date(0),
+        write: (line, entry) => {
+            lines.push(line);
+            entries.push(entry);
+        }
+    });
+    return { logger, entries, lines, messages: () => entries.map(entry => entry.message) };
+}
+
+// Local stand-in for a real API, so HttpClient tests run offline:
+//   const server = await startStubServer((request, response, body) => { ... });
+//   new HttpClient({ baseUrl: server.url }) ... server.requests ... await server.close();
+// The handler may be async; every request is recorded as { method, url, headers, body }.
+async function startStubServer(handler) {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        let body = "";
+        request.on("data", chunk => {
+            body += chunk;
+        });
+        request.on("end", async () => {
+            requests.push({ method: request.method, url: request.url, headers: request.headers, body });
+            try {
+                await handler(request, response, body);
+            } catch (error) {
+                response.writeHead(500).end(error.message);
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const sockets = new Set();
+    server.on("connection", socket => {
+        sockets.add(socket);
+        socket.on("close", () => sockets.delete(socket));
+    });
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => {
+            sockets.forEach(socket => socket.destroy());  // Don't wait on keep-alive or deliberately hung responses
+            server.close(resolve);
+        })
+    };
+}
+
+function sendJson(response, status, data, headers = {}) {
+    response.writeHead(status, { "content-type": "application/json", ...headers });
+    response.end(JSON.stringify(data));
+}
+
+module.exports = {
+    silenceConsole,
+    captureLogs,
+    startStubServer,
+    sendJson
+};